@@ -0,0 +1,6 @@
+// api/index.js
+// The single Vercel function: every /api/* request is rewritten here (see
+// vercel.json) and served by the same Express app as server.js.
+const { createApp } = require('../app');
+
+module.exports = createApp();
@@ -0,0 +1,61 @@
+// app.js
+
+// -----------------------------------------------------------------------------
+// EXPRESS APP
+// The one REST API behind both deployments: server.js listens with it and
+// api/index.js hands it to Vercel. Routes live in routes/, logic in services/
+// and the Mongoose models in models/.
+// -----------------------------------------------------------------------------
+
+const express = require('express');
+const cors = require('cors');
+const { requireDb } = require('./routes/middleware');
+
+function createApp() {
+    const app = express();
+
+    // Enable CORS for all routes, allowing the frontend to make requests
+    const corsOptions = {
+        // Replace with your actual Vercel frontend URL
+        origin: 'https://my-gym-app.vercel.app',
+        optionsSuccessStatus: 200 // For legacy browser support
+    };
+    app.use(cors(corsOptions));
+    // Parse incoming JSON requests, making it available on req.body
+    // (roster imports send the whole spreadsheet, hence the larger limit)
+    app.use(express.json({ limit: '5mb' }));
+
+    app.use('/api', requireDb);
+    app.use('/api/auth', require('./routes/auth'));
+    app.use('/api/users', require('./routes/users'));
+    app.use('/api/branches', require('./routes/branches'));
+    app.use('/api/clients', require('./routes/clients'));
+    app.use('/api/plans', require('./routes/plans'));
+    app.use('/api/trainers', require('./routes/trainers'));
+    app.use('/api/programs', require('./routes/programs'));
+    app.use('/api/attendance', require('./routes/attendance'));
+    app.use('/api/classes', require('./routes/classes'));
+    app.use('/api/coupons', require('./routes/coupons'));
+    app.use('/api/referrals', require('./routes/referrals'));
+    app.use('/api/leads', require('./routes/leads'));
+    app.use('/api/reminders', require('./routes/reminders'));
+    app.use('/api/analytics', require('./routes/analytics'));
+    app.use('/api/audit', require('./routes/audit'));
+    app.use('/api/portal', require('./routes/portal'));
+
+    // Unknown API paths answer in the same { message } shape as everything else
+    app.use('/api', (req, res) => {
+        res.status(404).json({
+            message: 'Not found.'
+        });
+    });
+
+    // Add a catch-all route for the root
+    app.get('/', (req, res) => {
+        res.send('MBFC Gym Client Manager API is running!');
+    });
+
+    return app;
+}
+
+module.exports = { createApp };
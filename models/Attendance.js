@@ -0,0 +1,22 @@
+// models/Attendance.js
+const mongoose = require('mongoose');
+
+// --- Mongoose Schema and Model ---
+// One gym visit: check-in at the front desk, check-out when the member leaves.
+// Visits on a free trial pass belong to the lead instead of a client.
+const attendanceSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: function () { return !this.lead; }
+  },
+  lead: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead', default: null },
+  checkInAt: { type: Date, required: true, default: Date.now },
+  checkOutAt: { type: Date, default: null },
+  recordedBy: { type: String, trim: true, default: '' }
+}, { timestamps: true });
+
+attendanceSchema.index({ client: 1, checkInAt: -1 });
+attendanceSchema.index({ lead: 1, checkInAt: -1 });
+
+module.exports = mongoose.models.Attendance || mongoose.model('Attendance', attendanceSchema);
@@ -0,0 +1,42 @@
+// models/AuditLog.js
+const mongoose = require('mongoose');
+
+// --- Mongoose Schema and Model ---
+// One field of a changed document, before and after (null when absent)
+const changeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Append-only: entries are only ever created, never updated or deleted.
+const auditLogSchema = new mongoose.Schema({
+  action: { type: String, required: true, trim: true },
+  actor: {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: String,
+    role: String
+  },
+  client: { type: mongoose.Schema.Types.ObjectId, ref: 'Client', index: true },
+  details: { type: mongoose.Schema.Types.Mixed, default: {} },
+  changes: [changeSchema],
+  ip: String,
+  at: { type: Date, default: Date.now, index: true }
+});
+
+auditLogSchema.index({ 'actor.id': 1, at: -1 });
+
+// Refuse every write other than create through the model
+const refuse = function () {
+  throw new Error('The audit log is append-only.');
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  auditLogSchema.pre(operation, refuse);
+});
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('The audit log is append-only.'));
+  next();
+});
+
+module.exports = mongoose.models.AuditLog || mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,20 @@
+// models/Branch.js
+const mongoose = require('mongoose');
+
+// --- Mongoose Schema and Model ---
+// One MBFC location. Clients, payments and staff belong to a home branch;
+// contact and Aadhaar stay unique across all of them, so one person can
+// never hold two memberships. Branches are closed with `active: false`.
+const branchSchema = new mongoose.Schema({
+  name: { type: String, required: [true, 'Branch name is required'], unique: true, trim: true },
+  address: { type: String, trim: true, default: '' },
+  phone: {
+    type: String,
+    trim: true,
+    default: '',
+    match: [/^(\d{10})?$/, 'Branch phone must be exactly 10 digits']
+  },
+  active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+module.exports = mongoose.models.Branch || mongoose.model('Branch', branchSchema);
@@ -0,0 +1,39 @@
+// models/ClassBooking.js
+const mongoose = require('mongoose');
+
+const BOOKING_STATUSES = ['booked', 'waitlisted', 'cancelled'];
+
+// --- Mongoose Schema and Model ---
+// A member's place in one session of a class, identified by the class and
+// the session's start time. A member has one booking per session: booking
+// again after cancelling reuses it and goes to the back of the queue.
+const classBookingSchema = new mongoose.Schema({
+  gymClass: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GymClass',
+    required: true
+  },
+  startsAt: { type: Date, required: true },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  status: { type: String, enum: BOOKING_STATUSES, default: 'booked' },
+  // Waitlisted members are promoted in the order they asked for a place
+  bookedAt: { type: Date, default: Date.now },
+  promotedAt: { type: Date, default: null },
+  cancelledAt: { type: Date, default: null },
+  // Marked off at the session; null until then
+  attended: { type: Boolean, default: null },
+  bookedBy: { type: String, trim: true, default: '' }
+}, { timestamps: true });
+
+classBookingSchema.index({ gymClass: 1, startsAt: 1, client: 1 }, { unique: true });
+classBookingSchema.index({ gymClass: 1, startsAt: 1, status: 1, bookedAt: 1 });
+classBookingSchema.index({ client: 1, startsAt: -1 });
+
+const ClassBooking = mongoose.models.ClassBooking || mongoose.model('ClassBooking', classBookingSchema);
+
+module.exports = ClassBooking;
+module.exports.BOOKING_STATUSES = BOOKING_STATUSES;
@@ -0,0 +1,151 @@
+// models/Client.js
+const mongoose = require('mongoose');
+const aadhaarVault = require('../services/aadhaar');
+const { screeningFields } = require('./Screening');
+
+// --- Mongoose Schema and Model ---
+// A discount code used for a period (see models/Coupon.js): the price before
+// it and the rupees it took off, which the period's amount already reflects
+const periodDiscountSchema = new mongoose.Schema({
+  coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+  code: String,
+  type: String,
+  value: Number,
+  listPrice: Number,
+  amount: Number
+}, { _id: false });
+
+// One joining or renewal period; membership.periods keeps them oldest first
+const membershipPeriodSchema = new mongoose.Schema({
+  start: { type: Date, required: true },
+  end: { type: Date, required: true },
+  months: { type: Number, required: true },
+  amount: { type: Number, default: 0 },
+  kind: { type: String, enum: ['Joining', 'Renewal'], default: 'Joining' },
+  paidOn: Date,
+  // Days added to `end` by freezes that started in this period
+  frozenDays: { type: Number, default: 0 },
+  // Days added to `end` as referral rewards (see services/referrals.js)
+  bonusDays: { type: Number, default: 0 },
+  discount: { type: periodDiscountSchema, default: null }
+}, { _id: false });
+
+// A pause requested by the member; start and end are both frozen days
+const freezeSchema = new mongoose.Schema({
+  start: { type: Date, required: true },
+  end: { type: Date, required: true },
+  days: { type: Number, required: true },
+  reason: { type: String, required: [true, 'A reason is required to freeze a membership'], trim: true },
+  recordedBy: { type: String, trim: true, default: '' }
+}, { timestamps: true });
+
+// The plan as it was when the client joined or last renewed on it
+const planSnapshotSchema = new mongoose.Schema({
+  planId: { type: mongoose.Schema.Types.ObjectId, ref: 'Plan' },
+  name: String,
+  months: Number,
+  price: Number,
+  ptPrice: Number,
+  maxFreezeDays: Number,
+  services: [String]
+}, { _id: false });
+
+// The latest health screening; the full history is in models/Screening.js
+const screeningSnapshotSchema = new mongoose.Schema({
+  screeningId: { type: mongoose.Schema.Types.ObjectId, ref: 'Screening' },
+  ...screeningFields
+}, { _id: false });
+
+const clientSchema = new mongoose.Schema({
+  name: { type: String, required: [true, 'Name is required'], trim: true },
+  contact: {
+    type: String,
+    required: [true, 'Contact number is required'],
+    unique: true,
+    trim: true,
+    match: [/^\d{10}$/, 'Contact number must be exactly 10 digits']
+  },
+  height: {
+    ft: Number,
+    in: Number
+  },
+  weight: Number,
+  goal: {
+    type: String,
+    enum: {
+      values: ['Gain Weight', 'Lose Weight', 'Maintain Weight', 'Powerlifting', 'Bodybuilding'],
+      message: '`{VALUE}` is not a valid goal'
+    },
+    required: [true, 'Goal is required']
+  },
+  medicalCondition: {
+    hasMedicalCondition: { type: Boolean, default: false },
+    conditionDetails: { type: String, trim: true, default: '' }
+  },
+  // submitted and due are derived from the payment ledger (services/payments.js)
+  fees: {
+    total: Number,
+    submitted: { type: Number, default: 0 },
+    due: { type: Number, default: 0 },
+    // Referral rewards taken off what is due, now or after the next renewal
+    credit: { type: Number, default: 0 }
+  },
+  pt: {
+    type: String,
+    enum: ['None', 'Standard', 'Advanced'],
+    default: 'None'
+  },
+  // Home branch (see models/Branch.js); null on a gym without branches
+  branch: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', default: null },
+  // The member who recommended them (see models/Referral.js)
+  referredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Client', default: null },
+  // The enquiry they were signed up from (see models/Lead.js)
+  lead: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead', default: null },
+  // Trainer handling a PT client (see models/Trainer.js)
+  trainer: { type: mongoose.Schema.Types.ObjectId, ref: 'Trainer', default: null },
+  plan: { type: planSnapshotSchema, default: null },
+  screening: { type: screeningSnapshotSchema, default: null },
+  membership: {
+    months: { type: Number, required: true },
+    feeDate: { type: Date, required: true },
+    // End of the latest period, kept here so the list can filter and sort on it
+    endDate: Date,
+    // Every joining and renewal period, so renewals never overwrite history
+    periods: [membershipPeriodSchema],
+    freezes: [freezeSchema]
+  },
+  // Set when the client is moved to the trash; see services/trash.js
+  deletedAt: { type: Date, default: null },
+  deletedBy: { type: String, trim: true, default: '' }
+}, { timestamps: true });
+
+// Aadhaar is encrypted at rest, kept unique through a keyed hash and only
+// ever returned masked (XXXX-XXXX-1234); see services/aadhaar.js
+clientSchema.plugin(aadhaarVault.aadhaarPlugin);
+
+// Clients in the trash are left out of every query, so they never show up in
+// the list, check-in, reminders or analytics. Queries that filter on
+// deletedAt themselves, or set the `withArchived` option, see them.
+function excludeArchived() {
+  if (this.getOptions().withArchived || 'deletedAt' in this.getFilter()) return;
+  this.where({ deletedAt: null });
+}
+clientSchema.pre(['find', 'findOne', 'countDocuments', 'findOneAndUpdate', 'updateOne', 'updateMany'], excludeArchived);
+clientSchema.pre('aggregate', function () {
+  const [first] = this.pipeline();
+  if (first && first.$match && 'deletedAt' in first.$match) return;
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
+
+// Indexes for the list's search, filters and sorts (services/clientQuery.js)
+clientSchema.index({ name: 1 });
+clientSchema.index({ branch: 1 });
+clientSchema.index({ 'membership.endDate': 1 });
+clientSchema.index({ createdAt: -1 });
+clientSchema.index({ 'fees.due': -1 });
+clientSchema.index({ goal: 1, pt: 1 });
+clientSchema.index({ aadhaarLast4: 1 });
+clientSchema.index({ deletedAt: 1 });
+clientSchema.index({ 'screening.needsClearance': 1 });
+
+module.exports = mongoose.models.Client || mongoose.model('Client', clientSchema);
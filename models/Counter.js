@@ -0,0 +1,12 @@
+// models/Counter.js
+const mongoose = require('mongoose');
+
+// --- Mongoose Schema and Model ---
+// Named sequences (e.g. receipt numbers). `seq` is only ever moved with an
+// atomic $inc so two desks saving at once never get the same number.
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 }
+});
+
+module.exports = mongoose.models.Counter || mongoose.model('Counter', counterSchema);
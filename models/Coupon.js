@@ -0,0 +1,68 @@
+// models/Coupon.js
+const mongoose = require('mongoose');
+
+const DISCOUNT_TYPES = ['percent', 'flat'];
+
+// --- Mongoose Schema and Model ---
+// A discount code the desk applies at signup or renewal. The discount given
+// is stored on the membership period it was used for (see models/Client.js);
+// `uses` only ever moves with an atomic $inc so a limited code can't be
+// used once too often by two desks at the same time.
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9-]{3,20}$/, 'Codes are 3 to 20 letters, digits or dashes']
+  },
+  description: { type: String, trim: true, default: '' },
+  type: {
+    type: String,
+    enum: { values: DISCOUNT_TYPES, message: '`{VALUE}` is not a discount type' },
+    required: [true, 'Discount type is required']
+  },
+  // Percent off, or rupees off for a flat discount
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [1, 'The discount must be more than zero'],
+    validate: {
+      validator: function (value) {
+        return this.type !== 'percent' || value <= 100;
+      },
+      message: 'A percentage discount cannot be more than 100'
+    }
+  },
+  // Both days included; either may be left open
+  validFrom: { type: Date, default: null },
+  validUntil: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function (value) {
+        return !value || !this.validFrom || value >= this.validFrom;
+      },
+      message: 'The code cannot stop before it starts'
+    }
+  },
+  // null for no limit
+  maxUses: {
+    type: Number,
+    default: null,
+    min: [1, 'Allow at least one use'],
+    validate: { validator: (value) => value === null || Number.isInteger(value), message: 'Uses must be a whole number' }
+  },
+  onePerMember: { type: Boolean, default: true },
+  // The plans it may be used with; empty for any plan or custom term
+  plans: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Plan' }],
+  uses: { type: Number, default: 0 },
+  active: { type: Boolean, default: true },
+  createdBy: { type: String, trim: true, default: '' }
+}, { timestamps: true });
+
+const Coupon = mongoose.models.Coupon || mongoose.model('Coupon', couponSchema);
+
+module.exports = Coupon;
+module.exports.DISCOUNT_TYPES = DISCOUNT_TYPES;
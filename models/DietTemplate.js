@@ -0,0 +1,53 @@
+// models/DietTemplate.js
+const mongoose = require('mongoose');
+const { GOALS } = require('./WorkoutTemplate');
+
+const mealSchema = new mongoose.Schema({
+  name: { type: String, required: [true, 'Each meal needs a name'], trim: true },
+  time: {
+    type: String,
+    trim: true,
+    default: '',
+    match: [/^(([01]\d|2[0-3]):[0-5]\d)?$/, 'Meal time must be in HH:MM format']
+  },
+  items: {
+    type: [{ type: String, trim: true }],
+    validate: { validator: items => items.length > 0, message: 'Each meal needs at least one item' }
+  },
+  notes: { type: String, trim: true, default: '' }
+}, { _id: false });
+
+// Shared with the member plans, which keep their own customised copy
+const dietFields = {
+  calories: { type: Number, default: null, min: [0, 'Calories cannot be negative'] },
+  meals: {
+    type: [mealSchema],
+    validate: { validator: meals => meals.length > 0, message: 'A diet needs at least one meal' }
+  },
+  notes: { type: String, trim: true, default: '' }
+};
+
+// --- Mongoose Schema and Model ---
+// A simple day of eating, suggested to members with the goal it suits.
+const dietTemplateSchema = new mongoose.Schema({
+  name: { type: String, required: [true, 'Template name is required'], unique: true, trim: true },
+  goal: {
+    type: String,
+    enum: {
+      values: [...GOALS, null],
+      message: '`{VALUE}` is not a valid goal'
+    },
+    default: null
+  },
+  description: { type: String, trim: true, default: '' },
+  ...dietFields,
+  active: { type: Boolean, default: true },
+  createdBy: { type: String, trim: true, default: '' }
+}, { timestamps: true });
+
+dietTemplateSchema.index({ goal: 1, active: 1 });
+
+const DietTemplate = mongoose.models.DietTemplate || mongoose.model('DietTemplate', dietTemplateSchema);
+
+module.exports = DietTemplate;
+module.exports.dietFields = dietFields;
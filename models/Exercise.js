@@ -0,0 +1,28 @@
+// models/Exercise.js
+const mongoose = require('mongoose');
+
+const MUSCLE_GROUPS = ['Chest', 'Back', 'Shoulders', 'Arms', 'Legs', 'Core', 'Full Body', 'Cardio'];
+
+// --- Mongoose Schema and Model ---
+// One movement in the exercise library that workout templates are built
+// from. Templates and member plans copy the name, so exercises are retired
+// with `active: false` rather than deleted.
+const exerciseSchema = new mongoose.Schema({
+  name: { type: String, required: [true, 'Exercise name is required'], unique: true, trim: true },
+  muscleGroup: {
+    type: String,
+    enum: {
+      values: MUSCLE_GROUPS,
+      message: '`{VALUE}` is not a valid muscle group'
+    },
+    required: [true, 'Muscle group is required']
+  },
+  equipment: { type: String, trim: true, default: '' },
+  instructions: { type: String, trim: true, default: '' },
+  active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+const Exercise = mongoose.models.Exercise || mongoose.model('Exercise', exerciseSchema);
+
+module.exports = Exercise;
+module.exports.MUSCLE_GROUPS = MUSCLE_GROUPS;
@@ -0,0 +1,51 @@
+// models/GymClass.js
+const mongoose = require('mongoose');
+const { DAYS, TIME } = require('./Trainer');
+
+// A weekly session of the class, in local HH:MM
+const slotSchema = new mongoose.Schema({
+  day: { type: String, enum: DAYS, required: true },
+  from: { type: String, required: true, match: [TIME, 'Times must be HH:MM'] },
+  to: {
+    type: String,
+    required: true,
+    match: [TIME, 'Times must be HH:MM'],
+    validate: {
+      validator: function (to) { return to > this.from; },
+      message: 'A session must end after it starts'
+    }
+  }
+}, { _id: false });
+
+// --- Mongoose Schema and Model ---
+// A group class (Zumba, yoga, HIIT...) that runs every week in the same
+// slots. Each dated occurrence is a session members book; see ClassBooking.
+const gymClassSchema = new mongoose.Schema({
+  name: { type: String, required: [true, 'Class name is required'], trim: true },
+  description: { type: String, trim: true, default: '' },
+  instructor: { type: mongoose.Schema.Types.ObjectId, ref: 'Trainer', default: null },
+  room: { type: String, trim: true, default: '' },
+  capacity: {
+    type: Number,
+    required: [true, 'Capacity is required'],
+    min: [1, 'Capacity must be at least 1'],
+    validate: { validator: Number.isInteger, message: 'Capacity must be a whole number' }
+  },
+  // How many members may wait for a place once the session is full
+  waitlistLimit: {
+    type: Number,
+    default: 10,
+    min: [0, 'Waitlist cannot be negative'],
+    validate: { validator: Number.isInteger, message: 'Waitlist must be a whole number' }
+  },
+  schedule: {
+    type: [slotSchema],
+    validate: { validator: slots => slots.length > 0, message: 'Add at least one weekly session' }
+  },
+  branch: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', default: null },
+  active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+gymClassSchema.index({ branch: 1, active: 1 });
+
+module.exports = mongoose.models.GymClass || mongoose.model('GymClass', gymClassSchema);
@@ -0,0 +1,54 @@
+// models/Lead.js
+const mongoose = require('mongoose');
+
+const LEAD_STATUSES = ['new', 'contacted', 'trial', 'converted', 'lost'];
+const LEAD_SOURCES = ['Walk-in', 'Phone', 'Instagram', 'Facebook', 'Google', 'Referral', 'Other'];
+
+// A free pass to try the gym before joining
+const trialPassSchema = new mongoose.Schema({
+  start: { type: Date, required: true },
+  end: { type: Date, required: true },
+  issuedBy: { type: String, trim: true, default: '' }
+}, { _id: false });
+
+// --- Mongoose Schema and Model ---
+// Someone who enquired but has not joined. Leads only need a name and a
+// contact number; signing them up creates a Client that points back here
+// (`client` / Client.lead), which is what the conversion rates count.
+const leadSchema = new mongoose.Schema({
+  name: { type: String, required: [true, 'Name is required'], trim: true },
+  contact: {
+    type: String,
+    required: [true, 'Contact number is required'],
+    trim: true,
+    match: [/^\d{10}$/, 'Contact number must be exactly 10 digits']
+  },
+  source: {
+    type: String,
+    enum: { values: LEAD_SOURCES, message: '`{VALUE}` is not a lead source' },
+    default: 'Walk-in'
+  },
+  // What they asked about, e.g. "Weight loss, evening batch"
+  interest: { type: String, trim: true, default: '' },
+  followUpDate: { type: Date, default: null },
+  status: {
+    type: String,
+    enum: { values: LEAD_STATUSES, message: '`{VALUE}` is not a lead status' },
+    default: 'new'
+  },
+  notes: { type: String, trim: true, default: '' },
+  trialPass: { type: trialPassSchema, default: null },
+  branch: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', default: null },
+  client: { type: mongoose.Schema.Types.ObjectId, ref: 'Client', default: null },
+  convertedAt: { type: Date, default: null },
+  createdBy: { type: String, trim: true, default: '' }
+}, { timestamps: true });
+
+leadSchema.index({ branch: 1, status: 1 });
+leadSchema.index({ contact: 1 });
+
+const Lead = mongoose.models.Lead || mongoose.model('Lead', leadSchema);
+
+module.exports = Lead;
+module.exports.LEAD_STATUSES = LEAD_STATUSES;
+module.exports.LEAD_SOURCES = LEAD_SOURCES;
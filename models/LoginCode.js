@@ -0,0 +1,25 @@
+// models/LoginCode.js
+const mongoose = require('mongoose');
+
+// --- Mongoose Schema and Model ---
+// The one-time code a member asked for to log in to the portal. Only its
+// hash is kept; asking again replaces it, and MongoDB removes it once expired.
+// Numbers that are not a member's get one too, with no client, so they are
+// held to the same resend limit.
+const loginCodeSchema = new mongoose.Schema({
+  contact: { type: String, required: true, unique: true, trim: true },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    default: null
+  },
+  codeHash: { type: String, required: true },
+  // Wrong guesses so far; the code is thrown away after too many
+  attempts: { type: Number, default: 0 },
+  sentAt: { type: Date, required: true },
+  expiresAt: { type: Date, required: true }
+});
+
+loginCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.LoginCode || mongoose.model('LoginCode', loginCodeSchema);
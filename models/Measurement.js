@@ -0,0 +1,29 @@
+// models/Measurement.js
+const mongoose = require('mongoose');
+
+// --- Mongoose Schema and Model ---
+// One check of a member's body: weight in kg, body fat in %, girths in cm.
+const measurementSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  date: { type: Date, required: true, default: Date.now },
+  weight: { type: Number, min: [1, 'Weight must be a positive number'] },
+  bodyFat: {
+    type: Number,
+    min: [1, 'Body fat must be between 1 and 75%'],
+    max: [75, 'Body fat must be between 1 and 75%']
+  },
+  chest: { type: Number, min: 0 },
+  waist: { type: Number, min: 0 },
+  arm: { type: Number, min: 0 },
+  thigh: { type: Number, min: 0 },
+  notes: { type: String, trim: true, default: '' },
+  recordedBy: { type: String, trim: true, default: '' }
+}, { timestamps: true });
+
+measurementSchema.index({ client: 1, date: 1 });
+
+module.exports = mongoose.models.Measurement || mongoose.model('Measurement', measurementSchema);
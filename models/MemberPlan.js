@@ -0,0 +1,38 @@
+// models/MemberPlan.js
+const mongoose = require('mongoose');
+const { workoutDays } = require('./WorkoutTemplate');
+const { dietFields } = require('./DietTemplate');
+
+// The member's own copy of a template, customised for them
+const workoutPlanSchema = new mongoose.Schema({
+  template: { type: mongoose.Schema.Types.ObjectId, ref: 'WorkoutTemplate', default: null },
+  name: { type: String, required: [true, 'Workout name is required'], trim: true },
+  days: workoutDays
+}, { _id: false });
+
+const dietPlanSchema = new mongoose.Schema({
+  template: { type: mongoose.Schema.Types.ObjectId, ref: 'DietTemplate', default: null },
+  name: { type: String, required: [true, 'Diet name is required'], trim: true },
+  ...dietFields
+}, { _id: false });
+
+// --- Mongoose Schema and Model ---
+// One version of a member's workout and diet plan. Every change saves a new
+// version, so the history shows how the plan moved over time; the highest
+// version is the current plan.
+const memberPlanSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  version: { type: Number, required: true, min: 1 },
+  workout: { type: workoutPlanSchema, default: null },
+  diet: { type: dietPlanSchema, default: null },
+  notes: { type: String, trim: true, default: '' },
+  assignedBy: { type: String, trim: true, default: '' }
+}, { timestamps: true });
+
+memberPlanSchema.index({ client: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.models.MemberPlan || mongoose.model('MemberPlan', memberPlanSchema);
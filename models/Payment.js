@@ -0,0 +1,50 @@
+// models/Payment.js
+const mongoose = require('mongoose');
+
+// --- Mongoose Schema and Model ---
+// Every fee payment is kept as its own ledger entry. Entries are never
+// deleted: a mistaken payment is voided so the history stays intact.
+const paymentSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+    index: true
+  },
+  // The client's home branch when the payment was made, so moving a member
+  // later does not move past revenue with them
+  branch: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', default: null, index: true },
+  amount: {
+    type: Number,
+    required: [true, 'Payment amount is required'],
+    min: [1, 'Payment amount must be greater than zero']
+  },
+  date: { type: Date, required: true, default: Date.now },
+  mode: {
+    type: String,
+    enum: ['Cash', 'UPI', 'Card', 'Bank Transfer'],
+    default: 'Cash'
+  },
+  recordedBy: { type: String, trim: true, default: '' },
+  notes: { type: String, trim: true, default: '' },
+  // What the receipt says, fixed when the payment is recorded so a reprint
+  // matches the original; see services/receipts.js
+  receipt: {
+    number: { type: Number, unique: true, sparse: true },
+    issuedAt: Date,
+    memberName: String,
+    contact: String,
+    plan: String,
+    periodStart: Date,
+    periodEnd: Date,
+    balanceDue: Number
+  },
+  voided: {
+    isVoided: { type: Boolean, default: false },
+    at: Date,
+    by: { type: String, trim: true },
+    reason: { type: String, trim: true }
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.models.Payment || mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,30 @@
+// models/Plan.js
+const mongoose = require('mongoose');
+
+// --- Mongoose Schema and Model ---
+// A membership plan in the price list. Clients keep a snapshot of the plan
+// they signed up on, so changing a price here never changes what existing
+// members owe. Plans are retired with `active: false` once members use them.
+const planSchema = new mongoose.Schema({
+  name: { type: String, required: [true, 'Plan name is required'], unique: true, trim: true },
+  months: {
+    type: Number,
+    required: [true, 'Plan duration is required'],
+    min: [1, 'Plan duration must be at least 1 month'],
+    validate: { validator: Number.isInteger, message: 'Plan duration must be a whole number of months' }
+  },
+  price: { type: Number, required: [true, 'Plan price is required'], min: [0, 'Plan price cannot be negative'] },
+  // Added to the price for members who take personal training
+  ptPrice: { type: Number, default: 0, min: [0, 'PT add-on price cannot be negative'] },
+  services: [{ type: String, trim: true }],
+  // Freeze days a member may take per membership term
+  maxFreezeDays: {
+    type: Number,
+    default: 30,
+    min: [0, 'Freeze days cannot be negative'],
+    validate: { validator: Number.isInteger, message: 'Freeze days must be a whole number' }
+  },
+  active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+module.exports = mongoose.models.Plan || mongoose.model('Plan', planSchema);
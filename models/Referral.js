@@ -0,0 +1,31 @@
+// models/Referral.js
+const mongoose = require('mongoose');
+
+const REWARD_TYPES = ['days', 'credit'];
+
+// --- Mongoose Schema and Model ---
+// A member who joined on another member's recommendation, and what the
+// referrer was given for it. A member can only be referred once.
+const referralSchema = new mongoose.Schema({
+  referrer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+    index: true
+  },
+  referred: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+    unique: true
+  },
+  // Bonus days on the referrer's membership, or rupees off their dues
+  rewardType: { type: String, enum: REWARD_TYPES, required: true },
+  rewardValue: { type: Number, required: true, min: 0 },
+  recordedBy: { type: String, trim: true, default: '' }
+}, { timestamps: true });
+
+const Referral = mongoose.models.Referral || mongoose.model('Referral', referralSchema);
+
+module.exports = Referral;
+module.exports.REWARD_TYPES = REWARD_TYPES;
@@ -0,0 +1,37 @@
+// models/Reminder.js
+const mongoose = require('mongoose');
+
+// --- Mongoose Schema and Model ---
+// One reminder for one member and one event. The unique (client, dedupeKey)
+// index is what guarantees a member is never reminded twice for the same event.
+// `class-promoted` is sent straight away when a waitlisted member gets a place.
+const reminderSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  event: {
+    type: String,
+    enum: ['expiring-7', 'expiring-3', 'expiring-1', 'expired', 'dues', 'class-promoted'],
+    required: true
+  },
+  dedupeKey: { type: String, required: true },
+  to: { type: String, required: true },
+  message: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'failed'],
+    default: 'queued'
+  },
+  provider: String,
+  providerMessageId: String,
+  attempts: { type: Number, default: 0 },
+  error: String,
+  sentAt: Date
+}, { timestamps: true });
+
+reminderSchema.index({ client: 1, dedupeKey: 1 }, { unique: true });
+reminderSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.models.Reminder || mongoose.model('Reminder', reminderSchema);
@@ -0,0 +1,19 @@
+// models/ReminderTemplate.js
+const mongoose = require('mongoose');
+
+// --- Mongoose Schema and Model ---
+// Staff-edited message text per reminder event. Events without a stored
+// template use the defaults in services/reminders.js.
+const reminderTemplateSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: ['expiring-7', 'expiring-3', 'expiring-1', 'expired', 'dues'],
+    required: true,
+    unique: true
+  },
+  body: { type: String, required: [true, 'Template text is required'], trim: true },
+  active: { type: Boolean, default: true },
+  updatedBy: { type: String, trim: true }
+}, { timestamps: true });
+
+module.exports = mongoose.models.ReminderTemplate || mongoose.model('ReminderTemplate', reminderTemplateSchema);
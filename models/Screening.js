@@ -0,0 +1,63 @@
+// models/Screening.js
+const mongoose = require('mongoose');
+
+// The PAR-Q questions. A "yes" to any of them means the member should be
+// cleared by a doctor before training.
+const PARQ_QUESTIONS = {
+  heartCondition: 'Has a doctor ever said you have a heart condition and should only do activity they recommend?',
+  chestPainActivity: 'Do you feel pain in your chest when you do physical activity?',
+  chestPainRest: 'In the past month, have you had chest pain when not doing physical activity?',
+  dizziness: 'Do you lose your balance because of dizziness, or do you ever lose consciousness?',
+  boneJoint: 'Do you have a bone or joint problem that could be made worse by exercise?',
+  heartMedication: 'Is a doctor currently prescribing drugs for your blood pressure or heart condition?',
+  otherReason: 'Do you know of any other reason why you should not do physical activity?'
+};
+const CLEARANCE_STATUSES = ['not-required', 'pending', 'cleared', 'not-cleared'];
+
+// Shared by the screening history and the copy of the latest one on the client
+const screeningFields = {
+  date: { type: Date, required: true, default: Date.now },
+  answers: Object.fromEntries(Object.keys(PARQ_QUESTIONS).map(key => [key, { type: Boolean, default: false }])),
+  conditions: [{ type: String, trim: true }],
+  injuries: [{ type: String, trim: true }],
+  medications: [{ type: String, trim: true }],
+  emergencyContact: {
+    name: { type: String, trim: true, required: [true, 'Emergency contact name is required'] },
+    contact: {
+      type: String,
+      trim: true,
+      required: [true, 'Emergency contact number is required'],
+      match: [/^\d{10}$/, 'Emergency contact number must be exactly 10 digits']
+    }
+  },
+  // Set from the answers when the screening is recorded
+  needsClearance: { type: Boolean, default: false },
+  clearance: {
+    status: { type: String, enum: CLEARANCE_STATUSES, default: 'not-required' },
+    date: Date,
+    doctor: { type: String, trim: true, default: '' },
+    notes: { type: String, trim: true, default: '' }
+  }
+};
+
+// --- Mongoose Schema and Model ---
+// One health questionnaire, taken at signup and again every year. The
+// latest is also copied onto the client (client.screening) for the list.
+const screeningSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  ...screeningFields,
+  recordedBy: { type: String, trim: true, default: '' }
+}, { timestamps: true });
+
+screeningSchema.index({ client: 1, date: -1 });
+
+const Screening = mongoose.models.Screening || mongoose.model('Screening', screeningSchema);
+
+module.exports = Screening;
+module.exports.PARQ_QUESTIONS = PARQ_QUESTIONS;
+module.exports.CLEARANCE_STATUSES = CLEARANCE_STATUSES;
+module.exports.screeningFields = screeningFields;
@@ -0,0 +1,52 @@
+// models/Trainer.js
+const mongoose = require('mongoose');
+
+const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A weekly slot the trainer is on the floor, in local HH:MM
+const availabilitySchema = new mongoose.Schema({
+  day: { type: String, enum: DAYS, required: true },
+  from: { type: String, required: true, match: [TIME, 'Times must be HH:MM'] },
+  to: {
+    type: String,
+    required: true,
+    match: [TIME, 'Times must be HH:MM'],
+    validate: {
+      validator: function (to) { return to > this.from; },
+      message: 'A slot must end after it starts'
+    }
+  }
+}, { _id: false });
+
+// --- Mongoose Schema and Model ---
+// A personal trainer PT clients are assigned to. Trainers who log in have a
+// staff account with the trainer role linked through `user`; that account
+// sees only the clients assigned to this profile (see services/auth.js).
+const trainerSchema = new mongoose.Schema({
+  name: { type: String, required: [true, 'Trainer name is required'], trim: true },
+  contact: {
+    type: String,
+    trim: true,
+    unique: true,
+    sparse: true,
+    match: [/^\d{10}$/, 'Contact must be a 10-digit number']
+  },
+  specialisations: [{ type: String, trim: true }],
+  availability: [availabilitySchema],
+  // Percentage of the PT revenue from their clients paid out as commission
+  commissionRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Commission cannot be negative'],
+    max: [100, 'Commission cannot be more than 100%']
+  },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', unique: true, sparse: true },
+  active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+const Trainer = mongoose.models.Trainer || mongoose.model('Trainer', trainerSchema);
+
+module.exports = Trainer;
+module.exports.DAYS = DAYS;
+module.exports.TIME = TIME;
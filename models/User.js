@@ -0,0 +1,40 @@
+// models/User.js
+const mongoose = require('mongoose');
+
+// Roles, from most to least access:
+// - owner: everything, including deleting clients, changing fees and managing staff
+// - front-desk: registers clients, records payments and renewals
+// - trainer: read-only access to their own PT clients
+const ROLES = ['owner', 'front-desk', 'trainer'];
+
+// --- Mongoose Schema and Model ---
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: [true, 'Username is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9._-]{3,32}$/, 'Username must be 3-32 letters, digits, dots, dashes or underscores']
+  },
+  name: { type: String, required: true, trim: true },
+  role: { type: String, enum: ROLES, required: true },
+  // Staff only see the clients of their home branch; owners see every branch
+  branch: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', default: null },
+  // scrypt hash produced by services/auth.js, never sent to the browser
+  passwordHash: { type: String, required: true },
+  active: { type: Boolean, default: true }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.passwordHash;
+      return ret;
+    }
+  }
+});
+
+const User = mongoose.models.User || mongoose.model('User', userSchema);
+
+module.exports = User;
+module.exports.ROLES = ROLES;
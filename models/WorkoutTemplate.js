@@ -0,0 +1,81 @@
+// models/WorkoutTemplate.js
+const mongoose = require('mongoose');
+const Client = require('./Client');
+
+const GOALS = Client.schema.path('goal').enumValues;
+const MAX_DAYS = 7;
+
+const wholeNumber = (label) => ({ validator: Number.isInteger, message: `${label} must be a whole number` });
+
+// One exercise on a training day. The name is copied from the library so
+// renaming or retiring an exercise never changes a plan already handed out.
+const workoutExerciseSchema = new mongoose.Schema({
+  exercise: { type: mongoose.Schema.Types.ObjectId, ref: 'Exercise', default: null },
+  name: { type: String, required: [true, 'Each exercise needs a name'], trim: true },
+  sets: {
+    type: Number,
+    required: [true, 'Sets are required'],
+    min: [1, 'Sets must be between 1 and 20'],
+    max: [20, 'Sets must be between 1 and 20'],
+    validate: wholeNumber('Sets')
+  },
+  // A count ("10"), a range ("8-12") or a time ("30s")
+  reps: {
+    type: String,
+    required: [true, 'Reps are required'],
+    trim: true,
+    match: [/^\d{1,3}(-\d{1,3}|s)?$/, 'Reps must be a number, a range like 8-12 or a time like 30s']
+  },
+  restSeconds: {
+    type: Number,
+    default: 60,
+    min: [0, 'Rest must be between 0 and 600 seconds'],
+    max: [600, 'Rest must be between 0 and 600 seconds'],
+    validate: wholeNumber('Rest')
+  },
+  notes: { type: String, trim: true, default: '' }
+}, { _id: false });
+
+const workoutDaySchema = new mongoose.Schema({
+  name: { type: String, required: [true, 'Each day needs a name'], trim: true },
+  exercises: {
+    type: [workoutExerciseSchema],
+    validate: { validator: list => list.length > 0, message: 'Each day needs at least one exercise' }
+  }
+}, { _id: false });
+
+// Shared with the member plans, which keep their own customised copy
+const workoutDays = {
+  type: [workoutDaySchema],
+  validate: {
+    validator: days => days.length > 0 && days.length <= MAX_DAYS,
+    message: `A workout needs between 1 and ${MAX_DAYS} days`
+  }
+};
+
+// --- Mongoose Schema and Model ---
+// A reusable weekly routine. The goal it suits is used to suggest it for
+// members with that goal.
+const workoutTemplateSchema = new mongoose.Schema({
+  name: { type: String, required: [true, 'Template name is required'], unique: true, trim: true },
+  goal: {
+    type: String,
+    enum: {
+      values: [...GOALS, null],
+      message: '`{VALUE}` is not a valid goal'
+    },
+    default: null
+  },
+  description: { type: String, trim: true, default: '' },
+  days: workoutDays,
+  active: { type: Boolean, default: true },
+  createdBy: { type: String, trim: true, default: '' }
+}, { timestamps: true });
+
+workoutTemplateSchema.index({ goal: 1, active: 1 });
+
+const WorkoutTemplate = mongoose.models.WorkoutTemplate || mongoose.model('WorkoutTemplate', workoutTemplateSchema);
+
+module.exports = WorkoutTemplate;
+module.exports.GOALS = GOALS;
+module.exports.workoutDays = workoutDays;
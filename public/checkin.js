@@ -0,0 +1,158 @@
+// checkin.js
+// Front-desk check-in screen. Uses the staff session stored by the main app.
+const API_BASE = 'https://my-gym-app.vercel.app/api';
+const ATTENDANCE_URL = `${API_BASE}/attendance`;
+const SESSION_KEY = 'mbfc-session';
+
+document.addEventListener('DOMContentLoaded', () => {
+    const contactDisplay = document.getElementById('contact-display');
+    const numberPad = document.getElementById('number-pad');
+    const resultEl = document.getElementById('checkin-result');
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+    let contact = '';
+    let resultTimer = null;
+
+    // Check-in needs a logged-in front-desk or owner account
+    if (!session) {
+        window.location.href = 'index.html';
+        return;
+    }
+    document.getElementById('session-user').textContent = `${session.user.name} (${session.user.role})`;
+    offlineStore.registerServiceWorker();
+
+    const renderContact = () => {
+        contactDisplay.textContent = contact.padEnd(10, '_');
+    };
+
+    const showResult = (type, title, detail = '') => {
+        clearTimeout(resultTimer);
+        resultEl.className = `checkin-result ${type}`;
+        resultEl.innerHTML = '';
+        const heading = document.createElement('h2');
+        heading.textContent = title;
+        const text = document.createElement('p');
+        text.textContent = detail;
+        resultEl.append(heading, text);
+        // Clear the screen for the next member
+        resultTimer = setTimeout(() => resultEl.classList.add('hidden'), 6000);
+    };
+
+    const daysLeft = (endDate) => {
+        const end = new Date(endDate);
+        const today = new Date();
+        end.setHours(0, 0, 0, 0);
+        today.setHours(0, 0, 0, 0);
+        return Math.ceil((end - today) / (1000 * 60 * 60 * 24));
+    };
+
+    // Without a connection the visit is queued with the time it happened and
+    // sent later; the saved client list still tells us who it is
+    const queueVisit = async (action) => {
+        const saved = (await offlineStore.getClients()).find(c => c.contact === contact);
+        const name = saved ? saved.name : contact;
+        await offlineStore.enqueue({
+            method: 'POST',
+            url: `${ATTENDANCE_URL}/${action}`,
+            body: { contact, at: new Date().toISOString() },
+            label: `${action === 'check-in' ? 'Check-in' : 'Check-out'} for ${name}`,
+            userId: session.user._id
+        });
+        showResult('success', action === 'check-in' ? `Welcome, ${name}!` : `Goodbye, ${name}!`, 'Offline: the visit is saved and will be sent when the connection returns.');
+        contact = '';
+        renderContact();
+    };
+
+    const submit = async (action) => {
+        if (!/^\d{10}$/.test(contact)) {
+            showResult('error', 'Incomplete number', 'Enter all 10 digits of the contact number.');
+            return;
+        }
+        let response;
+        try {
+            response = await fetch(`${ATTENDANCE_URL}/${action}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    Authorization: `Bearer ${session.token}`
+                },
+                body: JSON.stringify({ contact })
+            });
+        } catch (networkError) {
+            try {
+                await queueVisit(action);
+            } catch (error) {
+                console.error('Attendance error:', error);
+                showResult('error', 'Server unreachable', 'Please check the connection and try again.');
+            }
+            return;
+        }
+        try {
+            if (response.status === 401) {
+                localStorage.removeItem(SESSION_KEY);
+                window.location.href = 'index.html';
+                return;
+            }
+            const result = await response.json();
+            if (!response.ok) {
+                showResult('error', result.client ? `${result.client}: not allowed` : 'Not allowed', result.message);
+                return;
+            }
+            const visitor = result.client || result.lead;
+            if (action === 'check-in') {
+                const days = daysLeft(result.client ? result.client.membership.endDate : result.lead.trialPass.end);
+                const left = `${days} day${days !== 1 ? 's' : ''} left on the ${result.client ? 'membership' : 'free trial pass'}.`;
+                showResult('success', `Welcome, ${visitor.name}!`, left);
+            } else {
+                showResult('success', `Goodbye, ${visitor.name}!`, 'Checked out.');
+            }
+            contact = '';
+            renderContact();
+        } catch (error) {
+            console.error('Attendance error:', error);
+            showResult('error', 'Server unreachable', 'Please check the connection and try again.');
+        }
+    };
+
+    numberPad.addEventListener('click', (e) => {
+        const key = e.target.closest('button');
+        if (!key) return;
+        if (key.dataset.key === 'clear') {
+            contact = '';
+        } else if (key.dataset.key === 'back') {
+            contact = contact.slice(0, -1);
+        } else if (contact.length < 10) {
+            contact += key.dataset.key;
+        }
+        renderContact();
+    });
+
+    // A physical keyboard works too
+    document.addEventListener('keydown', (e) => {
+        if (/^\d$/.test(e.key) && contact.length < 10) {
+            contact += e.key;
+        } else if (e.key === 'Backspace') {
+            contact = contact.slice(0, -1);
+        } else if (e.key === 'Enter') {
+            submit('check-in');
+            return;
+        } else {
+            return;
+        }
+        renderContact();
+    });
+
+    // Visits queued while offline are sent once the connection is back
+    const sendQueuedVisits = async () => {
+        const result = await offlineStore.replayQueue(session.token, session.user._id);
+        if (result.stopped === 'auth') {
+            localStorage.removeItem(SESSION_KEY);
+            window.location.href = 'index.html';
+        }
+    };
+    window.addEventListener('online', sendQueuedVisits);
+    if (navigator.onLine) sendQueuedVisits();
+
+    document.getElementById('check-in-btn').addEventListener('click', () => submit('check-in'));
+    document.getElementById('check-out-btn').addEventListener('click', () => submit('check-out'));
+    renderContact();
+});
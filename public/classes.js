@@ -0,0 +1,501 @@
+// classes.js
+// Group class week view: booking members in, the waitlist and attendance.
+// Uses the staff session stored by the main app.
+const API_BASE = 'https://my-gym-app.vercel.app/api';
+const CLASSES_URL = `${API_BASE}/classes`;
+const CLIENTS_URL = `${API_BASE}/clients`;
+const TRAINERS_URL = `${API_BASE}/trainers`;
+const BRANCHES_URL = `${API_BASE}/branches`;
+const SESSION_KEY = 'mbfc-session';
+// Shared with the branch switcher on the clients page ('' = all branches)
+const BRANCH_KEY = 'mbfc-branch';
+const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+document.addEventListener('DOMContentLoaded', () => {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+    const weekGrid = document.getElementById('week-grid');
+    const weekLabel = document.getElementById('week-label');
+    const branchSelect = document.getElementById('week-branch');
+    const sessionModal = document.getElementById('session-modal');
+    const sessionRoster = document.getElementById('session-roster');
+    const bookSearch = document.getElementById('book-search');
+    const bookResults = document.getElementById('book-results');
+    const saveAttendanceBtn = document.getElementById('save-attendance-btn');
+    const manageModal = document.getElementById('manage-modal');
+    const classList = document.getElementById('class-list');
+    const classForm = document.getElementById('class-form');
+    const classSchedule = document.getElementById('class-schedule');
+    const classBranchSelect = document.getElementById('class-branch');
+
+    if (!session) {
+        window.location.href = 'index.html';
+        return;
+    }
+    document.body.dataset.role = session.user.role;
+    document.getElementById('session-user').textContent = `${session.user.name} (${session.user.role})`;
+    offlineStore.registerServiceWorker();
+
+    const isOwner = session.user.role === 'owner';
+    let weekStart = null;
+    let branches = [];
+    // The session open in the modal: { classId, key } and its last loaded copy
+    let openSession = null;
+    let searchTimer = null;
+
+    // --- UTILITY FUNCTIONS ---
+    const showMessage = (message, type = 'info') => {
+        const messageBox = document.createElement('div');
+        messageBox.className = `message-box ${type}`;
+        messageBox.textContent = message;
+        document.body.appendChild(messageBox);
+        setTimeout(() => {
+            messageBox.remove();
+        }, 3000);
+    };
+
+    const pad = (number) => String(number).padStart(2, '0');
+    const localDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    const formatTime = (date) => new Date(date).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+    const formatDay = (date) => date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+
+    const mondayOf = (date) => {
+        const monday = new Date(date);
+        monday.setHours(0, 0, 0, 0);
+        monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+        return monday;
+    };
+
+    const addDays = (date, days) => {
+        const next = new Date(date);
+        next.setDate(next.getDate() + days);
+        return next;
+    };
+
+    const api = async (url, options = {}) => {
+        const response = await fetch(url, {
+            ...options,
+            headers: {
+                ...(options.headers || {}),
+                Authorization: `Bearer ${session.token}`
+            }
+        });
+        if (response.status === 401) {
+            localStorage.removeItem(SESSION_KEY);
+            window.location.href = 'index.html';
+            throw new Error('Not logged in');
+        }
+        return response;
+    };
+
+    const sendJson = (url, method, body) => api(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    // ?branch= for the owner's choice; staff are held to their own branch by the API
+    const branchParam = () => (isOwner && branchSelect.value ? branchSelect.value : '');
+
+    // --- WEEK VIEW ---
+    const renderWeek = (sessions) => {
+        const today = localDate(new Date());
+        weekGrid.innerHTML = DAYS.map((day, i) => {
+            const date = addDays(weekStart, i);
+            const daySessions = sessions.filter(s => localDate(new Date(s.startsAt)) === localDate(date));
+            return `
+                <section class="week-day ${localDate(date) === today ? 'today' : ''}">
+                    <h3>${day} <small>${formatDay(date)}</small></h3>
+                    ${daySessions.length === 0 ? '<p class="history-empty">No classes</p>' : daySessions.map(s => `
+                        <button class="session-card ${s.booked >= s.capacity ? 'full' : ''} ${new Date(s.startsAt) < new Date() ? 'past' : ''}" data-class-id="${s.classId}" data-key="${s.key}">
+                            <strong>${formatTime(s.startsAt)} ${escapeHtml(s.name)}</strong>
+                            <small>${[s.room, s.instructor].filter(Boolean).map(escapeHtml).join(' &bull; ')}</small>
+                            <small>${s.booked}/${s.capacity} booked${s.waitlisted ? ` &bull; ${s.waitlisted} waiting` : ''}</small>
+                        </button>
+                    `).join('')}
+                </section>
+            `;
+        }).join('');
+    };
+
+    const fetchWeek = async () => {
+        weekLabel.textContent = `${formatDay(weekStart)} – ${formatDay(addDays(weekStart, 6))}`;
+        weekGrid.innerHTML = '<p class="history-empty">Loading classes...</p>';
+        try {
+            const params = new URLSearchParams({ from: localDate(weekStart) });
+            if (branchParam()) params.set('branch', branchParam());
+            const response = await api(`${CLASSES_URL}/schedule?${params}`);
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message);
+            }
+            renderWeek(result.sessions);
+        } catch (error) {
+            console.error('Error fetching the schedule:', error);
+            weekGrid.innerHTML = `<p class="history-empty">Failed to load the schedule. ${escapeHtml(error.message || '')}</p>`;
+        }
+    };
+
+    const changeWeek = (start) => {
+        weekStart = start;
+        fetchWeek();
+    };
+
+    // --- SESSION ---
+    const sessionUrl = (path = '') => `${CLASSES_URL}/${openSession.classId}/sessions/${openSession.key}${path}`;
+
+    const renderSession = (details) => {
+        const startsAt = new Date(details.startsAt);
+        const hasStarted = startsAt <= new Date();
+        // Attendance opens on the day of the session
+        const canMark = new Date(details.startsAt).setHours(0, 0, 0, 0) <= Date.now();
+        document.getElementById('session-title').textContent = `${details.name} · ${formatDay(startsAt)} ${formatTime(details.startsAt)}`;
+        document.getElementById('session-meta').textContent = [
+            `${formatTime(details.startsAt)}–${formatTime(details.endsAt)}`,
+            details.room,
+            details.instructor,
+            `${details.booked}/${details.capacity} booked`,
+            `${details.waitlisted}/${details.waitlistLimit} on the waitlist`
+        ].filter(Boolean).join(' · ');
+        document.getElementById('session-book').classList.toggle('hidden', hasStarted);
+        saveAttendanceBtn.classList.toggle('hidden', !canMark);
+        sessionRoster.innerHTML = details.bookings.length === 0
+            ? '<p class="history-empty">Nobody has booked yet.</p>'
+            : details.bookings.map((booking, i) => {
+                const waitPosition = i - details.booked + 1;
+                return `
+                    <div class="history-item" data-booking-id="${booking._id}">
+                        <div>
+                            ${canMark && booking.status === 'booked' ? `
+                                <label class="attendance-mark">
+                                    <input type="checkbox" value="${booking._id}" ${booking.attended ? 'checked' : ''}>
+                                    <strong>${escapeHtml(booking.client ? booking.client.name : 'Removed client')}</strong>
+                                </label>
+                            ` : `<strong>${escapeHtml(booking.client ? booking.client.name : 'Removed client')}</strong>`}
+                            <small>${booking.status === 'booked' ? 'Booked' : `Waitlist #${waitPosition}`}${booking.promotedAt ? ' &bull; moved up from the waitlist' : ''}${booking.attended === true ? ' &bull; attended' : booking.attended === false ? ' &bull; absent' : ''}</small>
+                        </div>
+                        ${hasStarted ? '' : `
+                            <div class="history-actions">
+                                <button class="void-btn cancel-booking-btn staff-only">Cancel</button>
+                            </div>
+                        `}
+                    </div>
+                `;
+            }).join('');
+    };
+
+    const fetchSession = async () => {
+        sessionRoster.innerHTML = '<p class="history-empty">Loading roster...</p>';
+        try {
+            const response = await api(sessionUrl());
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message);
+            }
+            renderSession(result);
+        } catch (error) {
+            console.error('Error fetching the session:', error);
+            sessionRoster.innerHTML = `<p class="history-empty">Failed to load the roster. ${escapeHtml(error.message || '')}</p>`;
+        }
+    };
+
+    const openSessionModal = (classId, key) => {
+        openSession = { classId, key };
+        bookSearch.value = '';
+        bookResults.innerHTML = '';
+        sessionModal.classList.remove('hidden');
+        fetchSession();
+    };
+
+    // Members matching the search, with their membership end date so the
+    // desk can see at a glance who may book
+    const searchMembers = async () => {
+        const q = bookSearch.value.trim();
+        if (q.length < 2) {
+            bookResults.innerHTML = '';
+            return;
+        }
+        try {
+            const params = new URLSearchParams({ q, limit: 5 });
+            if (branchParam()) params.set('branch', branchParam());
+            const response = await api(`${CLIENTS_URL}?${params}`);
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            const { clients } = await response.json();
+            bookResults.innerHTML = clients.length === 0
+                ? '<p class="history-empty">No members found.</p>'
+                : clients.map(client => `
+                    <div class="history-item" data-client-id="${client._id}">
+                        <div>
+                            <strong>${escapeHtml(client.name)}</strong>
+                            <small>${escapeHtml(client.contact)} &bull; until ${new Date(client.membership.endDate).toLocaleDateString('en-GB')}</small>
+                        </div>
+                        <div class="history-actions">
+                            <button type="button" class="void-btn book-btn">Book</button>
+                        </div>
+                    </div>
+                `).join('');
+        } catch (error) {
+            console.error('Error searching members:', error);
+            bookResults.innerHTML = '<p class="history-empty">Search failed.</p>';
+        }
+    };
+
+    const bookMember = async (clientId) => {
+        try {
+            const response = await sendJson(sessionUrl('/bookings'), 'POST', { clientId });
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return;
+            }
+            showMessage(result.status === 'booked' ? 'Booked!' : 'The session is full: added to the waitlist.');
+            bookSearch.value = '';
+            bookResults.innerHTML = '';
+            fetchSession();
+            fetchWeek();
+        } catch (error) {
+            showMessage('Error booking. Check console for details.', 'error');
+            console.error('Booking error:', error);
+        }
+    };
+
+    const cancelBooking = async (bookingId) => {
+        if (!window.confirm('Cancel this booking? The first member on the waitlist gets the place.')) return;
+        try {
+            const response = await sendJson(sessionUrl(`/bookings/${bookingId}/cancel`), 'POST', {});
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return;
+            }
+            showMessage(result.promoted
+                ? `Cancelled. ${result.promoted.client.name} moved up from the waitlist.`
+                : 'Booking cancelled.');
+            fetchSession();
+            fetchWeek();
+        } catch (error) {
+            showMessage('Error cancelling. Check console for details.', 'error');
+            console.error('Cancel error:', error);
+        }
+    };
+
+    const saveAttendance = async () => {
+        const present = [...sessionRoster.querySelectorAll('.attendance-mark input:checked')].map(box => box.value);
+        try {
+            const response = await sendJson(sessionUrl('/attendance'), 'PUT', { present });
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return;
+            }
+            showMessage('Attendance saved!');
+            renderSession(result);
+        } catch (error) {
+            showMessage('Error saving attendance. Check console for details.', 'error');
+            console.error('Attendance error:', error);
+        }
+    };
+
+    // --- MANAGE CLASSES (owner only) ---
+    const slotRowHtml = (slot = { day: 'Mon', from: '', to: '' }) => `
+        <div class="form-group-inline slot-row">
+            <select class="slot-day">${DAYS.map(day => `<option value="${day}" ${day === slot.day ? 'selected' : ''}>${day}</option>`).join('')}</select>
+            <input type="time" class="slot-from" value="${slot.from}" title="Starts" required>
+            <input type="time" class="slot-to" value="${slot.to}" title="Ends" required>
+            <button type="button" class="void-btn remove-slot-btn" title="Remove Session">&times;</button>
+        </div>
+    `;
+
+    const readSlots = () => [...classSchedule.querySelectorAll('.slot-row')].map(row => ({
+        day: row.querySelector('.slot-day').value,
+        from: row.querySelector('.slot-from').value,
+        to: row.querySelector('.slot-to').value
+    }));
+
+    const resetClassForm = () => {
+        classForm.reset();
+        document.getElementById('class-id').value = '';
+        document.getElementById('class-form-title').textContent = 'Add Class';
+        classSchedule.innerHTML = slotRowHtml();
+        classBranchSelect.value = branchSelect.value;
+    };
+
+    const fetchClassList = async () => {
+        classList.innerHTML = '<p class="history-empty">Loading classes...</p>';
+        try {
+            const params = new URLSearchParams();
+            if (branchParam()) params.set('branch', branchParam());
+            const response = await api(`${CLASSES_URL}?${params}`);
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            const allClasses = await response.json();
+            classList.innerHTML = allClasses.length === 0
+                ? '<p class="history-empty">No classes yet. Add one below.</p>'
+                : allClasses.map(gymClass => `
+                    <div class="history-item ${gymClass.active ? '' : 'inactive'}" data-class='${escapeHtml(JSON.stringify(gymClass))}'>
+                        <div>
+                            <strong>${escapeHtml(gymClass.name)}</strong>
+                            <small>${gymClass.schedule.map(slot => `${slot.day} ${slot.from}-${slot.to}`).join(', ')} &bull; ${gymClass.capacity} places${gymClass.instructor ? ` &bull; ${escapeHtml(gymClass.instructor.name)}` : ''}${gymClass.branch ? ` &bull; ${escapeHtml(gymClass.branch.name)}` : ''}</small>
+                        </div>
+                        <div class="history-actions">
+                            <button class="void-btn edit-class-btn">Edit</button>
+                            <button class="void-btn toggle-class-btn">${gymClass.active ? 'Retire' : 'Run Again'}</button>
+                        </div>
+                    </div>
+                `).join('');
+        } catch (error) {
+            console.error('Error fetching classes:', error);
+            classList.innerHTML = '<p class="history-empty">Failed to load classes.</p>';
+        }
+    };
+
+    const fetchInstructors = async () => {
+        try {
+            const response = await api(`${TRAINERS_URL}?active=true`);
+            if (!response.ok) return;
+            const trainers = await response.json();
+            document.getElementById('class-instructor').innerHTML = '<option value="">No instructor</option>' +
+                trainers.map(trainer => `<option value="${trainer._id}">${escapeHtml(trainer.name)}</option>`).join('');
+        } catch (error) {
+            console.error('Error fetching trainers:', error);
+        }
+    };
+
+    const openManageModal = async () => {
+        manageModal.classList.remove('hidden');
+        await fetchInstructors();
+        resetClassForm();
+        fetchClassList();
+    };
+
+    const editClass = (gymClass) => {
+        document.getElementById('class-id').value = gymClass._id;
+        document.getElementById('class-name').value = gymClass.name;
+        document.getElementById('class-room').value = gymClass.room;
+        document.getElementById('class-instructor').value = gymClass.instructor ? gymClass.instructor._id : '';
+        classBranchSelect.value = gymClass.branch ? gymClass.branch._id : '';
+        document.getElementById('class-capacity').value = gymClass.capacity;
+        document.getElementById('class-waitlist').value = gymClass.waitlistLimit;
+        document.getElementById('class-description').value = gymClass.description;
+        classSchedule.innerHTML = gymClass.schedule.map(slotRowHtml).join('');
+        document.getElementById('class-form-title').textContent = `Edit ${gymClass.name}`;
+    };
+
+    const sendClassChange = async (classId, body, successMessage) => {
+        try {
+            const response = await sendJson(classId ? `${CLASSES_URL}/${classId}` : CLASSES_URL, classId ? 'PUT' : 'POST', body);
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return false;
+            }
+            showMessage(successMessage);
+            fetchClassList();
+            fetchWeek();
+            return true;
+        } catch (error) {
+            showMessage('Error saving class. Check console for details.', 'error');
+            console.error('Class error:', error);
+            return false;
+        }
+    };
+
+    const handleClassSubmit = async (e) => {
+        e.preventDefault();
+        const body = {
+            name: document.getElementById('class-name').value,
+            room: document.getElementById('class-room').value,
+            instructor: document.getElementById('class-instructor').value || null,
+            capacity: parseInt(document.getElementById('class-capacity').value, 10),
+            waitlistLimit: parseInt(document.getElementById('class-waitlist').value, 10) || 0,
+            description: document.getElementById('class-description').value,
+            schedule: readSlots()
+        };
+        if (branches.length > 0) body.branch = classBranchSelect.value;
+        const saved = await sendClassChange(document.getElementById('class-id').value, body, 'Class saved!');
+        if (saved) resetClassForm();
+    };
+
+    const handleClassListClick = (e) => {
+        const item = e.target.closest('.history-item');
+        if (!item) return;
+        const gymClass = JSON.parse(item.dataset.class);
+        if (e.target.closest('.edit-class-btn')) {
+            editClass(gymClass);
+        } else if (e.target.closest('.toggle-class-btn')) {
+            sendClassChange(gymClass._id, { active: !gymClass.active }, gymClass.active ? 'Class retired.' : 'Class is running again.');
+        }
+    };
+
+    // The owner picks a branch, or all of them; the new-class form offers open branches
+    const fetchBranches = async () => {
+        if (!isOwner) return;
+        try {
+            const response = await api(BRANCHES_URL);
+            if (!response.ok) return;
+            branches = await response.json();
+            branchSelect.innerHTML = '<option value="">All branches</option>' +
+                branches.map(b => `<option value="${b._id}">${escapeHtml(b.name)}${b.active ? '' : ' (closed)'}</option>`).join('');
+            branchSelect.value = branches.some(b => b._id === localStorage.getItem(BRANCH_KEY)) ? localStorage.getItem(BRANCH_KEY) : '';
+            branchSelect.classList.toggle('hidden', branches.length === 0);
+            classBranchSelect.innerHTML = '<option value="" disabled>Select Branch</option>' +
+                branches.filter(b => b.active).map(b => `<option value="${b._id}">${escapeHtml(b.name)}</option>`).join('');
+            classBranchSelect.classList.toggle('hidden', branches.length === 0);
+            classBranchSelect.required = branches.length > 0;
+        } catch (error) {
+            console.error('Error fetching branches:', error);
+        }
+    };
+
+    const closeAllModals = () => {
+        sessionModal.classList.add('hidden');
+        manageModal.classList.add('hidden');
+        openSession = null;
+    };
+
+    // --- EVENT LISTENERS ---
+    weekGrid.addEventListener('click', (e) => {
+        const card = e.target.closest('.session-card');
+        if (card) openSessionModal(card.dataset.classId, card.dataset.key);
+    });
+    document.getElementById('prev-week-btn').addEventListener('click', () => changeWeek(addDays(weekStart, -7)));
+    document.getElementById('next-week-btn').addEventListener('click', () => changeWeek(addDays(weekStart, 7)));
+    document.getElementById('this-week-btn').addEventListener('click', () => changeWeek(mondayOf(new Date())));
+    branchSelect.addEventListener('change', () => {
+        if (branchSelect.value) {
+            localStorage.setItem(BRANCH_KEY, branchSelect.value);
+        } else {
+            localStorage.removeItem(BRANCH_KEY);
+        }
+        fetchWeek();
+    });
+    bookSearch.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(searchMembers, 300);
+    });
+    document.getElementById('book-form').addEventListener('submit', (e) => e.preventDefault());
+    bookResults.addEventListener('click', (e) => {
+        const item = e.target.closest('.history-item');
+        if (item && e.target.closest('.book-btn')) bookMember(item.dataset.clientId);
+    });
+    sessionRoster.addEventListener('click', (e) => {
+        const item = e.target.closest('.history-item');
+        if (item && e.target.closest('.cancel-booking-btn')) cancelBooking(item.dataset.bookingId);
+    });
+    saveAttendanceBtn.addEventListener('click', saveAttendance);
+    document.getElementById('manage-classes-btn').addEventListener('click', openManageModal);
+    document.getElementById('add-slot-btn').addEventListener('click', () => classSchedule.insertAdjacentHTML('beforeend', slotRowHtml()));
+    classSchedule.addEventListener('click', (e) => {
+        if (e.target.closest('.remove-slot-btn')) e.target.closest('.slot-row').remove();
+    });
+    classForm.addEventListener('submit', handleClassSubmit);
+    classList.addEventListener('click', handleClassListClick);
+    document.querySelectorAll('.close-modal-btn').forEach(btn => btn.addEventListener('click', closeAllModals));
+    [sessionModal, manageModal].forEach(modal => modal.addEventListener('click', (e) => e.target === modal && closeAllModals()));
+
+    // --- INITIALIZATION ---
+    weekStart = mondayOf(new Date());
+    fetchBranches().then(fetchWeek);
+});
@@ -0,0 +1,278 @@
+// dashboard.js
+// Owner dashboard. Charts are plain SVG built here, so nothing is loaded from a CDN.
+const API_BASE = 'https://my-gym-app.vercel.app/api';
+const ANALYTICS_URL = `${API_BASE}/analytics`;
+const TRAINERS_URL = `${API_BASE}/trainers`;
+const BRANCHES_URL = `${API_BASE}/branches`;
+const SESSION_KEY = 'mbfc-session';
+// Shared with the branch switcher on the clients page ('' = all branches)
+const BRANCH_KEY = 'mbfc-branch';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const SERIES_COLORS = ['#0a84ff', '#34c759', '#ff3b30', '#ffcc00', '#bf5af2'];
+
+document.addEventListener('DOMContentLoaded', () => {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+    offlineStore.registerServiceWorker();
+    const rangeForm = document.getElementById('range-form');
+    const fromInput = document.getElementById('range-from');
+    const toInput = document.getElementById('range-to');
+    const branchSelect = document.getElementById('range-branch');
+
+    if (!session || session.user.role !== 'owner') {
+        window.location.href = 'index.html';
+        return;
+    }
+    document.getElementById('session-user').textContent = `${session.user.name} (${session.user.role})`;
+
+    // --- UTILITY FUNCTIONS ---
+    const formatCurrency = (amount) => `₹${Math.round(amount || 0).toLocaleString('en-IN')}`;
+    const toInputDate = (date) => date.toISOString().split('T')[0];
+    const formatMonth = (month) => {
+        const [year, m] = month.split('-').map(Number);
+        return new Date(year, m - 1, 1).toLocaleDateString('en-GB', { month: 'short', year: '2-digit' });
+    };
+
+    const svgEl = (tag, attrs = {}, text) => {
+        const el = document.createElementNS(SVG_NS, tag);
+        Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+        if (text !== undefined) el.textContent = text;
+        return el;
+    };
+
+    const showEmpty = (container) => {
+        container.innerHTML = '<p class="history-empty">No data for this range.</p>';
+    };
+
+    // --- CHARTS ---
+    // Vertical bars, one group per label and one bar per series.
+    // rows: [{ label, values: [number, ...] }], series: [name, ...]
+    const barChart = (container, rows, series, format = (v) => v) => {
+        container.innerHTML = '';
+        if (rows.length === 0) return showEmpty(container);
+
+        const width = 560;
+        const height = 220;
+        const padding = { top: 10, right: 10, bottom: 30, left: 10 };
+        const max = Math.max(1, ...rows.flatMap(row => row.values));
+        const groupWidth = (width - padding.left - padding.right) / rows.length;
+        const barWidth = Math.min(28, (groupWidth - 8) / series.length);
+        const plotHeight = height - padding.top - padding.bottom;
+
+        const svg = svgEl('svg', { viewBox: `0 0 ${width} ${height}`, class: 'chart-svg', role: 'img' });
+        rows.forEach((row, i) => {
+            const groupX = padding.left + i * groupWidth + (groupWidth - barWidth * series.length) / 2;
+            row.values.forEach((value, s) => {
+                const barHeight = (value / max) * plotHeight;
+                const bar = svgEl('rect', {
+                    x: groupX + s * barWidth,
+                    y: padding.top + plotHeight - barHeight,
+                    width: barWidth - 2,
+                    height: Math.max(barHeight, value > 0 ? 1 : 0),
+                    rx: 3,
+                    fill: SERIES_COLORS[s % SERIES_COLORS.length]
+                });
+                bar.appendChild(svgEl('title', {}, `${row.label} · ${series[s]}: ${format(value)}`));
+                svg.appendChild(bar);
+            });
+            svg.appendChild(svgEl('text', {
+                x: padding.left + i * groupWidth + groupWidth / 2,
+                y: height - 10,
+                'text-anchor': 'middle',
+                class: 'chart-label'
+            }, row.label));
+        });
+        container.appendChild(svg);
+
+        if (series.length > 1) {
+            const legend = document.createElement('div');
+            legend.className = 'chart-legend';
+            legend.innerHTML = series.map((name, s) =>
+                `<span><i style="background:${SERIES_COLORS[s % SERIES_COLORS.length]}"></i>${name}</span>`
+            ).join('');
+            container.appendChild(legend);
+        }
+    };
+
+    // Horizontal bars for a breakdown: [{ label, count }]
+    const breakdownChart = (container, items) => {
+        container.innerHTML = '';
+        if (items.length === 0) return showEmpty(container);
+        const max = Math.max(1, ...items.map(item => item.count));
+        container.innerHTML = items.map((item, i) => `
+            <div class="breakdown-row">
+                <span class="breakdown-label">${item.label}</span>
+                <span class="breakdown-bar">
+                    <i style="width:${(item.count / max) * 100}%; background:${SERIES_COLORS[i % SERIES_COLORS.length]}"></i>
+                </span>
+                <span class="breakdown-value">${item.count}</span>
+            </div>
+        `).join('');
+    };
+
+    const renderSummary = (data) => {
+        const collected = data.revenue.reduce((sum, month) => sum + month.amount, 0);
+        const cards = [
+            ['Collected in range', formatCurrency(collected)],
+            ['Outstanding dues', `${formatCurrency(data.outstandingDues.amount)} · ${data.outstandingDues.clients} clients`],
+            ['Active members', data.activeMembers.total],
+            ['Renewals due (30d)', `${formatCurrency(data.renewalForecast.expected)} · ${data.renewalForecast.members} members`]
+        ];
+        document.getElementById('summary-cards').innerHTML = cards.map(([label, value]) => `
+            <div class="detail-item"><strong>${label}</strong><span>${value}</span></div>
+        `).join('');
+    };
+
+    const render = (data) => {
+        renderSummary(data);
+        barChart(
+            document.getElementById('revenue-chart'),
+            data.revenue.map(month => ({ label: formatMonth(month.month), values: [month.amount] })),
+            ['Revenue'],
+            formatCurrency
+        );
+        barChart(
+            document.getElementById('flow-chart'),
+            data.membershipFlow.map(month => ({
+                label: formatMonth(month.month),
+                values: [month.joins, month.renewals, month.churned]
+            })),
+            ['New joins', 'Renewals', 'Churned']
+        );
+        breakdownChart(document.getElementById('goal-chart'), data.activeMembers.byGoal);
+        breakdownChart(document.getElementById('pt-chart'), data.activeMembers.byPt);
+        barChart(
+            document.getElementById('forecast-chart'),
+            data.renewalForecast.byWeek.map(week => ({ label: `Week ${week.week}`, values: [week.amount] })),
+            ['Expected'],
+            formatCurrency
+        );
+    };
+
+    // One row per trainer: what to pay out as PT commission for the range
+    const renderTrainerReport = (report) => {
+        const container = document.getElementById('trainer-report');
+        if (report.trainers.length === 0) return showEmpty(container);
+        container.innerHTML = `
+            <table class="report-table">
+                <thead>
+                    <tr><th>Trainer</th><th>Active PT clients</th><th>Collected</th><th>PT revenue</th><th>Commission</th></tr>
+                </thead>
+                <tbody>
+                    ${report.trainers.map(row => `
+                        <tr class="${row.trainer.active ? '' : 'inactive'}">
+                            <td>${escapeHtml(row.trainer.name)}</td>
+                            <td>${row.activePtClients}</td>
+                            <td>${formatCurrency(row.revenue)}</td>
+                            <td>${formatCurrency(row.ptRevenue)}</td>
+                            <td>${formatCurrency(row.commission)} <small>(${row.trainer.commissionRate}%)</small></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    };
+
+    // Active members, revenue in the range and dues for each branch
+    const renderBranchSummary = (rows) => {
+        const card = document.getElementById('branch-summary-card');
+        card.classList.toggle('hidden', rows.length === 0);
+        if (rows.length === 0) return;
+        document.getElementById('branch-summary').innerHTML = `
+            <table class="report-table">
+                <thead>
+                    <tr><th>Branch</th><th>Active members</th><th>Collected</th><th>Outstanding dues</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr class="${row.branch.active ? '' : 'inactive'}">
+                            <td>${escapeHtml(row.branch.name)}</td>
+                            <td>${row.activeMembers}</td>
+                            <td>${formatCurrency(row.revenue)}</td>
+                            <td>${formatCurrency(row.outstandingDues)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    };
+
+    // --- API CALLS ---
+    const fetchBranches = async () => {
+        try {
+            const response = await fetch(BRANCHES_URL, {
+                headers: { Authorization: `Bearer ${session.token}` }
+            });
+            if (!response.ok) return;
+            const branches = await response.json();
+            branchSelect.innerHTML = '<option value="">All branches</option>' +
+                branches.map(b => `<option value="${b._id}">${escapeHtml(b.name)}${b.active ? '' : ' (closed)'}</option>`).join('');
+            branchSelect.value = branches.some(b => b._id === localStorage.getItem(BRANCH_KEY)) ? localStorage.getItem(BRANCH_KEY) : '';
+            branchSelect.classList.toggle('hidden', branches.length === 0);
+        } catch (error) {
+            console.error('Error fetching branches:', error);
+        }
+    };
+
+    const fetchTrainerReport = async (params) => {
+        try {
+            const response = await fetch(`${TRAINERS_URL}/report?${params}`, {
+                headers: { Authorization: `Bearer ${session.token}` }
+            });
+            const report = await response.json();
+            if (!response.ok) {
+                throw new Error(report.message);
+            }
+            renderTrainerReport(report);
+        } catch (error) {
+            console.error('Error fetching the trainer report:', error);
+            document.getElementById('trainer-report').innerHTML =
+                `<p class="history-empty">Failed to load the trainer report. ${error.message || ''}</p>`;
+        }
+    };
+
+    const fetchDashboard = async () => {
+        const params = new URLSearchParams({ from: fromInput.value, to: toInput.value });
+        if (branchSelect.value) params.set('branch', branchSelect.value);
+        fetchTrainerReport(params);
+        try {
+            const response = await fetch(`${ANALYTICS_URL}?${params}`, {
+                headers: { Authorization: `Bearer ${session.token}` }
+            });
+            if (response.status === 401) {
+                localStorage.removeItem(SESSION_KEY);
+                window.location.href = 'index.html';
+                return;
+            }
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message);
+            }
+            render(data);
+            renderBranchSummary(data.branches || []);
+        } catch (error) {
+            console.error('Error fetching analytics:', error);
+            document.getElementById('summary-cards').innerHTML =
+                `<p class="history-empty">Failed to load the dashboard. ${error.message || ''}</p>`;
+        }
+    };
+
+    // --- INITIALIZATION ---
+    // Default range: the last 12 months including this one
+    const today = new Date();
+    fromInput.value = toInputDate(new Date(today.getFullYear(), today.getMonth() - 11, 1, 12));
+    toInput.value = toInputDate(today);
+    rangeForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        fetchDashboard();
+    });
+    branchSelect.addEventListener('change', () => {
+        if (branchSelect.value) {
+            localStorage.setItem(BRANCH_KEY, branchSelect.value);
+        } else {
+            localStorage.removeItem(BRANCH_KEY);
+        }
+        fetchDashboard();
+    });
+    fetchBranches().then(fetchDashboard);
+});
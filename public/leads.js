@@ -0,0 +1,319 @@
+// leads.js
+// Enquiry board: prospective members moved through the stages up to
+// joining. Converting opens the client form on the main page, prefilled.
+// Uses the staff session stored by the main app.
+const API_BASE = 'https://my-gym-app.vercel.app/api';
+const LEADS_URL = `${API_BASE}/leads`;
+const BRANCHES_URL = `${API_BASE}/branches`;
+const SESSION_KEY = 'mbfc-session';
+// Shared with the branch switcher on the clients page ('' = all branches)
+const BRANCH_KEY = 'mbfc-branch';
+const STAGES = [
+    ['new', 'New'],
+    ['contacted', 'Contacted'],
+    ['trial', 'Trial'],
+    ['converted', 'Joined'],
+    ['lost', 'Lost']
+];
+
+document.addEventListener('DOMContentLoaded', () => {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+    const board = document.getElementById('lead-board');
+    const statsEl = document.getElementById('lead-stats');
+    const searchInput = document.getElementById('lead-search');
+    const branchSelect = document.getElementById('leads-branch');
+    const leadModal = document.getElementById('lead-modal');
+    const leadForm = document.getElementById('lead-form');
+    const leadActions = document.getElementById('lead-actions');
+    const leadBranchSelect = document.getElementById('lead-branch');
+
+    // Trainers don't handle enquiries
+    if (!session || session.user.role === 'trainer') {
+        window.location.href = 'index.html';
+        return;
+    }
+    document.body.dataset.role = session.user.role;
+    document.getElementById('session-user').textContent = `${session.user.name} (${session.user.role})`;
+    offlineStore.registerServiceWorker();
+
+    const isOwner = session.user.role === 'owner';
+    let leads = [];
+    let branches = [];
+    let searchTimer = null;
+
+    // --- UTILITY FUNCTIONS ---
+    const showMessage = (message, type = 'info') => {
+        const messageBox = document.createElement('div');
+        messageBox.className = `message-box ${type}`;
+        messageBox.textContent = message;
+        document.body.appendChild(messageBox);
+        setTimeout(() => {
+            messageBox.remove();
+        }, 3000);
+    };
+
+    const pad = (number) => String(number).padStart(2, '0');
+    const localDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+
+    const api = async (url, options = {}) => {
+        const response = await fetch(url, {
+            ...options,
+            headers: {
+                ...(options.headers || {}),
+                Authorization: `Bearer ${session.token}`
+            }
+        });
+        if (response.status === 401) {
+            localStorage.removeItem(SESSION_KEY);
+            window.location.href = 'index.html';
+            throw new Error('Not logged in');
+        }
+        return response;
+    };
+
+    const sendJson = (url, method, body) => api(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    // ?branch= for the owner's choice; staff are held to their own branch by the API
+    const branchParam = () => (isOwner && branchSelect.value ? branchSelect.value : '');
+
+    // --- BOARD ---
+    const leadCard = (lead) => {
+        const today = localDate(new Date());
+        const followUp = lead.followUpDate ? localDate(new Date(lead.followUpDate)) : null;
+        const isOpen = !['converted', 'lost'].includes(lead.status);
+        const overdue = isOpen && followUp && followUp <= today;
+        const details = [lead.contact, lead.source, lead.branch && lead.branch.name].filter(Boolean).map(escapeHtml);
+        return `
+            <div class="lead-card ${overdue ? 'due' : ''}" data-lead-id="${lead._id}" draggable="${lead.status !== 'converted'}">
+                <strong>${escapeHtml(lead.name)}</strong>
+                <small>${details.join(' &bull; ')}</small>
+                ${lead.interest ? `<small>${escapeHtml(lead.interest)}</small>` : ''}
+                ${isOpen && followUp ? `<small class="lead-follow-up">Follow up ${followUp === today ? 'today' : formatDate(lead.followUpDate)}</small>` : ''}
+                ${lead.trialPass ? `<small>Trial ${formatDate(lead.trialPass.start)} – ${formatDate(lead.trialPass.end)}</small>` : ''}
+                ${lead.client ? `<small>Joined as ${escapeHtml(lead.client.name)}</small>` : ''}
+            </div>
+        `;
+    };
+
+    const renderBoard = () => {
+        board.innerHTML = STAGES.map(([status, label]) => {
+            const stageLeads = leads.filter(lead => lead.status === status);
+            return `
+                <section class="lead-column" data-status="${status}">
+                    <h3>${label} <small>${stageLeads.length}</small></h3>
+                    ${stageLeads.length === 0 ? '<p class="history-empty">None</p>' : stageLeads.map(leadCard).join('')}
+                </section>
+            `;
+        }).join('');
+    };
+
+    const fetchLeads = async () => {
+        try {
+            const params = new URLSearchParams();
+            const q = searchInput.value.trim();
+            if (q) params.set('q', q);
+            if (branchParam()) params.set('branch', branchParam());
+            const response = await api(`${LEADS_URL}?${params}`);
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message);
+            }
+            leads = result;
+            renderBoard();
+        } catch (error) {
+            console.error('Error fetching leads:', error);
+            board.innerHTML = '<p class="history-empty">Failed to load enquiries.</p>';
+        }
+    };
+
+    const fetchStats = async () => {
+        try {
+            const params = new URLSearchParams();
+            if (branchParam()) params.set('branch', branchParam());
+            const response = await api(`${LEADS_URL}/stats?${params}`);
+            const stats = await response.json();
+            if (!response.ok) {
+                throw new Error(stats.message);
+            }
+            const topSource = stats.bySource[0];
+            const cards = [
+                ['Enquiries (12 months)', stats.total],
+                ['Joined', `${stats.byStatus.converted} · ${stats.conversionRate}%`],
+                ['Joined after a trial', `${stats.trialConversionRate}% of ${stats.trials}`],
+                ['Top source', topSource ? `${escapeHtml(topSource.source)} · ${topSource.conversionRate}% join` : '–']
+            ];
+            statsEl.innerHTML = cards.map(([label, value]) => `
+                <div class="detail-item"><strong>${label}</strong><span>${value}</span></div>
+            `).join('');
+        } catch (error) {
+            console.error('Error fetching lead stats:', error);
+        }
+    };
+
+    const refresh = () => {
+        fetchLeads();
+        fetchStats();
+    };
+
+    // Saves a change and reloads the board; null when the server refused it
+    const saveLead = async (url, method, body, successMessage) => {
+        try {
+            const response = await sendJson(url, method, body);
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return null;
+            }
+            showMessage(successMessage);
+            refresh();
+            return result;
+        } catch (error) {
+            showMessage('Error saving enquiry. Check console for details.', 'error');
+            console.error('Lead error:', error);
+            return null;
+        }
+    };
+
+    // The client form on the main page picks the lead up from ?convertLead=
+    const convertLead = (lead) => {
+        window.location.href = `index.html?convertLead=${lead._id}`;
+    };
+
+    const moveLead = (lead, status) => {
+        if (lead.status === status) return;
+        if (status === 'converted') {
+            convertLead(lead);
+            return;
+        }
+        saveLead(`${LEADS_URL}/${lead._id}`, 'PUT', { status }, `${lead.name} moved.`);
+    };
+
+    // --- LEAD MODAL ---
+    const openLeadModal = (lead = null) => {
+        leadForm.reset();
+        document.getElementById('lead-id').value = lead ? lead._id : '';
+        document.getElementById('lead-modal-title').textContent = lead ? lead.name : 'New Enquiry';
+        leadBranchSelect.value = lead && lead.branch ? lead.branch._id : branchSelect.value;
+        // Only the owner places a lead in a branch, when it is added
+        leadBranchSelect.classList.toggle('hidden', !isOwner || branches.length === 0 || Boolean(lead));
+        leadBranchSelect.required = isOwner && branches.length > 0 && !lead;
+        const trialEl = document.getElementById('lead-trial');
+        trialEl.classList.toggle('hidden', !(lead && (lead.trialPass || lead.client)));
+        if (lead) {
+            document.getElementById('lead-name').value = lead.name;
+            document.getElementById('lead-contact').value = lead.contact;
+            document.getElementById('lead-source').value = lead.source;
+            document.getElementById('lead-status').value = lead.status;
+            document.getElementById('lead-interest').value = lead.interest;
+            document.getElementById('lead-follow-up').value = lead.followUpDate ? localDate(new Date(lead.followUpDate)) : '';
+            document.getElementById('lead-notes').value = lead.notes;
+            trialEl.textContent = lead.client
+                ? `Joined as ${lead.client.name} on ${formatDate(lead.convertedAt)}.`
+                : lead.trialPass ? `Free trial ${formatDate(lead.trialPass.start)} – ${formatDate(lead.trialPass.end)}, given by ${lead.trialPass.issuedBy}.` : '';
+        }
+        const isOpen = lead && !['converted', 'lost'].includes(lead.status);
+        // Joined leads can't be edited or moved any more
+        [...leadForm.elements].forEach(field => { field.disabled = Boolean(lead && lead.status === 'converted'); });
+        leadActions.classList.toggle('hidden', !isOpen);
+        document.getElementById('trial-pass-btn').closest('.form-group-inline').classList.toggle('hidden', !isOpen || Boolean(lead.trialPass));
+        leadModal.classList.remove('hidden');
+    };
+
+    const currentLead = () => leads.find(lead => lead._id === document.getElementById('lead-id').value);
+
+    const handleLeadSubmit = async (e) => {
+        e.preventDefault();
+        const leadId = document.getElementById('lead-id').value;
+        const body = {
+            name: document.getElementById('lead-name').value,
+            contact: document.getElementById('lead-contact').value,
+            source: document.getElementById('lead-source').value,
+            status: document.getElementById('lead-status').value,
+            interest: document.getElementById('lead-interest').value,
+            followUpDate: document.getElementById('lead-follow-up').value || null,
+            notes: document.getElementById('lead-notes').value
+        };
+        if (!leadId && isOwner && branches.length > 0) body.branch = leadBranchSelect.value;
+        const saved = await saveLead(leadId ? `${LEADS_URL}/${leadId}` : LEADS_URL, leadId ? 'PUT' : 'POST', body, 'Enquiry saved!');
+        if (saved) closeAllModals();
+    };
+
+    const handleTrialPass = async () => {
+        const lead = currentLead();
+        if (!lead) return;
+        const days = parseInt(document.getElementById('trial-days').value, 10);
+        const saved = await saveLead(`${LEADS_URL}/${lead._id}/trial`, 'POST', { days }, `${lead.name} has a ${days}-day trial pass.`);
+        if (saved) closeAllModals();
+    };
+
+    // The owner picks a branch, or all of them; new leads go to an open branch
+    const fetchBranches = async () => {
+        if (!isOwner) return;
+        try {
+            const response = await api(BRANCHES_URL);
+            if (!response.ok) return;
+            branches = await response.json();
+            branchSelect.innerHTML = '<option value="">All branches</option>' +
+                branches.map(b => `<option value="${b._id}">${escapeHtml(b.name)}${b.active ? '' : ' (closed)'}</option>`).join('');
+            branchSelect.value = branches.some(b => b._id === localStorage.getItem(BRANCH_KEY)) ? localStorage.getItem(BRANCH_KEY) : '';
+            branchSelect.classList.toggle('hidden', branches.length === 0);
+            leadBranchSelect.innerHTML = '<option value="" disabled>Select Branch</option>' +
+                branches.filter(b => b.active).map(b => `<option value="${b._id}">${escapeHtml(b.name)}</option>`).join('');
+        } catch (error) {
+            console.error('Error fetching branches:', error);
+        }
+    };
+
+    const closeAllModals = () => {
+        leadModal.classList.add('hidden');
+    };
+
+    // --- EVENT LISTENERS ---
+    board.addEventListener('click', (e) => {
+        const card = e.target.closest('.lead-card');
+        if (card) openLeadModal(leads.find(lead => lead._id === card.dataset.leadId));
+    });
+    board.addEventListener('dragstart', (e) => {
+        const card = e.target.closest('.lead-card');
+        if (card) e.dataTransfer.setData('text/plain', card.dataset.leadId);
+    });
+    board.addEventListener('dragover', (e) => {
+        if (e.target.closest('.lead-column')) e.preventDefault();
+    });
+    board.addEventListener('drop', (e) => {
+        const column = e.target.closest('.lead-column');
+        const lead = leads.find(l => l._id === e.dataTransfer.getData('text/plain'));
+        if (!column || !lead) return;
+        e.preventDefault();
+        moveLead(lead, column.dataset.status);
+    });
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(fetchLeads, 300);
+    });
+    branchSelect.addEventListener('change', () => {
+        if (branchSelect.value) {
+            localStorage.setItem(BRANCH_KEY, branchSelect.value);
+        } else {
+            localStorage.removeItem(BRANCH_KEY);
+        }
+        refresh();
+    });
+    document.getElementById('add-lead-btn').addEventListener('click', () => openLeadModal());
+    leadForm.addEventListener('submit', handleLeadSubmit);
+    document.getElementById('trial-pass-btn').addEventListener('click', handleTrialPass);
+    document.getElementById('convert-lead-btn').addEventListener('click', () => {
+        const lead = currentLead();
+        if (lead) convertLead(lead);
+    });
+    document.querySelectorAll('.close-modal-btn').forEach(btn => btn.addEventListener('click', closeAllModals));
+    leadModal.addEventListener('click', (e) => e.target === leadModal && closeAllModals());
+
+    // --- INITIALIZATION ---
+    fetchBranches().then(refresh);
+});
@@ -0,0 +1,152 @@
+// offline.js
+// Offline support shared by the staff pages: the service worker, a copy of
+// the client list in IndexedDB and a queue of changes made without a
+// connection. Queued requests replay in order once the connection returns;
+// anything the server refuses stays in the queue as a conflict for staff
+// to resolve by hand.
+const offlineStore = (() => {
+    const DB_NAME = 'mbfc-offline';
+    const DB_VERSION = 1;
+    let dbPromise = null;
+
+    const openDb = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('clients', { keyPath: '_id' });
+                    db.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    };
+
+    // Runs `work(store)` in one transaction and resolves with its request's result
+    const withStore = async (name, mode, work) => {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(name, mode);
+            const request = work(tx.objectStore(name));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+        });
+    };
+
+    // --- CLIENT CACHE ---
+    // Replaces the cached list with a full copy from the server
+    const putClients = (clients) => withStore('clients', 'readwrite', (store) => {
+        store.clear();
+        clients.forEach(client => store.put(client));
+    });
+
+    const putClient = (client) => withStore('clients', 'readwrite', (store) => store.put(client));
+
+    const getClients = () => withStore('clients', 'readonly', (store) => store.getAll());
+
+    // --- CHANGE QUEUE ---
+    // `label` is what the sync panel shows, e.g. "Payment for Asha Rao".
+    // Entries belong to the staff member who made them (`userId`) and are only
+    // listed and sent while they are logged in, so a shared desk never sends
+    // one person's changes under another's login.
+    const enqueue = ({ method, url, body, label, userId }) => withStore('queue', 'readwrite', (store) => store.add({
+        method,
+        url,
+        body,
+        label,
+        userId,
+        queuedAt: new Date().toISOString(),
+        status: 'pending'
+    }));
+
+    const listQueue = async (userId) => (await withStore('queue', 'readonly', (store) => store.getAll()))
+        .filter(entry => entry.userId === userId);
+
+    const updateEntry = (entry) => withStore('queue', 'readwrite', (store) => store.put(entry));
+
+    const removeEntry = (id) => withStore('queue', 'readwrite', (store) => store.delete(id));
+
+    // Sends pending entries oldest first. A network failure or a server error
+    // stops the run so later changes are not applied before earlier ones; a
+    // refused change is marked as a conflict and the run moves on.
+    // Resolves with { synced, conflicts, stopped } where `stopped` is
+    // 'offline', 'auth' or null.
+    let replaying = null;
+    const replayQueue = (token, userId) => {
+        if (replaying) return replaying;
+        replaying = (async () => {
+            const result = { synced: 0, conflicts: 0, stopped: null };
+            const entries = await listQueue(userId);
+            for (const entry of entries) {
+                if (entry.status === 'conflict') {
+                    result.conflicts += 1;
+                    continue;
+                }
+                let response;
+                try {
+                    response = await fetch(entry.url, {
+                        method: entry.method,
+                        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+                        body: JSON.stringify(entry.body)
+                    });
+                } catch (error) {
+                    result.stopped = 'offline';
+                    break;
+                }
+                if (response.status === 401) {
+                    result.stopped = 'auth';
+                    break;
+                }
+                if (response.status >= 500) {
+                    result.stopped = 'offline';
+                    break;
+                }
+                if (response.ok) {
+                    await removeEntry(entry.id);
+                    result.synced += 1;
+                    continue;
+                }
+                const refusal = await response.json().catch(() => ({}));
+                await updateEntry({
+                    ...entry,
+                    status: 'conflict',
+                    message: refusal.message || `Refused by the server (${response.status}).`,
+                    reason: refusal.reason || null,
+                    archivedClientId: refusal.archivedClientId || null
+                });
+                result.conflicts += 1;
+            }
+            return result;
+        })().finally(() => {
+            replaying = null;
+        });
+        return replaying;
+    };
+
+    // --- SERVICE WORKER ---
+    const registerServiceWorker = () => {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    };
+
+    // fetch() failing outright, as opposed to an HTTP error, means no connection
+    const isNetworkError = (error) => error instanceof TypeError;
+
+    return {
+        putClients,
+        putClient,
+        getClients,
+        enqueue,
+        listQueue,
+        updateEntry,
+        removeEntry,
+        replayQueue,
+        registerServiceWorker,
+        isNetworkError
+    };
+})();
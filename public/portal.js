@@ -0,0 +1,309 @@
+// portal.js
+// Member self-service portal: log in with the registered contact number and
+// a one-time code, then see the membership, dues, receipts, visits and plan.
+const API_BASE = 'https://my-gym-app.vercel.app/api';
+const PORTAL_URL = `${API_BASE}/portal`;
+// Kept apart from the staff session so a shared device never mixes the two
+const MEMBER_SESSION_KEY = 'mbfc-member-session';
+
+document.addEventListener('DOMContentLoaded', () => {
+    const loginScreen = document.getElementById('login-screen');
+    const codeForm = document.getElementById('code-form');
+    const verifyForm = document.getElementById('verify-form');
+    const planView = document.getElementById('plan-view');
+    const printPlanBtn = document.getElementById('print-plan-btn');
+    const receiptList = document.getElementById('receipt-list');
+    const visitList = document.getElementById('visit-list');
+    let session = JSON.parse(localStorage.getItem(MEMBER_SESSION_KEY) || 'null');
+    let loginContact = '';
+
+    offlineStore.registerServiceWorker();
+
+    // --- UTILITY FUNCTIONS ---
+    const showMessage = (message, type = 'info') => {
+        const messageBox = document.createElement('div');
+        messageBox.className = `message-box ${type}`;
+        messageBox.textContent = message;
+        document.body.appendChild(messageBox);
+        setTimeout(() => {
+            messageBox.remove();
+        }, 3000);
+    };
+
+    const formatDate = (date) => new Date(date).toLocaleDateString('en-GB');
+    const formatCurrency = (amount) => `₹${(amount || 0).toFixed(2)}`;
+
+    const formatRest = (seconds) => {
+        if (!seconds) return '-';
+        const minutes = Math.floor(seconds / 60);
+        const rest = seconds % 60;
+        if (!minutes) return `${rest}s`;
+        return `${minutes} min${rest ? ` ${rest}s` : ''}`;
+    };
+
+    const showLogin = () => {
+        session = null;
+        localStorage.removeItem(MEMBER_SESSION_KEY);
+        codeForm.classList.remove('hidden');
+        verifyForm.classList.add('hidden');
+        loginScreen.classList.remove('hidden');
+    };
+
+    const api = async (path, options = {}) => {
+        const response = await fetch(`${PORTAL_URL}${path}`, {
+            ...options,
+            headers: {
+                ...(options.headers || {}),
+                Authorization: `Bearer ${session.token}`
+            }
+        });
+        if (response.status === 401) {
+            showLogin();
+            throw new Error('Not logged in');
+        }
+        return response;
+    };
+
+    const postJson = (path, body) => fetch(`${PORTAL_URL}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    // --- LOGIN ---
+    const sendCode = async () => {
+        try {
+            const response = await postJson('/code', { contact: loginContact });
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return false;
+            }
+            document.getElementById('verify-help').textContent =
+                `Enter the 6-digit code sent to ${loginContact}. It is valid for ${result.expiresInMinutes} minutes.`;
+            return true;
+        } catch (error) {
+            showMessage('Could not reach the gym. Check your connection and try again.', 'error');
+            console.error('Login code error:', error);
+            return false;
+        }
+    };
+
+    const handleCodeSubmit = async (e) => {
+        e.preventDefault();
+        loginContact = document.getElementById('login-contact').value.trim();
+        if (await sendCode()) {
+            codeForm.classList.add('hidden');
+            verifyForm.classList.remove('hidden');
+            verifyForm.reset();
+            document.getElementById('login-code').focus();
+        }
+    };
+
+    const handleVerifySubmit = async (e) => {
+        e.preventDefault();
+        try {
+            const response = await postJson('/login', {
+                contact: loginContact,
+                code: document.getElementById('login-code').value.trim()
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return;
+            }
+            session = result;
+            localStorage.setItem(MEMBER_SESSION_KEY, JSON.stringify(session));
+            loginScreen.classList.add('hidden');
+            loadPortal();
+        } catch (error) {
+            showMessage('Could not reach the gym. Check your connection and try again.', 'error');
+            console.error('Login error:', error);
+        }
+    };
+
+    // --- MEMBERSHIP ---
+    const STATUS_TEXT = {
+        active: (m) => `Active until ${formatDate(m.endDate)}`,
+        expired: (m) => `Expired on ${formatDate(m.endDate)}. Please renew at the front desk.`,
+        frozen: (m) => `Frozen until ${formatDate(m.frozenUntil)}`
+    };
+
+    const renderOverview = (me) => {
+        const { membership, fees } = me;
+        document.getElementById('session-user').textContent = me.branch ? `${me.name} (${me.branch})` : me.name;
+        document.getElementById('membership-status').textContent = STATUS_TEXT[membership.status](membership);
+        const cards = [
+            ['Plan', escapeHtml(membership.plan)],
+            ['Period', `${formatDate(membership.start)} – ${formatDate(membership.endDate)}`],
+            ['Days remaining', membership.daysRemaining],
+            ['Fees due', formatCurrency(fees.due)],
+            ['Paid so far', formatCurrency(fees.submitted)]
+        ];
+        document.getElementById('membership-cards').innerHTML = cards.map(([label, value]) => `
+            <div class="detail-item"><strong>${label}</strong><span>${value}</span></div>
+        `).join('');
+        const emergency = me.emergencyContact || {};
+        document.getElementById('emergency-name').value = emergency.name || '';
+        document.getElementById('emergency-contact').value = emergency.contact || '';
+    };
+
+    const fetchOverview = async () => {
+        const response = await api('/me');
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.message);
+        }
+        renderOverview(result);
+    };
+
+    const handleEmergencySubmit = async (e) => {
+        e.preventDefault();
+        try {
+            const response = await api('/me', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    emergencyContact: {
+                        name: document.getElementById('emergency-name').value,
+                        contact: document.getElementById('emergency-contact').value
+                    }
+                })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return;
+            }
+            renderOverview(result);
+            showMessage('Emergency contact saved!');
+        } catch (error) {
+            showMessage('Error saving. Check console for details.', 'error');
+            console.error('Emergency contact error:', error);
+        }
+    };
+
+    // --- PLAN ---
+    const fetchPlan = async () => {
+        const response = await api('/plan');
+        const { plan } = await response.json();
+        printPlanBtn.classList.toggle('hidden', !plan);
+        if (!plan) {
+            planView.innerHTML = '<p class="history-empty">Your trainer has not assigned you a plan yet.</p>';
+            return;
+        }
+        const { workout, diet } = plan;
+        planView.innerHTML = `
+            ${workout ? `
+                <h4>${escapeHtml(workout.name)}</h4>
+                ${workout.days.map(day => `
+                    <div class="plan-summary-row">
+                        <strong>${escapeHtml(day.name)}</strong>
+                        <small>${day.exercises.map(item => `${escapeHtml(item.name)} ${item.sets}&times;${escapeHtml(item.reps)} (rest ${formatRest(item.restSeconds)})`).join(', ')}</small>
+                    </div>
+                `).join('')}
+            ` : ''}
+            ${diet ? `
+                <h4>${escapeHtml(diet.name)}${diet.calories ? ` &bull; ${diet.calories} kcal` : ''}</h4>
+                ${diet.meals.map(meal => `
+                    <div class="plan-summary-row">
+                        <strong>${meal.time ? `${escapeHtml(meal.time)} ` : ''}${escapeHtml(meal.name)}</strong>
+                        <small>${escapeHtml(meal.items.join(', '))}</small>
+                    </div>
+                `).join('')}
+            ` : ''}
+            ${plan.notes ? `<p class="template-help">${escapeHtml(plan.notes)}</p>` : ''}
+        `;
+    };
+
+    // Print-ready pages need the token, so they are fetched and written into
+    // a window opened before the request (popup blockers allow that)
+    const openPrintPage = async (path, label) => {
+        const printWindow = window.open('', '_blank');
+        try {
+            const response = await api(path);
+            if (!response.ok) {
+                const error = await response.json();
+                printWindow.close();
+                showMessage(`Error: ${error.message}`, 'error');
+                return;
+            }
+            printWindow.document.write(await response.text());
+            printWindow.document.close();
+            printWindow.focus();
+            printWindow.print();
+        } catch (error) {
+            printWindow.close();
+            showMessage(`Error loading the ${label}. Check console for details.`, 'error');
+            console.error(`${label} error:`, error);
+        }
+    };
+
+    // --- PAYMENTS & VISITS ---
+    const fetchReceipts = async () => {
+        const response = await api('/receipts');
+        const payments = await response.json();
+        receiptList.innerHTML = payments.length === 0
+            ? '<p class="history-empty">No payments yet.</p>'
+            : payments.map(payment => `
+                <div class="history-item ${payment.voided ? 'inactive' : ''}" data-payment-id="${payment._id}">
+                    <div>
+                        <strong>${formatCurrency(payment.amount)}${payment.voided ? ' (void)' : ''}</strong>
+                        <small>${formatDate(payment.date)} &bull; ${escapeHtml(payment.mode)}${payment.receiptNumber ? ` &bull; Receipt No. ${payment.receiptNumber}` : ''}</small>
+                    </div>
+                    <div class="history-actions">
+                        <button class="void-btn receipt-btn" title="Print Receipt">Receipt</button>
+                    </div>
+                </div>
+            `).join('');
+    };
+
+    const fetchVisits = async () => {
+        const response = await api('/attendance');
+        const { visits, totalVisits, last30Days } = await response.json();
+        document.getElementById('visit-summary').textContent = `${last30Days} visits in the last 30 days, ${totalVisits} in all.`;
+        visitList.innerHTML = visits.length === 0
+            ? '<p class="history-empty">No visits yet.</p>'
+            : visits.map(visit => `
+                <div class="history-item">
+                    <div>
+                        <strong>${formatDate(visit.checkInAt)}</strong>
+                        <small>${new Date(visit.checkInAt).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' })}${visit.checkOutAt ? ` – ${new Date(visit.checkOutAt).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' })}` : ''}</small>
+                    </div>
+                </div>
+            `).join('');
+    };
+
+    const loadPortal = async () => {
+        try {
+            await fetchOverview();
+            await Promise.all([fetchPlan(), fetchReceipts(), fetchVisits()]);
+        } catch (error) {
+            if (!session) return;
+            showMessage('Error loading your membership. Check console for details.', 'error');
+            console.error('Portal error:', error);
+        }
+    };
+
+    // --- EVENT LISTENERS ---
+    codeForm.addEventListener('submit', handleCodeSubmit);
+    verifyForm.addEventListener('submit', handleVerifySubmit);
+    document.getElementById('resend-code-btn').addEventListener('click', async () => {
+        if (await sendCode()) showMessage('A new code is on its way.');
+    });
+    document.getElementById('change-number-btn').addEventListener('click', showLogin);
+    document.getElementById('logout-btn').addEventListener('click', showLogin);
+    document.getElementById('emergency-form').addEventListener('submit', handleEmergencySubmit);
+    printPlanBtn.addEventListener('click', () => openPrintPage('/plan?format=html', 'plan'));
+    receiptList.addEventListener('click', (e) => {
+        const item = e.target.closest('.history-item');
+        if (item && e.target.closest('.receipt-btn')) openPrintPage(`/receipts/${item.dataset.paymentId}`, 'receipt');
+    });
+
+    // --- INITIALIZATION ---
+    if (session) {
+        loadPortal();
+    } else {
+        showLogin();
+    }
+});
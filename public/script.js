@@ -1,11 +1,32 @@
 // script.js
-const API_URL = 'https://my-gym-app.vercel.app/api/clients';
+const API_BASE = 'https://my-gym-app.vercel.app/api';
+const API_URL = `${API_BASE}/clients`;
+const AUTH_URL = `${API_BASE}/auth`;
+const USERS_URL = `${API_BASE}/users`;
+const ATTENDANCE_URL = `${API_BASE}/attendance`;
+const REMINDERS_URL = `${API_BASE}/reminders`;
+const PLANS_URL = `${API_BASE}/plans`;
+const TRAINERS_URL = `${API_BASE}/trainers`;
+const BRANCHES_URL = `${API_BASE}/branches`;
+const PROGRAMS_URL = `${API_BASE}/programs`;
+const AUDIT_URL = `${API_BASE}/audit`;
+const COUPONS_URL = `${API_BASE}/coupons`;
+const REFERRALS_URL = `${API_BASE}/referrals`;
+const LEADS_URL = `${API_BASE}/leads`;
+// Per-client resources live under the client: /clients/:id/payments, /renewals, /aadhaar/reveal
+const clientUrl = (clientId, path = '') => `${API_URL}/${clientId}${path}`;
+const SESSION_KEY = 'mbfc-session';
+// The owner's branch switcher choice, shared with the dashboard ('' = all branches)
+const BRANCH_KEY = 'mbfc-branch';
 document.addEventListener('DOMContentLoaded', () => {
     // DOM Elements
     const clientListContainer = document.getElementById('client-list');
     const addClientBtn = document.getElementById('add-client-btn');
     const clientCountEl = document.getElementById('client-count');
     const searchBar = document.getElementById('search-bar');
+    const filterChips = document.getElementById('filter-chips');
+    const sortSelect = document.getElementById('sort-select');
+    const listSentinel = document.getElementById('list-sentinel');
     const loadingSpinner = document.getElementById('loading-spinner');
     // Form Modal Elements
     const formModal = document.getElementById('form-modal');
@@ -16,11 +37,140 @@ document.addEventListener('DOMContentLoaded', () => {
     const monthsInput = document.getElementById('months');
     const clientIdInput = document.getElementById('client-id');
     const aadhaarInput = document.getElementById('aadhaar');
+    const planSelect = document.getElementById('plan');
+    const feesTotalInput = document.getElementById('fees-total');
+    const feesSubmittedInput = document.getElementById('fees-submitted');
     // Details Modal Elements
     const detailsModal = document.getElementById('details-modal');
     const detailsName = document.getElementById('details-name');
     const detailsContent = document.getElementById('details-content');
+    // Payment Ledger Elements
+    const recordPaymentBtn = document.getElementById('record-payment-btn');
+    const paymentForm = document.getElementById('payment-form');
+    const paymentList = document.getElementById('payment-list');
+    // Membership Period Elements
+    const renewBtn = document.getElementById('renew-btn');
+    const renewalForm = document.getElementById('renewal-form');
+    const renewalPlanSelect = document.getElementById('renewal-plan');
+    const periodList = document.getElementById('period-list');
+    const freezeForm = document.getElementById('freeze-form');
+    const freezeList = document.getElementById('freeze-list');
+    // History Elements
+    const historyList = document.getElementById('history-list');
+    const historyMoreBtn = document.getElementById('history-more-btn');
+    // Attendance Elements
+    const attendanceList = document.getElementById('attendance-list');
+    const visitCountsEl = document.getElementById('visit-counts');
+    // Progress Elements
+    const measurementForm = document.getElementById('measurement-form');
+    const measurementList = document.getElementById('measurement-list');
+    const progressChart = document.getElementById('progress-chart');
+    // Health Screening Elements
+    const screeningForm = document.getElementById('screening-form');
+    const clearanceForm = document.getElementById('clearance-form');
+    const screeningList = document.getElementById('screening-list');
+    const screeningFlagsEl = document.getElementById('screening-flags');
+    const signupScreening = document.getElementById('signup-screening');
+    // Workout & Diet Plan Elements
+    const memberPlanForm = document.getElementById('member-plan-form');
+    const memberWorkoutSelect = document.getElementById('member-workout-template');
+    const memberDietSelect = document.getElementById('member-diet-template');
+    const memberWorkoutDays = document.getElementById('member-workout-days');
+    const memberDietMeals = document.getElementById('member-diet-meals');
+    const planSuggestion = document.getElementById('plan-suggestion');
+    const planCurrent = document.getElementById('plan-current');
+    const planVersionList = document.getElementById('plan-version-list');
+    const printPlanBtn = document.getElementById('print-plan-btn');
+    const sharePlanBtn = document.getElementById('share-plan-btn');
+    // Login & Staff Elements
+    const loginScreen = document.getElementById('login-screen');
+    const loginForm = document.getElementById('login-form');
+    const sessionUserEl = document.getElementById('session-user');
+    const staffModal = document.getElementById('staff-modal');
+    const staffList = document.getElementById('staff-list');
+    const staffForm = document.getElementById('staff-form');
+    const trainerSelect = document.getElementById('trainer');
+    // Reminder Elements
+    const remindersModal = document.getElementById('reminders-modal');
+    const templateList = document.getElementById('template-list');
+    const reminderList = document.getElementById('reminder-list');
+    // Trash Elements
+    const trashModal = document.getElementById('trash-modal');
+    const trashList = document.getElementById('trash-list');
+    // Trainer Elements
+    const trainersModal = document.getElementById('trainers-modal');
+    const trainerList = document.getElementById('trainer-list');
+    const trainerForm = document.getElementById('trainer-form');
+    const trainerLoginSelect = document.getElementById('trainer-login');
+    // Membership Plan Elements
+    const plansModal = document.getElementById('plans-modal');
+    const planList = document.getElementById('plan-list');
+    const planForm = document.getElementById('plan-form');
+    // Workout & Diet Template Elements
+    const programsModal = document.getElementById('programs-modal');
+    const workoutTemplateList = document.getElementById('workout-template-list');
+    const workoutTemplateForm = document.getElementById('workout-template-form');
+    const workoutTemplateDays = document.getElementById('workout-template-days');
+    const dietTemplateList = document.getElementById('diet-template-list');
+    const dietTemplateForm = document.getElementById('diet-template-form');
+    const dietTemplateMeals = document.getElementById('diet-template-meals');
+    const exerciseList = document.getElementById('exercise-list');
+    const exerciseForm = document.getElementById('exercise-form');
+    // Branch Elements
+    const branchSelect = document.getElementById('branch-select');
+    const clientBranchSelect = document.getElementById('client-branch');
+    const staffBranchSelect = document.getElementById('staff-branch');
+    const branchesModal = document.getElementById('branches-modal');
+    const branchList = document.getElementById('branch-list');
+    const branchForm = document.getElementById('branch-form');
+    // Roster Import / Export Elements
+    const rosterModal = document.getElementById('roster-modal');
+    const importForm = document.getElementById('import-form');
+    const importFileInput = document.getElementById('import-file');
+    const importMapping = document.getElementById('import-mapping');
+    const importSummary = document.getElementById('import-summary');
+    const importReport = document.getElementById('import-report');
+    const importCommitBtn = document.getElementById('import-commit-btn');
+    // Offers & Referrals Elements
+    const offersModal = document.getElementById('offers-modal');
+    const couponList = document.getElementById('coupon-list');
+    const couponForm = document.getElementById('coupon-form');
+    const couponCodeInput = document.getElementById('coupon-code');
+    const couponPreview = document.getElementById('coupon-preview');
+    const referralList = document.getElementById('referral-list');
+    // Offline Elements
+    const offlineBanner = document.getElementById('offline-banner');
+    const syncBtn = document.getElementById('sync-btn');
+    const syncModal = document.getElementById('sync-modal');
+    const syncList = document.getElementById('sync-list');
     let clients = [];
+    // Server-side list state: active chip per filter group and pagination
+    const activeFilters = {};
+    let listPage = 0;
+    let listTotal = 0;
+    let listHasMore = false;
+    let isLoadingClients = false;
+    let searchTimer = null;
+    let trainers = [];
+    // Active plans offered in the client and renewal forms
+    let plans = [];
+    // The discount code checked in the signup form: { code, type, value, description }
+    let signupCoupon = null;
+    // Open branches for the switcher and forms; empty for a single-location gym
+    let branches = [];
+    let selectedBranch = localStorage.getItem(BRANCH_KEY) || '';
+    // The exercise library and workout / diet templates, loaded when building plans
+    let exerciseLibrary = [];
+    let workoutTemplates = [];
+    let dietTemplates = [];
+    // The open client's plan: { goal, current, versions, suggestion }
+    let memberPlan = null;
+    let detailsClientId = null;
+    let historyPage = 1;
+    // The file last checked in the import modal: { format, content, mapping }
+    let pendingImport = null;
+    // { token, user } of the logged-in staff member, kept across reloads
+    let session = JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
 
     // --- UTILITY FUNCTIONS ---
     // A simple custom message box to replace alert/confirm
@@ -44,12 +194,83 @@ document.addEventListener('DOMContentLoaded', () => {
 
     const formatDate = (date) => new Date(date).toLocaleDateString('en-GB');
 
+    const formatCurrency = (amount) => `₹${(amount || 0).toFixed(2)}`;
+
+    // Replaces a client in the local list with the copy returned by the API
+    // Ledger and membership responses don't populate the referrer, which never changes
+    const replaceClient = (updatedClient) => {
+        clients = clients.map(c => c._id === updatedClient._id ? { ...updatedClient, referredBy: c.referredBy } : c);
+    };
+
+    const calculateDaysBetween = (fromDateStr, toDateStr) => {
+        const from = new Date(fromDateStr);
+        const to = new Date(toDateStr);
+        from.setHours(0, 0, 0, 0);
+        to.setHours(0, 0, 0, 0);
+        return Math.round((to - from) / (1000 * 60 * 60 * 24));
+    };
+
     const calculateEndDate = (startDateStr, months) => {
         const startDate = new Date(startDateStr);
         startDate.setMonth(startDate.getMonth() + months);
         return startDate.toISOString().split('T')[0];
     };
 
+    // Membership periods oldest first; clients saved before periods were
+    // tracked fall back to their single membership object.
+    const getPeriods = (client) => {
+        const periods = client.membership.periods || [];
+        if (periods.length === 0) {
+            return [{
+                start: client.membership.feeDate,
+                end: client.membership.endDate,
+                months: client.membership.months,
+                kind: 'Joining'
+            }];
+        }
+        return [...periods].sort((a, b) => new Date(a.start) - new Date(b.start));
+    };
+
+    // Same rule as activePeriod() on the server: the period covering today,
+    // else the next upcoming one, else the most recent one.
+    const getActivePeriod = (client) => {
+        const now = new Date();
+        const periods = getPeriods(client);
+        return periods.find(p => new Date(p.start) <= now && now < new Date(p.end))
+            || periods.find(p => new Date(p.start) > now)
+            || periods[periods.length - 1];
+    };
+
+    // Same as priceFor() on the server: the plan price plus the PT add-on
+    const planPrice = (plan, pt) => plan.price + (pt !== 'None' ? (plan.ptPrice || 0) : 0);
+
+    const planLabel = (plan) => `${plan.name} – ${plan.months} Month${plan.months !== 1 ? 's' : ''} – ${formatCurrency(plan.price)}`;
+
+    // Same as discountFor() on the server
+    const couponDiscount = (coupon, price) => (coupon.type === 'percent'
+        ? Math.round(price * coupon.value / 100)
+        : Math.min(coupon.value, price));
+
+    const updateFeeDuePreview = () => {
+        const total = parseFloat(feesTotalInput.value) || 0;
+        const discount = signupCoupon ? couponDiscount(signupCoupon, total) : 0;
+        const due = total - discount - (parseFloat(feesSubmittedInput.value) || 0);
+        document.getElementById('fee-due-display').textContent = formatCurrency(Math.max(due, 0));
+        couponPreview.classList.toggle('hidden', !signupCoupon);
+        if (signupCoupon) {
+            couponPreview.textContent = `${signupCoupon.code}: ${formatCurrency(discount)} off, ${formatCurrency(total - discount)} to pay`
+                + (signupCoupon.description ? ` (${signupCoupon.description})` : '');
+        }
+    };
+
+    // Same as currentFreeze() on the server: the freeze covering today, if any
+    const getCurrentFreeze = (client) => {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        return (client.membership.freezes || [])
+            .find(f => new Date(f.start) <= today && today <= new Date(f.end)) || null;
+    };
+
     const updateEndDatePreview = () => {
         if (feeDateInput.value && monthsInput.value) {
             const endDate = calculateEndDate(feeDateInput.value, parseInt(monthsInput.value, 10));
@@ -77,37 +298,492 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
-    // WhatsApp functionality - opens WhatsApp with personalized message
+    // Opens WhatsApp to the member with the message filled in
+    const sendWhatsApp = (contact, message) => {
+        const cleanContact = contact.replace(/\D/g, '');
+        const phoneNumber = cleanContact.startsWith('91') ? cleanContact : `91${cleanContact}`;
+        window.location.href = `whatsapp://send?phone=${phoneNumber}&text=${encodeURIComponent(message)}`;
+    };
+
+    // WhatsApp functionality - personalized membership expiry message
     const openWhatsApp = (contact, name, endDate) => {
-	    const cleanContact = contact.replace(/\D/g, '');
-	    const phoneNumber = cleanContact.startsWith('91') ? cleanContact : `91${cleanContact}`;
-	    const formattedEndDate = new Date(endDate).toLocaleDateString('en-GB');
-	    const message = `Hi ${name}, this is from MBFC Gym regarding your membership. Your membership expires on ${formattedEndDate}`;
-	    const encodedMessage = encodeURIComponent(message);
-	    const whatsappDesktopURL = `whatsapp://send?phone=${phoneNumber}&text=${encodedMessage}`;
-	    window.location.href = whatsappDesktopURL;
-	};
+        const formattedEndDate = new Date(endDate).toLocaleDateString('en-GB');
+        sendWhatsApp(contact, `Hi ${name}, this is from MBFC Gym regarding your membership. Your membership expires on ${formattedEndDate}`);
+    };
 
 
+    // --- SESSION ---
+    const isOwner = () => session && session.user.role === 'owner';
+
+    const showLogin = () => {
+        session = null;
+        localStorage.removeItem(SESSION_KEY);
+        delete document.body.dataset.role;
+        clients = [];
+        clientListContainer.innerHTML = '';
+        // The saved list belongs to this session; queued changes wait until the
+        // same staff member logs in again
+        offlineStore.putClients([]).catch(error => console.error('Error clearing saved clients:', error));
+        refreshSyncStatus();
+        closeAllModals();
+        loginForm.reset();
+        loginScreen.classList.remove('hidden');
+    };
+
+    // Starts the app for the stored session: role-based UI, trainer list, clients
+    const startSession = () => {
+        loginScreen.classList.add('hidden');
+        document.body.dataset.role = session.user.role;
+        sessionUserEl.textContent = `${session.user.name} (${session.user.role})`;
+        const branchesLoaded = fetchBranches();
+        if (session.user.role !== 'trainer') {
+            fetchTrainers();
+            // An enquiry sent over to convert opens once the form's options are in
+            Promise.all([fetchPlans(), branchesLoaded]).then(openLeadConversion);
+        }
+        fetchClients();
+        syncQueue().then(syncClientCache);
+    };
+
+    const handleLogin = async (e) => {
+        e.preventDefault();
+        try {
+            const response = await fetch(AUTH_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    username: document.getElementById('login-username').value,
+                    password: document.getElementById('login-password').value
+                })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(result.message, 'error');
+                return;
+            }
+            session = { token: result.token, user: result.user };
+            localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+            startSession();
+        } catch (error) {
+            showMessage('Unable to reach the server. Please try again.', 'error');
+            console.error('Login error:', error);
+        }
+    };
+
     // --- API CALLS ---
+    // fetch() with the staff token attached. An expired or revoked token
+    // sends the user back to the login screen.
+    const apiFetch = async (url, options = {}) => {
+        const response = await fetch(url, {
+            ...options,
+            headers: {
+                ...(options.headers || {}),
+                Authorization: `Bearer ${session ? session.token : ''}`
+            }
+        });
+        if (response.status === 401) {
+            showLogin();
+            showMessage('Your session has ended. Please log in again.', 'error');
+            throw new Error('Not logged in');
+        }
+        return response;
+    };
+
+    // The list shows the trainer populated; older saved copies only have the id
+    const trainerIdOf = (client) => (client.trainer && client.trainer._id) || client.trainer || '';
+    // Same for the branch
+    const branchIdOf = (record) => (record.branch && record.branch._id) || record.branch || '';
+    const branchName = (branchId) => {
+        const branch = branches.find(b => b._id === branchId);
+        return branch ? branch.name : '';
+    };
+
+    // The switcher only appears once the gym has branches. The owner can pick
+    // "All branches" for the consolidated view; staff are held to their own.
+    const renderBranchOptions = () => {
+        const options = branches.map(b => `<option value="${b._id}">${escapeHtml(b.name)}</option>`).join('');
+        branchSelect.classList.toggle('hidden', branches.length === 0);
+        if (isOwner()) {
+            branchSelect.innerHTML = '<option value="">All branches</option>' + options;
+            branchSelect.disabled = false;
+            branchSelect.value = branches.some(b => b._id === selectedBranch) ? selectedBranch : '';
+        } else {
+            const own = session.user.branch;
+            branchSelect.innerHTML = `<option value="">${escapeHtml(branchName(own) || 'No branch')}</option>`;
+            branchSelect.disabled = true;
+        }
+        clientBranchSelect.innerHTML = '<option value="" disabled>Select Branch</option>' + options;
+        clientBranchSelect.classList.toggle('hidden', branches.length === 0);
+        clientBranchSelect.required = branches.length > 0 && isOwner();
+        staffBranchSelect.innerHTML = '<option value="">No home branch (owners)</option>' + options;
+        staffBranchSelect.classList.toggle('hidden', branches.length === 0);
+    };
+
+    const fetchBranches = async () => {
+        try {
+            const response = await apiFetch(`${BRANCHES_URL}?active=true`);
+            if (!response.ok) return;
+            branches = await response.json();
+            // A branch closed since it was picked falls back to all branches
+            if (selectedBranch && !branches.some(b => b._id === selectedBranch)) {
+                selectedBranch = '';
+                localStorage.removeItem(BRANCH_KEY);
+                fetchClients();
+            }
+            renderBranchOptions();
+        } catch (error) {
+            console.error('Error fetching branches:', error);
+        }
+    };
+
+    const handleBranchSwitch = () => {
+        selectedBranch = branchSelect.value;
+        if (selectedBranch) {
+            localStorage.setItem(BRANCH_KEY, selectedBranch);
+        } else {
+            localStorage.removeItem(BRANCH_KEY);
+        }
+        fetchClients();
+    };
+
+    // `current` keeps a client's inactive trainer selectable so editing them doesn't drop it
+    const renderTrainerOptions = (current = null) => {
+        const options = trainers.map(t => `<option value="${t._id}">${escapeHtml(t.name)}</option>`);
+        if (current && current._id && !trainers.some(t => t._id === current._id)) {
+            options.push(`<option value="${current._id}">${escapeHtml(current.name)} (inactive)</option>`);
+        }
+        trainerSelect.innerHTML = '<option value="">No trainer assigned</option>' + options.join('');
+    };
+
+    // Trainers taking clients, for the PT assignment dropdown
+    const fetchTrainers = async () => {
+        try {
+            const response = await apiFetch(`${TRAINERS_URL}?active=true`);
+            if (!response.ok) return;
+            trainers = await response.json();
+            renderTrainerOptions();
+        } catch (error) {
+            console.error('Error fetching trainers:', error);
+        }
+    };
+
+    // `current` keeps a client's retired plan selectable so editing them doesn't drop it
+    const renderPlanOptions = (select, current = null) => {
+        const options = plans.map(plan => `<option value="${plan._id}">${escapeHtml(planLabel(plan))}</option>`);
+        if (current && current.planId && !plans.some(plan => plan._id === current.planId)) {
+            options.push(`<option value="${current.planId}">${escapeHtml(current.name)} (retired)</option>`);
+        }
+        select.innerHTML = '<option value="">Custom (no plan)</option>' + options.join('');
+    };
+
+    const fetchPlans = async () => {
+        try {
+            const response = await apiFetch(`${PLANS_URL}?active=true`);
+            if (!response.ok) return;
+            plans = await response.json();
+            renderPlanOptions(planSelect);
+            renderPlanOptions(renewalPlanSelect);
+        } catch (error) {
+            console.error('Error fetching plans:', error);
+        }
+    };
+
+    // A plan fixes the duration and, where the fee can be edited, prefills it
+    const applySelectedPlan = () => {
+        const plan = plans.find(p => p._id === planSelect.value);
+        const servicesEl = document.getElementById('plan-services');
+        document.getElementById('months-row').classList.toggle('hidden', Boolean(planSelect.value));
+        servicesEl.classList.toggle('hidden', !plan || plan.services.length === 0);
+        if (plan) {
+            servicesEl.textContent = `Includes: ${plan.services.join(', ')}`;
+            monthsInput.value = plan.months;
+            if (!feesTotalInput.disabled) {
+                feesTotalInput.value = planPrice(plan, document.querySelector('input[name="pt"]:checked').value);
+            }
+        }
+        updateEndDatePreview();
+        // A code limited to some plans may not fit the new one
+        if (signupCoupon) {
+            checkSignupCoupon();
+        } else {
+            updateFeeDuePreview();
+        }
+    };
+
+    // Checks the code against the chosen plan without using it; the discount
+    // is only taken when the client is saved
+    const checkSignupCoupon = async () => {
+        const code = couponCodeInput.value.trim();
+        signupCoupon = null;
+        updateFeeDuePreview();
+        if (!code) return;
+        try {
+            const response = await apiFetch(`${COUPONS_URL}/check`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ code, planId: planSelect.value || null, amount: parseFloat(feesTotalInput.value) || 0 })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return;
+            }
+            signupCoupon = result;
+            updateFeeDuePreview();
+        } catch (error) {
+            showMessage('Error checking discount code. Check console for details.', 'error');
+            console.error('Coupon error:', error);
+        }
+    };
+
+    const toggleTrainerSelect = () => {
+        const pt = document.querySelector('input[name="pt"]:checked').value;
+        trainerSelect.classList.toggle('hidden', pt === 'None');
+    };
+
     // Fetches all clients from the backend
-    const fetchClients = async () => {
+    // Search, filters and sort run on the server. Without `nextPage` the list
+    // starts over from page 1; with it the next page is appended.
+    const buildListQuery = (page) => {
+        const [sort, order] = sortSelect.value.split(':');
+        const params = new URLSearchParams({ ...activeFilters, sort, order, page, limit: 20 });
+        const q = searchBar.value.trim();
+        if (q) params.set('q', q);
+        if (isOwner() && selectedBranch) params.set('branch', selectedBranch);
+        return params.toString();
+    };
+
+    const fetchClients = async ({ nextPage = false } = {}) => {
+        if (nextPage && (isLoadingClients || !listHasMore)) return;
+        const page = nextPage ? listPage + 1 : 1;
+        isLoadingClients = true;
         try {
-            clientListContainer.innerHTML = '';
-            clientCountEl.textContent = 'Loading...';
-            const response = await fetch(API_URL);
+            if (!nextPage) {
+                clientListContainer.innerHTML = '';
+                clientCountEl.textContent = 'Loading...';
+            }
+            const response = await apiFetch(`${API_URL}?${buildListQuery(page)}`);
             if (!response.ok) {
                 throw new Error('Network response was not ok');
             }
-            clients = await response.json();
+            const result = await response.json();
+            clients = nextPage ? clients.concat(result.clients) : result.clients;
+            listPage = result.page;
+            listTotal = result.total;
+            listHasMore = result.hasMore;
+            offlineBanner.classList.add('hidden');
             renderClients();
         } catch (error) {
+            if (offlineStore.isNetworkError(error) && await showCachedClients()) {
+                return;
+            }
             console.error('Error fetching clients:', error);
             clientListContainer.innerHTML = `<p class="text-center text-red-500">
                 Failed to load clients. Please ensure the backend server is running.
             </p>`;
             clientCountEl.textContent = 'Error';
+        } finally {
+            isLoadingClients = false;
+        }
+    };
+
+    // --- OFFLINE ---
+    // The search, filters and sort of GET /clients, applied to the saved copy
+    const matchesOfflineQuery = (client, q) => {
+        if (!q) return true;
+        if (client.name.toLowerCase().includes(q.toLowerCase())) return true;
+        if (!/^\d+$/.test(q)) return false;
+        return client.contact.includes(q) || (q.length <= 4 && String(client.aadhaar || '').endsWith(q));
+    };
+
+    const matchesOfflineFilters = (client) => {
+        const daysLeft = calculateDaysRemaining(client.membership.endDate);
+        const { status, hasDue, pt, goal, clearance, screening } = activeFilters;
+        const flags = screeningFlags(client);
+        if (isOwner() && selectedBranch && branchIdOf(client) !== selectedBranch) return false;
+        if (goal && client.goal !== goal) return false;
+        if (clearance === 'required' && !flags.some(flag => flag === 'needs-clearance' || flag === 'clearance-expired')) return false;
+        if (screening === 'due' && !flags.some(flag => flag === 'screening-missing' || flag === 'screening-due')) return false;
+        if (pt && client.pt !== pt) return false;
+        if (hasDue === 'true' && !(client.fees.due > 0)) return false;
+        if (status === 'active') return daysLeft >= 0;
+        if (status === 'expired') return daysLeft < 0;
+        if (status === 'expiring') return daysLeft >= 0 && daysLeft <= 7;
+        if (status === 'frozen') return Boolean(getCurrentFreeze(client));
+        return true;
+    };
+
+    const OFFLINE_SORT_VALUES = {
+        name: (client) => client.name.toLowerCase(),
+        endDate: (client) => new Date(client.membership.endDate).getTime(),
+        createdAt: (client) => new Date(client.createdAt).getTime(),
+        due: (client) => client.fees.due || 0
+    };
+
+    // Shows the list saved by the last sync; false when nothing is saved yet
+    const showCachedClients = async () => {
+        let cached;
+        try {
+            cached = await offlineStore.getClients();
+        } catch (error) {
+            console.error('Error reading saved clients:', error);
+            return false;
+        }
+        if (cached.length === 0) return false;
+        const [sort, order] = sortSelect.value.split(':');
+        const valueOf = OFFLINE_SORT_VALUES[sort] || OFFLINE_SORT_VALUES.endDate;
+        const direction = order === 'desc' ? -1 : 1;
+        const q = searchBar.value.trim();
+        clients = cached
+            .filter(client => matchesOfflineQuery(client, q) && matchesOfflineFilters(client))
+            .sort((a, b) => (valueOf(a) > valueOf(b) ? 1 : valueOf(a) < valueOf(b) ? -1 : 0) * direction);
+        listPage = 1;
+        listTotal = clients.length;
+        listHasMore = false;
+        offlineBanner.classList.remove('hidden');
+        renderClients();
+        return true;
+    };
+
+    // Saves every client the user can see so search and details work offline
+    const syncClientCache = async () => {
+        if (!session || !navigator.onLine) return;
+        try {
+            let all = [];
+            let page = 1;
+            let hasMore = true;
+            while (hasMore) {
+                const response = await apiFetch(`${API_URL}?page=${page}&limit=100`);
+                if (!response.ok) return;
+                const result = await response.json();
+                all = all.concat(result.clients);
+                hasMore = result.hasMore;
+                page += 1;
+            }
+            await offlineStore.putClients(all);
+        } catch (error) {
+            console.error('Error saving clients for offline use:', error);
+        }
+    };
+
+    // Sends the request, or queues it when there is no connection.
+    // Resolves with the response, or null once the change is queued.
+    const sendOrQueue = async (url, { method, body, label }) => {
+        try {
+            return await apiFetch(url, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+        } catch (error) {
+            if (!offlineStore.isNetworkError(error)) throw error;
+            await offlineStore.enqueue({ method, url, body, label, userId: session.user._id });
+            refreshSyncStatus();
+            showMessage('You are offline. The change is saved and will be sent when the connection returns.');
+            return null;
+        }
+    };
+
+    // The header button shows how many changes are waiting, in red when any need a decision
+    const refreshSyncStatus = async () => {
+        const entries = session ? await offlineStore.listQueue(session.user._id) : [];
+        const conflicts = entries.filter(entry => entry.status === 'conflict').length;
+        syncBtn.classList.toggle('hidden', entries.length === 0);
+        syncBtn.classList.toggle('has-conflicts', conflicts > 0);
+        document.getElementById('sync-count').textContent = conflicts > 0 ? `${entries.length} (${conflicts} to resolve)` : entries.length;
+        if (!syncModal.classList.contains('hidden')) renderSyncList(entries);
+    };
+
+    const syncQueue = async () => {
+        if (!session || !navigator.onLine) return;
+        const result = await offlineStore.replayQueue(session.token, session.user._id);
+        if (result.stopped === 'auth') {
+            showLogin();
+            showMessage('Your session has ended. Log in again to send the offline changes.', 'error');
+            return;
+        }
+        if (result.synced > 0) {
+            showMessage(`${result.synced} offline change${result.synced !== 1 ? 's' : ''} sent.`);
+            fetchClients();
+            syncClientCache();
+        }
+        if (result.conflicts > 0) {
+            showMessage(`${result.conflicts} offline change${result.conflicts !== 1 ? 's' : ''} could not be applied. Open Offline Changes to resolve.`, 'error');
+        }
+        refreshSyncStatus();
+    };
+
+    const renderSyncList = (entries) => {
+        if (entries.length === 0) {
+            syncList.innerHTML = '<p class="history-empty">No offline changes waiting.</p>';
+            return;
+        }
+        syncList.innerHTML = entries.map(entry => {
+            const isConflict = entry.status === 'conflict';
+            const queuedAt = `${formatDate(entry.queuedAt)} ${new Date(entry.queuedAt).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' })}`;
+            return `
+                <div class="history-item sync-item ${entry.status}" data-entry-id="${entry.id}">
+                    <div>
+                        <strong>${escapeHtml(entry.label)}</strong>
+                        <small>Made offline ${queuedAt}</small>
+                        <small>${isConflict ? escapeHtml(entry.message) : 'Waiting to send'}</small>
+                    </div>
+                    <div class="history-actions">
+                        ${isConflict ? '<button class="void-btn" data-action="retry">Retry</button>' : ''}
+                        ${entry.reason === 'edited-elsewhere' ? '<button class="void-btn" data-action="overwrite" title="Save this edit over the newer changes">Overwrite</button>' : ''}
+                        <button class="void-btn" data-action="discard">Discard</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    };
+
+    const openSyncModal = async () => {
+        renderSyncList(await offlineStore.listQueue(session.user._id));
+        syncModal.classList.remove('hidden');
+    };
+
+    // Retry resends a refused change as it is, e.g. after fixing a duplicate
+    // contact; overwrite resends an edit without the version check
+    const handleSyncAction = async (entryId, action) => {
+        const entry = (await offlineStore.listQueue(session.user._id)).find(e => e.id === entryId);
+        if (!entry) return;
+        if (action === 'discard') {
+            const confirmed = await window.confirm(`Discard "${escapeHtml(entry.label)}"? It will not be sent.`, 'Discard');
+            if (!confirmed) return;
+            await offlineStore.removeEntry(entry.id);
+            refreshSyncStatus();
+            return;
+        }
+        const body = { ...entry.body };
+        if (action === 'overwrite') delete body.expectedUpdatedAt;
+        await offlineStore.updateEntry({ ...entry, body, status: 'pending', message: null, reason: null });
+        if (!navigator.onLine) {
+            showMessage('Still offline. The change will be sent when the connection returns.');
+            refreshSyncStatus();
+            return;
+        }
+        syncQueue();
+    };
+
+    const handleSearchInput = () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => fetchClients(), 300);
+    };
+
+    const handleChipClick = (e) => {
+        const chip = e.target.closest('.chip');
+        if (!chip) return;
+        const { filter, value } = chip.dataset;
+        const isActive = activeFilters[filter] === value;
+        filterChips.querySelectorAll(`.chip[data-filter="${filter}"]`).forEach(c => c.classList.remove('active'));
+        if (isActive) {
+            delete activeFilters[filter];
+        } else {
+            activeFilters[filter] = value;
+            chip.classList.add('active');
         }
+        fetchClients();
     };
 
     // ✅ UPDATED: Handles form submission with medical condition data
@@ -136,9 +812,15 @@ document.addEventListener('DOMContentLoaded', () => {
             heightIn: parseInt(document.getElementById('height-in').value, 10),
             weight: parseFloat(document.getElementById('weight').value),
             goal: document.getElementById('goal').value,
-            feesSubmitted: parseFloat(document.getElementById('fees-submitted').value),
-            feesDue: parseFloat(document.getElementById('fees-due').value),
+            // Fees due is derived on the server from the total and the payment ledger
+            feesTotal: parseFloat(feesTotalInput.value),
+            feesSubmitted: parseFloat(feesSubmittedInput.value) || 0,
+            paymentMode: document.getElementById('payment-mode').value,
             pt: document.querySelector('input[name="pt"]:checked').value,
+            trainer: trainerSelect.value || null,
+            // Ignored for staff, whose members always join their own branch
+            branch: clientBranchSelect.value || null,
+            planId: planSelect.value || null,
             months: parseInt(document.getElementById('months').value, 10),
             feeDate: feeDate,
             // ✅ NEW: Add medical condition data
@@ -147,41 +829,57 @@ document.addEventListener('DOMContentLoaded', () => {
         };
 
         const clientId = clientIdInput.value;
+        // New members fill in the PAR-Q; edits leave the screening history alone
+        if (!clientId) {
+            formData.screening = readScreening('signup');
+            formData.couponCode = couponCodeInput.value.trim() || undefined;
+            formData.referrerContact = document.getElementById('referrer-contact').value.trim() || undefined;
+            formData.leadId = document.getElementById('lead-id').value || undefined;
+        }
         let response;
 
         if (clientId) {
-            response = await fetch(API_URL, {
+            // The server refuses the edit if someone changed the client since it was opened
+            const client = clients.find(c => c._id === clientId);
+            response = await sendOrQueue(clientUrl(clientId), {
                 method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ id: clientId, ...formData })
+                body: { ...formData, expectedUpdatedAt: client ? client.updatedAt : undefined },
+                label: `Edit ${formData.name}`
             });
         } else {
-            response = await fetch(API_URL, {
+            response = await sendOrQueue(API_URL, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(formData)
+                body: formData,
+                label: `New client ${formData.name}`
             });
         }
 
+        if (!response) {
+            closeAllModals();
+            return;
+        }
         if (response.ok) {
             showMessage('Client saved successfully!');
             closeAllModals();
             fetchClients();
         } else {
             const error = await response.json();
+            if (error.archivedClientId && isOwner()) {
+                const restore = await window.confirm(`${escapeHtml(error.message)}`, 'Restore');
+                if (restore) handleRestoreClient(error.archivedClientId);
+                return;
+            }
             showMessage(`Error: ${error.message}`, 'error');
         }
     };
 
     // Deletes a client from the database
     const handleDelete = async (id) => {
-        const confirmed = await window.confirm('Are you sure you want to remove this client?');
+        const confirmed = await window.confirm('Move this client to the trash? The owner can restore them from there.', 'Remove');
         if (!confirmed) return;
         try {
-            const response = await fetch(API_URL, {
-                method: 'DELETE',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ id })
+            const response = await apiFetch(clientUrl(id), {
+                method: 'DELETE'
             });
             if (response.ok) {
                 const clientElement = document.querySelector(`.client-item[data-id='${id}']`);
@@ -204,33 +902,37 @@ document.addEventListener('DOMContentLoaded', () => {
     };
 
     // --- CORE RENDERING ---
+	// Renders the loaded pages as they came from the server, already filtered and sorted
 	const renderClients = () => {
-	    const searchTerm = searchBar.value.toLowerCase();
 	    clientListContainer.innerHTML = '';
-	    const filteredClients = clients.filter(client =>
-	        client.name.toLowerCase().includes(searchTerm)
-	    );
-	    if (filteredClients.length === 0) {
+	    if (clients.length === 0) {
 	        clientListContainer.innerHTML = `<p style="text-align:center; color: var(--secondary-text);">No clients found.</p>`;
 	    }
-	    // Sort by days remaining
-	    filteredClients.sort((a, b) => {
-	        const daysA = calculateDaysRemaining(a.membership.endDate);
-	        const daysB = calculateDaysRemaining(b.membership.endDate);
-	        return daysA - daysB;
-	    });
 
-	    filteredClients.forEach(client => {
-	        const daysRemaining = calculateDaysRemaining(client.membership.endDate);
+	    clients.forEach(client => {
+	        const activePeriod = getActivePeriod(client);
+	        const daysRemaining = calculateDaysRemaining(activePeriod.end);
 	        const isOverdue = daysRemaining < 0;
+	        // An early renewal queues a period after the active one
+	        const isRenewed = new Date(client.membership.endDate) > new Date(activePeriod.end);
 	        const hasFeeDue = client.fees.due > 0;
+	        // A paused membership shows no countdown; its end date moves with the freeze
+	        const freeze = getCurrentFreeze(client);
+	        // Clearance problems are shown on the card; a missing or due screening only in the details
+	        const safetyFlags = screeningFlags(client).filter(flag => flag === 'needs-clearance' || flag === 'clearance-expired');
 
 	        // ✅ UPDATED: Build subheading with medical condition
-	        let subheading = `${client.contact} &bull; ${client.goal}`;
+	        let subheading = `${escapeHtml(client.contact)} &bull; ${escapeHtml(client.goal)}`;
+
+	        // In the consolidated view each member shows their home branch
+	        if (isOwner() && !selectedBranch && branchIdOf(client)) {
+	            subheading += ` &bull; ${escapeHtml((client.branch && client.branch.name) || branchName(branchIdOf(client)))}`;
+	        }
 
 	        // Add PT information if exists
 	        if (client.pt !== 'None') {
-	            subheading += ` &bull; <span class="pt-badge">PT: ${client.pt}</span>`;
+	            const trainerName = client.trainer && client.trainer.name ? ` with ${escapeHtml(client.trainer.name)}` : '';
+	            subheading += ` &bull; <span class="pt-badge">PT: ${escapeHtml(client.pt)}${trainerName}</span>`;
 	        }
 
 	        // ✅ NEW: Add medical condition if exists (only if "yes")
@@ -238,7 +940,7 @@ document.addEventListener('DOMContentLoaded', () => {
 	            const medicalText = client.medicalCondition.conditionDetails
 	                ? client.medicalCondition.conditionDetails
 	                : 'Medical condition noted';
-	            subheading += ` &bull; <span class="medical-badge">${medicalText}</span>`;
+	            subheading += ` &bull; <span class="medical-badge">${escapeHtml(medicalText)}</span>`;
 	        }
 
 	        const clientItem = document.createElement('div');
@@ -247,23 +949,27 @@ document.addEventListener('DOMContentLoaded', () => {
 	        clientItem.innerHTML = `
 	            <div class="client-item-content">
 	                <div class="client-info">
-	                    <h3>${client.name}</h3>
+	                    <h3>${escapeHtml(client.name)}</h3>
 	                    <p>${subheading}</p>
 	                </div>
 	                <div class="membership-status">
 	                    <div class="status-badges">
+	                        ${renderScreeningFlags(safetyFlags)}
 	                        ${hasFeeDue ? `<span class="fee-due-badge">Due: ₹${client.fees.due.toFixed(2)}</span>` : ''}
-	                        <span class="days-remaining ${isOverdue ? 'overdue' : ''}">
+	                        ${isRenewed ? '<span class="renewed-badge">Renewed</span>' : ''}
+	                        ${freeze
+	                            ? `<span class="days-remaining frozen" title="Until ${formatDate(freeze.end)}">Frozen</span>`
+	                            : `<span class="days-remaining ${isOverdue ? 'overdue' : ''}">
 	                            ${isOverdue ? `${Math.abs(daysRemaining)}d overdue` : `${daysRemaining}d left`}
-	                        </span>
+	                        </span>`}
 	                    </div>
 	                    <button class="whatsapp-btn" title="Message on WhatsApp">
 	                        <img src="wp.png" alt="WhatsApp" />
 	                    </button>
-	                    <button class="edit-btn" title="Edit Client">
+	                    <button class="edit-btn staff-only" title="Edit Client">
 	                         <img src="edit.png" alt="Edit" class="edit-icon" />
 	                    </button>
-	                    <button class="delete-btn" title="Remove Client">
+	                    <button class="delete-btn owner-only" title="Remove Client">
 	                         <span class="material-symbols-outlined">delete</span>
 	                    </button>
 	                </div>
@@ -271,7 +977,7 @@ document.addEventListener('DOMContentLoaded', () => {
 	        `;
 	        clientListContainer.appendChild(clientItem);
 	    });
-	    clientCountEl.textContent = `${filteredClients.length} of ${clients.length} Client${clients.length !== 1 ? 's' : ''}`;
+	    clientCountEl.textContent = `${clients.length} of ${listTotal} Client${listTotal !== 1 ? 's' : ''}`;
 	};
 
 
@@ -284,6 +990,7 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         detailsName.textContent = client.name;
+        const activePeriod = getActivePeriod(client);
 
         // ✅ NEW: Handle medical condition display
         const medicalConditionDisplay = client.medicalCondition && client.medicalCondition.hasMedicalCondition
@@ -291,87 +998,2576 @@ document.addEventListener('DOMContentLoaded', () => {
             : 'No';
 
         detailsContent.innerHTML = `
-            <div class="detail-item"><strong>Contact</strong><span>${client.contact}</span></div>
-            <div class="detail-item"><strong>Aadhaar No.</strong><span>${client.aadhaar || 'N/A'}</span></div>
-            <div class="detail-item"><strong>Goal</strong><span>${client.goal}</span></div>
+            <div class="detail-item"><strong>Contact</strong><span>${escapeHtml(client.contact)}</span></div>
+            <div class="detail-item">
+                <strong>Aadhaar No.</strong>
+                <span id="details-aadhaar">${escapeHtml(client.aadhaar || 'N/A')}</span>
+                ${client.aadhaar ? '<button id="reveal-aadhaar-btn" class="void-btn owner-only" title="Reveal full number">Reveal</button>' : ''}
+            </div>
+            <div class="detail-item"><strong>Goal</strong><span>${escapeHtml(client.goal)}</span></div>
             <div class="detail-item"><strong>Height</strong><span>${client.height.ft}'${client.height.in}"</span></div>
             <div class="detail-item"><strong>Weight</strong><span>${client.weight}kg</span></div>
-            <div class="detail-item"><strong>Medical Condition</strong><span>${medicalConditionDisplay}</span></div>
-            <div class="detail-item"><strong>Fee Submitted</strong><span>₹${client.fees.submitted.toFixed(2)}</span></div>
-            <div class="detail-item"><strong>Fee Due</strong><span>₹${client.fees.due.toFixed(2)}</span></div>
-            <div class="detail-item"><strong>Personal Training</strong><span>${client.pt}</span></div>
-            <div class="detail-item"><strong>Membership</strong><span>${client.membership.months} Months</span></div>
-            <div class="detail-item"><strong>Start Date</strong><span>${formatDate(client.membership.feeDate)}</span></div>
-            <div class="detail-item"><strong>End Date</strong><span>${formatDate(client.membership.endDate)}</span></div>
+            <div class="detail-item"><strong>Medical Condition</strong><span>${escapeHtml(medicalConditionDisplay)}</span></div>
+            <div class="detail-item"><strong>Total Fee</strong><span>${formatCurrency(client.fees.total)}</span></div>
+            <div class="detail-item"><strong>Fee Submitted</strong><span>${formatCurrency(client.fees.submitted)}</span></div>
+            <div class="detail-item"><strong>Fee Due</strong><span>${formatCurrency(client.fees.due)}</span></div>
+            ${client.fees.credit ? `<div class="detail-item"><strong>Referral Credit</strong><span>${formatCurrency(client.fees.credit)}</span></div>` : ''}
+            ${client.referredBy && client.referredBy.name ? `<div class="detail-item"><strong>Referred By</strong><span>${escapeHtml(client.referredBy.name)} (${client.referredBy.contact})</span></div>` : ''}
+            <div class="detail-item"><strong>Personal Training</strong><span>${escapeHtml(client.pt)}</span></div>
+            <div class="detail-item"><strong>Plan</strong><span>${client.plan ? `${escapeHtml(client.plan.name)} (${formatCurrency(planPrice(client.plan, client.pt))})` : 'Custom'}</span></div>
+            <div class="detail-item"><strong>Membership</strong><span>${activePeriod.months} Months</span></div>
+            <div class="detail-item"><strong>Start Date</strong><span>${formatDate(activePeriod.start)}</span></div>
+            <div class="detail-item"><strong>End Date</strong><span>${formatDate(activePeriod.end)}</span></div>
         `;
+        detailsClientId = client._id;
+        paymentForm.classList.add('hidden');
+        renewalForm.classList.add('hidden');
+        freezeForm.classList.add('hidden');
+        renderPeriods(client);
+        renderFreezes(client);
+        measurementForm.classList.add('hidden');
+        screeningForm.classList.add('hidden');
+        clearanceForm.classList.add('hidden');
+        memberPlanForm.classList.add('hidden');
+        fetchScreenings(client._id);
+        fetchMemberPlan(client._id);
+        fetchAttendance(client._id);
+        fetchProgress(client._id);
+        if (session.user.role !== 'trainer') {
+            fetchPayments(client._id);
+        }
+        if (isOwner()) {
+            fetchHistory(client._id);
+        }
         detailsModal.classList.remove('hidden');
     };
 
-    // ✅ UPDATED: Form modal now handles medical condition data
-    const openFormModal = (client = null) => {
-        clientForm.reset();
-        clientIdInput.value = '';
-        document.getElementById('pt-none').checked = true;
-        document.getElementById('fees-due').value = 0;
+    // Full Aadhaar is fetched on demand; the server logs every reveal
+    const handleRevealAadhaar = async () => {
+        const confirmed = await window.confirm('Reveal the full Aadhaar number? This access is recorded.', 'Reveal');
+        if (!confirmed) return;
+        try {
+            const response = await apiFetch(clientUrl(detailsClientId, '/aadhaar/reveal'), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({})
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return;
+            }
+            document.getElementById('details-aadhaar').textContent = result.aadhaar.replace(/(\d{4})(?=\d)/g, '$1-');
+            document.getElementById('reveal-aadhaar-btn').remove();
+        } catch (error) {
+            showMessage('Error revealing Aadhaar number. Check console for details.', 'error');
+            console.error('Aadhaar reveal error:', error);
+        }
+    };
 
-        // ✅ NEW: Reset medical condition fields
-        const medicalNo = document.getElementById('medical-no');
-        const medicalDetails = document.getElementById('medical-details');
-        if (medicalNo) medicalNo.checked = true;
-        if (medicalDetails) medicalDetails.value = '';
-        toggleMedicalDetails();
+    // --- MEMBERSHIP PERIODS ---
+    // Newest first, with a note wherever the member let the membership lapse
+    const renderPeriods = (client) => {
+        const periods = getPeriods(client);
+        const activePeriod = getActivePeriod(client);
+        const items = periods.map((period, index) => {
+            const previous = periods[index - 1];
+            const gapDays = previous ? calculateDaysBetween(previous.end, period.start) : 0;
+            const isActive = period.start === activePeriod.start;
+            const amount = period.amount != null ? ` &bull; ${formatCurrency(period.amount)}` : '';
+            const discount = period.discount
+                ? ` &bull; ${escapeHtml(period.discount.code)} (−${formatCurrency(period.discount.amount)})`
+                : '';
+            const bonus = period.bonusDays ? ` &bull; +${period.bonusDays} referral day${period.bonusDays !== 1 ? 's' : ''}` : '';
+            return `
+                ${gapDays > 0 ? `<p class="gap-note">${gapDays} day gap without membership</p>` : ''}
+                <div class="history-item ${isActive ? 'active-period' : ''}">
+                    <div>
+                        <strong>${formatDate(period.start)} – ${formatDate(period.end)}</strong>
+                        <small>${period.kind} &bull; ${period.months} Month${period.months !== 1 ? 's' : ''}${amount}${discount}${bonus}</small>
+                    </div>
+                    ${isActive ? '<span class="renewed-badge">Active</span>' : ''}
+                </div>
+            `;
+        });
+        periodList.innerHTML = items.reverse().join('');
+    };
 
-        formModalTitle.textContent = 'New Client';
-        updateEndDatePreview();
+    // --- FREEZES ---
+    const renderFreezes = (client) => {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const freezes = [...(client.membership.freezes || [])].sort((a, b) => new Date(b.start) - new Date(a.start));
+        freezeList.innerHTML = freezes.map(freeze => {
+            const isOver = new Date(freeze.end) < today;
+            const hasStarted = new Date(freeze.start) <= today;
+            return `
+                <div class="history-item ${isOver ? 'inactive' : 'active-period'}" data-freeze-id="${freeze._id}">
+                    <div>
+                        <strong>Frozen ${formatDate(freeze.start)} – ${formatDate(freeze.end)}</strong>
+                        <small>${freeze.days} day${freeze.days !== 1 ? 's' : ''} &bull; ${escapeHtml(freeze.reason)}</small>
+                    </div>
+                    ${isOver ? '' : `<button class="void-btn end-freeze-btn staff-only">${hasStarted ? 'End Now' : 'Cancel'}</button>`}
+                </div>
+            `;
+        }).join('');
+    };
 
-        if (client) {
-            formModalTitle.textContent = 'Edit Client';
-            clientIdInput.value = client._id;
-            document.getElementById('name').value = client.name;
-            document.getElementById('contact').value = client.contact;
-            document.getElementById('aadhaar').value = client.aadhaar || '';
-            document.getElementById('height-ft').value = client.height.ft;
-            document.getElementById('height-in').value = client.height.in;
-            document.getElementById('weight').value = client.weight;
-            document.getElementById('goal').value = client.goal;
-            document.getElementById('fees-submitted').value = client.fees.submitted;
-            document.getElementById('fees-due').value = client.fees.due;
-            document.querySelector(`input[name="pt"][value="${client.pt}"]`).checked = true;
-            document.getElementById('months').value = client.membership.months;
-            document.getElementById('fee-date').value = new Date(client.membership.feeDate).toISOString().split('T')[0];
+    const openFreezeForm = async () => {
+        freezeForm.reset();
+        const today = new Date().toISOString().split('T')[0];
+        document.getElementById('freeze-start').value = today;
+        document.getElementById('freeze-end').min = today;
+        const allowanceEl = document.getElementById('freeze-allowance');
+        allowanceEl.textContent = '';
+        freezeForm.classList.remove('hidden');
+        try {
+            const response = await apiFetch(clientUrl(detailsClientId, '/freezes'));
+            if (!response.ok) return;
+            const { allowance } = await response.json();
+            allowanceEl.textContent = `${allowance.remainingDays} of ${allowance.maxDays} freeze days left this term`;
+        } catch (error) {
+            console.error('Error fetching freezes:', error);
+        }
+    };
 
-            // ✅ NEW: Populate medical condition data
-            const medicalYes = document.getElementById('medical-yes');
-            const medicalNo = document.getElementById('medical-no');
-            const medicalDetails = document.getElementById('medical-details');
+    const handleFreezeSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            const response = await apiFetch(clientUrl(detailsClientId, '/freezes'), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    start: document.getElementById('freeze-start').value,
+                    end: document.getElementById('freeze-end').value,
+                    reason: document.getElementById('freeze-reason').value
+                })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return;
+            }
+            showMessage(`Membership frozen for ${result.freeze.days} day${result.freeze.days !== 1 ? 's' : ''}.`);
+            applyLedgerChange(result.client);
+        } catch (error) {
+            showMessage('Error freezing membership. Check console for details.', 'error');
+            console.error('Freeze error:', error);
+        }
+    };
 
-            if (client.medicalCondition && client.medicalCondition.hasMedicalCondition) {
-                if (medicalYes) medicalYes.checked = true;
-                if (medicalDetails) medicalDetails.value = client.medicalCondition.conditionDetails || '';
-            } else {
-                if (medicalNo) medicalNo.checked = true;
+    const handleEndFreeze = async (freezeId) => {
+        const confirmed = await window.confirm('End this freeze? Unused days come off the end date.', 'End Freeze');
+        if (!confirmed) return;
+        try {
+            const response = await apiFetch(clientUrl(detailsClientId, `/freezes/${freezeId}/end`), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({})
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return;
             }
-            toggleMedicalDetails();
-            updateEndDatePreview();
+            showMessage('Freeze ended.');
+            applyLedgerChange(result.client);
+        } catch (error) {
+            showMessage('Error ending freeze. Check console for details.', 'error');
+            console.error('Freeze error:', error);
         }
-        formModal.classList.remove('hidden');
     };
 
-    const closeAllModals = () => {
-        formModal.classList.add('hidden');
-        detailsModal.classList.add('hidden');
+    // A renewal before the current end date continues from it, as on the server
+    const getRenewalStart = (client, paidOn) => {
+        const currentEnd = new Date(client.membership.endDate);
+        const paidOnDate = new Date(paidOn);
+        return currentEnd > paidOnDate ? currentEnd : paidOnDate;
     };
 
-    // --- EVENT LISTENERS ---
-    addClientBtn.addEventListener('click', () => openFormModal());
-    clientForm.addEventListener('submit', handleFormSubmit);
-    searchBar.addEventListener('input', renderClients);
+    const updateRenewalPreview = () => {
+        const client = clients.find(c => c._id === detailsClientId);
+        const paidOn = document.getElementById('renewal-date').value;
+        const preview = document.getElementById('renewal-preview');
+        if (!client || !paidOn) {
+            preview.textContent = '--/--/----';
+            return;
+        }
+        const start = getRenewalStart(client, paidOn);
+        const months = parseInt(document.getElementById('renewal-months').value, 10);
+        preview.textContent = `${formatDate(start)} – ${formatDate(calculateEndDate(start, months))}`;
+    };
 
-    // ✅ NEW: Medical condition event listeners
-    const medicalYes = document.getElementById('medical-yes');
-    const medicalNo = document.getElementById('medical-no');
-    if (medicalYes) medicalYes.addEventListener('change', toggleMedicalDetails);
-    if (medicalNo) medicalNo.addEventListener('change', toggleMedicalDetails);
+    // The server charges the current plan price, so the form shows the same
+    const applyRenewalPlan = () => {
+        const client = clients.find(c => c._id === detailsClientId);
+        const plan = plans.find(p => p._id === renewalPlanSelect.value);
+        if (plan && client) {
+            document.getElementById('renewal-months').value = plan.months;
+            document.getElementById('renewal-amount').value = planPrice(plan, client.pt);
+        }
+        updateRenewalPreview();
+    };
+
+    const openRenewalForm = () => {
+        const client = clients.find(c => c._id === detailsClientId);
+        renewalForm.reset();
+        document.getElementById('renewal-date').value = new Date().toISOString().split('T')[0];
+        renderPlanOptions(renewalPlanSelect);
+        if (client) {
+            document.getElementById('renewal-months').value = client.membership.months;
+            // Renew on the same plan by default when it is still offered
+            if (client.plan && plans.some(plan => plan._id === client.plan.planId)) {
+                renewalPlanSelect.value = client.plan.planId;
+                applyRenewalPlan();
+            }
+        }
+        updateRenewalPreview();
+        renewalForm.classList.remove('hidden');
+    };
+
+    const handleRenewalSubmit = async (e) => {
+        e.preventDefault();
+        const paidOn = document.getElementById('renewal-date').value;
+        if (new Date(paidOn) > new Date()) {
+            showMessage('Renewal date cannot be in the future.', 'error');
+            return;
+        }
+        try {
+            const response = await apiFetch(clientUrl(detailsClientId, '/renewals'), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    planId: renewalPlanSelect.value || undefined,
+                    months: parseInt(document.getElementById('renewal-months').value, 10),
+                    amount: parseFloat(document.getElementById('renewal-amount').value),
+                    amountPaid: parseFloat(document.getElementById('renewal-paid').value) || 0,
+                    mode: document.getElementById('renewal-mode').value,
+                    date: paidOn,
+                    couponCode: document.getElementById('renewal-coupon').value.trim() || undefined
+                })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return;
+            }
+            showMessage('Membership renewed successfully!');
+            applyLedgerChange(result.client);
+        } catch (error) {
+            showMessage('Error renewing membership. Check console for details.', 'error');
+            console.error('Renewal error:', error);
+        }
+    };
+
+    // --- PROGRESS ---
+    const MEASUREMENT_FIELDS = [
+        ['weight', 'Weight', 'kg'],
+        ['bodyFat', 'Body Fat', '%'],
+        ['chest', 'Chest', 'cm'],
+        ['waist', 'Waist', 'cm'],
+        ['arm', 'Arm', 'cm'],
+        ['thigh', 'Thigh', 'cm']
+    ];
+
+    const formatChange = (value, unit) => `${value > 0 ? '+' : ''}${value} ${unit}`;
+
+    // Weight over time as a line, once there are two readings to compare
+    const drawWeightChart = (measurements) => {
+        progressChart.innerHTML = '';
+        const points = measurements.filter(m => m.weight != null);
+        if (points.length < 2) return;
+
+        const SVG_NS = 'http://www.w3.org/2000/svg';
+        const width = 560;
+        const height = 160;
+        const padding = { top: 16, right: 16, bottom: 24, left: 16 };
+        const times = points.map(m => new Date(m.date).getTime());
+        const weights = points.map(m => m.weight);
+        const minTime = Math.min(...times);
+        const timeSpan = Math.max(Math.max(...times) - minTime, 1);
+        const minWeight = Math.min(...weights) - 1;
+        const weightSpan = Math.max(...weights) + 1 - minWeight;
+        const x = (time) => padding.left + ((time - minTime) / timeSpan) * (width - padding.left - padding.right);
+        const y = (weight) => padding.top + (1 - (weight - minWeight) / weightSpan) * (height - padding.top - padding.bottom);
+
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('class', 'chart-svg');
+        svg.setAttribute('role', 'img');
+        const line = document.createElementNS(SVG_NS, 'polyline');
+        line.setAttribute('points', points.map((m, i) => `${x(times[i])},${y(m.weight)}`).join(' '));
+        line.setAttribute('class', 'progress-line');
+        svg.appendChild(line);
+        points.forEach((m, i) => {
+            const dot = document.createElementNS(SVG_NS, 'circle');
+            dot.setAttribute('cx', x(times[i]));
+            dot.setAttribute('cy', y(m.weight));
+            dot.setAttribute('r', 4);
+            dot.setAttribute('class', 'progress-dot');
+            const title = document.createElementNS(SVG_NS, 'title');
+            title.textContent = `${formatDate(m.date)}: ${m.weight} kg`;
+            dot.appendChild(title);
+            svg.appendChild(dot);
+        });
+        [points[0], points[points.length - 1]].forEach((m, i) => {
+            const label = document.createElementNS(SVG_NS, 'text');
+            label.setAttribute('x', i === 0 ? padding.left : width - padding.right);
+            label.setAttribute('y', height - 6);
+            label.setAttribute('text-anchor', i === 0 ? 'start' : 'end');
+            label.setAttribute('class', 'chart-label');
+            label.textContent = formatDate(m.date);
+            svg.appendChild(label);
+        });
+        progressChart.appendChild(svg);
+    };
+
+    const renderProgress = ({ measurements, bmi, change, trend }) => {
+        const trendEl = document.getElementById('progress-trend');
+        trendEl.textContent = trend.message;
+        trendEl.className = `progress-trend ${trend.status}`;
+        const stats = [bmi != null ? `BMI ${bmi}` : null]
+            .concat(MEASUREMENT_FIELDS
+                .filter(([field]) => change[field] != null)
+                .map(([field, label, unit]) => `${label} ${formatChange(change[field], unit)}`))
+            .filter(Boolean);
+        document.getElementById('progress-stats').innerHTML = stats.map(stat => `<span class="chip">${stat}</span>`).join('');
+        drawWeightChart(measurements);
+        measurementList.innerHTML = measurements.length === 0
+            ? '<p class="history-empty">No measurements recorded yet.</p>'
+            : [...measurements].reverse().map(m => {
+                const values = MEASUREMENT_FIELDS
+                    .filter(([field]) => m[field] != null)
+                    .map(([field, label, unit]) => `${label} ${m[field]} ${unit}`);
+                const meta = [formatDate(m.date), m.bmi != null && `BMI ${m.bmi}`, m.recordedBy && `by ${m.recordedBy}`, m.notes]
+                    .filter(Boolean)
+                    .map(escapeHtml)
+                    .join(' &bull; ');
+                return `
+                    <div class="history-item">
+                        <div>
+                            <strong>${values.join(' &bull; ')}</strong>
+                            <small>${meta}</small>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+    };
+
+    const fetchProgress = async (clientId) => {
+        measurementList.innerHTML = '<p class="history-empty">Loading measurements...</p>';
+        progressChart.innerHTML = '';
+        try {
+            const response = await apiFetch(clientUrl(clientId, '/measurements'));
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            renderProgress(await response.json());
+        } catch (error) {
+            console.error('Error fetching measurements:', error);
+            measurementList.innerHTML = '<p class="history-empty">Failed to load measurements.</p>';
+        }
+    };
+
+    const openMeasurementForm = () => {
+        measurementForm.reset();
+        document.getElementById('measurement-date').value = new Date().toISOString().split('T')[0];
+        measurementForm.classList.remove('hidden');
+    };
+
+    const handleMeasurementSubmit = async (e) => {
+        e.preventDefault();
+        const value = (id) => {
+            const input = document.getElementById(id).value;
+            return input === '' ? undefined : parseFloat(input);
+        };
+        const body = {
+            date: document.getElementById('measurement-date').value,
+            weight: value('measurement-weight'),
+            bodyFat: value('measurement-body-fat'),
+            chest: value('measurement-chest'),
+            waist: value('measurement-waist'),
+            arm: value('measurement-arm'),
+            thigh: value('measurement-thigh'),
+            notes: document.getElementById('measurement-notes').value
+        };
+        try {
+            const response = await apiFetch(clientUrl(detailsClientId, '/measurements'), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return;
+            }
+            showMessage('Measurement saved!');
+            measurementForm.classList.add('hidden');
+            renderProgress(result);
+            // The profile weight follows the latest reading
+            const client = clients.find(c => c._id === detailsClientId);
+            const latestWeight = result.measurements.filter(m => m.weight != null).pop();
+            if (client && latestWeight) {
+                client.weight = latestWeight.weight;
+                renderClients();
+            }
+        } catch (error) {
+            showMessage('Error saving measurement. Check console for details.', 'error');
+            console.error('Measurement error:', error);
+        }
+    };
+
+    // --- HEALTH SCREENING (PAR-Q) ---
+    // Same keys as PARQ_QUESTIONS in models/Screening.js
+    const SCREENING_QUESTIONS = {
+        heartCondition: 'Has a doctor ever said you have a heart condition and should only do activity they recommend?',
+        chestPainActivity: 'Do you feel pain in your chest when you do physical activity?',
+        chestPainRest: 'In the past month, have you had chest pain when not doing physical activity?',
+        dizziness: 'Do you lose your balance because of dizziness, or do you ever lose consciousness?',
+        boneJoint: 'Do you have a bone or joint problem that could be made worse by exercise?',
+        heartMedication: 'Is a doctor currently prescribing drugs for your blood pressure or heart condition?',
+        otherReason: 'Do you know of any other reason why you should not do physical activity?'
+    };
+    const SCREENING_FLAG_LABELS = {
+        'screening-missing': 'No Screening',
+        'screening-due': 'Screening Due',
+        'needs-clearance': 'Needs Clearance',
+        'clearance-expired': 'Clearance Expired'
+    };
+    const CLEARANCE_LABELS = {
+        'not-required': 'Not required',
+        pending: 'Pending',
+        cleared: 'Cleared',
+        'not-cleared': 'Not cleared'
+    };
+    // The questionnaire and a doctor's clearance are good for a year
+    const SCREENING_VALID_DAYS = 365;
+
+    // Mirrors flagsFor in services/screenings.js so cached clients show them offline
+    const screeningFlags = (client) => {
+        const screening = client.screening;
+        if (!screening || !screening.date) return ['screening-missing'];
+        const cutoff = new Date(Date.now() - SCREENING_VALID_DAYS * 24 * 60 * 60 * 1000);
+        const flags = [];
+        if (new Date(screening.date) < cutoff) flags.push('screening-due');
+        const clearance = screening.clearance || {};
+        const isCleared = clearance.status === 'cleared' && clearance.date && new Date(clearance.date) >= cutoff;
+        if (screening.needsClearance && !isCleared) {
+            flags.push(clearance.status === 'cleared' ? 'clearance-expired' : 'needs-clearance');
+        }
+        return flags;
+    };
+
+    const renderScreeningFlags = (flags) => flags
+        .map(flag => `<span class="screening-flag ${flag}">${SCREENING_FLAG_LABELS[flag]}</span>`)
+        .join('');
+
+    // Fills a PAR-Q container with one checkbox per question, ticked for "yes"
+    const renderParqQuestions = (container, answers = {}) => {
+        container.innerHTML = Object.entries(SCREENING_QUESTIONS).map(([key, question]) => `
+            <label class="parq-question">
+                <input type="checkbox" name="${key}" ${answers[key] ? 'checked' : ''}>
+                <span>${question}</span>
+            </label>
+        `).join('');
+    };
+
+    // Reads the screening fields whose ids start with `prefix`, e.g. 'signup'
+    const readScreening = (prefix) => ({
+        answers: Object.fromEntries(Array.from(document.querySelectorAll(`#${prefix}-parq input[type="checkbox"]`))
+            .map(input => [input.name, input.checked])),
+        conditions: document.getElementById(`${prefix}-conditions`).value,
+        injuries: document.getElementById(`${prefix}-injuries`).value,
+        medications: document.getElementById(`${prefix}-medications`).value,
+        emergencyContact: {
+            name: document.getElementById(`${prefix}-emergency-name`).value,
+            contact: document.getElementById(`${prefix}-emergency-contact`).value
+        }
+    });
+
+    const renderScreenings = ({ screenings, flags }) => {
+        screeningFlagsEl.innerHTML = flags.length > 0
+            ? renderScreeningFlags(flags)
+            : '<span class="screening-flag cleared">Screening up to date</span>';
+        screeningList.innerHTML = screenings.length === 0
+            ? '<p class="history-empty">No health screening recorded yet.</p>'
+            : screenings.map(screening => {
+                const yes = Object.keys(SCREENING_QUESTIONS).filter(key => screening.answers && screening.answers[key]);
+                const clearance = screening.clearance || {};
+                const lines = [
+                    yes.length > 0 ? `PAR-Q "yes": ${yes.map(key => escapeHtml(SCREENING_QUESTIONS[key])).join(' ')}` : 'PAR-Q: all "no"',
+                    screening.conditions.length > 0 ? `Conditions: ${escapeHtml(screening.conditions.join(', '))}` : '',
+                    screening.injuries.length > 0 ? `Injuries: ${escapeHtml(screening.injuries.join(', '))}` : '',
+                    screening.medications.length > 0 ? `Medications: ${escapeHtml(screening.medications.join(', '))}` : '',
+                    `Emergency: ${escapeHtml(screening.emergencyContact.name)} (${escapeHtml(screening.emergencyContact.contact)})`,
+                    `Clearance: ${CLEARANCE_LABELS[clearance.status] || 'Not required'}${clearance.date ? ` on ${formatDate(clearance.date)}` : ''}${clearance.doctor ? ` by ${escapeHtml(clearance.doctor)}` : ''}`
+                ].filter(Boolean);
+                return `
+                    <div class="history-item screening-item">
+                        <div>
+                            <strong>${formatDate(screening.date)}</strong>
+                            ${lines.map(line => `<small>${line}</small>`).join('')}
+                            ${screening.recordedBy ? `<small>Recorded by ${escapeHtml(screening.recordedBy)}</small>` : ''}
+                        </div>
+                    </div>
+                `;
+            }).join('');
+    };
+
+    const fetchScreenings = async (clientId) => {
+        screeningFlagsEl.innerHTML = '';
+        screeningList.innerHTML = '<p class="history-empty">Loading health screening...</p>';
+        try {
+            const response = await apiFetch(clientUrl(clientId, '/screenings'));
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            renderScreenings(await response.json());
+        } catch (error) {
+            console.error('Error fetching screenings:', error);
+            screeningList.innerHTML = '<p class="history-empty">Failed to load health screening.</p>';
+        }
+    };
+
+    // A renewal starts from the last answers so only changes need entering
+    const openScreeningForm = () => {
+        const client = clients.find(c => c._id === detailsClientId);
+        const latest = (client && client.screening) || {};
+        screeningForm.reset();
+        renderParqQuestions(document.getElementById('screening-parq'), latest.answers);
+        document.getElementById('screening-conditions').value = (latest.conditions || []).join(', ');
+        document.getElementById('screening-injuries').value = (latest.injuries || []).join(', ');
+        document.getElementById('screening-medications').value = (latest.medications || []).join(', ');
+        document.getElementById('screening-emergency-name').value = latest.emergencyContact ? latest.emergencyContact.name : '';
+        document.getElementById('screening-emergency-contact').value = latest.emergencyContact ? latest.emergencyContact.contact : '';
+        document.getElementById('screening-date').value = new Date().toISOString().split('T')[0];
+        clearanceForm.classList.add('hidden');
+        screeningForm.classList.remove('hidden');
+    };
+
+    const openClearanceForm = () => {
+        const client = clients.find(c => c._id === detailsClientId);
+        const clearance = (client && client.screening && client.screening.clearance) || {};
+        clearanceForm.reset();
+        document.getElementById('clearance-status').value = clearance.status || 'pending';
+        document.getElementById('clearance-date').value = clearance.date ? new Date(clearance.date).toISOString().split('T')[0] : '';
+        document.getElementById('clearance-doctor').value = clearance.doctor || '';
+        document.getElementById('clearance-notes').value = clearance.notes || '';
+        screeningForm.classList.add('hidden');
+        clearanceForm.classList.remove('hidden');
+    };
+
+    // Both forms answer with the updated client; its card shows the new flags
+    const saveScreening = async (path, method, body, successMessage, form) => {
+        try {
+            const response = await apiFetch(clientUrl(detailsClientId, path), {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return;
+            }
+            showMessage(successMessage);
+            form.classList.add('hidden');
+            const index = clients.findIndex(c => c._id === detailsClientId);
+            if (index !== -1) {
+                clients[index] = { ...clients[index], screening: result.client.screening, medicalCondition: result.client.medicalCondition };
+                renderClients();
+            }
+            fetchScreenings(detailsClientId);
+        } catch (error) {
+            showMessage('Error saving health screening. Check console for details.', 'error');
+            console.error('Screening error:', error);
+        }
+    };
+
+    const handleScreeningSubmit = (e) => {
+        e.preventDefault();
+        saveScreening('/screenings', 'POST', {
+            ...readScreening('screening'),
+            date: document.getElementById('screening-date').value
+        }, 'Health screening saved!', screeningForm);
+    };
+
+    const handleClearanceSubmit = (e) => {
+        e.preventDefault();
+        saveScreening('/screenings/clearance', 'PUT', {
+            status: document.getElementById('clearance-status').value,
+            date: document.getElementById('clearance-date').value || undefined,
+            doctor: document.getElementById('clearance-doctor').value,
+            notes: document.getElementById('clearance-notes').value
+        }, 'Clearance saved!', clearanceForm);
+    };
+
+    // --- WORKOUT & DIET PLANS ---
+    // Loads the exercise library and both kinds of template, retired ones included
+    const fetchProgramLibrary = async () => {
+        const [exerciseResponse, workoutResponse, dietResponse] = await Promise.all([
+            apiFetch(`${PROGRAMS_URL}/exercises`),
+            apiFetch(`${PROGRAMS_URL}/workouts`),
+            apiFetch(`${PROGRAMS_URL}/diets`)
+        ]);
+        if (!exerciseResponse.ok || !workoutResponse.ok || !dietResponse.ok) {
+            throw new Error('Network response was not ok');
+        }
+        exerciseLibrary = await exerciseResponse.json();
+        workoutTemplates = await workoutResponse.json();
+        dietTemplates = await dietResponse.json();
+    };
+
+    // 90 -> "1 min 30s", as on the printed plan
+    const formatRest = (seconds) => {
+        if (!seconds) return '-';
+        const minutes = Math.floor(seconds / 60);
+        const rest = seconds % 60;
+        if (!minutes) return `${rest}s`;
+        return `${minutes} min${rest ? ` ${rest}s` : ''}`;
+    };
+
+    // Library exercises grouped by muscle. An exercise that is retired or was
+    // typed in by hand keeps its own option so the row still shows it.
+    const exerciseOptions = (item) => {
+        const active = exerciseLibrary.filter(exercise => exercise.active);
+        const known = item.exercise && active.some(exercise => exercise._id === item.exercise);
+        const own = item.name && !known
+            ? `<option value="${escapeHtml(item.exercise || '')}" data-name="${escapeHtml(item.name)}" selected>${escapeHtml(item.name)}</option>`
+            : '';
+        const groups = [...new Set(active.map(exercise => exercise.muscleGroup))];
+        return `<option value="" disabled ${item.name ? '' : 'selected'}>Select Exercise</option>${own}` + groups.map(group => `
+            <optgroup label="${escapeHtml(group)}">
+                ${active.filter(exercise => exercise.muscleGroup === group).map(exercise => `
+                    <option value="${exercise._id}" ${known && item.exercise === exercise._id ? 'selected' : ''}>${escapeHtml(exercise.name)}</option>
+                `).join('')}
+            </optgroup>
+        `).join('');
+    };
+
+    const exerciseRowHtml = (item = {}) => `
+        <div class="exercise-row">
+            <select class="exercise-pick" required>${exerciseOptions(item)}</select>
+            <input type="number" class="exercise-sets" placeholder="Sets" min="1" max="20" value="${item.sets || ''}" required>
+            <input type="text" class="exercise-reps" placeholder="Reps" pattern="\\d{1,3}(-\\d{1,3}|s)?" title="A number, a range like 8-12 or a time like 30s" value="${escapeHtml(item.reps || '')}" required>
+            <input type="number" class="exercise-rest" placeholder="Rest (s)" min="0" max="600" value="${item.restSeconds != null ? item.restSeconds : ''}">
+            <input type="text" class="exercise-notes" placeholder="Notes" value="${escapeHtml(item.notes || '')}">
+            <button type="button" class="void-btn remove-exercise-btn" title="Remove Exercise">&times;</button>
+        </div>
+    `;
+
+    const dayHtml = (day = { name: '', exercises: [{}] }) => `
+        <div class="plan-day">
+            <div class="form-group-inline">
+                <input type="text" class="day-name" placeholder="Day name, e.g. Push" value="${escapeHtml(day.name)}" required>
+                <button type="button" class="void-btn remove-day-btn">Remove Day</button>
+            </div>
+            <div class="day-exercises">${day.exercises.map(item => exerciseRowHtml(item)).join('')}</div>
+            <button type="button" class="void-btn add-exercise-btn">Add Exercise</button>
+        </div>
+    `;
+
+    const mealHtml = (meal = { name: '', items: [] }) => `
+        <div class="plan-meal">
+            <div class="form-group-inline">
+                <input type="text" class="meal-name" placeholder="Meal, e.g. Breakfast" value="${escapeHtml(meal.name)}" required>
+                <input type="time" class="meal-time" value="${escapeHtml(meal.time || '')}">
+            </div>
+            <input type="text" class="meal-items" placeholder="What to eat, comma separated" value="${escapeHtml(meal.items.join(', '))}" required>
+            <div class="form-group-inline">
+                <input type="text" class="meal-notes" placeholder="Notes (optional)" value="${escapeHtml(meal.notes || '')}">
+                <button type="button" class="void-btn remove-meal-btn">Remove Meal</button>
+            </div>
+        </div>
+    `;
+
+    const renderDays = (container, days = []) => {
+        container.innerHTML = days.map(day => dayHtml(day)).join('');
+    };
+
+    const renderMeals = (container, meals = []) => {
+        container.innerHTML = meals.map(meal => mealHtml(meal)).join('');
+    };
+
+    const readDays = (container) => Array.from(container.querySelectorAll('.plan-day')).map(day => ({
+        name: day.querySelector('.day-name').value,
+        exercises: Array.from(day.querySelectorAll('.exercise-row')).map(row => {
+            const option = row.querySelector('.exercise-pick').selectedOptions[0];
+            const rest = row.querySelector('.exercise-rest').value;
+            return {
+                exercise: (option && option.value) || null,
+                name: option && (option.value || option.dataset.name) ? (option.dataset.name || option.textContent.trim()) : '',
+                sets: parseInt(row.querySelector('.exercise-sets').value, 10),
+                reps: row.querySelector('.exercise-reps').value,
+                restSeconds: rest === '' ? undefined : parseInt(rest, 10),
+                notes: row.querySelector('.exercise-notes').value
+            };
+        })
+    }));
+
+    const readMeals = (container) => Array.from(container.querySelectorAll('.plan-meal')).map(meal => ({
+        name: meal.querySelector('.meal-name').value,
+        time: meal.querySelector('.meal-time').value,
+        items: meal.querySelector('.meal-items').value,
+        notes: meal.querySelector('.meal-notes').value
+    }));
+
+    // Add and remove buttons of every day and meal editor
+    const handlePlanEditorClick = (e) => {
+        const addDayBtn = e.target.closest('.add-day-btn');
+        const addMealBtn = e.target.closest('.add-meal-btn');
+        if (addDayBtn) {
+            document.getElementById(addDayBtn.dataset.editor).insertAdjacentHTML('beforeend', dayHtml());
+        } else if (addMealBtn) {
+            document.getElementById(addMealBtn.dataset.editor).insertAdjacentHTML('beforeend', mealHtml());
+        } else if (e.target.closest('.add-exercise-btn')) {
+            e.target.closest('.plan-day').querySelector('.day-exercises').insertAdjacentHTML('beforeend', exerciseRowHtml());
+        } else if (e.target.closest('.remove-exercise-btn')) {
+            e.target.closest('.exercise-row').remove();
+        } else if (e.target.closest('.remove-day-btn')) {
+            e.target.closest('.plan-day').remove();
+        } else if (e.target.closest('.remove-meal-btn')) {
+            e.target.closest('.plan-meal').remove();
+        }
+    };
+
+    const renderMemberPlan = () => {
+        const { goal, current, versions, suggestion } = memberPlan;
+        printPlanBtn.classList.toggle('hidden', !current);
+        sharePlanBtn.classList.toggle('hidden', !current);
+        const suggested = [suggestion.workout, suggestion.diet].filter(Boolean).map(template => template.name);
+        planSuggestion.textContent = !current && suggested.length > 0
+            ? `Suggested for ${goal}: ${suggested.join(' and ')}.`
+            : '';
+        if (!current) {
+            planCurrent.innerHTML = '<p class="history-empty">No plan assigned yet.</p>';
+            planVersionList.innerHTML = '';
+            return;
+        }
+        const { workout, diet } = current;
+        planCurrent.innerHTML = `
+            ${workout ? `
+                <h4>${escapeHtml(workout.name)}</h4>
+                ${workout.days.map(day => `
+                    <div class="plan-summary-row">
+                        <strong>${escapeHtml(day.name)}</strong>
+                        <small>${day.exercises.map(item => `${escapeHtml(item.name)} ${item.sets}&times;${escapeHtml(item.reps)} (rest ${formatRest(item.restSeconds)})`).join(', ')}</small>
+                    </div>
+                `).join('')}
+            ` : ''}
+            ${diet ? `
+                <h4>${escapeHtml(diet.name)}${diet.calories ? ` &bull; ${diet.calories} kcal` : ''}</h4>
+                ${diet.meals.map(meal => `
+                    <div class="plan-summary-row">
+                        <strong>${meal.time ? `${escapeHtml(meal.time)} ` : ''}${escapeHtml(meal.name)}</strong>
+                        <small>${escapeHtml(meal.items.join(', '))}</small>
+                    </div>
+                `).join('')}
+            ` : ''}
+            ${current.notes ? `<p class="template-help">${escapeHtml(current.notes)}</p>` : ''}
+        `;
+        planVersionList.innerHTML = versions.map(version => `
+            <div class="history-item" data-version="${version.version}">
+                <div>
+                    <strong>Version ${version.version}${version.version === current.version ? ' (current)' : ''}</strong>
+                    <small>${formatDate(version.createdAt)}${version.assignedBy ? ` &bull; ${escapeHtml(version.assignedBy)}` : ''} &bull; ${escapeHtml([version.workout, version.diet].filter(Boolean).join(' + '))}</small>
+                </div>
+                <div class="history-actions">
+                    <button class="void-btn print-version-btn" title="Print this version">Print</button>
+                </div>
+            </div>
+        `).join('');
+    };
+
+    const fetchMemberPlan = async (clientId) => {
+        memberPlan = null;
+        printPlanBtn.classList.add('hidden');
+        sharePlanBtn.classList.add('hidden');
+        planSuggestion.textContent = '';
+        planVersionList.innerHTML = '';
+        planCurrent.innerHTML = '<p class="history-empty">Loading plan...</p>';
+        try {
+            const response = await apiFetch(clientUrl(clientId, '/plan'));
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            memberPlan = await response.json();
+            renderMemberPlan();
+        } catch (error) {
+            console.error('Error fetching plan:', error);
+            planCurrent.innerHTML = '<p class="history-empty">Failed to load plan.</p>';
+        }
+    };
+
+    // Active templates, plus the one the member is on even if it was retired since
+    const templateOptions = (templates, selectedId, suggestedId) => '<option value="">No template</option>' + templates
+        .filter(template => template.active || template._id === selectedId)
+        .map(template => `
+            <option value="${template._id}" ${template._id === selectedId ? 'selected' : ''}>${escapeHtml(template.name)}${template._id === suggestedId ? ' (suggested)' : ''}</option>
+        `).join('');
+
+    const fillMemberWorkout = (workout) => {
+        document.getElementById('member-workout-name').value = workout ? workout.name : '';
+        renderDays(memberWorkoutDays, workout ? workout.days : []);
+    };
+
+    const fillMemberDiet = (diet) => {
+        document.getElementById('member-diet-name').value = diet ? diet.name : '';
+        document.getElementById('member-diet-calories').value = diet && diet.calories != null ? diet.calories : '';
+        document.getElementById('member-diet-notes').value = diet ? diet.notes : '';
+        renderMeals(memberDietMeals, diet ? diet.meals : []);
+    };
+
+    // Starts from the current plan to customise it, or from the templates
+    // suggested for the member's goal when they have none yet
+    const openMemberPlanForm = async () => {
+        if (!memberPlan) return;
+        try {
+            await fetchProgramLibrary();
+        } catch (error) {
+            showMessage('Error loading templates. Check console for details.', 'error');
+            console.error('Template error:', error);
+            return;
+        }
+        const { current, suggestion } = memberPlan;
+        const workout = current ? current.workout : suggestion.workout;
+        const diet = current ? current.diet : suggestion.diet;
+        const templateOf = (part) => (part ? part.template || (current ? '' : part._id) : '');
+        memberPlanForm.reset();
+        memberWorkoutSelect.innerHTML = templateOptions(workoutTemplates, templateOf(workout), suggestion.workout && suggestion.workout._id);
+        memberDietSelect.innerHTML = templateOptions(dietTemplates, templateOf(diet), suggestion.diet && suggestion.diet._id);
+        fillMemberWorkout(workout);
+        fillMemberDiet(diet);
+        document.getElementById('member-plan-notes').value = current ? current.notes : '';
+        memberPlanForm.classList.remove('hidden');
+    };
+
+    const handleMemberPlanSubmit = async (e) => {
+        e.preventDefault();
+        const days = readDays(memberWorkoutDays);
+        const meals = readMeals(memberDietMeals);
+        const calories = document.getElementById('member-diet-calories').value;
+        try {
+            const response = await apiFetch(clientUrl(detailsClientId, '/plan'), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    workoutTemplate: memberWorkoutSelect.value || undefined,
+                    workout: days.length > 0 ? { name: document.getElementById('member-workout-name').value, days } : null,
+                    dietTemplate: memberDietSelect.value || undefined,
+                    diet: meals.length > 0 ? {
+                        name: document.getElementById('member-diet-name').value,
+                        calories: calories === '' ? null : Number(calories),
+                        meals,
+                        notes: document.getElementById('member-diet-notes').value
+                    } : null,
+                    notes: document.getElementById('member-plan-notes').value
+                })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return;
+            }
+            showMessage(`Plan saved as version ${result.version}!`);
+            memberPlanForm.classList.add('hidden');
+            fetchMemberPlan(detailsClientId);
+        } catch (error) {
+            showMessage('Error saving plan. Check console for details.', 'error');
+            console.error('Plan error:', error);
+        }
+    };
+
+    // Printed like receipts: the window opens before the request so popup blockers allow it
+    const openPlanPrint = async (version) => {
+        const planWindow = window.open('', '_blank');
+        try {
+            const response = await apiFetch(clientUrl(detailsClientId, `/plan/print${version ? `?version=${version}` : ''}`));
+            if (!response.ok) {
+                const error = await response.json();
+                planWindow.close();
+                showMessage(`Error: ${error.message}`, 'error');
+                return;
+            }
+            planWindow.document.write(await response.text());
+            planWindow.document.close();
+            planWindow.focus();
+            planWindow.print();
+        } catch (error) {
+            planWindow.close();
+            showMessage('Error loading the plan. Check console for details.', 'error');
+            console.error('Plan print error:', error);
+        }
+    };
+
+    // Sends the current plan to the member as a WhatsApp message
+    const sharePlan = async () => {
+        const client = clients.find(c => c._id === detailsClientId);
+        if (!client) return;
+        try {
+            const response = await apiFetch(clientUrl(detailsClientId, '/plan/print?format=text'));
+            if (!response.ok) {
+                const error = await response.json();
+                showMessage(`Error: ${error.message}`, 'error');
+                return;
+            }
+            sendWhatsApp(client.contact, await response.text());
+        } catch (error) {
+            showMessage('Error sharing the plan. Check console for details.', 'error');
+            console.error('Plan share error:', error);
+        }
+    };
+
+    // --- HISTORY (owner only) ---
+    const AUDIT_ACTION_LABELS = {
+        'client.create': 'Client added',
+        'client.update': 'Client edited',
+        'client.delete': 'Moved to trash',
+        'client.restore': 'Restored from trash',
+        'client.purge': 'Deleted permanently',
+        'client.import': 'Roster imported',
+        'payment.record': 'Payment recorded',
+        'payment.void': 'Payment voided',
+        'membership.renew': 'Membership renewed',
+        'membership.freeze': 'Membership frozen',
+        'membership.unfreeze': 'Freeze ended',
+        'measurement.record': 'Measurement recorded',
+        'screening.record': 'Health screening recorded',
+        'screening.clearance': 'Clearance updated',
+        'screening.emergencyContact': 'Emergency contact changed',
+        'portal.login': 'Logged in to the member portal',
+        'referral.reward': 'Referral reward given',
+        'plan.assign': 'Workout & diet plan assigned',
+        'aadhaar.reveal': 'Aadhaar revealed'
+    };
+
+    const AUDIT_FIELD_LABELS = {
+        'fees.total': 'Fee total',
+        'fees.submitted': 'Fees paid',
+        'fees.due': 'Fees due',
+        'fees.credit': 'Referral credit',
+        'referredBy': 'Referred by',
+        'lead': 'Enquiry',
+        'membership.months': 'Months',
+        'membership.feeDate': 'Fee date',
+        'membership.endDate': 'End date',
+        'medicalCondition.hasMedicalCondition': 'Medical condition',
+        'medicalCondition.conditionDetails': 'Medical details',
+        'screening.date': 'Screening date',
+        'screening.needsClearance': 'Needs clearance',
+        'screening.clearance.status': 'Clearance',
+        'screening.clearance.date': 'Clearance date',
+        'screening.clearance.doctor': 'Doctor',
+        'screening.emergencyContact.name': 'Emergency contact',
+        'screening.emergencyContact.contact': 'Emergency number',
+        'aadhaarLast4': 'Aadhaar (last 4)',
+        'pt': 'PT',
+        'height.ft': 'Height (ft)',
+        'height.in': 'Height (in)'
+    };
+
+    const formatAuditValue = (value) => {
+        if (value === null || value === '') return '–';
+        if (Array.isArray(value)) return value.join(', ') || '–';
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) return formatDate(value);
+        return String(value);
+    };
+
+    const renderHistoryEntry = (entry) => {
+        const changes = (entry.changes || []).map(change => `
+            <li>${escapeHtml(AUDIT_FIELD_LABELS[change.field] || change.field)}:
+                ${escapeHtml(formatAuditValue(change.before))} → ${escapeHtml(formatAuditValue(change.after))}</li>
+        `).join('');
+        return `
+            <div class="history-item audit-entry">
+                <div>
+                    <strong>${escapeHtml(AUDIT_ACTION_LABELS[entry.action] || entry.action)}</strong>
+                    <small>${new Date(entry.at).toLocaleString('en-GB')} &bull; ${escapeHtml(entry.actor.name || 'Unknown')}</small>
+                    ${changes ? `<ul class="audit-changes">${changes}</ul>` : ''}
+                </div>
+            </div>
+        `;
+    };
+
+    const fetchHistory = async (clientId, { more = false } = {}) => {
+        historyPage = more ? historyPage + 1 : 1;
+        if (!more) historyList.innerHTML = '<p class="history-empty">Loading history...</p>';
+        try {
+            const response = await apiFetch(`${AUDIT_URL}?clientId=${clientId}&page=${historyPage}&limit=20`);
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            const { entries, hasMore } = await response.json();
+            const html = entries.map(renderHistoryEntry).join('');
+            if (more) {
+                historyList.insertAdjacentHTML('beforeend', html);
+            } else {
+                historyList.innerHTML = html || '<p class="history-empty">No changes recorded yet.</p>';
+            }
+            historyMoreBtn.classList.toggle('hidden', !hasMore);
+        } catch (error) {
+            console.error('Error fetching history:', error);
+            historyList.innerHTML = '<p class="history-empty">Failed to load history.</p>';
+        }
+    };
+
+    // --- ATTENDANCE ---
+    const formatTime = (date) => new Date(date).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+
+    const fetchAttendance = async (clientId) => {
+        visitCountsEl.textContent = '';
+        attendanceList.innerHTML = '<p class="history-empty">Loading visits...</p>';
+        try {
+            const response = await apiFetch(`${ATTENDANCE_URL}?clientId=${clientId}&limit=10`);
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            const { visits, totalVisits, last30Days } = await response.json();
+            visitCountsEl.textContent = `${last30Days} in 30 days • ${totalVisits} total`;
+            attendanceList.innerHTML = visits.length === 0
+                ? '<p class="history-empty">No visits recorded yet.</p>'
+                : visits.map(visit => `
+                    <div class="history-item">
+                        <div>
+                            <strong>${formatDate(visit.checkInAt)}</strong>
+                            <small>In ${formatTime(visit.checkInAt)}${visit.checkOutAt ? ` &bull; Out ${formatTime(visit.checkOutAt)}` : ' &bull; Still in'}</small>
+                        </div>
+                    </div>
+                `).join('');
+        } catch (error) {
+            console.error('Error fetching attendance:', error);
+            attendanceList.innerHTML = '<p class="history-empty">Failed to load visits.</p>';
+        }
+    };
+
+    // --- PAYMENT LEDGER ---
+    const fetchPayments = async (clientId) => {
+        paymentList.innerHTML = '<p class="history-empty">Loading payments...</p>';
+        try {
+            const response = await apiFetch(clientUrl(clientId, '/payments'));
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            const { payments } = await response.json();
+            renderPayments(payments);
+        } catch (error) {
+            console.error('Error fetching payments:', error);
+            paymentList.innerHTML = '<p class="history-empty">Failed to load payments.</p>';
+        }
+    };
+
+    const renderPayments = (payments) => {
+        if (payments.length === 0) {
+            paymentList.innerHTML = '<p class="history-empty">No payments recorded yet.</p>';
+            return;
+        }
+        paymentList.innerHTML = payments.map(payment => {
+            const isVoided = payment.voided && payment.voided.isVoided;
+            const meta = [formatDate(payment.date), payment.mode, payment.recordedBy && `by ${payment.recordedBy}`]
+                .filter(Boolean)
+                .map(escapeHtml)
+                .join(' &bull; ');
+            return `
+                <div class="history-item ${isVoided ? 'voided' : ''}" data-payment-id="${payment._id}">
+                    <div>
+                        <strong>${formatCurrency(payment.amount)}</strong>
+                        <small>${meta}</small>
+                        ${payment.notes ? `<small><br>${escapeHtml(payment.notes)}</small>` : ''}
+                    </div>
+                    <div class="history-actions">
+                        <button class="void-btn receipt-btn" title="Print Receipt">Receipt</button>
+                        ${isVoided
+                            ? '<span class="voided-tag">Voided</span>'
+                            : '<button class="void-btn owner-only" title="Void Payment">Void</button>'}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    };
+
+    const openPaymentForm = () => {
+        paymentForm.reset();
+        document.getElementById('payment-date').value = new Date().toISOString().split('T')[0];
+        const client = clients.find(c => c._id === detailsClientId);
+        if (client && client.fees.due > 0) {
+            document.getElementById('payment-amount').value = client.fees.due;
+        }
+        paymentForm.classList.remove('hidden');
+    };
+
+    // Refreshes the list and the open details modal after the ledger or membership changed
+    const applyLedgerChange = (updatedClient) => {
+        replaceClient(updatedClient);
+        renderClients();
+        openDetailsModal(updatedClient._id);
+    };
+
+    const handlePaymentSubmit = async (e) => {
+        e.preventDefault();
+        const paymentDate = document.getElementById('payment-date').value;
+        if (new Date(paymentDate) > new Date()) {
+            showMessage('Payment date cannot be in the future.', 'error');
+            return;
+        }
+        try {
+            const client = clients.find(c => c._id === detailsClientId);
+            const amount = parseFloat(document.getElementById('payment-amount').value);
+            const response = await sendOrQueue(clientUrl(detailsClientId, '/payments'), {
+                method: 'POST',
+                body: {
+                    amount,
+                    mode: document.getElementById('payment-form-mode').value,
+                    date: paymentDate,
+                    recordedBy: document.getElementById('payment-recorded-by').value,
+                    notes: document.getElementById('payment-notes').value
+                },
+                label: `Payment of ${formatCurrency(amount)} from ${client ? client.name : 'a client'}`
+            });
+            if (!response) {
+                paymentForm.classList.add('hidden');
+                return;
+            }
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return;
+            }
+            applyLedgerChange(result.client);
+            const printReceipt = await window.confirm(`Payment recorded. Receipt No. ${String(result.payment.receipt.number).padStart(6, '0')} is ready.`, 'Receipt');
+            if (printReceipt) openReceipt(result.payment._id);
+        } catch (error) {
+            showMessage('Error recording payment. Check console for details.', 'error');
+            console.error('Payment error:', error);
+        }
+    };
+
+    // Receipts come from the server as a print-ready page. The window is
+    // opened before the request so popup blockers allow it.
+    const openReceipt = async (paymentId) => {
+        const receiptWindow = window.open('', '_blank');
+        try {
+            const response = await apiFetch(clientUrl(detailsClientId, `/payments/${paymentId}/receipt`));
+            if (!response.ok) {
+                const error = await response.json();
+                receiptWindow.close();
+                showMessage(`Error: ${error.message}`, 'error');
+                return;
+            }
+            receiptWindow.document.write(await response.text());
+            receiptWindow.document.close();
+            receiptWindow.focus();
+            receiptWindow.print();
+        } catch (error) {
+            receiptWindow.close();
+            showMessage('Error loading the receipt. Check console for details.', 'error');
+            console.error('Receipt error:', error);
+        }
+    };
+
+    const handleVoidPayment = async (paymentId) => {
+        const confirmed = await window.confirm('Void this payment? It stays in the history but no longer counts towards fees.', 'Void');
+        if (!confirmed) return;
+        try {
+            const response = await apiFetch(clientUrl(detailsClientId, `/payments/${paymentId}/void`), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({})
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error voiding payment: ${result.message}`, 'error');
+                return;
+            }
+            showMessage('Payment voided.');
+            applyLedgerChange(result.client);
+        } catch (error) {
+            showMessage('Error voiding payment. Check console for details.', 'error');
+            console.error('Void error:', error);
+        }
+    };
+
+    // ✅ UPDATED: Form modal now handles medical condition data
+    const openFormModal = (client = null) => {
+        clientForm.reset();
+        clientIdInput.value = '';
+        document.getElementById('lead-id').value = '';
+        signupCoupon = null;
+        document.getElementById('pt-none').checked = true;
+        feesSubmittedInput.value = 0;
+        renderPlanOptions(planSelect, client && client.plan);
+        planSelect.value = '';
+        aadhaarInput.required = true;
+        aadhaarInput.placeholder = '12-Digit Aadhaar Number';
+        // The signup payment is only taken for new clients; later ones go through the ledger
+        document.getElementById('initial-payment-row').classList.remove('hidden');
+        // Only the owner can change what an existing client owes
+        feesTotalInput.disabled = false;
+        renderTrainerOptions(client && client.trainer);
+        trainerSelect.value = '';
+        // New members join the branch on screen; edits keep the member's own
+        clientBranchSelect.value = client ? branchIdOf(client) : selectedBranch;
+
+        // ✅ NEW: Reset medical condition fields
+        const medicalNo = document.getElementById('medical-no');
+        const medicalDetails = document.getElementById('medical-details');
+        if (medicalNo) medicalNo.checked = true;
+        if (medicalDetails) medicalDetails.value = '';
+        toggleMedicalDetails();
+        // The PAR-Q replaces the medical question at signup; later screenings
+        // are recorded from the client details. A disabled fieldset skips validation.
+        renderParqQuestions(document.getElementById('signup-parq'));
+        signupScreening.disabled = Boolean(client);
+        signupScreening.classList.toggle('hidden', Boolean(client));
+        document.getElementById('signup-offers').classList.toggle('hidden', Boolean(client));
+        // Once screened, the medical summary comes from the latest screening
+        document.getElementById('medical-condition-row').classList.toggle('hidden', !client || Boolean(client.screening));
+
+        formModalTitle.textContent = 'New Client';
+        updateEndDatePreview();
+
+        if (client) {
+            formModalTitle.textContent = 'Edit Client';
+            clientIdInput.value = client._id;
+            document.getElementById('name').value = client.name;
+            document.getElementById('contact').value = client.contact;
+            // Only the masked number comes back from the API; blank keeps the stored one
+            aadhaarInput.value = '';
+            aadhaarInput.required = false;
+            aadhaarInput.placeholder = `Aadhaar ${client.aadhaar || ''} (leave blank to keep)`;
+            document.getElementById('height-ft').value = client.height.ft;
+            document.getElementById('height-in').value = client.height.in;
+            document.getElementById('weight').value = client.weight;
+            document.getElementById('goal').value = client.goal;
+            feesTotalInput.value = client.fees.total != null
+                ? client.fees.total
+                : client.fees.submitted + client.fees.due;
+            feesSubmittedInput.value = client.fees.submitted;
+            document.getElementById('initial-payment-row').classList.add('hidden');
+            feesTotalInput.disabled = !isOwner();
+            document.querySelector(`input[name="pt"][value="${client.pt}"]`).checked = true;
+            trainerSelect.value = trainerIdOf(client);
+            planSelect.value = client.plan ? client.plan.planId : '';
+            document.getElementById('months').value = client.membership.months;
+            document.getElementById('fee-date').value = new Date(client.membership.feeDate).toISOString().split('T')[0];
+
+            // ✅ NEW: Populate medical condition data
+            const medicalYes = document.getElementById('medical-yes');
+            const medicalNo = document.getElementById('medical-no');
+            const medicalDetails = document.getElementById('medical-details');
+
+            if (client.medicalCondition && client.medicalCondition.hasMedicalCondition) {
+                if (medicalYes) medicalYes.checked = true;
+                if (medicalDetails) medicalDetails.value = client.medicalCondition.conditionDetails || '';
+            } else {
+                if (medicalNo) medicalNo.checked = true;
+            }
+            toggleMedicalDetails();
+            if (client.screening) {
+                document.getElementById('medical-details-row').style.display = 'none';
+                if (medicalDetails) medicalDetails.required = false;
+            }
+            updateEndDatePreview();
+        }
+        document.getElementById('months-row').classList.toggle('hidden', Boolean(planSelect.value));
+        document.getElementById('plan-services').classList.add('hidden');
+        updateFeeDuePreview();
+        toggleTrainerSelect();
+        formModal.classList.remove('hidden');
+    };
+
+    // The Enquiries page converts a lead by opening index.html?convertLead=<id>:
+    // the new-client form starts from the lead, and saving it links the two
+    const openLeadConversion = async () => {
+        const params = new URLSearchParams(window.location.search);
+        const leadId = params.get('convertLead');
+        if (!leadId) return;
+        params.delete('convertLead');
+        window.history.replaceState(null, '', `${window.location.pathname}${params.toString() ? `?${params}` : ''}`);
+        try {
+            const response = await apiFetch(`${LEADS_URL}/${leadId}`);
+            const lead = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${lead.message}`, 'error');
+                return;
+            }
+            if (lead.status === 'converted') {
+                showMessage(`${lead.name} has already joined.`, 'error');
+                return;
+            }
+            openFormModal();
+            formModalTitle.textContent = 'New Client from Enquiry';
+            document.getElementById('lead-id').value = lead._id;
+            document.getElementById('name').value = lead.name;
+            document.getElementById('contact').value = lead.contact;
+            if (lead.branch) clientBranchSelect.value = lead.branch;
+        } catch (error) {
+            showMessage('Error opening the enquiry. Check console for details.', 'error');
+            console.error('Lead error:', error);
+        }
+    };
+
+    // --- STAFF ACCOUNTS (owner only) ---
+    const fetchStaff = async () => {
+        staffList.innerHTML = '<p class="history-empty">Loading staff...</p>';
+        try {
+            const response = await apiFetch(USERS_URL);
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            const users = await response.json();
+            staffList.innerHTML = users.map(user => `
+                <div class="history-item ${user.active ? '' : 'inactive'}" data-user-id="${user._id}">
+                    <div>
+                        <strong>${escapeHtml(user.name)}</strong>
+                        <small>@${escapeHtml(user.username)} &bull; <span class="staff-role">${user.role}</span>${user.branch ? ` &bull; ${escapeHtml(user.branch.name)}` : ''}</small>
+                    </div>
+                    <button class="void-btn toggle-active-btn" data-active="${user.active}">
+                        ${user.active ? 'Deactivate' : 'Activate'}
+                    </button>
+                </div>
+            `).join('');
+        } catch (error) {
+            console.error('Error fetching staff:', error);
+            staffList.innerHTML = '<p class="history-empty">Failed to load staff.</p>';
+        }
+    };
+
+    const openStaffModal = () => {
+        staffForm.reset();
+        staffBranchSelect.value = selectedBranch;
+        fetchStaff();
+        staffModal.classList.remove('hidden');
+    };
+
+    const handleStaffSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            const response = await apiFetch(USERS_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    name: document.getElementById('staff-name').value,
+                    username: document.getElementById('staff-username').value,
+                    role: document.getElementById('staff-role').value,
+                    password: document.getElementById('staff-password').value,
+                    branch: staffBranchSelect.value || null
+                })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return;
+            }
+            showMessage('Staff account created!');
+            staffForm.reset();
+            fetchStaff();
+            fetchTrainers();
+        } catch (error) {
+            showMessage('Error creating staff account. Check console for details.', 'error');
+            console.error('Staff error:', error);
+        }
+    };
+
+    const handleToggleStaffActive = async (userId, isActive) => {
+        try {
+            const response = await apiFetch(`${USERS_URL}/${userId}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ active: !isActive })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return;
+            }
+            fetchStaff();
+            fetchTrainers();
+        } catch (error) {
+            showMessage('Error updating staff account. Check console for details.', 'error');
+            console.error('Staff error:', error);
+        }
+    };
+
+    // --- TRASH (owner only) ---
+    const fetchTrash = async () => {
+        trashList.innerHTML = '<p class="history-empty">Loading trash...</p>';
+        try {
+            const response = await apiFetch(`${API_URL}/trash`);
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            const removed = await response.json();
+            const now = new Date();
+            trashList.innerHTML = removed.length === 0
+                ? '<p class="history-empty">The trash is empty.</p>'
+                : removed.map(client => {
+                    const canPurge = new Date(client.purgeAfter) <= now;
+                    return `
+                        <div class="history-item" data-client-id="${client._id}" data-name="${escapeHtml(client.name)}">
+                            <div>
+                                <strong>${escapeHtml(client.name)}</strong>
+                                <small>${escapeHtml(client.contact)} &bull; Removed ${formatDate(client.deletedAt)}${client.deletedBy ? ` by ${escapeHtml(client.deletedBy)}` : ''}
+                                    &bull; ${canPurge ? 'Can be deleted' : `Kept until ${formatDate(client.purgeAfter)}`}</small>
+                            </div>
+                            <div class="history-actions">
+                                <button class="void-btn restore-btn">Restore</button>
+                                ${canPurge ? '<button class="void-btn purge-btn">Delete Forever</button>' : ''}
+                            </div>
+                        </div>
+                    `;
+                }).join('');
+        } catch (error) {
+            console.error('Error fetching trash:', error);
+            trashList.innerHTML = '<p class="history-empty">Failed to load the trash.</p>';
+        }
+    };
+
+    const openTrashModal = () => {
+        fetchTrash();
+        trashModal.classList.remove('hidden');
+    };
+
+    const handleRestoreClient = async (clientId) => {
+        try {
+            const response = await apiFetch(`${API_URL}/trash/${clientId}/restore`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({})
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return;
+            }
+            showMessage(`${result.name} restored.`);
+            closeAllModals();
+            fetchClients();
+        } catch (error) {
+            showMessage('Error restoring client. Check console for details.', 'error');
+            console.error('Restore error:', error);
+        }
+    };
+
+    const handlePurgeClient = async (clientId, name) => {
+        const confirmed = await window.confirm(`Permanently delete ${escapeHtml(name)}? This cannot be undone.`, 'Delete Forever');
+        if (!confirmed) return;
+        try {
+            const response = await apiFetch(`${API_URL}/trash/${clientId}`, { method: 'DELETE' });
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return;
+            }
+            showMessage(result.message);
+            fetchTrash();
+        } catch (error) {
+            showMessage('Error deleting client. Check console for details.', 'error');
+            console.error('Purge error:', error);
+        }
+    };
+
+    // --- TRAINERS (owner only) ---
+    const formatAvailability = (availability) => availability
+        .map(slot => `${slot.day} ${slot.from}-${slot.to}`)
+        .join(', ');
+
+    const fetchTrainerList = async () => {
+        trainerList.innerHTML = '<p class="history-empty">Loading trainers...</p>';
+        try {
+            const response = await apiFetch(TRAINERS_URL);
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            const allTrainers = await response.json();
+            trainerList.innerHTML = allTrainers.length === 0
+                ? '<p class="history-empty">No trainers yet. Add one below.</p>'
+                : allTrainers.map(trainer => {
+                    const meta = [
+                        trainer.contact,
+                        trainer.specialisations.join(', '),
+                        formatAvailability(trainer.availability),
+                        `${trainer.commissionRate}% commission`,
+                        trainer.user && `login: ${trainer.user.username}`
+                    ].filter(Boolean).map(escapeHtml).join(' &bull; ');
+                    return `
+                        <div class="history-item ${trainer.active ? '' : 'inactive'}" data-trainer='${escapeHtml(JSON.stringify(trainer))}'>
+                            <div>
+                                <strong>${escapeHtml(trainer.name)}</strong>
+                                <small>${meta}</small>
+                            </div>
+                            <div class="history-actions">
+                                <button class="void-btn edit-trainer-btn">Edit</button>
+                                <button class="void-btn toggle-trainer-btn">${trainer.active ? 'Deactivate' : 'Activate'}</button>
+                            </div>
+                        </div>
+                    `;
+                }).join('');
+        } catch (error) {
+            console.error('Error fetching trainers:', error);
+            trainerList.innerHTML = '<p class="history-empty">Failed to load trainers.</p>';
+        }
+    };
+
+    // Staff accounts with the trainer role a profile can be linked to
+    const fetchTrainerLogins = async () => {
+        try {
+            const response = await apiFetch(`${USERS_URL}?role=trainer`);
+            if (!response.ok) return;
+            const logins = await response.json();
+            trainerLoginSelect.innerHTML = '<option value="">No login account</option>' +
+                logins.map(user => `<option value="${user._id}">${escapeHtml(user.name)} (${escapeHtml(user.username)})</option>`).join('');
+        } catch (error) {
+            console.error('Error fetching trainer logins:', error);
+        }
+    };
+
+    const resetTrainerForm = () => {
+        trainerForm.reset();
+        document.getElementById('trainer-id').value = '';
+        document.getElementById('trainer-form-title').textContent = 'Add Trainer';
+    };
+
+    const openTrainersModal = () => {
+        resetTrainerForm();
+        fetchTrainerList();
+        fetchTrainerLogins();
+        trainersModal.classList.remove('hidden');
+    };
+
+    // The form sets the same hours on every ticked day
+    const editTrainer = (trainer) => {
+        resetTrainerForm();
+        document.getElementById('trainer-id').value = trainer._id;
+        document.getElementById('trainer-name').value = trainer.name;
+        document.getElementById('trainer-contact').value = trainer.contact || '';
+        document.getElementById('trainer-specialisations').value = trainer.specialisations.join(', ');
+        document.getElementById('trainer-commission').value = trainer.commissionRate;
+        trainerLoginSelect.value = trainer.user ? trainer.user._id : '';
+        trainerForm.querySelectorAll('input[name="trainer-day"]').forEach(box => {
+            box.checked = trainer.availability.some(slot => slot.day === box.value);
+        });
+        if (trainer.availability.length > 0) {
+            document.getElementById('trainer-from').value = trainer.availability[0].from;
+            document.getElementById('trainer-to').value = trainer.availability[0].to;
+        }
+        document.getElementById('trainer-form-title').textContent = `Edit ${trainer.name}`;
+    };
+
+    // Every change refreshes both the modal and the PT assignment dropdown
+    const sendTrainerChange = async (url, options, successMessage) => {
+        try {
+            const response = await apiFetch(url, options);
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return false;
+            }
+            showMessage(successMessage);
+            fetchTrainerList();
+            fetchTrainers();
+            return true;
+        } catch (error) {
+            showMessage('Error saving trainer. Check console for details.', 'error');
+            console.error('Trainer error:', error);
+            return false;
+        }
+    };
+
+    const handleTrainerSubmit = async (e) => {
+        e.preventDefault();
+        const trainerId = document.getElementById('trainer-id').value;
+        const from = document.getElementById('trainer-from').value;
+        const to = document.getElementById('trainer-to').value;
+        const days = [...trainerForm.querySelectorAll('input[name="trainer-day"]:checked')].map(box => box.value);
+        if (days.length > 0 && !(from && to)) {
+            showMessage('Set the hours for the selected days.', 'error');
+            return;
+        }
+        const saved = await sendTrainerChange(trainerId ? `${TRAINERS_URL}/${trainerId}` : TRAINERS_URL, {
+            method: trainerId ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: document.getElementById('trainer-name').value,
+                contact: document.getElementById('trainer-contact').value,
+                specialisations: document.getElementById('trainer-specialisations').value,
+                commissionRate: parseFloat(document.getElementById('trainer-commission').value) || 0,
+                user: trainerLoginSelect.value || null,
+                availability: days.map(day => ({ day, from, to }))
+            })
+        }, 'Trainer saved!');
+        if (saved) resetTrainerForm();
+    };
+
+    const handleTrainerListClick = (e) => {
+        const item = e.target.closest('.history-item');
+        if (!item) return;
+        const trainer = JSON.parse(item.dataset.trainer);
+        if (e.target.closest('.edit-trainer-btn')) {
+            editTrainer(trainer);
+        } else if (e.target.closest('.toggle-trainer-btn')) {
+            sendTrainerChange(`${TRAINERS_URL}/${trainer._id}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ active: !trainer.active })
+            }, trainer.active ? 'Trainer deactivated.' : 'Trainer activated.');
+        }
+    };
+
+    // --- MEMBERSHIP PLANS (owner only) ---
+    const fetchPlanList = async () => {
+        planList.innerHTML = '<p class="history-empty">Loading plans...</p>';
+        try {
+            const response = await apiFetch(PLANS_URL);
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            const allPlans = await response.json();
+            planList.innerHTML = allPlans.length === 0
+                ? '<p class="history-empty">No plans yet. Add one below.</p>'
+                : allPlans.map(plan => `
+                    <div class="history-item ${plan.active ? '' : 'inactive'}" data-plan='${escapeHtml(JSON.stringify(plan))}'>
+                        <div>
+                            <strong>${escapeHtml(plan.name)}</strong>
+                            <small>${plan.months} Month${plan.months !== 1 ? 's' : ''} &bull; ${formatCurrency(plan.price)} &bull; PT +${formatCurrency(plan.ptPrice)} &bull; ${plan.maxFreezeDays}d freeze${plan.services.length ? ` &bull; ${escapeHtml(plan.services.join(', '))}` : ''}</small>
+                        </div>
+                        <div class="history-actions">
+                            <button class="void-btn edit-plan-btn">Edit</button>
+                            <button class="void-btn toggle-plan-btn">${plan.active ? 'Retire' : 'Offer'}</button>
+                            <button class="void-btn delete-plan-btn">Delete</button>
+                        </div>
+                    </div>
+                `).join('');
+        } catch (error) {
+            console.error('Error fetching plans:', error);
+            planList.innerHTML = '<p class="history-empty">Failed to load plans.</p>';
+        }
+    };
+
+    const resetPlanForm = () => {
+        planForm.reset();
+        document.getElementById('plan-id').value = '';
+        document.getElementById('plan-form-title').textContent = 'Add Plan';
+    };
+
+    const openPlansModal = () => {
+        resetPlanForm();
+        fetchPlanList();
+        plansModal.classList.remove('hidden');
+    };
+
+    const editPlan = (plan) => {
+        document.getElementById('plan-id').value = plan._id;
+        document.getElementById('plan-name').value = plan.name;
+        document.getElementById('plan-months').value = plan.months;
+        document.getElementById('plan-price').value = plan.price;
+        document.getElementById('plan-pt-price').value = plan.ptPrice;
+        document.getElementById('plan-freeze-days').value = plan.maxFreezeDays;
+        document.getElementById('plan-services-input').value = plan.services.join(', ');
+        document.getElementById('plan-form-title').textContent = `Edit ${plan.name}`;
+    };
+
+    // Every change to the catalogue refreshes both the modal and the form dropdowns
+    const sendPlanChange = async (url, options, successMessage) => {
+        try {
+            const response = await apiFetch(url, options);
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return false;
+            }
+            showMessage(successMessage);
+            fetchPlanList();
+            fetchPlans();
+            return true;
+        } catch (error) {
+            showMessage('Error saving plan. Check console for details.', 'error');
+            console.error('Plan error:', error);
+            return false;
+        }
+    };
+
+    const handlePlanSubmit = async (e) => {
+        e.preventDefault();
+        const planId = document.getElementById('plan-id').value;
+        const saved = await sendPlanChange(planId ? `${PLANS_URL}/${planId}` : PLANS_URL, {
+            method: planId ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: document.getElementById('plan-name').value,
+                months: parseInt(document.getElementById('plan-months').value, 10),
+                price: parseFloat(document.getElementById('plan-price').value),
+                ptPrice: parseFloat(document.getElementById('plan-pt-price').value) || 0,
+                maxFreezeDays: parseInt(document.getElementById('plan-freeze-days').value, 10) || 0,
+                services: document.getElementById('plan-services-input').value
+            })
+        }, 'Plan saved!');
+        if (saved) resetPlanForm();
+    };
+
+    const handlePlanListClick = async (e) => {
+        const item = e.target.closest('.history-item');
+        if (!item) return;
+        const plan = JSON.parse(item.dataset.plan);
+        if (e.target.closest('.edit-plan-btn')) {
+            editPlan(plan);
+        } else if (e.target.closest('.toggle-plan-btn')) {
+            sendPlanChange(`${PLANS_URL}/${plan._id}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ active: !plan.active })
+            }, plan.active ? 'Plan retired.' : 'Plan offered again.');
+        } else if (e.target.closest('.delete-plan-btn')) {
+            const confirmed = await window.confirm(`Delete the ${escapeHtml(plan.name)} plan?`);
+            if (!confirmed) return;
+            sendPlanChange(`${PLANS_URL}/${plan._id}`, { method: 'DELETE' }, 'Plan deleted.');
+        }
+    };
+
+    // --- OFFERS & REFERRALS (owner manages codes, the desk looks them up) ---
+    const couponTerms = (coupon) => {
+        const parts = [coupon.type === 'percent' ? `${coupon.value}% off` : `${formatCurrency(coupon.value)} off`];
+        if (coupon.validFrom || coupon.validUntil) {
+            parts.push(`${coupon.validFrom ? formatDate(coupon.validFrom) : 'now'} – ${coupon.validUntil ? formatDate(coupon.validUntil) : 'no end'}`);
+        }
+        parts.push(coupon.maxUses ? `${coupon.uses} of ${coupon.maxUses} used` : `${coupon.uses} used`);
+        if (coupon.onePerMember) parts.push('once per member');
+        if (coupon.plans.length) parts.push(coupon.plans.map(plan => escapeHtml(plan.name)).join(', '));
+        return parts.join(' &bull; ');
+    };
+
+    const fetchCouponList = async () => {
+        couponList.innerHTML = '<p class="history-empty">Loading discount codes...</p>';
+        try {
+            const response = await apiFetch(COUPONS_URL);
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            const coupons = await response.json();
+            couponList.innerHTML = coupons.length === 0
+                ? '<p class="history-empty">No discount codes yet.</p>'
+                : coupons.map(coupon => `
+                    <div class="history-item ${coupon.active ? '' : 'inactive'}" data-coupon='${escapeHtml(JSON.stringify(coupon))}'>
+                        <div>
+                            <strong>${escapeHtml(coupon.code)}</strong>${coupon.description ? ` ${escapeHtml(coupon.description)}` : ''}
+                            <small>${couponTerms(coupon)}</small>
+                        </div>
+                        <div class="history-actions owner-only">
+                            <button class="void-btn edit-coupon-btn">Edit</button>
+                            <button class="void-btn toggle-coupon-btn">${coupon.active ? 'Retire' : 'Offer'}</button>
+                        </div>
+                    </div>
+                `).join('');
+        } catch (error) {
+            console.error('Error fetching discount codes:', error);
+            couponList.innerHTML = '<p class="history-empty">Failed to load discount codes.</p>';
+        }
+    };
+
+    const fetchReferralReport = async () => {
+        referralList.innerHTML = '<p class="history-empty">Loading referrals...</p>';
+        const params = new URLSearchParams();
+        const from = document.getElementById('referral-from').value;
+        const to = document.getElementById('referral-to').value;
+        if (from) params.set('from', from);
+        if (to) params.set('to', to);
+        if (isOwner() && selectedBranch) params.set('branch', selectedBranch);
+        try {
+            const response = await apiFetch(`${REFERRALS_URL}?${params}`);
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message);
+            }
+            const { reward, referrers } = result;
+            document.getElementById('referral-reward').textContent = reward.type === 'days'
+                ? `Each referral adds ${reward.value} days to the referrer's membership.`
+                : `Each referral gives the referrer ${formatCurrency(reward.value)} off their dues.`;
+            referralList.innerHTML = referrers.length === 0
+                ? '<p class="history-empty">No referrals in this period.</p>'
+                : referrers.map(row => `
+                    <div class="history-item">
+                        <div>
+                            <strong>${escapeHtml(row.referrer.name)}</strong>
+                            <small>${escapeHtml(row.referrer.contact)} &bull; Last on ${formatDate(row.lastReferralAt)}${row.bonusDays ? ` &bull; ${row.bonusDays} bonus days` : ''}${row.credit ? ` &bull; ${formatCurrency(row.credit)} credit` : ''}</small>
+                        </div>
+                        <span class="renewed-badge">${row.referrals} referral${row.referrals !== 1 ? 's' : ''}</span>
+                    </div>
+                `).join('');
+        } catch (error) {
+            console.error('Error fetching referrals:', error);
+            referralList.innerHTML = '<p class="history-empty">Failed to load referrals.</p>';
+        }
+    };
+
+    // `selected` keeps retired plans the code is already limited to
+    const renderCouponPlanOptions = (selected = []) => {
+        const retired = selected.filter(plan => !plans.some(p => p._id === plan._id));
+        const isSelected = (plan) => selected.some(p => p._id === plan._id);
+        document.getElementById('coupon-plans').innerHTML = [...plans, ...retired].map(plan => `
+            <label><input type="checkbox" name="coupon-plan" value="${plan._id}" ${isSelected(plan) ? 'checked' : ''}> ${escapeHtml(plan.name)}</label>
+        `).join('');
+    };
+
+    const resetCouponForm = () => {
+        couponForm.reset();
+        document.getElementById('coupon-id').value = '';
+        document.getElementById('coupon-form-title').textContent = 'Add Discount Code';
+        renderCouponPlanOptions();
+    };
+
+    const openOffersModal = () => {
+        resetCouponForm();
+        fetchCouponList();
+        fetchReferralReport();
+        offersModal.classList.remove('hidden');
+    };
+
+    const dateInputValue = (date) => (date ? new Date(date).toISOString().split('T')[0] : '');
+
+    const editCoupon = (coupon) => {
+        document.getElementById('coupon-id').value = coupon._id;
+        document.getElementById('coupon-code-input').value = coupon.code;
+        document.getElementById('coupon-description').value = coupon.description;
+        document.getElementById('coupon-type').value = coupon.type;
+        document.getElementById('coupon-value').value = coupon.value;
+        document.getElementById('coupon-from').value = dateInputValue(coupon.validFrom);
+        document.getElementById('coupon-until').value = dateInputValue(coupon.validUntil);
+        document.getElementById('coupon-max-uses').value = coupon.maxUses || '';
+        document.getElementById('coupon-one-per-member').checked = coupon.onePerMember;
+        renderCouponPlanOptions(coupon.plans);
+        document.getElementById('coupon-form-title').textContent = `Edit ${coupon.code}`;
+    };
+
+    const sendCouponChange = async (url, options, successMessage) => {
+        try {
+            const response = await apiFetch(url, options);
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return false;
+            }
+            showMessage(successMessage);
+            fetchCouponList();
+            return true;
+        } catch (error) {
+            showMessage('Error saving discount code. Check console for details.', 'error');
+            console.error('Coupon error:', error);
+            return false;
+        }
+    };
+
+    const handleCouponSubmit = async (e) => {
+        e.preventDefault();
+        const couponId = document.getElementById('coupon-id').value;
+        const saved = await sendCouponChange(couponId ? `${COUPONS_URL}/${couponId}` : COUPONS_URL, {
+            method: couponId ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                code: document.getElementById('coupon-code-input').value,
+                description: document.getElementById('coupon-description').value,
+                type: document.getElementById('coupon-type').value,
+                value: parseFloat(document.getElementById('coupon-value').value),
+                validFrom: document.getElementById('coupon-from').value || null,
+                validUntil: document.getElementById('coupon-until').value || null,
+                maxUses: parseInt(document.getElementById('coupon-max-uses').value, 10) || null,
+                onePerMember: document.getElementById('coupon-one-per-member').checked,
+                plans: [...couponForm.querySelectorAll('input[name="coupon-plan"]:checked')].map(box => box.value)
+            })
+        }, 'Discount code saved!');
+        if (saved) resetCouponForm();
+    };
+
+    const handleCouponListClick = (e) => {
+        const item = e.target.closest('.history-item');
+        if (!item) return;
+        const coupon = JSON.parse(item.dataset.coupon);
+        if (e.target.closest('.edit-coupon-btn')) {
+            editCoupon(coupon);
+        } else if (e.target.closest('.toggle-coupon-btn')) {
+            sendCouponChange(`${COUPONS_URL}/${coupon._id}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ active: !coupon.active })
+            }, coupon.active ? 'Discount code retired.' : 'Discount code offered again.');
+        }
+    };
+
+    // --- WORKOUT & DIET TEMPLATES (owner and trainers) ---
+    const toggleLabel = (record) => (record.active ? 'Retire' : 'Use Again');
+
+    const renderProgramLists = () => {
+        workoutTemplateList.innerHTML = workoutTemplates.length === 0
+            ? '<p class="history-empty">No workout templates yet. Add one below.</p>'
+            : workoutTemplates.map(template => `
+                <div class="history-item ${template.active ? '' : 'inactive'}" data-kind="workout" data-record='${escapeHtml(JSON.stringify(template))}'>
+                    <div>
+                        <strong>${escapeHtml(template.name)}</strong>
+                        <small>${escapeHtml(template.goal || 'Any goal')} &bull; ${template.days.length} day${template.days.length !== 1 ? 's' : ''}${template.description ? ` &bull; ${escapeHtml(template.description)}` : ''}</small>
+                    </div>
+                    <div class="history-actions">
+                        <button class="void-btn edit-program-btn">Edit</button>
+                        <button class="void-btn toggle-program-btn">${toggleLabel(template)}</button>
+                    </div>
+                </div>
+            `).join('');
+        dietTemplateList.innerHTML = dietTemplates.length === 0
+            ? '<p class="history-empty">No diet templates yet. Add one below.</p>'
+            : dietTemplates.map(template => `
+                <div class="history-item ${template.active ? '' : 'inactive'}" data-kind="diet" data-record='${escapeHtml(JSON.stringify(template))}'>
+                    <div>
+                        <strong>${escapeHtml(template.name)}</strong>
+                        <small>${escapeHtml(template.goal || 'Any goal')}${template.calories ? ` &bull; ${template.calories} kcal` : ''} &bull; ${template.meals.length} meal${template.meals.length !== 1 ? 's' : ''}</small>
+                    </div>
+                    <div class="history-actions">
+                        <button class="void-btn edit-program-btn">Edit</button>
+                        <button class="void-btn toggle-program-btn">${toggleLabel(template)}</button>
+                    </div>
+                </div>
+            `).join('');
+        exerciseList.innerHTML = exerciseLibrary.length === 0
+            ? '<p class="history-empty">No exercises yet. Add one below.</p>'
+            : exerciseLibrary.map(exercise => `
+                <div class="history-item ${exercise.active ? '' : 'inactive'}" data-kind="exercise" data-record='${escapeHtml(JSON.stringify(exercise))}'>
+                    <div>
+                        <strong>${escapeHtml(exercise.name)}</strong>
+                        <small>${escapeHtml(exercise.muscleGroup)}${exercise.equipment ? ` &bull; ${escapeHtml(exercise.equipment)}` : ''}</small>
+                    </div>
+                    <div class="history-actions">
+                        <button class="void-btn edit-program-btn">Edit</button>
+                        <button class="void-btn toggle-program-btn">${toggleLabel(exercise)}</button>
+                    </div>
+                </div>
+            `).join('');
+    };
+
+    const fetchProgramLists = async () => {
+        [workoutTemplateList, dietTemplateList, exerciseList].forEach(list => {
+            list.innerHTML = '<p class="history-empty">Loading...</p>';
+        });
+        try {
+            await fetchProgramLibrary();
+            renderProgramLists();
+        } catch (error) {
+            console.error('Error fetching templates:', error);
+            [workoutTemplateList, dietTemplateList, exerciseList].forEach(list => {
+                list.innerHTML = '<p class="history-empty">Failed to load.</p>';
+            });
+        }
+    };
+
+    const resetWorkoutTemplateForm = () => {
+        workoutTemplateForm.reset();
+        document.getElementById('workout-template-id').value = '';
+        document.getElementById('workout-template-form-title').textContent = 'Add Workout Template';
+        renderDays(workoutTemplateDays, [{ name: 'Day 1', exercises: [{}] }]);
+    };
+
+    const resetDietTemplateForm = () => {
+        dietTemplateForm.reset();
+        document.getElementById('diet-template-id').value = '';
+        document.getElementById('diet-template-form-title').textContent = 'Add Diet Template';
+        renderMeals(dietTemplateMeals, [{ name: 'Breakfast', items: [] }]);
+    };
+
+    const resetExerciseForm = () => {
+        exerciseForm.reset();
+        document.getElementById('exercise-id').value = '';
+        document.getElementById('exercise-form-title').textContent = 'Add Exercise';
+    };
+
+    // The day editors list the library, so they are drawn once it has loaded
+    const openProgramsModal = async () => {
+        resetExerciseForm();
+        programsModal.classList.remove('hidden');
+        await fetchProgramLists();
+        resetWorkoutTemplateForm();
+        resetDietTemplateForm();
+    };
+
+    const editProgramRecord = (kind, record) => {
+        if (kind === 'workout') {
+            document.getElementById('workout-template-id').value = record._id;
+            document.getElementById('workout-template-name').value = record.name;
+            document.getElementById('workout-template-goal').value = record.goal || '';
+            document.getElementById('workout-template-description').value = record.description;
+            renderDays(workoutTemplateDays, record.days);
+            document.getElementById('workout-template-form-title').textContent = `Edit ${record.name}`;
+        } else if (kind === 'diet') {
+            document.getElementById('diet-template-id').value = record._id;
+            document.getElementById('diet-template-name').value = record.name;
+            document.getElementById('diet-template-goal').value = record.goal || '';
+            document.getElementById('diet-template-description').value = record.description;
+            document.getElementById('diet-template-calories').value = record.calories != null ? record.calories : '';
+            document.getElementById('diet-template-notes').value = record.notes;
+            renderMeals(dietTemplateMeals, record.meals);
+            document.getElementById('diet-template-form-title').textContent = `Edit ${record.name}`;
+        } else {
+            document.getElementById('exercise-id').value = record._id;
+            document.getElementById('exercise-name').value = record.name;
+            document.getElementById('exercise-muscle-group').value = record.muscleGroup;
+            document.getElementById('exercise-equipment').value = record.equipment;
+            document.getElementById('exercise-instructions').value = record.instructions;
+            document.getElementById('exercise-form-title').textContent = `Edit ${record.name}`;
+        }
+    };
+
+    const PROGRAM_PATHS = { workout: 'workouts', diet: 'diets', exercise: 'exercises' };
+
+    const sendProgramChange = async (kind, id, body, successMessage) => {
+        try {
+            const url = `${PROGRAMS_URL}/${PROGRAM_PATHS[kind]}${id ? `/${id}` : ''}`;
+            const response = await apiFetch(url, {
+                method: id ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return false;
+            }
+            showMessage(successMessage);
+            await fetchProgramLists();
+            return true;
+        } catch (error) {
+            showMessage('Error saving template. Check console for details.', 'error');
+            console.error('Template error:', error);
+            return false;
+        }
+    };
+
+    const handleWorkoutTemplateSubmit = async (e) => {
+        e.preventDefault();
+        const saved = await sendProgramChange('workout', document.getElementById('workout-template-id').value, {
+            name: document.getElementById('workout-template-name').value,
+            goal: document.getElementById('workout-template-goal').value,
+            description: document.getElementById('workout-template-description').value,
+            days: readDays(workoutTemplateDays)
+        }, 'Workout template saved!');
+        if (saved) resetWorkoutTemplateForm();
+    };
+
+    const handleDietTemplateSubmit = async (e) => {
+        e.preventDefault();
+        const calories = document.getElementById('diet-template-calories').value;
+        const saved = await sendProgramChange('diet', document.getElementById('diet-template-id').value, {
+            name: document.getElementById('diet-template-name').value,
+            goal: document.getElementById('diet-template-goal').value,
+            description: document.getElementById('diet-template-description').value,
+            calories: calories === '' ? null : Number(calories),
+            meals: readMeals(dietTemplateMeals),
+            notes: document.getElementById('diet-template-notes').value
+        }, 'Diet template saved!');
+        if (saved) resetDietTemplateForm();
+    };
+
+    // A new exercise is offered straight away in the workout being built
+    const handleExerciseSubmit = async (e) => {
+        e.preventDefault();
+        const saved = await sendProgramChange('exercise', document.getElementById('exercise-id').value, {
+            name: document.getElementById('exercise-name').value,
+            muscleGroup: document.getElementById('exercise-muscle-group').value,
+            equipment: document.getElementById('exercise-equipment').value,
+            instructions: document.getElementById('exercise-instructions').value
+        }, 'Exercise saved!');
+        if (saved) {
+            resetExerciseForm();
+            renderDays(workoutTemplateDays, readDays(workoutTemplateDays));
+        }
+    };
+
+    const handleProgramListClick = (e) => {
+        const item = e.target.closest('.history-item');
+        if (!item) return;
+        const { kind } = item.dataset;
+        const record = JSON.parse(item.dataset.record);
+        if (e.target.closest('.edit-program-btn')) {
+            editProgramRecord(kind, record);
+        } else if (e.target.closest('.toggle-program-btn')) {
+            sendProgramChange(kind, record._id, { active: !record.active }, record.active ? `${record.name} retired.` : `${record.name} is in use again.`);
+        }
+    };
+
+    // --- BRANCHES (owner only) ---
+    const fetchBranchList = async () => {
+        branchList.innerHTML = '<p class="history-empty">Loading branches...</p>';
+        try {
+            const response = await apiFetch(BRANCHES_URL);
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            const allBranches = await response.json();
+            branchList.innerHTML = allBranches.length === 0
+                ? '<p class="history-empty">No branches yet. Add the first one below.</p>'
+                : allBranches.map(branch => `
+                    <div class="history-item ${branch.active ? '' : 'inactive'}" data-branch='${escapeHtml(JSON.stringify(branch))}'>
+                        <div>
+                            <strong>${escapeHtml(branch.name)}</strong>
+                            <small>${[branch.address, branch.phone].filter(Boolean).map(escapeHtml).join(' &bull; ') || 'No address'}</small>
+                        </div>
+                        <div class="history-actions">
+                            <button class="void-btn edit-branch-btn">Edit</button>
+                            <button class="void-btn toggle-branch-btn">${branch.active ? 'Close' : 'Reopen'}</button>
+                        </div>
+                    </div>
+                `).join('');
+        } catch (error) {
+            console.error('Error fetching branches:', error);
+            branchList.innerHTML = '<p class="history-empty">Failed to load branches.</p>';
+        }
+    };
+
+    const resetBranchForm = () => {
+        branchForm.reset();
+        document.getElementById('branch-id').value = '';
+        document.getElementById('branch-form-title').textContent = 'Add Branch';
+    };
+
+    const openBranchesModal = () => {
+        resetBranchForm();
+        fetchBranchList();
+        branchesModal.classList.remove('hidden');
+    };
+
+    // Every change refreshes the modal, the switcher and the form dropdowns
+    const sendBranchChange = async (url, options, successMessage) => {
+        try {
+            const response = await apiFetch(url, options);
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return false;
+            }
+            showMessage(successMessage);
+            fetchBranchList();
+            fetchBranches();
+            return true;
+        } catch (error) {
+            showMessage('Error saving branch. Check console for details.', 'error');
+            console.error('Branch error:', error);
+            return false;
+        }
+    };
+
+    const handleBranchSubmit = async (e) => {
+        e.preventDefault();
+        const branchId = document.getElementById('branch-id').value;
+        const saved = await sendBranchChange(branchId ? `${BRANCHES_URL}/${branchId}` : BRANCHES_URL, {
+            method: branchId ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: document.getElementById('branch-name').value,
+                address: document.getElementById('branch-address').value,
+                phone: document.getElementById('branch-phone').value
+            })
+        }, 'Branch saved!');
+        if (saved) resetBranchForm();
+    };
+
+    const handleBranchListClick = async (e) => {
+        const item = e.target.closest('.history-item');
+        if (!item) return;
+        const branch = JSON.parse(item.dataset.branch);
+        if (e.target.closest('.edit-branch-btn')) {
+            document.getElementById('branch-id').value = branch._id;
+            document.getElementById('branch-name').value = branch.name;
+            document.getElementById('branch-address').value = branch.address || '';
+            document.getElementById('branch-phone').value = branch.phone || '';
+            document.getElementById('branch-form-title').textContent = `Edit ${branch.name}`;
+        } else if (e.target.closest('.toggle-branch-btn')) {
+            if (branch.active) {
+                const confirmed = await window.confirm(`Close the ${escapeHtml(branch.name)} branch? Its members and history are kept, but no one new can join it.`, 'Close');
+                if (!confirmed) return;
+            }
+            sendBranchChange(`${BRANCHES_URL}/${branch._id}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ active: !branch.active })
+            }, branch.active ? 'Branch closed.' : 'Branch reopened.');
+        }
+    };
+
+    // --- REMINDERS (owner only) ---
+    const REMINDER_EVENT_LABELS = {
+        'expiring-7': 'Expiring in 7 days',
+        'expiring-3': 'Expiring in 3 days',
+        'expiring-1': 'Expiring tomorrow',
+        'expired': 'Expired',
+        'dues': 'Fees due',
+        'class-promoted': 'Class place confirmed'
+    };
+
+    const fetchReminderTemplates = async () => {
+        templateList.innerHTML = '<p class="history-empty">Loading templates...</p>';
+        try {
+            const response = await apiFetch(`${REMINDERS_URL}/templates`);
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            const templates = await response.json();
+            templateList.innerHTML = templates.map(template => `
+                <form class="inline-form template-form" data-event="${template.event}">
+                    <div class="section-header">
+                        <h3>${REMINDER_EVENT_LABELS[template.event]}</h3>
+                        <label class="template-toggle">
+                            <input type="checkbox" name="active" ${template.active ? 'checked' : ''}> On
+                        </label>
+                    </div>
+                    <textarea name="body" rows="3" required>${escapeHtml(template.body)}</textarea>
+                    <button type="submit" class="submit-btn">Save</button>
+                </form>
+            `).join('');
+        } catch (error) {
+            console.error('Error fetching reminder templates:', error);
+            templateList.innerHTML = '<p class="history-empty">Failed to load templates.</p>';
+        }
+    };
+
+    const fetchReminders = async () => {
+        reminderList.innerHTML = '<p class="history-empty">Loading reminders...</p>';
+        try {
+            const params = new URLSearchParams({ limit: 30 });
+            if (selectedBranch) params.set('branch', selectedBranch);
+            const response = await apiFetch(`${REMINDERS_URL}?${params}`);
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            const sentReminders = await response.json();
+            reminderList.innerHTML = sentReminders.length === 0
+                ? '<p class="history-empty">No reminders yet.</p>'
+                : sentReminders.map(reminder => `
+                    <div class="history-item">
+                        <div>
+                            <strong>${escapeHtml(reminder.client ? reminder.client.name : 'Removed client')}</strong>
+                            <small>${REMINDER_EVENT_LABELS[reminder.event]} &bull; ${reminder.status}${reminder.sentAt ? ` ${formatDate(reminder.sentAt)}` : ''}</small>
+                        </div>
+                    </div>
+                `).join('');
+        } catch (error) {
+            console.error('Error fetching reminders:', error);
+            reminderList.innerHTML = '<p class="history-empty">Failed to load reminders.</p>';
+        }
+    };
+
+    const openRemindersModal = () => {
+        fetchReminderTemplates();
+        fetchReminders();
+        remindersModal.classList.remove('hidden');
+    };
+
+    const handleTemplateSubmit = async (e) => {
+        e.preventDefault();
+        const form = e.target;
+        try {
+            const response = await apiFetch(`${REMINDERS_URL}/templates/${form.dataset.event}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    body: form.elements.body.value,
+                    active: form.elements.active.checked
+                })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return;
+            }
+            showMessage('Template saved!');
+        } catch (error) {
+            showMessage('Error saving template. Check console for details.', 'error');
+            console.error('Template error:', error);
+        }
+    };
+
+    const handleRunReminders = async () => {
+        try {
+            const response = await apiFetch(`${REMINDERS_URL}/run`, { method: 'POST' });
+            const result = await response.json();
+            if (!response.ok) {
+                showMessage(`Error: ${result.message}`, 'error');
+                return;
+            }
+            showMessage(`Queued ${result.queued}, sent ${result.sent}, failed ${result.failed}.`);
+            fetchReminders();
+        } catch (error) {
+            showMessage('Error running reminders. Check console for details.', 'error');
+            console.error('Reminder run error:', error);
+        }
+    };
+
+    // --- ROSTER IMPORT / EXPORT (owner only) ---
+    const IMPORT_FIELD_LABELS = {
+        name: 'Name', contact: 'Contact', aadhaar: 'Aadhaar', goal: 'Goal', pt: 'PT',
+        months: 'Months', feeDate: 'Fee Date', feesTotal: 'Fees Total', feesSubmitted: 'Fees Paid',
+        paymentMode: 'Payment Mode', heightFt: 'Height (ft)', heightIn: 'Height (in)',
+        weight: 'Weight (kg)', medicalCondition: 'Medical Condition'
+    };
+
+    const resetImport = () => {
+        pendingImport = null;
+        importForm.reset();
+        importMapping.innerHTML = '';
+        importSummary.innerHTML = '';
+        importReport.innerHTML = '';
+        importCommitBtn.classList.add('hidden');
+    };
+
+    const openRosterModal = () => {
+        resetImport();
+        rosterModal.classList.remove('hidden');
+    };
+
+    // Same filters and sort as the list on screen, without paging
+    const handleExport = async (format) => {
+        const params = new URLSearchParams(buildListQuery(1));
+        params.delete('page');
+        params.delete('limit');
+        params.set('format', format);
+        try {
+            const response = await apiFetch(`${API_URL}/export?${params}`);
+            if (!response.ok) {
+                const result = await response.json();
+                showMessage(`Error: ${result.message}`, 'error');
+                return;
+            }
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(await response.blob());
+            link.download = match ? match[1] : `clients.${format}`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            showMessage('Error exporting clients. Check console for details.', 'error');
+            console.error('Export error:', error);
+        }
+    };
+
+    // CSV goes up as text, .xlsx as base64
+    const readImportFile = (file) => new Promise((resolve, reject) => {
+        const format = file.name.toLowerCase().endsWith('.xlsx') ? 'xlsx' : 'csv';
+        const reader = new FileReader();
+        reader.onload = () => resolve({
+            format,
+            content: format === 'csv' ? reader.result : reader.result.split(',')[1]
+        });
+        reader.onerror = () => reject(reader.error);
+        if (format === 'csv') reader.readAsText(file);
+        else reader.readAsDataURL(file);
+    });
+
+    // One dropdown per field so unusual headers can be pointed at the right column
+    const renderImportMapping = (result) => {
+        const options = (selected) => ['<option value="">(not in file)</option>']
+            .concat(result.columns.map(column =>
+                `<option value="${escapeHtml(column)}" ${column === selected ? 'selected' : ''}>${escapeHtml(column)}</option>`
+            )).join('');
+        importMapping.innerHTML = Object.entries(IMPORT_FIELD_LABELS).map(([field, label]) => `
+            <label class="mapping-row">
+                <span>${label}${result.missingColumns.includes(field) ? ' <strong class="mapping-required">*</strong>' : ''}</span>
+                <select data-field="${field}">${options(result.mapping[field])}</select>
+            </label>
+        `).join('');
+    };
+
+    const renderImportReport = (result) => {
+        const { summary } = result;
+        importSummary.innerHTML = `
+            <p class="template-help">
+                ${summary.rows} rows &bull; ${summary.ok} ready &bull; ${summary.invalid} with errors &bull; ${summary.clashes} clashing
+                ${summary.imported ? `&bull; <strong>${summary.imported} imported</strong>` : ''}
+                ${result.missingColumns.length ? `<br>Map a column for: ${result.missingColumns.map(field => IMPORT_FIELD_LABELS[field]).join(', ')}` : ''}
+            </p>`;
+        importReport.innerHTML = result.rows
+            .filter(row => row.status !== 'ok')
+            .map(row => `
+                <div class="history-item import-row ${row.status}">
+                    <div>
+                        <strong>Row ${row.row}: ${escapeHtml(row.name || '(no name)')}</strong>
+                        ${row.errors.concat(row.clashes.map(clash => clash.message))
+                            .map(message => `<small>${escapeHtml(message)}</small>`).join('')}
+                    </div>
+                    <span class="import-status">${row.status}</span>
+                </div>
+            `).join('');
+        const canImport = result.dryRun && summary.ok > 0 && result.missingColumns.length === 0;
+        importCommitBtn.textContent = summary.ok === summary.rows
+            ? `Import ${summary.ok} clients`
+            : `Import ${summary.ok} valid rows, skip ${summary.rows - summary.ok}`;
+        importCommitBtn.classList.toggle('hidden', !canImport);
+    };
+
+    const sendImport = async (dryRun) => {
+        const { format, content, mapping } = pendingImport;
+        const response = await apiFetch(`${API_URL}/import`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            // Imported members join the branch on screen
+            body: JSON.stringify({ format, content, mapping, branch: selectedBranch || null, dryRun, skipInvalid: !dryRun })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            showMessage(`Error: ${result.message}`, 'error');
+            if (result.rows) renderImportReport(result);
+            return null;
+        }
+        renderImportReport(result);
+        return result;
+    };
+
+    const handleImportCheck = async (e) => {
+        e.preventDefault();
+        const file = importFileInput.files[0];
+        if (!file) return;
+        try {
+            const mapping = {};
+            importMapping.querySelectorAll('select').forEach(select => {
+                if (select.value) mapping[select.dataset.field] = select.value;
+            });
+            // A new file starts from the automatic column matching again
+            const sameFile = pendingImport && pendingImport.fileName === file.name;
+            pendingImport = { ...(await readImportFile(file)), mapping: sameFile ? mapping : {}, fileName: file.name };
+            const result = await sendImport(true);
+            if (result) renderImportMapping(result);
+        } catch (error) {
+            showMessage('Error checking the file. Check console for details.', 'error');
+            console.error('Import check error:', error);
+        }
+    };
+
+    const handleImportCommit = async () => {
+        if (!pendingImport) return;
+        const confirmed = await window.confirm(importCommitBtn.textContent + '?', 'Import');
+        if (!confirmed) return;
+        try {
+            const result = await sendImport(false);
+            if (result) {
+                showMessage(`Imported ${result.summary.imported} clients.`);
+                importCommitBtn.classList.add('hidden');
+                fetchClients();
+            }
+        } catch (error) {
+            showMessage('Error importing clients. Check console for details.', 'error');
+            console.error('Import error:', error);
+        }
+    };
+
+    const closeAllModals = () => {
+        formModal.classList.add('hidden');
+        detailsModal.classList.add('hidden');
+        staffModal.classList.add('hidden');
+        remindersModal.classList.add('hidden');
+        rosterModal.classList.add('hidden');
+        plansModal.classList.add('hidden');
+        branchesModal.classList.add('hidden');
+        programsModal.classList.add('hidden');
+        trashModal.classList.add('hidden');
+        syncModal.classList.add('hidden');
+        trainersModal.classList.add('hidden');
+        offersModal.classList.add('hidden');
+    };
+
+    // --- EVENT LISTENERS ---
+    loginForm.addEventListener('submit', handleLogin);
+    document.getElementById('logout-btn').addEventListener('click', showLogin);
+    document.getElementById('staff-btn').addEventListener('click', openStaffModal);
+    staffForm.addEventListener('submit', handleStaffSubmit);
+    staffList.addEventListener('click', (e) => {
+        const toggleBtn = e.target.closest('.toggle-active-btn');
+        if (toggleBtn) {
+            handleToggleStaffActive(toggleBtn.closest('.history-item').dataset.userId, toggleBtn.dataset.active === 'true');
+        }
+    });
+    staffModal.addEventListener('click', (e) => e.target === staffModal && closeAllModals());
+    document.getElementById('reminders-btn').addEventListener('click', openRemindersModal);
+    document.getElementById('run-reminders-btn').addEventListener('click', handleRunReminders);
+    templateList.addEventListener('submit', handleTemplateSubmit);
+    remindersModal.addEventListener('click', (e) => e.target === remindersModal && closeAllModals());
+    document.getElementById('trash-btn').addEventListener('click', openTrashModal);
+    trashList.addEventListener('click', (e) => {
+        const item = e.target.closest('.history-item');
+        if (!item) return;
+        if (e.target.closest('.restore-btn')) {
+            handleRestoreClient(item.dataset.clientId);
+        } else if (e.target.closest('.purge-btn')) {
+            handlePurgeClient(item.dataset.clientId, item.dataset.name);
+        }
+    });
+    trashModal.addEventListener('click', (e) => e.target === trashModal && closeAllModals());
+    syncBtn.addEventListener('click', openSyncModal);
+    document.getElementById('sync-now-btn').addEventListener('click', syncQueue);
+    syncList.addEventListener('click', (e) => {
+        const actionBtn = e.target.closest('[data-action]');
+        if (actionBtn) {
+            handleSyncAction(Number(actionBtn.closest('.sync-item').dataset.entryId), actionBtn.dataset.action);
+        }
+    });
+    syncModal.addEventListener('click', (e) => e.target === syncModal && closeAllModals());
+    // Queued changes go out as soon as the connection is back
+    window.addEventListener('online', () => {
+        syncQueue();
+        fetchClients();
+    });
+    window.addEventListener('offline', () => offlineBanner.classList.remove('hidden'));
+    document.getElementById('trainers-btn').addEventListener('click', openTrainersModal);
+    trainerForm.addEventListener('submit', handleTrainerSubmit);
+    trainerList.addEventListener('click', handleTrainerListClick);
+    trainersModal.addEventListener('click', (e) => e.target === trainersModal && closeAllModals());
+    document.getElementById('branches-btn').addEventListener('click', openBranchesModal);
+    branchForm.addEventListener('submit', handleBranchSubmit);
+    branchList.addEventListener('click', handleBranchListClick);
+    branchesModal.addEventListener('click', (e) => e.target === branchesModal && closeAllModals());
+    branchSelect.addEventListener('change', handleBranchSwitch);
+    document.getElementById('plans-btn').addEventListener('click', openPlansModal);
+    planForm.addEventListener('submit', handlePlanSubmit);
+    planList.addEventListener('click', handlePlanListClick);
+    plansModal.addEventListener('click', (e) => e.target === plansModal && closeAllModals());
+    document.getElementById('programs-btn').addEventListener('click', openProgramsModal);
+    workoutTemplateForm.addEventListener('submit', handleWorkoutTemplateSubmit);
+    dietTemplateForm.addEventListener('submit', handleDietTemplateSubmit);
+    exerciseForm.addEventListener('submit', handleExerciseSubmit);
+    [workoutTemplateList, dietTemplateList, exerciseList].forEach(list => list.addEventListener('click', handleProgramListClick));
+    [memberPlanForm, workoutTemplateForm, dietTemplateForm].forEach(form => form.addEventListener('click', handlePlanEditorClick));
+    programsModal.addEventListener('click', (e) => e.target === programsModal && closeAllModals());
+    document.getElementById('roster-btn').addEventListener('click', openRosterModal);
+    document.querySelectorAll('.export-btn').forEach(btn => btn.addEventListener('click', () => handleExport(btn.dataset.format)));
+    importForm.addEventListener('submit', handleImportCheck);
+    importFileInput.addEventListener('change', () => { importMapping.innerHTML = ''; });
+    importCommitBtn.addEventListener('click', handleImportCommit);
+    rosterModal.addEventListener('click', (e) => e.target === rosterModal && closeAllModals());
+    document.querySelectorAll('input[name="pt"]').forEach(radio => radio.addEventListener('change', () => {
+        toggleTrainerSelect();
+        if (planSelect.value) applySelectedPlan();
+    }));
+    planSelect.addEventListener('change', applySelectedPlan);
+    document.getElementById('coupon-check-btn').addEventListener('click', checkSignupCoupon);
+    couponCodeInput.addEventListener('input', () => {
+        signupCoupon = null;
+        updateFeeDuePreview();
+    });
+    document.getElementById('offers-btn').addEventListener('click', openOffersModal);
+    couponForm.addEventListener('submit', handleCouponSubmit);
+    couponList.addEventListener('click', handleCouponListClick);
+    ['referral-from', 'referral-to'].forEach(id => document.getElementById(id).addEventListener('change', fetchReferralReport));
+    offersModal.addEventListener('click', (e) => e.target === offersModal && closeAllModals());
+    feesTotalInput.addEventListener('input', updateFeeDuePreview);
+    feesSubmittedInput.addEventListener('input', updateFeeDuePreview);
+    addClientBtn.addEventListener('click', () => openFormModal());
+    clientForm.addEventListener('submit', handleFormSubmit);
+    searchBar.addEventListener('input', handleSearchInput);
+    filterChips.addEventListener('click', handleChipClick);
+    sortSelect.addEventListener('change', () => fetchClients());
+    new IntersectionObserver((entries) => {
+        if (entries[0].isIntersecting && session) {
+            fetchClients({ nextPage: true });
+        }
+    }, { rootMargin: '200px' }).observe(listSentinel);
+
+    // ✅ NEW: Medical condition event listeners
+    const medicalYes = document.getElementById('medical-yes');
+    const medicalNo = document.getElementById('medical-no');
+    if (medicalYes) medicalYes.addEventListener('change', toggleMedicalDetails);
+    if (medicalNo) medicalNo.addEventListener('change', toggleMedicalDetails);
 
     // Use event delegation for dynamic buttons
     clientListContainer.addEventListener('click', (e) => {
@@ -397,15 +3593,71 @@ document.addEventListener('DOMContentLoaded', () => {
     document.querySelectorAll('.close-modal-btn').forEach(btn => btn.addEventListener('click', closeAllModals));
     formModal.addEventListener('click', (e) => e.target === formModal && closeAllModals());
     detailsModal.addEventListener('click', (e) => e.target === detailsModal && closeAllModals());
+    renewBtn.addEventListener('click', openRenewalForm);
+    document.getElementById('freeze-btn').addEventListener('click', openFreezeForm);
+    freezeForm.addEventListener('submit', handleFreezeSubmit);
+    freezeList.addEventListener('click', (e) => {
+        const endBtn = e.target.closest('.end-freeze-btn');
+        if (endBtn) {
+            handleEndFreeze(endBtn.closest('.history-item').dataset.freezeId);
+        }
+    });
+    renewalForm.addEventListener('submit', handleRenewalSubmit);
+    document.getElementById('renewal-date').addEventListener('change', updateRenewalPreview);
+    document.getElementById('renewal-months').addEventListener('change', updateRenewalPreview);
+    renewalPlanSelect.addEventListener('change', applyRenewalPlan);
+    detailsContent.addEventListener('click', (e) => {
+        if (e.target.closest('#reveal-aadhaar-btn')) {
+            handleRevealAadhaar();
+        }
+    });
+    document.getElementById('record-measurement-btn').addEventListener('click', openMeasurementForm);
+    measurementForm.addEventListener('submit', handleMeasurementSubmit);
+    document.getElementById('record-screening-btn').addEventListener('click', openScreeningForm);
+    document.getElementById('clearance-btn').addEventListener('click', openClearanceForm);
+    screeningForm.addEventListener('submit', handleScreeningSubmit);
+    document.getElementById('assign-plan-btn').addEventListener('click', openMemberPlanForm);
+    printPlanBtn.addEventListener('click', () => openPlanPrint());
+    sharePlanBtn.addEventListener('click', sharePlan);
+    memberPlanForm.addEventListener('submit', handleMemberPlanSubmit);
+    memberWorkoutSelect.addEventListener('change', () => {
+        fillMemberWorkout(workoutTemplates.find(template => template._id === memberWorkoutSelect.value));
+    });
+    memberDietSelect.addEventListener('change', () => {
+        fillMemberDiet(dietTemplates.find(template => template._id === memberDietSelect.value));
+    });
+    planVersionList.addEventListener('click', (e) => {
+        const item = e.target.closest('.history-item');
+        if (item && e.target.closest('.print-version-btn')) openPlanPrint(item.dataset.version);
+    });
+    clearanceForm.addEventListener('submit', handleClearanceSubmit);
+    historyMoreBtn.addEventListener('click', () => fetchHistory(detailsClientId, { more: true }));
+    recordPaymentBtn.addEventListener('click', openPaymentForm);
+    paymentForm.addEventListener('submit', handlePaymentSubmit);
+    paymentList.addEventListener('click', (e) => {
+        const item = e.target.closest('.history-item');
+        if (!item) return;
+        if (e.target.closest('.receipt-btn')) {
+            openReceipt(item.dataset.paymentId);
+        } else if (e.target.closest('.void-btn')) {
+            handleVoidPayment(item.dataset.paymentId);
+        }
+    });
     feeDateInput.addEventListener('change', updateEndDatePreview);
     monthsInput.addEventListener('change', updateEndDatePreview);
 
     // --- INITIALIZATION ---
-    fetchClients();
+    offlineStore.registerServiceWorker();
+    refreshSyncStatus();
+    if (session) {
+        startSession();
+    } else {
+        showLogin();
+    }
 });
 
 // Enhanced window.confirm with better styling
-window.confirm = (message) => {
+window.confirm = (message, confirmLabel = 'Delete') => {
     return new Promise((resolve) => {
         const modal = document.createElement('div');
         modal.className = 'confirm-modal-backdrop';
@@ -414,7 +3666,7 @@ window.confirm = (message) => {
                 <p>${message}</p>
                 <div class="confirm-actions">
                     <button class="confirm-btn-no">Cancel</button>
-                    <button class="confirm-btn-yes">Delete</button>
+                    <button class="confirm-btn-yes">${confirmLabel}</button>
                 </div>
             </div>
         `;
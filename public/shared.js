@@ -0,0 +1,10 @@
+// shared.js
+// Small helpers used by more than one page. Loaded before each page's own script.
+
+// Free text typed by staff or members (notes, names) must not be injected as HTML
+const escapeHtml = (text = '') => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
@@ -0,0 +1,71 @@
+// sw.js
+// Keeps the app shell available offline. Pages, scripts and styles are
+// served from the cache and refreshed in the background; API calls always
+// go to the network, the pages fall back to IndexedDB themselves.
+const CACHE_NAME = 'mbfc-shell-v6';
+const SHELL = [
+    './',
+    'index.html',
+    'script.js',
+    'checkin.html',
+    'checkin.js',
+    'dashboard.html',
+    'dashboard.js',
+    'classes.html',
+    'classes.js',
+    'portal.html',
+    'portal.js',
+    'leads.html',
+    'leads.js',
+    'offline.js',
+    'shared.js',
+    'style.css',
+    'manifest.webmanifest',
+    'icon.svg',
+    'edit.png',
+    'wp.png'
+];
+// Icon and text fonts are fetched from Google the first time they are used
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drops the shell cached by earlier versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Answers from the cache at once and updates the cached copy from the network
+const staleWhileRevalidate = async (request) => {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached);
+    return cached || network;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    const isShell = url.origin === self.location.origin && !url.pathname.startsWith('/api/');
+    if (isShell || FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
@@ -0,0 +1,24 @@
+// routes/analytics.js
+const express = require('express');
+const auth = require('../services/auth');
+const analytics = require('../services/analytics');
+const { sendError } = require('../services/errors');
+const { requireAuth, requirePermission } = require('./middleware');
+
+// ------------------------------------
+// ANALYTICS for the owner dashboard: GET /api/analytics?from=YYYY-MM-DD&to=YYYY-MM-DD&branch=
+// Without a branch it covers every branch, with a per-branch summary
+// ------------------------------------
+const router = express.Router();
+router.use(requireAuth);
+
+router.get('/', requirePermission('analytics:read'), async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        res.status(200).json(await analytics.dashboard({ from, to }, auth.branchScope(req.user, req.query.branch)));
+    } catch (error) {
+        sendError(res, error, 'Error building analytics.');
+    }
+});
+
+module.exports = router;
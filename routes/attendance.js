@@ -0,0 +1,55 @@
+// routes/attendance.js
+const express = require('express');
+const auth = require('../services/auth');
+const attendance = require('../services/attendance');
+const { sendError } = require('../services/errors');
+const { requireAuth, requirePermission } = require('./middleware');
+
+// ------------------------------------
+// ATTENDANCE (front-desk check-in / check-out)
+// ------------------------------------
+const router = express.Router();
+router.use(requireAuth);
+
+// Body: { clientId } or { contact }, plus an optional `at` for visits the
+// desk queued while offline. Refused with 403 and a `reason`
+// ('expired', 'dues' or 'frozen') when the member may not enter. A contact
+// that belongs to a lead on a free trial pass checks the lead in instead.
+router.post('/check-in', requirePermission('attendance:write'), async (req, res) => {
+    try {
+        const { clientId, contact, at } = req.body;
+        const result = await attendance.checkIn({ clientId, contact }, {
+            recordedBy: req.user.name,
+            at,
+            scope: auth.branchScope(req.user)
+        });
+        res.status(201).json(result);
+    } catch (error) {
+        sendError(res, error, 'Error checking in.');
+    }
+});
+
+router.post('/check-out', requirePermission('attendance:write'), async (req, res) => {
+    try {
+        const { clientId, contact, at } = req.body;
+        const result = await attendance.checkOut({ clientId, contact }, { at, scope: auth.branchScope(req.user) });
+        res.status(200).json(result);
+    } catch (error) {
+        sendError(res, error, 'Error checking out.');
+    }
+});
+
+// A client's visit history and counts: GET /api/attendance?clientId=...
+router.get('/', requirePermission('attendance:read'), async (req, res) => {
+    try {
+        const result = await attendance.history(req.query.clientId, {
+            limit: req.query.limit,
+            scope: auth.clientScope(req.user)
+        });
+        res.status(200).json(result);
+    } catch (error) {
+        sendError(res, error, 'Error fetching attendance.');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,22 @@
+// routes/audit.js
+const express = require('express');
+const audit = require('../services/audit');
+const { sendError } = require('../services/errors');
+const { requireAuth, requirePermission } = require('./middleware');
+
+// ------------------------------------
+// AUDIT TRAIL, newest first: GET /api/audit
+// Query: clientId, userId, action, from, to (YYYY-MM-DD), page, limit
+// ------------------------------------
+const router = express.Router();
+router.use(requireAuth);
+
+router.get('/', requirePermission('audit:read'), async (req, res) => {
+    try {
+        res.status(200).json(await audit.listEntries(req.query));
+    } catch (error) {
+        sendError(res, error, 'Error fetching the audit log.');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+// routes/auth.js
+const express = require('express');
+const auth = require('../services/auth');
+const { sendError } = require('../services/errors');
+const { requireAuth } = require('./middleware');
+
+// ------------------------------------
+// STAFF LOGIN
+// ------------------------------------
+const router = express.Router();
+
+// Log in with username/password and receive a signed token
+router.post('/', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        const { token, user } = await auth.login(username, password);
+        res.status(200).json({
+            token,
+            user
+        });
+    } catch (error) {
+        sendError(res, error, 'Error logging in.');
+    }
+});
+
+// The account behind the current token
+router.get('/', requireAuth, (req, res) => {
+    res.status(200).json({
+        user: req.user
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+// routes/branches.js
+const express = require('express');
+const branches = require('../services/branches');
+const { sendError } = require('../services/errors');
+const { requireAuth, requirePermission } = require('./middleware');
+
+// ------------------------------------
+// BRANCHES (gym locations; owner manages, everyone sees the names)
+// ------------------------------------
+const router = express.Router();
+router.use(requireAuth);
+
+// GET /api/branches?active=true lists only the open branches
+router.get('/', requirePermission('branches:read'), async (req, res) => {
+    try {
+        res.status(200).json(await branches.listBranches({ active: req.query.active }));
+    } catch (error) {
+        sendError(res, error, 'Error fetching branches.');
+    }
+});
+
+router.post('/', requirePermission('branches:manage'), async (req, res) => {
+    try {
+        const branch = await branches.createBranch(req.body);
+        res.status(201).json(branch);
+    } catch (error) {
+        if (error.code === 11000) {
+            res.status(409).json({
+                message: 'A branch with this name already exists.'
+            });
+        } else {
+            sendError(res, error, 'Error creating branch.');
+        }
+    }
+});
+
+// Closing a branch (active: false) keeps its members and history
+router.put('/:id', requirePermission('branches:manage'), async (req, res) => {
+    try {
+        const branch = await branches.updateBranch(req.params.id, req.body);
+        res.status(200).json(branch);
+    } catch (error) {
+        if (error.code === 11000) {
+            res.status(409).json({
+                message: 'A branch with this name already exists.'
+            });
+        } else {
+            sendError(res, error, 'Error updating branch.');
+        }
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+// routes/classes.js
+const express = require('express');
+const auth = require('../services/auth');
+const classes = require('../services/classes');
+const { sendError } = require('../services/errors');
+const { requireAuth, requirePermission } = require('./middleware');
+
+// ------------------------------------
+// GROUP CLASSES (weekly sessions with capacity and a waitlist; owner
+// manages the timetable, the front desk books members in)
+// Sessions are addressed by the class and their local start: /:id/sessions/2025-03-03T07:00
+// ------------------------------------
+const router = express.Router();
+router.use(requireAuth);
+
+// GET /api/classes?active=true (&branch= for the owner)
+router.get('/', requirePermission('classes:read'), async (req, res) => {
+    try {
+        const scope = auth.branchScope(req.user, req.query.branch);
+        res.status(200).json(await classes.listClasses({ active: req.query.active }, scope));
+    } catch (error) {
+        sendError(res, error, 'Error fetching classes.');
+    }
+});
+
+router.post('/', requirePermission('classes:manage'), async (req, res) => {
+    try {
+        const gymClass = await classes.createClass(req.body);
+        res.status(201).json(gymClass);
+    } catch (error) {
+        sendError(res, error, 'Error creating class.');
+    }
+});
+
+// Raising the capacity moves waitlisted members into the new places
+router.put('/:id', requirePermission('classes:manage'), async (req, res) => {
+    try {
+        const gymClass = await classes.updateClass(req.params.id, req.body);
+        res.status(200).json(gymClass);
+    } catch (error) {
+        sendError(res, error, 'Error updating class.');
+    }
+});
+
+// ------------------------------------
+// WEEK SCHEDULE: every session in the 7 days from ?from=YYYY-MM-DD (default today)
+// ------------------------------------
+router.get('/schedule', requirePermission('classes:read'), async (req, res) => {
+    try {
+        const scope = auth.branchScope(req.user, req.query.branch);
+        res.status(200).json(await classes.weekSchedule({ from: req.query.from }, scope));
+    } catch (error) {
+        sendError(res, error, 'Error fetching the class schedule.');
+    }
+});
+
+// ------------------------------------
+// SESSION roster, bookings and attendance
+// ------------------------------------
+router.get('/:id/sessions/:start', requirePermission('classes:read'), async (req, res) => {
+    try {
+        const session = await classes.getSession(req.params.id, req.params.start, auth.branchScope(req.user));
+        res.status(200).json(session);
+    } catch (error) {
+        sendError(res, error, 'Error fetching session.');
+    }
+});
+
+// Books the member in, or onto the waitlist when the session is full
+router.post('/:id/sessions/:start/bookings', requirePermission('classes:book'), async (req, res) => {
+    try {
+        const booking = await classes.bookSession(req.params.id, req.params.start, {
+            clientId: req.body.clientId
+        }, {
+            scope: auth.branchScope(req.user),
+            user: req.user,
+            req
+        });
+        res.status(201).json(booking);
+    } catch (error) {
+        sendError(res, error, 'Error booking session.');
+    }
+});
+
+// Answers with the cancelled booking and the waitlisted one promoted into its place, if any
+router.post('/:id/sessions/:start/bookings/:bookingId/cancel', requirePermission('classes:book'), async (req, res) => {
+    try {
+        const result = await classes.cancelBooking(req.params.id, req.params.start, req.params.bookingId, {
+            scope: auth.branchScope(req.user),
+            user: req.user,
+            req
+        });
+        res.status(200).json(result);
+    } catch (error) {
+        sendError(res, error, 'Error cancelling booking.');
+    }
+});
+
+// Body: { present: [bookingId, ...] }; booked members left out are marked absent
+router.put('/:id/sessions/:start/attendance', requirePermission('classes:attendance'), async (req, res) => {
+    try {
+        const session = await classes.markAttendance(req.params.id, req.params.start, {
+            present: req.body.present
+        }, {
+            scope: auth.branchScope(req.user),
+            user: req.user,
+            req
+        });
+        res.status(200).json(session);
+    } catch (error) {
+        sendError(res, error, 'Error marking attendance.');
+    }
+});
+
+module.exports = router;
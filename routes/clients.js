@@ -0,0 +1,463 @@
+// routes/clients.js
+const express = require('express');
+const auth = require('../services/auth');
+const clientProfiles = require('../services/clientProfiles');
+const clientQuery = require('../services/clientQuery');
+const payments = require('../services/payments');
+const memberships = require('../services/memberships');
+const measurements = require('../services/measurements');
+const memberPlans = require('../services/memberPlans');
+const receipts = require('../services/receipts');
+const roster = require('../services/roster');
+const screenings = require('../services/screenings');
+const trash = require('../services/trash');
+const { findClient } = require('../services/clients');
+const { sendError } = require('../services/errors');
+const { requireAuth, requirePermission } = require('./middleware');
+
+const router = express.Router();
+router.use(requireAuth);
+
+// Staff may only open or change the clients of their own branch
+router.param('id', async (req, res, next, id) => {
+    try {
+        const scope = auth.branchScope(req.user);
+        if (Object.keys(scope).length > 0) {
+            await findClient(id, scope);
+        }
+        next();
+    } catch (error) {
+        sendError(res, error, 'Error fetching client.');
+    }
+});
+
+// ------------------------------------
+// READ clients (GET) - searched, filtered, sorted and paginated
+// Query: q, goal, pt, status, expiringWithin, hasDue, clearance, screening, sort, order, page, limit,
+// and branch (owner only; leave out for every branch)
+// ------------------------------------
+router.get('/', requirePermission('clients:read'), async (req, res) => {
+    try {
+        // Trainers only get their PT clients, staff only their branch's
+        const result = await clientQuery.listClients(req.query, auth.clientScope(req.user, req.query.branch));
+        res.status(200).json(result);
+    } catch (error) {
+        sendError(res, error, 'Error fetching clients.');
+    }
+});
+
+// ------------------------------------
+// CREATE a new client (POST)
+// ------------------------------------
+router.post('/', requirePermission('clients:write'), async (req, res) => {
+    try {
+        const client = await clientProfiles.createClient(req.body, req.user, { req });
+        res.status(201).json(client);
+    } catch (error) {
+        sendError(res, error, 'Error creating client.');
+    }
+});
+
+// ------------------------------------
+// EXPORT the filtered list as a file: GET /api/clients/export?format=csv|xlsx
+// Takes the same filters and sort as the list above, without paging
+// ------------------------------------
+router.get('/export', requirePermission('clients:export'), async (req, res) => {
+    try {
+        const file = await roster.exportClients(req.query, auth.clientScope(req.user, req.query.branch));
+        res.set({
+            'Content-Type': file.contentType,
+            'Content-Disposition': `attachment; filename="${file.filename}"`
+        });
+        res.status(200).send(file.body);
+    } catch (error) {
+        sendError(res, error, 'Error exporting clients.');
+    }
+});
+
+// ------------------------------------
+// IMPORT clients from a CSV or XLSX roster (POST)
+// Body: { format, content, mapping, branch, dryRun, skipInvalid }; dryRun defaults to true
+// ------------------------------------
+router.post('/import', requirePermission('clients:import'), async (req, res) => {
+    try {
+        const { format, content, mapping, branch, dryRun, skipInvalid } = req.body;
+        const result = await roster.importClients({
+            format,
+            content,
+            mapping,
+            branch,
+            dryRun: dryRun !== false,
+            skipInvalid: skipInvalid === true
+        }, req.user, req);
+        res.status(result.dryRun ? 200 : 201).json(result);
+    } catch (error) {
+        sendError(res, error, 'Error importing clients.');
+    }
+});
+
+// ------------------------------------
+// TRASH: removed clients, restorable until TRASH_RETENTION_DAYS have passed
+// ------------------------------------
+router.get('/trash', requirePermission('clients:delete'), async (req, res) => {
+    try {
+        res.status(200).json(await trash.listTrash());
+    } catch (error) {
+        sendError(res, error, 'Error fetching the trash.');
+    }
+});
+
+router.post('/trash/:id/restore', requirePermission('clients:delete'), async (req, res) => {
+    try {
+        const client = await trash.restoreClient(req.params.id, req.user, { req });
+        res.status(200).json(client);
+    } catch (error) {
+        sendError(res, error, 'Error restoring client.');
+    }
+});
+
+// Permanent, and only once the retention period is over
+router.delete('/trash/:id', requirePermission('clients:delete'), async (req, res) => {
+    try {
+        await trash.purgeClient(req.params.id, req.user, { req });
+        res.status(200).json({
+            message: 'Client permanently deleted.'
+        });
+    } catch (error) {
+        sendError(res, error, 'Error purging client.');
+    }
+});
+
+// ------------------------------------
+// READ a single client (GET by ID)
+// ------------------------------------
+router.get('/:id', requirePermission('clients:read'), async (req, res) => {
+    try {
+        const client = await findClient(req.params.id, auth.clientScope(req.user));
+        res.status(200).json(client);
+    } catch (error) {
+        sendError(res, error, 'Error fetching client.');
+    }
+});
+
+// ------------------------------------
+// UPDATE a client (PUT)
+// ------------------------------------
+router.put('/:id', requirePermission('clients:write'), async (req, res) => {
+    try {
+        const client = await clientProfiles.updateClient(req.params.id, req.body, req.user, { req });
+        res.status(200).json(client);
+    } catch (error) {
+        sendError(res, error, 'Error updating client.');
+    }
+});
+
+// ------------------------------------
+// DELETE a client (DELETE) - moves them to the trash
+// ------------------------------------
+router.delete('/:id', requirePermission('clients:delete'), async (req, res) => {
+    try {
+        await trash.archiveClient(req.params.id, req.user, { req });
+        res.status(200).json({
+            message: 'Client moved to the trash.'
+        });
+    } catch (error) {
+        sendError(res, error, 'Error deleting client.');
+    }
+});
+
+// ------------------------------------
+// PAYMENT LEDGER for a client
+// ------------------------------------
+router.get('/:id/payments', requirePermission('payments:read'), async (req, res) => {
+    try {
+        const { client, payments: history } = await payments.listPayments(req.params.id);
+        res.status(200).json({
+            fees: client.fees,
+            payments: history
+        });
+    } catch (error) {
+        sendError(res, error, 'Error fetching payments.');
+    }
+});
+
+router.post('/:id/payments', requirePermission('payments:record'), async (req, res) => {
+    try {
+        const { amount, date, mode, notes } = req.body;
+        const result = await payments.recordPayment(req.params.id, {
+            amount,
+            date,
+            mode,
+            notes,
+            recordedBy: req.user.name
+        }, { user: req.user, req });
+        res.status(201).json(result);
+    } catch (error) {
+        sendError(res, error, 'Error recording payment.');
+    }
+});
+
+// Payments are voided rather than deleted so the ledger keeps its history
+router.post('/:id/payments/:paymentId/void', requirePermission('fees:edit'), async (req, res) => {
+    try {
+        const { reason } = req.body;
+        const result = await payments.voidPayment(req.params.paymentId, {
+            by: req.user.name,
+            reason,
+            clientId: req.params.id
+        }, { user: req.user, req });
+        res.status(200).json(result);
+    } catch (error) {
+        sendError(res, error, 'Error voiding payment.');
+    }
+});
+
+// Print-ready receipt for any payment, for download or reprint:
+// GET /:id/payments/:paymentId/receipt (?format=json for the receipt fields)
+router.get('/:id/payments/:paymentId/receipt', requirePermission('payments:read'), async (req, res) => {
+    try {
+        const payment = await receipts.getReceipt(req.params.id, req.params.paymentId);
+        if (req.query.format === 'json') {
+            res.status(200).json({ payment, receipt: payment.receipt });
+            return;
+        }
+        res.set({
+            'Content-Type': 'text/html; charset=utf-8',
+            'Content-Disposition': `inline; filename="receipt-${receipts.formatNumber(payment.receipt.number)}.html"`
+        });
+        res.status(200).send(receipts.renderReceipt(payment));
+    } catch (error) {
+        sendError(res, error, 'Error generating receipt.');
+    }
+});
+
+// ------------------------------------
+// MEMBERSHIP RENEWALS for a client
+// ------------------------------------
+router.get('/:id/renewals', requirePermission('payments:read'), async (req, res) => {
+    try {
+        const { periods, active } = await memberships.listPeriods(req.params.id);
+        res.status(200).json({
+            periods,
+            active
+        });
+    } catch (error) {
+        sendError(res, error, 'Error fetching membership periods.');
+    }
+});
+
+// Appends a period instead of overwriting the membership like PUT /:id does.
+// With planId the plan's months and price are used unless given; couponCode
+// takes a discount off that price.
+router.post('/:id/renewals', requirePermission('renewals:write'), async (req, res) => {
+    try {
+        const { planId, months, amount, amountPaid, mode, date, notes, couponCode } = req.body;
+        const result = await memberships.renewMembership(req.params.id, {
+            planId,
+            months,
+            amount,
+            amountPaid,
+            mode,
+            date,
+            notes,
+            couponCode,
+            recordedBy: req.user.name
+        }, { user: req.user, req });
+        res.status(201).json(result);
+    } catch (error) {
+        sendError(res, error, 'Error renewing membership.');
+    }
+});
+
+// ------------------------------------
+// MEMBERSHIP FREEZES for a client; the end date moves by the frozen days
+// ------------------------------------
+router.get('/:id/freezes', requirePermission('clients:read'), async (req, res) => {
+    try {
+        await findClient(req.params.id, auth.clientScope(req.user));
+        res.status(200).json(await memberships.listFreezes(req.params.id));
+    } catch (error) {
+        sendError(res, error, 'Error fetching freezes.');
+    }
+});
+
+router.post('/:id/freezes', requirePermission('freezes:write'), async (req, res) => {
+    try {
+        const { start, end, reason } = req.body;
+        const result = await memberships.freezeMembership(req.params.id, { start, end, reason }, {
+            user: req.user,
+            req
+        });
+        res.status(201).json(result);
+    } catch (error) {
+        sendError(res, error, 'Error freezing membership.');
+    }
+});
+
+// Ends a freeze early when the member is back (or cancels one not yet started)
+router.post('/:id/freezes/:freezeId/end', requirePermission('freezes:write'), async (req, res) => {
+    try {
+        const result = await memberships.endFreeze(req.params.id, req.params.freezeId, { user: req.user, req });
+        res.status(200).json(result);
+    } catch (error) {
+        sendError(res, error, 'Error ending freeze.');
+    }
+});
+
+// ------------------------------------
+// BODY MEASUREMENTS for a client, with BMI, change since joining and goal trend
+// Trainers may record progress for their own PT clients
+// ------------------------------------
+router.get('/:id/measurements', requirePermission('measurements:read'), async (req, res) => {
+    try {
+        const progress = await measurements.listMeasurements(req.params.id, auth.clientScope(req.user));
+        res.status(200).json(progress);
+    } catch (error) {
+        sendError(res, error, 'Error fetching measurements.');
+    }
+});
+
+router.post('/:id/measurements', requirePermission('measurements:write'), async (req, res) => {
+    try {
+        const { date, weight, bodyFat, chest, waist, arm, thigh, notes } = req.body;
+        const result = await measurements.recordMeasurement(req.params.id, {
+            date,
+            weight,
+            bodyFat,
+            chest,
+            waist,
+            arm,
+            thigh,
+            notes
+        }, {
+            scope: auth.clientScope(req.user),
+            user: req.user,
+            req
+        });
+        res.status(201).json(result);
+    } catch (error) {
+        sendError(res, error, 'Error recording measurement.');
+    }
+});
+
+// ------------------------------------
+// HEALTH SCREENING (PAR-Q) for a client, renewed yearly, with doctor clearance
+// Trainers may view the screenings of their own PT clients
+// ------------------------------------
+router.get('/:id/screenings', requirePermission('screenings:read'), async (req, res) => {
+    try {
+        const result = await screenings.listScreenings(req.params.id, auth.clientScope(req.user));
+        res.status(200).json(result);
+    } catch (error) {
+        sendError(res, error, 'Error fetching health screenings.');
+    }
+});
+
+router.post('/:id/screenings', requirePermission('screenings:write'), async (req, res) => {
+    try {
+        const { date, answers, conditions, injuries, medications, emergencyContact, clearance } = req.body;
+        const result = await screenings.recordScreening(req.params.id, {
+            date,
+            answers,
+            conditions,
+            injuries,
+            medications,
+            emergencyContact,
+            clearance
+        }, {
+            user: req.user,
+            req
+        });
+        res.status(201).json(result);
+    } catch (error) {
+        sendError(res, error, 'Error recording health screening.');
+    }
+});
+
+router.put('/:id/screenings/clearance', requirePermission('screenings:write'), async (req, res) => {
+    try {
+        const { status, date, doctor, notes } = req.body;
+        const result = await screenings.updateClearance(req.params.id, { status, date, doctor, notes }, {
+            user: req.user,
+            req
+        });
+        res.status(200).json(result);
+    } catch (error) {
+        sendError(res, error, 'Error updating doctor clearance.');
+    }
+});
+
+// ------------------------------------
+// WORKOUT & DIET PLAN for a client, versioned; each change saves a new version
+// Trainers may plan for their own PT clients
+// ------------------------------------
+router.get('/:id/plan', requirePermission('programs:read'), async (req, res) => {
+    try {
+        const result = await memberPlans.getPlan(req.params.id, auth.clientScope(req.user));
+        res.status(200).json(result);
+    } catch (error) {
+        sendError(res, error, 'Error fetching plan.');
+    }
+});
+
+router.post('/:id/plan', requirePermission('programs:assign'), async (req, res) => {
+    try {
+        const { workoutTemplate, workout, dietTemplate, diet, notes } = req.body;
+        const plan = await memberPlans.assignPlan(req.params.id, {
+            workoutTemplate,
+            workout,
+            dietTemplate,
+            diet,
+            notes
+        }, {
+            scope: auth.clientScope(req.user),
+            user: req.user,
+            req
+        });
+        res.status(201).json(plan);
+    } catch (error) {
+        sendError(res, error, 'Error saving plan.');
+    }
+});
+
+// Print-ready plan to print or share: GET /:id/plan/print
+// (?version=N for an earlier one, ?format=text for a WhatsApp message, ?format=json for the plan)
+router.get('/:id/plan/print', requirePermission('programs:read'), async (req, res) => {
+    try {
+        const { client, plan } = await memberPlans.getVersion(req.params.id, req.query.version, auth.clientScope(req.user));
+        if (req.query.format === 'json') {
+            res.status(200).json(plan);
+            return;
+        }
+        if (req.query.format === 'text') {
+            res.status(200).type('text/plain').send(memberPlans.renderPlanText(client, plan));
+            return;
+        }
+        res.set({
+            'Content-Type': 'text/html; charset=utf-8',
+            'Content-Disposition': `inline; filename="plan-v${plan.version}.html"`
+        });
+        res.status(200).send(memberPlans.renderPlan(client, plan));
+    } catch (error) {
+        sendError(res, error, 'Error generating plan.');
+    }
+});
+
+// ------------------------------------
+// REVEAL a client's full Aadhaar number (owner only, audited)
+// ------------------------------------
+router.post('/:id/aadhaar/reveal', requirePermission('aadhaar:reveal'), async (req, res) => {
+    try {
+        const aadhaar = await clientProfiles.revealAadhaar(req.params.id, req.user, {
+            reason: req.body.reason,
+            req
+        });
+        res.status(200).json({
+            aadhaar
+        });
+    } catch (error) {
+        sendError(res, error, 'Error revealing Aadhaar number.');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+// routes/coupons.js
+const express = require('express');
+const coupons = require('../services/coupons');
+const { sendError } = require('../services/errors');
+const { requireAuth, requirePermission } = require('./middleware');
+
+// ------------------------------------
+// DISCOUNT CODES (owner manages, the desk applies them at signup / renewal)
+// ------------------------------------
+const router = express.Router();
+router.use(requireAuth);
+
+// GET /api/coupons?active=true lists only the codes still on offer
+router.get('/', requirePermission('coupons:read'), async (req, res) => {
+    try {
+        res.status(200).json(await coupons.listCoupons({ active: req.query.active }));
+    } catch (error) {
+        sendError(res, error, 'Error fetching discount codes.');
+    }
+});
+
+// { code, planId, amount, clientId } -> the discount the code would give,
+// without using it up. Leave clientId out for a new member.
+router.post('/check', requirePermission('coupons:read'), async (req, res) => {
+    try {
+        const { code, planId, amount, clientId } = req.body;
+        res.status(200).json(await coupons.previewCoupon(code, { planId, amount, clientId }));
+    } catch (error) {
+        sendError(res, error, 'Error checking discount code.');
+    }
+});
+
+router.post('/', requirePermission('coupons:manage'), async (req, res) => {
+    try {
+        const coupon = await coupons.createCoupon(req.body, { user: req.user });
+        res.status(201).json(coupon);
+    } catch (error) {
+        sendError(res, error, 'Error creating discount code.');
+    }
+});
+
+// Codes are retired with { active: false } rather than deleted, so the
+// periods they were used on keep pointing at them
+router.put('/:id', requirePermission('coupons:manage'), async (req, res) => {
+    try {
+        const coupon = await coupons.updateCoupon(req.params.id, req.body);
+        res.status(200).json(coupon);
+    } catch (error) {
+        sendError(res, error, 'Error updating discount code.');
+    }
+});
+
+module.exports = router;
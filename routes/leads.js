@@ -0,0 +1,73 @@
+// routes/leads.js
+const express = require('express');
+const auth = require('../services/auth');
+const leads = require('../services/leads');
+const { sendError } = require('../services/errors');
+const { requireAuth, requirePermission } = require('./middleware');
+
+// ------------------------------------
+// LEADS: enquiries from people who have not joined yet, moved through
+// new -> contacted -> trial -> converted / lost. They are converted by
+// POST /api/clients with `leadId`, which links the new client to the lead.
+// ------------------------------------
+const router = express.Router();
+router.use(requireAuth);
+
+// GET /api/leads?status=&q= (&branch= for the owner)
+router.get('/', requirePermission('leads:read'), async (req, res) => {
+    try {
+        const scope = auth.branchScope(req.user, req.query.branch);
+        res.status(200).json(await leads.listLeads({ status: req.query.status, q: req.query.q }, scope));
+    } catch (error) {
+        sendError(res, error, 'Error fetching leads.');
+    }
+});
+
+// GET /api/leads/stats?from=YYYY-MM-DD&to=YYYY-MM-DD: leads by stage and
+// source with conversion rates; defaults to the last 12 months
+router.get('/stats', requirePermission('leads:read'), async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        res.status(200).json(await leads.leadStats({ from, to }, auth.branchScope(req.user, req.query.branch)));
+    } catch (error) {
+        sendError(res, error, 'Error building lead report.');
+    }
+});
+
+router.get('/:id', requirePermission('leads:read'), async (req, res) => {
+    try {
+        res.status(200).json(await leads.findLead(req.params.id, auth.branchScope(req.user)));
+    } catch (error) {
+        sendError(res, error, 'Error fetching lead.');
+    }
+});
+
+router.post('/', requirePermission('leads:write'), async (req, res) => {
+    try {
+        const lead = await leads.createLead(req.body, req.user);
+        res.status(201).json(lead);
+    } catch (error) {
+        sendError(res, error, 'Error creating lead.');
+    }
+});
+
+router.put('/:id', requirePermission('leads:write'), async (req, res) => {
+    try {
+        const lead = await leads.updateLead(req.params.id, req.body, auth.branchScope(req.user));
+        res.status(200).json(lead);
+    } catch (error) {
+        sendError(res, error, 'Error updating lead.');
+    }
+});
+
+// { days } of free training from today, 3 by default
+router.post('/:id/trial', requirePermission('leads:write'), async (req, res) => {
+    try {
+        const lead = await leads.issueTrialPass(req.params.id, req.body, req.user, auth.branchScope(req.user));
+        res.status(200).json(lead);
+    } catch (error) {
+        sendError(res, error, 'Error issuing trial pass.');
+    }
+});
+
+module.exports = router;
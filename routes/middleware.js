@@ -0,0 +1,62 @@
+// routes/middleware.js
+const crypto = require('crypto');
+const auth = require('../services/auth');
+const memberAuth = require('../services/memberAuth');
+const db = require('../services/db');
+const { sendError } = require('../services/errors');
+
+// Connects on the first request (cached afterwards), so the same app works
+// as a long-running server and as a Vercel function
+const requireDb = async (req, res, next) => {
+    try {
+        await db.connect();
+        next();
+    } catch (error) {
+        sendError(res, error, 'Error connecting to the database.');
+    }
+};
+
+// Every API request must carry a staff token: `Authorization: Bearer <token>`
+const requireAuth = async (req, res, next) => {
+    try {
+        req.user = await auth.authenticate(req);
+        next();
+    } catch (error) {
+        sendError(res, error, 'Error checking login.');
+    }
+};
+
+// Member portal requests carry a member token instead (see services/memberAuth.js)
+const requireMember = async (req, res, next) => {
+    try {
+        req.member = await memberAuth.authenticateMember(req);
+        next();
+    } catch (error) {
+        sendError(res, error, 'Error checking login.');
+    }
+};
+
+// Refuses the request unless the logged-in role may perform `action` (see services/auth.js)
+const requirePermission = (action) => (req, res, next) => {
+    if (!auth.can(req.user, action)) {
+        return res.status(403).json({
+            message: 'You do not have permission to do this.'
+        });
+    }
+    next();
+};
+
+// Vercel Cron calls scheduled paths with `Authorization: Bearer <CRON_SECRET>`
+const requireCron = (req, res, next) => {
+    const secret = process.env.CRON_SECRET;
+    const expected = Buffer.from(`Bearer ${secret}`);
+    const actual = Buffer.from(req.headers.authorization || '');
+    if (!secret || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return res.status(401).json({
+            message: 'Invalid cron secret.'
+        });
+    }
+    next();
+};
+
+module.exports = { requireDb, requireAuth, requireMember, requirePermission, requireCron };
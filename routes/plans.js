@@ -0,0 +1,64 @@
+// routes/plans.js
+const express = require('express');
+const plans = require('../services/plans');
+const { sendError } = require('../services/errors');
+const { requireAuth, requirePermission } = require('./middleware');
+
+// ------------------------------------
+// MEMBERSHIP PLANS (price list; owner manages, staff pick from it)
+// ------------------------------------
+const router = express.Router();
+router.use(requireAuth);
+
+// GET /api/plans?active=true lists only the plans still offered
+router.get('/', requirePermission('plans:read'), async (req, res) => {
+    try {
+        res.status(200).json(await plans.listPlans({ active: req.query.active }));
+    } catch (error) {
+        sendError(res, error, 'Error fetching plans.');
+    }
+});
+
+router.post('/', requirePermission('plans:manage'), async (req, res) => {
+    try {
+        const plan = await plans.createPlan(req.body);
+        res.status(201).json(plan);
+    } catch (error) {
+        if (error.code === 11000) {
+            res.status(409).json({
+                message: 'A plan with this name already exists.'
+            });
+        } else {
+            sendError(res, error, 'Error creating plan.');
+        }
+    }
+});
+
+// Price changes only apply to clients who join or renew afterwards
+router.put('/:id', requirePermission('plans:manage'), async (req, res) => {
+    try {
+        const plan = await plans.updatePlan(req.params.id, req.body);
+        res.status(200).json(plan);
+    } catch (error) {
+        if (error.code === 11000) {
+            res.status(409).json({
+                message: 'A plan with this name already exists.'
+            });
+        } else {
+            sendError(res, error, 'Error updating plan.');
+        }
+    }
+});
+
+router.delete('/:id', requirePermission('plans:manage'), async (req, res) => {
+    try {
+        await plans.deletePlan(req.params.id);
+        res.status(200).json({
+            message: 'Plan deleted successfully.'
+        });
+    } catch (error) {
+        sendError(res, error, 'Error deleting plan.');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+// routes/portal.js
+const express = require('express');
+const memberAuth = require('../services/memberAuth');
+const memberPortal = require('../services/memberPortal');
+const memberPlans = require('../services/memberPlans');
+const receipts = require('../services/receipts');
+const { sendError } = require('../services/errors');
+const { requireMember } = require('./middleware');
+
+// ------------------------------------
+// MEMBER PORTAL (members log in with their contact number and a one-time
+// code, then see their own membership; staff tokens are not accepted here)
+// ------------------------------------
+const router = express.Router();
+
+// Body: { contact }. Answers the same whether or not the number is a member's.
+router.post('/code', async (req, res) => {
+    try {
+        const result = await memberAuth.requestCode(req.body.contact);
+        res.status(200).json({
+            message: 'If this number is registered with us, a login code is on its way.',
+            ...result
+        });
+    } catch (error) {
+        sendError(res, error, 'Error sending the login code.');
+    }
+});
+
+// Body: { contact, code }. Answers with a portal token.
+router.post('/login', async (req, res) => {
+    try {
+        const { contact, code } = req.body;
+        res.status(200).json(await memberAuth.verifyCode(contact, code, { req }));
+    } catch (error) {
+        sendError(res, error, 'Error logging in.');
+    }
+});
+
+router.use(requireMember);
+
+// ------------------------------------
+// MY MEMBERSHIP
+// ------------------------------------
+router.get('/me', async (req, res) => {
+    try {
+        res.status(200).json(await memberPortal.getOverview(req.member));
+    } catch (error) {
+        sendError(res, error, 'Error fetching your membership.');
+    }
+});
+
+// Body: { emergencyContact: { name, contact } }; nothing else may be changed
+router.put('/me', async (req, res) => {
+    try {
+        res.status(200).json(await memberPortal.updateProfile(req.member, req.body, { req }));
+    } catch (error) {
+        sendError(res, error, 'Error updating your details.');
+    }
+});
+
+router.get('/receipts', async (req, res) => {
+    try {
+        res.status(200).json(await memberPortal.listReceipts(req.member));
+    } catch (error) {
+        sendError(res, error, 'Error fetching your payments.');
+    }
+});
+
+router.get('/receipts/:paymentId', async (req, res) => {
+    try {
+        const payment = await memberPortal.getReceipt(req.member, req.params.paymentId);
+        res.set({
+            'Content-Type': 'text/html; charset=utf-8',
+            'Content-Disposition': `inline; filename="receipt-${receipts.formatNumber(payment.receipt.number)}.html"`
+        });
+        res.status(200).send(receipts.renderReceipt(payment));
+    } catch (error) {
+        sendError(res, error, 'Error generating receipt.');
+    }
+});
+
+// GET /api/portal/attendance?limit=20
+router.get('/attendance', async (req, res) => {
+    try {
+        res.status(200).json(await memberPortal.getAttendance(req.member, { limit: req.query.limit }));
+    } catch (error) {
+        sendError(res, error, 'Error fetching your visits.');
+    }
+});
+
+// The current workout and diet plan: { plan } (null before one is assigned),
+// or the print-ready page with ?format=html
+router.get('/plan', async (req, res) => {
+    try {
+        const plan = await memberPortal.getPlan(req.member);
+        if (req.query.format !== 'html') {
+            return res.status(200).json({ plan });
+        }
+        if (!plan) {
+            return res.status(404).json({ message: 'No plan has been assigned to you yet.' });
+        }
+        res.set('Content-Type', 'text/html; charset=utf-8');
+        res.status(200).send(memberPlans.renderPlan(req.member, plan));
+    } catch (error) {
+        sendError(res, error, 'Error fetching your plan.');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,119 @@
+// routes/programs.js
+const express = require('express');
+const programs = require('../services/programs');
+const { sendError } = require('../services/errors');
+const { requireAuth, requirePermission } = require('./middleware');
+
+// ------------------------------------
+// WORKOUT & DIET PROGRAMS (exercise library and reusable templates;
+// trainers and the owner build them, everyone may read them)
+// ------------------------------------
+const router = express.Router();
+router.use(requireAuth);
+
+// Names are unique within the library and each kind of template
+function sendSaveError(res, error, duplicateMessage, fallback) {
+    if (error.code === 11000) {
+        res.status(409).json({
+            message: duplicateMessage
+        });
+    } else {
+        sendError(res, error, fallback);
+    }
+}
+
+// ------------------------------------
+// EXERCISE LIBRARY
+// GET /api/programs/exercises?active=true&muscleGroup=Legs
+// ------------------------------------
+router.get('/exercises', requirePermission('programs:read'), async (req, res) => {
+    try {
+        const { active, muscleGroup } = req.query;
+        res.status(200).json(await programs.listExercises({ active, muscleGroup }));
+    } catch (error) {
+        sendError(res, error, 'Error fetching exercises.');
+    }
+});
+
+router.post('/exercises', requirePermission('programs:manage'), async (req, res) => {
+    try {
+        const exercise = await programs.createExercise(req.body);
+        res.status(201).json(exercise);
+    } catch (error) {
+        sendSaveError(res, error, 'An exercise with this name already exists.', 'Error creating exercise.');
+    }
+});
+
+router.put('/exercises/:id', requirePermission('programs:manage'), async (req, res) => {
+    try {
+        const exercise = await programs.updateExercise(req.params.id, req.body);
+        res.status(200).json(exercise);
+    } catch (error) {
+        sendSaveError(res, error, 'An exercise with this name already exists.', 'Error updating exercise.');
+    }
+});
+
+// ------------------------------------
+// WORKOUT TEMPLATES (days of exercises with sets, reps and rest)
+// GET /api/programs/workouts?active=true&goal=Lose Weight
+// ------------------------------------
+router.get('/workouts', requirePermission('programs:read'), async (req, res) => {
+    try {
+        const { active, goal } = req.query;
+        res.status(200).json(await programs.listWorkoutTemplates({ active, goal }));
+    } catch (error) {
+        sendError(res, error, 'Error fetching workout templates.');
+    }
+});
+
+router.post('/workouts', requirePermission('programs:manage'), async (req, res) => {
+    try {
+        const template = await programs.createWorkoutTemplate(req.body, { user: req.user });
+        res.status(201).json(template);
+    } catch (error) {
+        sendSaveError(res, error, 'A workout template with this name already exists.', 'Error creating workout template.');
+    }
+});
+
+// Members already on the template keep their own copy
+router.put('/workouts/:id', requirePermission('programs:manage'), async (req, res) => {
+    try {
+        const template = await programs.updateWorkoutTemplate(req.params.id, req.body);
+        res.status(200).json(template);
+    } catch (error) {
+        sendSaveError(res, error, 'A workout template with this name already exists.', 'Error updating workout template.');
+    }
+});
+
+// ------------------------------------
+// DIET TEMPLATES (meals for the day with an optional calorie target)
+// GET /api/programs/diets?active=true&goal=Gain Weight
+// ------------------------------------
+router.get('/diets', requirePermission('programs:read'), async (req, res) => {
+    try {
+        const { active, goal } = req.query;
+        res.status(200).json(await programs.listDietTemplates({ active, goal }));
+    } catch (error) {
+        sendError(res, error, 'Error fetching diet templates.');
+    }
+});
+
+router.post('/diets', requirePermission('programs:manage'), async (req, res) => {
+    try {
+        const template = await programs.createDietTemplate(req.body, { user: req.user });
+        res.status(201).json(template);
+    } catch (error) {
+        sendSaveError(res, error, 'A diet template with this name already exists.', 'Error creating diet template.');
+    }
+});
+
+router.put('/diets/:id', requirePermission('programs:manage'), async (req, res) => {
+    try {
+        const template = await programs.updateDietTemplate(req.params.id, req.body);
+        res.status(200).json(template);
+    } catch (error) {
+        sendSaveError(res, error, 'A diet template with this name already exists.', 'Error updating diet template.');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,27 @@
+// routes/referrals.js
+const express = require('express');
+const auth = require('../services/auth');
+const referrals = require('../services/referrals');
+const { sendError } = require('../services/errors');
+const { requireAuth, requirePermission } = require('./middleware');
+
+// ------------------------------------
+// REFERRALS: GET /api/referrals?from=YYYY-MM-DD&to=YYYY-MM-DD&branch=
+// Members by how many others they referred, with the rewards they were given
+// ------------------------------------
+const router = express.Router();
+router.use(requireAuth);
+
+router.get('/', requirePermission('referrals:read'), async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        res.status(200).json({
+            reward: referrals.rewardSetting(),
+            referrers: await referrals.referralReport({ from, to }, auth.branchScope(req.user, req.query.branch))
+        });
+    } catch (error) {
+        sendError(res, error, 'Error building referral report.');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+// routes/reminders.js
+const express = require('express');
+const auth = require('../services/auth');
+const reminders = require('../services/reminders');
+const { sendError } = require('../services/errors');
+const { requireAuth, requirePermission, requireCron } = require('./middleware');
+
+// ------------------------------------
+// REMINDERS (expiry and dues messages)
+// ------------------------------------
+const router = express.Router();
+
+// Vercel Cron runs the daily job here (see vercel.json); server.js schedules it itself
+router.get('/cron', requireCron, async (req, res) => {
+    try {
+        res.status(200).json(await reminders.runDaily());
+    } catch (error) {
+        sendError(res, error, 'Error running reminders.');
+    }
+});
+
+router.use(requireAuth);
+
+// What was sent and when: GET /api/reminders?clientId=&status=&branch=
+router.get('/', requirePermission('reminders:read'), async (req, res) => {
+    try {
+        const { clientId, status, limit } = req.query;
+        const scope = auth.branchScope(req.user, req.query.branch);
+        res.status(200).json(await reminders.listReminders({ clientId, status, limit }, scope));
+    } catch (error) {
+        sendError(res, error, 'Error fetching reminders.');
+    }
+});
+
+// Runs the daily job now; already-reminded events are skipped
+router.post('/run', requirePermission('reminders:manage'), async (req, res) => {
+    try {
+        res.status(200).json(await reminders.runDaily());
+    } catch (error) {
+        sendError(res, error, 'Error running reminders.');
+    }
+});
+
+router.get('/templates', requirePermission('reminders:read'), async (req, res) => {
+    try {
+        res.status(200).json(await reminders.getTemplates());
+    } catch (error) {
+        sendError(res, error, 'Error fetching reminder templates.');
+    }
+});
+
+router.put('/templates/:event', requirePermission('reminders:manage'), async (req, res) => {
+    try {
+        const { body, active } = req.body;
+        res.status(200).json(await reminders.saveTemplate(req.params.event, { body, active }, req.user));
+    } catch (error) {
+        sendError(res, error, 'Error saving reminder template.');
+    }
+});
+
+module.exports = router;
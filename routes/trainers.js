@@ -0,0 +1,86 @@
+// routes/trainers.js
+const express = require('express');
+const auth = require('../services/auth');
+const trainers = require('../services/trainers');
+const { sendError } = require('../services/errors');
+const { requireAuth, requirePermission } = require('./middleware');
+
+// ------------------------------------
+// TRAINERS (profiles PT clients are assigned to; owner manages them)
+// ------------------------------------
+const router = express.Router();
+router.use(requireAuth);
+
+const duplicateMessage = (error) => (error.keyPattern && error.keyPattern.user
+    ? 'This login account is already linked to another trainer.'
+    : 'A trainer with this contact number already exists.');
+
+// GET /api/trainers?active=true lists only trainers taking clients
+router.get('/', requirePermission('trainers:read'), async (req, res) => {
+    try {
+        res.status(200).json(await trainers.listTrainers({ active: req.query.active }));
+    } catch (error) {
+        sendError(res, error, 'Error fetching trainers.');
+    }
+});
+
+// Active PT clients, PT revenue and commission per trainer:
+// GET /api/trainers/report?from=YYYY-MM-DD&to=YYYY-MM-DD&branch= (defaults to this month, every branch)
+router.get('/report', requirePermission('trainers:report'), async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        res.status(200).json(await trainers.report({ from, to }, auth.branchScope(req.user, req.query.branch)));
+    } catch (error) {
+        sendError(res, error, 'Error building the trainer report.');
+    }
+});
+
+// A trainer's PT clients with goal and medical condition. Trainers may only
+// ask for their own, as /api/trainers/me/clients or by their profile id.
+router.get('/:id/clients', requirePermission('trainers:clients'), async (req, res) => {
+    try {
+        const trainerId = req.params.id === 'me' ? req.user.trainerId : req.params.id;
+        if (req.user.role === 'trainer' && (!req.user.trainerId || String(trainerId) !== String(req.user.trainerId))) {
+            return res.status(403).json({
+                message: 'You can only see your own clients.'
+            });
+        }
+        res.status(200).json(await trainers.listTrainerClients(trainerId, auth.branchScope(req.user)));
+    } catch (error) {
+        sendError(res, error, 'Error fetching the trainer\'s clients.');
+    }
+});
+
+router.post('/', requirePermission('trainers:manage'), async (req, res) => {
+    try {
+        const trainer = await trainers.createTrainer(req.body);
+        res.status(201).json(trainer);
+    } catch (error) {
+        if (error.code === 11000) {
+            res.status(409).json({
+                message: duplicateMessage(error)
+            });
+        } else {
+            sendError(res, error, 'Error creating trainer.');
+        }
+    }
+});
+
+// Trainers are deactivated (`active: false`) rather than deleted so their
+// past clients and report history keep a name
+router.put('/:id', requirePermission('trainers:manage'), async (req, res) => {
+    try {
+        const trainer = await trainers.updateTrainer(req.params.id, req.body);
+        res.status(200).json(trainer);
+    } catch (error) {
+        if (error.code === 11000) {
+            res.status(409).json({
+                message: duplicateMessage(error)
+            });
+        } else {
+            sendError(res, error, 'Error updating trainer.');
+        }
+    }
+});
+
+module.exports = router;
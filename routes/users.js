@@ -0,0 +1,50 @@
+// routes/users.js
+const express = require('express');
+const auth = require('../services/auth');
+const { sendError } = require('../services/errors');
+const { requireAuth, requirePermission } = require('./middleware');
+
+// ------------------------------------
+// STAFF ACCOUNTS
+// ------------------------------------
+const router = express.Router();
+router.use(requireAuth);
+
+// GET /api/users?role=trainer lists one role only; staff only see their own branch
+router.get('/', requirePermission('users:read'), async (req, res) => {
+    try {
+        const { branch } = auth.branchScope(req.user, req.query.branch);
+        const users = await auth.listUsers({ role: req.query.role, branch });
+        res.status(200).json(users);
+    } catch (error) {
+        sendError(res, error, 'Error fetching staff accounts.');
+    }
+});
+
+router.post('/', requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { username, name, role, password, branch } = req.body;
+        const user = await auth.createUser({ username, name, role, password, branch });
+        res.status(201).json(user);
+    } catch (error) {
+        if (error.code === 11000) {
+            res.status(409).json({
+                message: 'A staff account with this username already exists.'
+            });
+        } else {
+            sendError(res, error, 'Error creating staff account.');
+        }
+    }
+});
+
+router.put('/:id', requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { name, role, active, password, branch } = req.body;
+        const user = await auth.updateUser(req.params.id, { name, role, active, password, branch });
+        res.status(200).json(user);
+    } catch (error) {
+        sendError(res, error, 'Error updating staff account.');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+// scripts/migrate-aadhaar.js
+// One-off migration: encrypts Aadhaar numbers stored in plain text before
+// services/aadhaar.js existed and drops the old unique index on them.
+// Usage: npm run migrate:aadhaar (needs MONGO_URI and AADHAAR_KEY)
+require('dotenv').config();
+const mongoose = require('mongoose');
+const aadhaarVault = require('../services/aadhaar');
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGO_URI);
+  const clients = mongoose.connection.collection('clients');
+
+  let migrated = 0;
+  const failed = [];
+  for await (const doc of clients.find({ aadhaar: { $type: 'string' } })) {
+    try {
+      await clients.updateOne(
+        { _id: doc._id },
+        { $set: aadhaarVault.protect(doc.aadhaar), $unset: { aadhaar: '' } }
+      );
+      migrated++;
+    } catch (error) {
+      failed.push(`${doc._id} (${doc.name}): ${error.message}`);
+    }
+  }
+
+  const indexes = await clients.indexes();
+  if (indexes.some(index => index.name === 'aadhaar_1')) {
+    await clients.dropIndex('aadhaar_1');
+    console.log('Dropped the old unique index on the plain Aadhaar field.');
+  }
+
+  console.log(`✅ Encrypted Aadhaar for ${migrated} client(s).`);
+  if (failed.length > 0) {
+    console.error(`❌ ${failed.length} client(s) need fixing by hand:\n${failed.join('\n')}`);
+    process.exitCode = 1;
+  }
+}
+
+migrate()
+  .catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,36 @@
+// scripts/migrate-branches.js
+// One-off migration for the move to several locations: creates the first
+// branch (named by BRANCH_NAME, default "Main") and makes it the home branch
+// of every client, payment and staff account that has none yet. Owners are
+// left without one so they keep seeing every branch.
+// Usage: npm run migrate:branches (needs MONGO_URI)
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Branch = require('../models/Branch');
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGO_URI);
+  const name = process.env.BRANCH_NAME || 'Main';
+  let branch = await Branch.findOne({ name });
+  if (!branch) {
+    branch = await Branch.create({ name });
+  }
+
+  // The raw collections, so clients in the trash are tagged too.
+  // `branch: null` also matches documents saved before the field existed.
+  const { db } = mongoose.connection;
+  const [clients, payments, users] = await Promise.all([
+    db.collection('clients').updateMany({ branch: null }, { $set: { branch: branch._id } }),
+    db.collection('payments').updateMany({ branch: null }, { $set: { branch: branch._id } }),
+    db.collection('users').updateMany({ branch: null, role: { $ne: 'owner' } }, { $set: { branch: branch._id } })
+  ]);
+
+  console.log(`✅ Tagged ${clients.modifiedCount} client(s), ${payments.modifiedCount} payment(s) and ${users.modifiedCount} staff account(s) with the ${branch.name} branch.`);
+}
+
+migrate()
+  .catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
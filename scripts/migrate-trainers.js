@@ -0,0 +1,35 @@
+// scripts/migrate-trainers.js
+// One-off migration: PT clients used to point at the trainer's staff account.
+// Gives every trainer account a trainer profile and points their clients at it.
+// Usage: npm run migrate:trainers (needs MONGO_URI)
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Trainer = require('../models/Trainer');
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGO_URI);
+  const clients = mongoose.connection.collection('clients');
+
+  let profiles = 0;
+  let moved = 0;
+  for (const user of await User.find({ role: 'trainer' })) {
+    let trainer = await Trainer.findOne({ user: user._id });
+    if (!trainer) {
+      trainer = await Trainer.create({ name: user.name, user: user._id, active: user.active });
+      profiles++;
+    }
+    // The raw collection, so clients in the trash are moved too
+    const result = await clients.updateMany({ trainer: user._id }, { $set: { trainer: trainer._id } });
+    moved += result.modifiedCount;
+  }
+
+  console.log(`✅ Created ${profiles} trainer profile(s) and reassigned ${moved} client(s).`);
+}
+
+migrate()
+  .catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
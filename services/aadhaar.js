@@ -0,0 +1,87 @@
+// services/aadhaar.js
+const crypto = require('crypto');
+const { httpError } = require('./errors');
+
+const AADHAAR_PATTERN = /^\d{12}$/;
+
+// Two sub-keys are derived from AADHAAR_KEY (32 bytes, hex encoded): one
+// encrypts the number, the other produces the keyed hash used for the
+// uniqueness check. A plain SHA-256 of a 12-digit number could be brute forced.
+function getKeys() {
+  const key = Buffer.from(process.env.AADHAAR_KEY || '', 'hex');
+  if (key.length !== 32) {
+    throw httpError(500, 'AADHAAR_KEY must be set to 64 hex characters on the server.');
+  }
+  return {
+    encryption: Buffer.from(crypto.hkdfSync('sha256', key, Buffer.alloc(0), 'aadhaar-encryption', 32)),
+    lookup: Buffer.from(crypto.hkdfSync('sha256', key, Buffer.alloc(0), 'aadhaar-lookup', 32))
+  };
+}
+
+const normalize = (aadhaar) => String(aadhaar || '').replace(/[\s-]/g, '');
+
+// AES-256-GCM, stored as `<iv>.<auth tag>.<ciphertext>` in base64
+function encrypt(aadhaar) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKeys().encryption, iv);
+  const ciphertext = Buffer.concat([cipher.update(aadhaar, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+}
+
+function decrypt(stored) {
+  const [iv, tag, ciphertext] = String(stored).split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKeys().encryption, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+function hash(aadhaar) {
+  return crypto.createHmac('sha256', getKeys().lookup).update(normalize(aadhaar)).digest('hex');
+}
+
+const mask = (last4) => (last4 ? `XXXX-XXXX-${last4}` : '');
+
+// Validates a typed-in Aadhaar number and returns the fields stored for it.
+function protect(aadhaar) {
+  const digits = normalize(aadhaar);
+  if (!AADHAAR_PATTERN.test(digits)) {
+    throw httpError(400, 'Aadhaar number must be exactly 12 digits');
+  }
+  return {
+    aadhaarEncrypted: encrypt(digits),
+    aadhaarHash: hash(digits),
+    aadhaarLast4: digits.slice(-4)
+  };
+}
+
+// Mongoose plugin for the Client schema: adds the protected fields and makes
+// every JSON response carry only the masked number as `aadhaar`.
+function aadhaarPlugin(schema) {
+  schema.add({
+    aadhaarEncrypted: { type: String, required: [true, 'Aadhaar number is required'], select: false },
+    aadhaarHash: { type: String, required: true, unique: true, select: false },
+    aadhaarLast4: { type: String, match: /^\d{4}$/ }
+  });
+
+  const previousTransform = schema.options.toJSON && schema.options.toJSON.transform;
+  schema.set('toJSON', {
+    ...(schema.options.toJSON || {}),
+    transform: (doc, ret, options) => {
+      const result = previousTransform ? previousTransform(doc, ret, options) || ret : ret;
+      // Records not yet run through scripts/migrate-aadhaar.js still hold the plain number
+      const legacy = typeof result.aadhaar === 'string' ? normalize(result.aadhaar) : '';
+      result.aadhaar = mask(result.aadhaarLast4 || legacy.slice(-4));
+      delete result.aadhaarEncrypted;
+      delete result.aadhaarHash;
+      return result;
+    }
+  });
+}
+
+module.exports = {
+  protect,
+  decrypt,
+  hash,
+  mask,
+  aadhaarPlugin
+};
@@ -0,0 +1,188 @@
+// services/analytics.js
+const Branch = require('../models/Branch');
+const Client = require('../models/Client');
+const Payment = require('../models/Payment');
+const { httpError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Months are bucketed in the gym's local time, not UTC
+const timezone = () => process.env.REPORT_TIMEZONE || 'Asia/Kolkata';
+
+const startOfToday = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+};
+
+// `from` / `to` as YYYY-MM-DD; defaults to the last 12 months up to today.
+function parseRange({ from, to } = {}) {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getFullYear(), end.getMonth() - 11, 1);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw httpError(400, 'Dates must be in YYYY-MM-DD format.');
+  }
+  if (start > end) {
+    throw httpError(400, 'The start date must be before the end date.');
+  }
+  // Include the whole `to` day
+  return { start, end: new Date(end.getTime() + DAY_MS - 1) };
+}
+
+const monthOf = (field) => ({ $dateToString: { format: '%Y-%m', date: field, timezone: timezone() } });
+
+// [{ month: '2025-01', ... }] sorted by month
+const byMonth = (rows, valueKey = 'value') =>
+  rows.map(row => ({ month: row._id, [valueKey]: row[valueKey] })).sort((a, b) => a.month.localeCompare(b.month));
+
+// `scope` is { branch } for one branch or {} for all of them; payments carry
+// the branch they were made at, so it applies to both collections.
+async function monthlyRevenue({ start, end }, scope = {}) {
+  const rows = await Payment.aggregate([
+    { $match: { ...scope, 'voided.isVoided': false, date: { $gte: start, $lte: end } } },
+    { $group: { _id: monthOf('$date'), value: { $sum: '$amount' }, payments: { $sum: 1 } } }
+  ]);
+  return rows.map(row => ({ month: row._id, amount: row.value, payments: row.payments }))
+    .sort((a, b) => a.month.localeCompare(b.month));
+}
+
+async function outstandingDues(scope = {}) {
+  const [row] = await Client.aggregate([
+    { $match: { ...scope, 'fees.due': { $gt: 0 } } },
+    { $group: { _id: null, amount: { $sum: '$fees.due' }, clients: { $sum: 1 } } }
+  ]);
+  return row ? { amount: row.amount, clients: row.clients } : { amount: 0, clients: 0 };
+}
+
+// New joins and renewals come from membership periods. Churn counts members
+// whose membership ran out in that month and who have not renewed since.
+async function membershipFlow({ start, end }, scope = {}) {
+  const [periodRows, churnRows] = await Promise.all([
+    Client.aggregate([
+      { $match: scope },
+      // Clients saved before periods were tracked count as a join on their fee date
+      {
+        $project: {
+          periods: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$membership.periods', []] } }, 0] },
+              '$membership.periods',
+              [{ paidOn: '$membership.feeDate', kind: 'Joining' }]
+            ]
+          }
+        }
+      },
+      { $unwind: '$periods' },
+      { $match: { 'periods.paidOn': { $gte: start, $lte: end } } },
+      {
+        $group: {
+          _id: { month: monthOf('$periods.paidOn'), kind: '$periods.kind' },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+    Client.aggregate([
+      { $match: { ...scope, 'membership.endDate': { $gte: start, $lte: end, $lt: startOfToday() } } },
+      { $group: { _id: monthOf('$membership.endDate'), value: { $sum: 1 } } }
+    ])
+  ]);
+
+  const months = {};
+  const monthEntry = (month) => (months[month] = months[month] || { month, joins: 0, renewals: 0, churned: 0 });
+  periodRows.forEach(row => {
+    monthEntry(row._id.month)[row._id.kind === 'Renewal' ? 'renewals' : 'joins'] += row.count;
+  });
+  byMonth(churnRows).forEach(row => {
+    monthEntry(row.month).churned = row.value;
+  });
+  return Object.values(months).sort((a, b) => a.month.localeCompare(b.month));
+}
+
+async function activeMembers(scope = {}) {
+  const active = { ...scope, 'membership.endDate': { $gte: startOfToday() } };
+  const [total, byGoal, byPt] = await Promise.all([
+    Client.countDocuments(active),
+    Client.aggregate([{ $match: active }, { $group: { _id: '$goal', count: { $sum: 1 } } }]),
+    Client.aggregate([{ $match: active }, { $group: { _id: '$pt', count: { $sum: 1 } } }])
+  ]);
+  const toList = (rows) => rows.map(row => ({ label: row._id, count: row.count })).sort((a, b) => b.count - a.count);
+  return { total, byGoal: toList(byGoal), byPt: toList(byPt) };
+}
+
+// Renewal revenue expected from memberships ending in the next `days` days,
+// assuming each member renews at the price of their latest period.
+async function renewalForecast(days = 30, scope = {}) {
+  const today = startOfToday();
+  const clients = await Client.find({
+    ...scope,
+    'membership.endDate': { $gte: today, $lt: new Date(today.getTime() + days * DAY_MS) }
+  }).select('name membership.endDate membership.periods fees.total');
+
+  const weeks = [];
+  let expected = 0;
+  clients.forEach(client => {
+    const periods = client.membership.periods || [];
+    const price = periods.length > 0 ? periods[periods.length - 1].amount || 0 : client.fees.total || 0;
+    const week = Math.floor((client.membership.endDate - today) / (7 * DAY_MS));
+    weeks[week] = weeks[week] || { week: week + 1, members: 0, amount: 0 };
+    weeks[week].members += 1;
+    weeks[week].amount += price;
+    expected += price;
+  });
+
+  return { days, members: clients.length, expected, byWeek: weeks.filter(Boolean) };
+}
+
+// The consolidated view across branches: each branch's active members,
+// revenue in the range and outstanding dues side by side
+async function branchSummary({ start, end }) {
+  const [branches, activeRows, revenueRows, dueRows] = await Promise.all([
+    Branch.find().sort({ active: -1, name: 1 }),
+    Client.aggregate([
+      { $match: { 'membership.endDate': { $gte: startOfToday() } } },
+      { $group: { _id: '$branch', value: { $sum: 1 } } }
+    ]),
+    Payment.aggregate([
+      { $match: { 'voided.isVoided': false, date: { $gte: start, $lte: end } } },
+      { $group: { _id: '$branch', value: { $sum: '$amount' } } }
+    ]),
+    Client.aggregate([
+      { $match: { 'fees.due': { $gt: 0 } } },
+      { $group: { _id: '$branch', value: { $sum: '$fees.due' } } }
+    ])
+  ]);
+  const byBranch = (rows) => new Map(rows.map(row => [String(row._id), row.value]));
+  const [active, revenue, dues] = [activeRows, revenueRows, dueRows].map(byBranch);
+  return branches.map(branch => ({
+    branch: { _id: branch._id, name: branch.name, active: branch.active },
+    activeMembers: active.get(String(branch._id)) || 0,
+    revenue: revenue.get(String(branch._id)) || 0,
+    outstandingDues: dues.get(String(branch._id)) || 0
+  }));
+}
+
+// Everything the owner dashboard shows, in one response, for one branch
+// (`scope`, see services/auth.js) or all of them with a per-branch summary.
+async function dashboard(params = {}, scope = {}) {
+  const range = parseRange(params);
+  const consolidated = Object.keys(scope).length === 0;
+  const [revenue, dues, flow, active, forecast, branches] = await Promise.all([
+    monthlyRevenue(range, scope),
+    outstandingDues(scope),
+    membershipFlow(range, scope),
+    activeMembers(scope),
+    renewalForecast(30, scope),
+    consolidated ? branchSummary(range) : []
+  ]);
+  return {
+    range: { from: range.start, to: range.end },
+    branch: consolidated ? null : scope.branch,
+    revenue,
+    outstandingDues: dues,
+    membershipFlow: flow,
+    activeMembers: active,
+    renewalForecast: forecast,
+    branches
+  };
+}
+
+module.exports = { dashboard, parseRange };
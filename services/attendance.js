@@ -0,0 +1,146 @@
+// services/attendance.js
+const mongoose = require('mongoose');
+const Client = require('../models/Client');
+const Attendance = require('../models/Attendance');
+const memberships = require('./memberships');
+const leads = require('./leads');
+const { httpError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Members owing more than this (₹) are turned away at check-in. 0 means any due blocks entry.
+const maxDueForCheckIn = () => {
+  const limit = Number(process.env.CHECKIN_MAX_DUE);
+  return Number.isFinite(limit) && limit >= 0 ? limit : 0;
+};
+
+const startOfDay = (date = new Date()) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Visits recorded at the desk while it was offline arrive later with the
+// time they happened. They are accepted up to a day late, never from the future.
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+function visitTime(at) {
+  if (at === undefined || at === null || at === '') return new Date();
+  const time = new Date(at);
+  const now = Date.now();
+  if (Number.isNaN(time.getTime()) || time.getTime() > now + CLOCK_SKEW_MS || time.getTime() < now - DAY_MS) {
+    throw httpError(400, 'The visit time must be within the last 24 hours.');
+  }
+  return time;
+}
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB');
+
+// Finds the member by client id or by the 10-digit contact typed at the desk.
+async function findMember({ clientId, contact }, scope = {}) {
+  let client = null;
+  if (clientId) {
+    client = mongoose.isValidObjectId(clientId) ? await Client.findOne({ _id: clientId, ...scope }) : null;
+  } else if (contact) {
+    client = await Client.findOne({ contact: String(contact).trim(), ...scope });
+  } else {
+    throw httpError(400, 'A client ID or contact number is required.');
+  }
+  if (!client) {
+    throw httpError(404, 'No member found with these details.');
+  }
+  return client;
+}
+
+// The reason a member may not enter on the day of `at`, or null when they may.
+function refusalFor(client, at = new Date()) {
+  const freeze = memberships.currentFreeze(client, at);
+  if (freeze) {
+    return {
+      reason: 'frozen',
+      message: `Membership is frozen until ${formatDate(freeze.end)}. End the freeze first to train again.`
+    };
+  }
+  const endDate = client.membership.endDate;
+  if (!endDate || endDate < startOfDay(at)) {
+    return {
+      reason: 'expired',
+      message: `Membership expired on ${endDate ? formatDate(endDate) : 'an unknown date'}. Please renew first.`
+    };
+  }
+  const limit = maxDueForCheckIn();
+  if ((client.fees.due || 0) > limit) {
+    return {
+      reason: 'dues',
+      message: `Outstanding dues of ₹${client.fees.due.toFixed(2)} exceed the ₹${limit.toFixed(2)} limit. Please clear dues first.`
+    };
+  }
+  return null;
+}
+
+// Someone who is not a member yet may come in on their free trial pass,
+// looked up by the contact number they enquired with.
+async function findVisitor(member, scope = {}) {
+  try {
+    return { client: await findMember(member, scope) };
+  } catch (error) {
+    const lead = error.status === 404 && member.contact ? await leads.findTrialLead(member.contact, scope) : null;
+    if (!lead) throw error;
+    return { lead };
+  }
+}
+
+const trialRefusalFor = (lead, at = new Date()) => (lead.trialPass.end < startOfDay(at)
+  ? { reason: 'expired', message: `The free trial pass ended on ${formatDate(lead.trialPass.end)}. Please join to keep training.` }
+  : null);
+
+const visitorOf = ({ client, lead }) => (client ? { client: client._id } : { lead: lead._id });
+
+const openVisit = (visitor, at = new Date()) =>
+  Attendance.findOne({ ...visitorOf(visitor), checkOutAt: null, checkInAt: { $gte: startOfDay(at), $lte: at } });
+
+// `scope` keeps the desk to its own branch's members (see services/auth.js).
+// Answers with `{ client, visit }`, or `{ lead, visit }` for a trial visit.
+async function checkIn(member, { recordedBy, at, scope = {} } = {}) {
+  const checkInAt = visitTime(at);
+  const visitor = await findVisitor(member, scope);
+  const { name } = visitor.client || visitor.lead;
+  const refusal = visitor.client ? refusalFor(visitor.client, checkInAt) : trialRefusalFor(visitor.lead, checkInAt);
+  if (refusal) {
+    throw httpError(403, refusal.message, { reason: refusal.reason, client: name });
+  }
+  const existing = await openVisit(visitor, checkInAt);
+  if (existing) {
+    throw httpError(409, `${name} is already checked in since ${existing.checkInAt.toLocaleTimeString('en-GB')}.`, {
+      reason: 'already-checked-in',
+      client: name
+    });
+  }
+  const visit = await Attendance.create({ ...visitorOf(visitor), recordedBy, checkInAt });
+  return { ...visitor, visit };
+}
+
+async function checkOut(member, { at, scope = {} } = {}) {
+  const checkOutAt = visitTime(at);
+  const visitor = await findVisitor(member, scope);
+  const { name } = visitor.client || visitor.lead;
+  const visit = await openVisit(visitor, checkOutAt);
+  if (!visit) {
+    throw httpError(409, `${name} is not checked in today.`, { reason: 'not-checked-in', client: name });
+  }
+  visit.checkOutAt = checkOutAt;
+  await visit.save();
+  return { ...visitor, visit };
+}
+
+// Recent visits plus visit counts for the details modal.
+async function history(clientId, { limit = 20, scope = {} } = {}) {
+  const client = await findMember({ clientId }, scope);
+  const [visits, totalVisits, last30Days] = await Promise.all([
+    Attendance.find({ client: client._id }).sort({ checkInAt: -1 }).limit(Math.min(Number(limit) || 20, 100)),
+    Attendance.countDocuments({ client: client._id }),
+    Attendance.countDocuments({ client: client._id, checkInAt: { $gte: new Date(Date.now() - 30 * DAY_MS) } })
+  ]);
+  return { visits, totalVisits, last30Days };
+}
+
+module.exports = { checkIn, checkOut, history, refusalFor };
@@ -0,0 +1,115 @@
+// services/audit.js
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { httpError } = require('./errors');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Never copied into a diff: secrets, bookkeeping, and the period and freeze
+// lists, which the renewal and freeze entries describe on their own
+const IGNORED_PATHS = new Set([
+  '_id', '__v', 'createdAt', 'updatedAt', 'aadhaarEncrypted', 'aadhaarHash',
+  'membership.periods', 'membership.freezes'
+]);
+
+const clientIp = (req) =>
+  (req && (String(req.headers['x-forwarded-for'] || '').split(',')[0].trim() ||
+    (req.socket && req.socket.remoteAddress))) || '';
+
+const isNested = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId);
+
+// Dates, ids and missing values in the form they are stored in the trail
+function normalize(value) {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  if (Array.isArray(value)) return value.map(normalize);
+  return value;
+}
+
+// { 'fees.total': 3000, 'membership.endDate': '2025-01-01T...', ... }
+function flatten(value, prefix = '', out = {}) {
+  if (IGNORED_PATHS.has(prefix)) return out;
+  if (isNested(value)) {
+    Object.entries(value).forEach(([key, nested]) => flatten(nested, prefix ? `${prefix}.${key}` : key, out));
+  } else if (prefix) {
+    out[prefix] = normalize(value);
+  }
+  return out;
+}
+
+const plain = (doc) => (doc && doc.toObject ? doc.toObject({ depopulate: true }) : doc || {});
+
+// Field-level before/after of two versions of a document; either may be
+// null for a create or a delete.
+function diff(before, after) {
+  const old = flatten(plain(before));
+  const current = flatten(plain(after));
+  const value = (fields, path) => (path in fields ? fields[path] : null);
+  return [...new Set([...Object.keys(old), ...Object.keys(current)])]
+    .filter(path => JSON.stringify(value(old, path)) !== JSON.stringify(value(current, path)))
+    .sort()
+    .map(path => ({ field: path, before: value(old, path), after: value(current, path) }));
+}
+
+// Appends one entry to the audit trail for an action taken by a staff member.
+// Actions without a user (scripts, scheduled jobs) are recorded as the system.
+async function record(user, action, { client, details, changes, req } = {}) {
+  return AuditLog.create({
+    action,
+    actor: user ? { id: user._id, name: user.name, role: user.role } : { name: 'System', role: 'system' },
+    client,
+    details,
+    changes,
+    ip: clientIp(req)
+  });
+}
+
+// Records a change to a client with the fields it touched. Updates that
+// changed nothing leave no entry.
+async function recordChange(user, action, { before, after, details, req } = {}) {
+  const changes = diff(before, after);
+  if (changes.length === 0 && !details) return null;
+  const client = (after && after._id) || (before && before._id);
+  return record(user, action, { client, details, changes, req });
+}
+
+// Filters: clientId, userId, action, from / to (dates, `to` inclusive), page, limit
+async function listEntries(params = {}) {
+  const filter = {};
+  if (params.clientId) {
+    if (!mongoose.isValidObjectId(params.clientId)) throw httpError(400, 'Invalid client ID.');
+    filter.client = params.clientId;
+  }
+  if (params.userId) {
+    if (!mongoose.isValidObjectId(params.userId)) throw httpError(400, 'Invalid user ID.');
+    filter['actor.id'] = params.userId;
+  }
+  if (params.action) filter.action = params.action;
+  if (params.from || params.to) {
+    const from = params.from ? new Date(params.from) : null;
+    const to = params.to ? new Date(params.to) : null;
+    if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+      throw httpError(400, 'from and to must be valid dates.');
+    }
+    filter.at = {};
+    if (from) filter.at.$gte = from;
+    if (to) {
+      to.setHours(23, 59, 59, 999);
+      filter.at.$lte = to;
+    }
+  }
+
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const page = Math.max(parseInt(params.page, 10) || 1, 1);
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter).sort({ at: -1, _id: -1 }).skip((page - 1) * limit).limit(limit)
+      .populate('client', 'name contact'),
+    AuditLog.countDocuments(filter)
+  ]);
+  return { entries, total, page, hasMore: page * limit < total };
+}
+
+module.exports = { diff, record, recordChange, listEntries };
@@ -0,0 +1,274 @@
+// services/auth.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Trainer = require('../models/Trainer');
+const branches = require('./branches');
+const { httpError } = require('./errors');
+
+const TOKEN_TTL_SECONDS = 12 * 60 * 60; // one front-desk shift
+
+// Which roles may perform each action. Anything not listed here is refused.
+const PERMISSIONS = {
+  'clients:read': ['owner', 'front-desk', 'trainer'],
+  'clients:write': ['owner', 'front-desk'],
+  'clients:delete': ['owner'],
+  'clients:import': ['owner'],
+  'clients:export': ['owner'],
+  'fees:edit': ['owner'],
+  'aadhaar:reveal': ['owner'],
+  'payments:read': ['owner', 'front-desk'],
+  'payments:record': ['owner', 'front-desk'],
+  'renewals:write': ['owner', 'front-desk'],
+  'freezes:write': ['owner', 'front-desk'],
+  'plans:read': ['owner', 'front-desk', 'trainer'],
+  'plans:manage': ['owner'],
+  'measurements:read': ['owner', 'front-desk', 'trainer'],
+  'measurements:write': ['owner', 'front-desk', 'trainer'],
+  'screenings:read': ['owner', 'front-desk', 'trainer'],
+  'screenings:write': ['owner', 'front-desk'],
+  'programs:read': ['owner', 'front-desk', 'trainer'],
+  'programs:manage': ['owner', 'trainer'],
+  'programs:assign': ['owner', 'trainer'],
+  'attendance:read': ['owner', 'front-desk', 'trainer'],
+  'attendance:write': ['owner', 'front-desk'],
+  'classes:read': ['owner', 'front-desk', 'trainer'],
+  'classes:manage': ['owner'],
+  'classes:book': ['owner', 'front-desk'],
+  'classes:attendance': ['owner', 'front-desk', 'trainer'],
+  'coupons:read': ['owner', 'front-desk'],
+  'coupons:manage': ['owner'],
+  'referrals:read': ['owner', 'front-desk'],
+  'leads:read': ['owner', 'front-desk'],
+  'leads:write': ['owner', 'front-desk'],
+  'reminders:read': ['owner', 'front-desk'],
+  'reminders:manage': ['owner'],
+  'analytics:read': ['owner'],
+  'audit:read': ['owner'],
+  'trainers:read': ['owner', 'front-desk'],
+  'trainers:manage': ['owner'],
+  'trainers:clients': ['owner', 'front-desk', 'trainer'],
+  'trainers:report': ['owner'],
+  'branches:read': ['owner', 'front-desk', 'trainer'],
+  'branches:manage': ['owner'],
+  'users:read': ['owner', 'front-desk'],
+  'users:manage': ['owner']
+};
+
+// --- Passwords (scrypt, salted per user) ---
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, passwordHash) {
+  const [salt, hash] = String(passwordHash).split(':');
+  if (!salt || !hash) return false;
+  const candidate = crypto.scryptSync(String(password), salt, 64);
+  const expected = Buffer.from(hash, 'hex');
+  return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < 8) {
+    throw httpError(400, 'Password must be at least 8 characters.');
+  }
+}
+
+// --- Signed tokens ---
+// `<base64url payload>.<HMAC-SHA256 signature>`, stateless so it works the
+// same behind server.js and the Vercel functions.
+function getSecret() {
+  const secret = process.env.AUTH_SECRET;
+  if (!secret) {
+    throw httpError(500, 'AUTH_SECRET is not configured on the server.');
+  }
+  return secret;
+}
+
+const sign = (data) => crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+
+// Also signs member portal tokens (role 'member', see services/memberAuth.js)
+function issueToken(user, ttlSeconds = TOKEN_TTL_SECONDS) {
+  const payload = Buffer.from(JSON.stringify({
+    sub: String(user._id),
+    role: user.role,
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+function readToken(token) {
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return claims.exp > Date.now() / 1000 ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// --- Request helpers used by the route middleware ---
+// Resolves the staff member behind the request's `Authorization: Bearer` header.
+// The user is reloaded on every call so deactivating an account takes effect at once.
+async function authenticate(req) {
+  const header = req.headers.authorization || '';
+  const claims = header.startsWith('Bearer ') ? readToken(header.slice(7)) : null;
+  if (!claims || claims.role === 'member' || !mongoose.isValidObjectId(claims.sub)) {
+    throw httpError(401, 'Please log in to continue.');
+  }
+  const user = await User.findById(claims.sub);
+  if (!user || !user.active) {
+    throw httpError(401, 'Please log in to continue.');
+  }
+  if (user.role === 'trainer') {
+    const profile = await Trainer.findOne({ user: user._id }).select('_id');
+    user.trainerId = profile ? profile._id : null;
+  }
+  return user;
+}
+
+const can = (user, action) => (PERMISSIONS[action] || []).includes(user.role);
+
+function authorize(user, action) {
+  if (!can(user, action)) {
+    throw httpError(403, 'You do not have permission to do this.');
+  }
+}
+
+// Staff only see their home branch. The owner sees every branch (the
+// consolidated view), or the one picked in the branch switcher, `branchId`.
+// Also matches payments, which carry the branch they were made at.
+function branchScope(user, branchId) {
+  if (user.role !== 'owner') return user.branch ? { branch: user.branch } : {};
+  if (!branchId || branchId === 'all') return {};
+  if (!mongoose.isValidObjectId(branchId)) {
+    throw httpError(400, 'The selected branch does not exist.');
+  }
+  // An ObjectId rather than the string so aggregations match it too
+  return { branch: new mongoose.Types.ObjectId(String(branchId)) };
+}
+
+// Trainers only ever see the PT clients assigned to their trainer profile;
+// a trainer account without a profile sees none. Everyone is also held to
+// their branch, see branchScope.
+function clientScope(user, branchId) {
+  const scope = branchScope(user, branchId);
+  if (user.role !== 'trainer') return scope;
+  return { ...scope, pt: { $ne: 'None' }, trainer: { $in: user.trainerId ? [user.trainerId] : [] } };
+}
+
+// Every trainer login comes with a trainer profile clients can be assigned to
+async function ensureTrainerProfile(user) {
+  if (user.role !== 'trainer') return;
+  await Trainer.updateOne(
+    { user: user._id },
+    { $setOnInsert: { name: user.name, user: user._id } },
+    { upsert: true }
+  );
+}
+
+// On a fresh database the first owner comes from OWNER_USERNAME / OWNER_PASSWORD.
+async function ensureOwner() {
+  const { OWNER_USERNAME, OWNER_PASSWORD } = process.env;
+  if (!OWNER_USERNAME || !OWNER_PASSWORD) return;
+  if (await User.exists({})) return;
+  await User.create({
+    username: OWNER_USERNAME,
+    name: 'Owner',
+    role: 'owner',
+    passwordHash: hashPassword(OWNER_PASSWORD)
+  });
+}
+
+async function login(username, password) {
+  await ensureOwner();
+  const user = await User.findOne({ username: String(username || '').toLowerCase().trim() });
+  if (!user || !user.active || !verifyPassword(password || '', user.passwordHash)) {
+    throw httpError(401, 'Invalid username or password.');
+  }
+  return { token: issueToken(user), user };
+}
+
+// --- Staff accounts ---
+async function listUsers(filter = {}) {
+  const query = {};
+  if (filter.role) query.role = filter.role;
+  if (filter.branch) query.branch = filter.branch;
+  return User.find(query).sort({ name: 1 }).populate('branch', 'name');
+}
+
+// Staff need a home branch once the gym has any; owners work across all of them
+const homeBranch = async (branchId, role) =>
+  (await branches.resolveBranch(branchId, { required: role !== 'owner' }) || { _id: null })._id;
+
+async function createUser({ username, name, role, password, branch }) {
+  validatePassword(password);
+  const user = await User.create({
+    username,
+    name,
+    role,
+    branch: await homeBranch(branch, role),
+    passwordHash: hashPassword(password)
+  });
+  await ensureTrainerProfile(user);
+  return user;
+}
+
+async function updateUser(userId, { name, role, active, password, branch }) {
+  if (!mongoose.isValidObjectId(userId)) {
+    throw httpError(404, 'User not found.');
+  }
+  const update = {};
+  if (name !== undefined) update.name = name;
+  if (role !== undefined) update.role = role;
+  if (active !== undefined) update.active = Boolean(active);
+  if (password !== undefined) {
+    validatePassword(password);
+    update.passwordHash = hashPassword(password);
+  }
+  const user = await User.findById(userId);
+  if (!user) {
+    throw httpError(404, 'User not found.');
+  }
+  if (branch !== undefined) {
+    update.branch = await homeBranch(branch, update.role || user.role);
+  }
+
+  // Never leave the gym without an owner who can log in
+  const losesOwner = user.role === 'owner' && user.active &&
+    ((update.role && update.role !== 'owner') || update.active === false);
+  if (losesOwner && !(await User.exists({ _id: { $ne: user._id }, role: 'owner', active: true }))) {
+    throw httpError(409, 'At least one active owner account is required.');
+  }
+
+  user.set(update);
+  await user.save();
+  await ensureTrainerProfile(user);
+  return user;
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  issueToken,
+  readToken,
+  authenticate,
+  authorize,
+  can,
+  branchScope,
+  clientScope,
+  login,
+  listUsers,
+  createUser,
+  updateUser
+};
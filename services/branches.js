@@ -0,0 +1,65 @@
+// services/branches.js
+const mongoose = require('mongoose');
+const Branch = require('../models/Branch');
+const { httpError } = require('./errors');
+
+const EDITABLE_FIELDS = ['name', 'address', 'phone', 'active'];
+
+const pick = (fields) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => fields[field] !== undefined).map(field => [field, fields[field]])
+);
+
+async function listBranches({ active } = {}) {
+  const filter = {};
+  if (active !== undefined && active !== '') filter.active = String(active) === 'true';
+  return Branch.find(filter).sort({ active: -1, name: 1 });
+}
+
+async function findBranch(branchId) {
+  if (!mongoose.isValidObjectId(branchId)) {
+    throw httpError(404, 'Branch not found.');
+  }
+  const branch = await Branch.findById(branchId);
+  if (!branch) {
+    throw httpError(404, 'Branch not found.');
+  }
+  return branch;
+}
+
+// The home branch for a new client or staff account. Once any branch exists
+// every client needs one; a single-location gym with no branches set up
+// carries on without.
+async function resolveBranch(branchId, { required = true } = {}) {
+  if (!branchId) {
+    if (required && await Branch.exists({})) {
+      throw httpError(400, 'Choose the branch this belongs to.');
+    }
+    return null;
+  }
+  const branch = mongoose.isValidObjectId(branchId) ? await Branch.findById(branchId) : null;
+  if (!branch) {
+    throw httpError(400, 'The selected branch does not exist.');
+  }
+  if (!branch.active) {
+    throw httpError(400, `The ${branch.name} branch is closed.`);
+  }
+  return branch;
+}
+
+async function createBranch(fields) {
+  return Branch.create(pick(fields));
+}
+
+async function updateBranch(branchId, fields) {
+  const branch = await findBranch(branchId);
+  branch.set(pick(fields));
+  return branch.save();
+}
+
+module.exports = {
+  listBranches,
+  findBranch,
+  resolveBranch,
+  createBranch,
+  updateBranch
+};
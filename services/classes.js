@@ -0,0 +1,413 @@
+// services/classes.js
+const mongoose = require('mongoose');
+const GymClass = require('../models/GymClass');
+const ClassBooking = require('../models/ClassBooking');
+const Counter = require('../models/Counter');
+const Trainer = require('../models/Trainer');
+const audit = require('./audit');
+const branches = require('./branches');
+const reminders = require('./reminders');
+const { findClient } = require('./clients');
+const { httpError } = require('./errors');
+
+const { DAYS } = Trainer;
+// Members may book sessions up to this far ahead
+const BOOKING_WINDOW_DAYS = 28;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EDITABLE_FIELDS = ['name', 'description', 'instructor', 'room', 'capacity', 'waitlistLimit', 'schedule', 'active'];
+
+const pick = (fields) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => fields[field] !== undefined).map(field => [field, fields[field]])
+);
+
+const pad = (number) => String(number).padStart(2, '0');
+const localDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+const localTime = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB');
+// getDay() counts from Sunday, the schedule from Monday
+const dayName = (date) => DAYS[(date.getDay() + 6) % 7];
+
+const startOfDay = (date = new Date()) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const atTime = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = new Date(day);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
+
+// Sessions are addressed by their local start, e.g. 2025-03-03T07:00
+const sessionKey = (date) => `${localDate(date)}T${localTime(date)}`;
+
+async function instructorFor(trainerId) {
+  if (!trainerId) return null;
+  const trainer = mongoose.isValidObjectId(trainerId) ? await Trainer.findById(trainerId) : null;
+  if (!trainer || !trainer.active) {
+    throw httpError(400, 'Choose an active trainer as the instructor.');
+  }
+  return trainer._id;
+}
+
+async function listClasses({ active } = {}, scope = {}) {
+  const filter = { ...scope };
+  if (active !== undefined && active !== '') filter.active = String(active) === 'true';
+  return GymClass.find(filter)
+    .sort({ active: -1, name: 1 })
+    .populate('instructor', 'name')
+    .populate('branch', 'name');
+}
+
+async function findClass(classId, scope = {}) {
+  if (!mongoose.isValidObjectId(classId)) {
+    throw httpError(404, 'Class not found.');
+  }
+  const gymClass = await GymClass.findOne({ _id: classId, ...scope });
+  if (!gymClass) {
+    throw httpError(404, 'Class not found.');
+  }
+  return gymClass;
+}
+
+async function createClass(fields) {
+  const data = pick(fields);
+  data.instructor = await instructorFor(data.instructor);
+  const branch = await branches.resolveBranch(fields.branch);
+  return GymClass.create({ ...data, branch: branch ? branch._id : null });
+}
+
+// A bigger class or waitlist fills upcoming sessions from the waitlist
+async function updateClass(classId, fields) {
+  const gymClass = await findClass(classId);
+  const data = pick(fields);
+  if (data.instructor !== undefined) data.instructor = await instructorFor(data.instructor);
+  if (fields.branch !== undefined) {
+    const branch = await branches.resolveBranch(fields.branch);
+    data.branch = branch ? branch._id : null;
+  }
+  gymClass.set(data);
+  await gymClass.save();
+
+  const waiting = await ClassBooking.distinct('startsAt', {
+    gymClass: gymClass._id,
+    status: 'waitlisted',
+    startsAt: { $gt: new Date() }
+  });
+  for (const startsAt of waiting) {
+    while (await promoteNext(gymClass, startsAt));
+  }
+  return gymClass;
+}
+
+// The class and its session starting at `start` (local 'YYYY-MM-DDTHH:MM'),
+// which has to be one of the class's weekly slots
+async function findSession(classId, start, scope = {}) {
+  const gymClass = await findClass(classId, scope);
+  const startsAt = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(start || '') ? new Date(`${start}:00`) : null;
+  if (!startsAt || Number.isNaN(startsAt.getTime())) {
+    throw httpError(404, 'Session not found.');
+  }
+  const slot = gymClass.schedule.find(s => s.day === dayName(startsAt) && s.from === localTime(startsAt));
+  if (!slot) {
+    throw httpError(404, `${gymClass.name} has no session at that time.`);
+  }
+  return { gymClass, startsAt, endsAt: atTime(startsAt, slot.to) };
+}
+
+const countBookings = async (gymClass, startsAt) => {
+  const [booked, waitlisted] = await Promise.all([
+    ClassBooking.countDocuments({ gymClass: gymClass._id, startsAt, status: 'booked' }),
+    ClassBooking.countDocuments({ gymClass: gymClass._id, startsAt, status: 'waitlisted' })
+  ]);
+  return { booked, waitlisted };
+};
+
+// Booked places are counted per session in a Counter document, only ever
+// moved with an atomic $inc, so two desks booking the last place at once
+// cannot both get it. The count starts from the bookings already made.
+const placesKey = (gymClass, startsAt) => `class-places:${gymClass._id}:${startsAt.toISOString()}`;
+
+async function takePlace(gymClass, startsAt) {
+  const _id = placesKey(gymClass, startsAt);
+  if (!await Counter.exists({ _id })) {
+    const booked = await ClassBooking.countDocuments({ gymClass: gymClass._id, startsAt, status: 'booked' });
+    await Counter.create({ _id, seq: booked }).catch(error => {
+      // Another request started the count first
+      if (error.code !== 11000) throw error;
+    });
+  }
+  const taken = await Counter.findOneAndUpdate({ _id, seq: { $lt: gymClass.capacity } }, { $inc: { seq: 1 } });
+  return Boolean(taken);
+}
+
+async function releasePlace(gymClass, startsAt) {
+  await Counter.updateOne({ _id: placesKey(gymClass, startsAt), seq: { $gt: 0 } }, { $inc: { seq: -1 } });
+}
+
+const sessionSummary = (gymClass, startsAt, endsAt, { booked = 0, waitlisted = 0 } = {}) => ({
+  key: sessionKey(startsAt),
+  classId: gymClass._id,
+  name: gymClass.name,
+  room: gymClass.room,
+  instructor: gymClass.instructor && gymClass.instructor.name ? gymClass.instructor.name : '',
+  startsAt,
+  endsAt,
+  capacity: gymClass.capacity,
+  waitlistLimit: gymClass.waitlistLimit,
+  booked,
+  waitlisted
+});
+
+// Every session of the active classes in the seven days from `from` (a
+// local date, default today) with the places taken, in start order
+async function weekSchedule({ from } = {}, scope = {}) {
+  const start = from ? new Date(`${from}T00:00:00`) : startOfDay();
+  if (Number.isNaN(start.getTime())) {
+    throw httpError(400, 'Choose a valid start date.');
+  }
+  const end = new Date(start);
+  end.setDate(end.getDate() + 7);
+
+  const classes = await GymClass.find({ ...scope, active: true }).populate('instructor', 'name');
+  const counts = await ClassBooking.aggregate([
+    { $match: { gymClass: { $in: classes.map(c => c._id) }, startsAt: { $gte: start, $lt: end }, status: { $ne: 'cancelled' } } },
+    { $group: { _id: { gymClass: '$gymClass', startsAt: '$startsAt', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+  const countOf = (gymClass, startsAt, status) => {
+    const row = counts.find(c => String(c._id.gymClass) === String(gymClass._id) &&
+      c._id.startsAt.getTime() === startsAt.getTime() && c._id.status === status);
+    return row ? row.count : 0;
+  };
+
+  const sessions = [];
+  for (let day = new Date(start); day < end; day.setDate(day.getDate() + 1)) {
+    classes.forEach(gymClass => gymClass.schedule
+      .filter(slot => slot.day === dayName(day))
+      .forEach(slot => {
+        const startsAt = atTime(day, slot.from);
+        sessions.push(sessionSummary(gymClass, startsAt, atTime(day, slot.to), {
+          booked: countOf(gymClass, startsAt, 'booked'),
+          waitlisted: countOf(gymClass, startsAt, 'waitlisted')
+        }));
+      }));
+  }
+  const last = new Date(end);
+  last.setDate(last.getDate() - 1);
+  return {
+    from: localDate(start),
+    to: localDate(last),
+    sessions: sessions.sort((a, b) => a.startsAt - b.startsAt)
+  };
+}
+
+// One session with its booked members, then the waitlist in promotion order
+async function getSession(classId, start, scope = {}) {
+  const { gymClass, startsAt, endsAt } = await findSession(classId, start, scope);
+  await gymClass.populate('instructor', 'name');
+  const bookings = await ClassBooking.find({ gymClass: gymClass._id, startsAt, status: { $ne: 'cancelled' } })
+    .sort({ status: 1, bookedAt: 1 })
+    .populate('client', 'name contact');
+  return {
+    ...sessionSummary(gymClass, startsAt, endsAt, {
+      booked: bookings.filter(b => b.status === 'booked').length,
+      waitlisted: bookings.filter(b => b.status === 'waitlisted').length
+    }),
+    bookings
+  };
+}
+
+// Gives a free place to the member who has waited longest and tells them.
+// Returns the promoted booking, or null when the session is full or nobody waits.
+async function promoteNext(gymClass, startsAt) {
+  if (!await takePlace(gymClass, startsAt)) return null;
+  const next = await ClassBooking.findOneAndUpdate(
+    { gymClass: gymClass._id, startsAt, status: 'waitlisted' },
+    { $set: { status: 'booked', promotedAt: new Date() } },
+    { sort: { bookedAt: 1 }, new: true }
+  ).populate('client');
+  if (!next) {
+    await releasePlace(gymClass, startsAt);
+    return null;
+  }
+
+  await audit.record(null, 'class.promote', {
+    client: next.client._id,
+    details: { class: gymClass.name, startsAt }
+  });
+  try {
+    await reminders.sendNow(next.client, {
+      event: 'class-promoted',
+      dedupeKey: `class-promoted:${next._id}:${next.bookedAt.toISOString()}`,
+      message: `Hi ${next.client.name}, a place opened up: you are now booked for ${gymClass.name} on ${formatDate(startsAt)} at ${localTime(startsAt)}.`
+    });
+  } catch (error) {
+    // The place is theirs either way; the front desk can still tell them
+    console.error('Waitlist promotion message failed:', error);
+  }
+  return next;
+}
+
+// Books the member a place, or a spot on the waitlist once the session is
+// full. Only members whose membership runs until the session may book.
+async function bookSession(classId, start, { clientId }, { scope = {}, user, req } = {}) {
+  const { gymClass, startsAt } = await findSession(classId, start, scope);
+  const now = new Date();
+  if (startsAt <= now) {
+    throw httpError(400, 'This session has already started.');
+  }
+  if (startsAt - now > BOOKING_WINDOW_DAYS * DAY_MS) {
+    throw httpError(400, `Sessions can be booked up to ${BOOKING_WINDOW_DAYS} days ahead.`);
+  }
+  const client = await findClient(clientId, scope);
+  if (gymClass.branch && client.branch && String(gymClass.branch) !== String(client.branch)) {
+    throw httpError(400, `${client.name} is a member of another branch.`);
+  }
+  const endDate = client.membership.endDate;
+  if (!endDate || endDate < startOfDay(startsAt)) {
+    throw httpError(400, endDate
+      ? `Only members with an active membership can book. ${client.name}'s membership ends on ${formatDate(endDate)}.`
+      : `Only members with an active membership can book. ${client.name} has no membership end date.`, { reason: 'expired' });
+  }
+
+  const existing = await ClassBooking.findOne({ gymClass: gymClass._id, startsAt, client: client._id });
+  if (existing && existing.status !== 'cancelled') {
+    throw httpError(409, `${client.name} is already ${existing.status === 'booked' ? 'booked' : 'on the waitlist'} for this session.`);
+  }
+  let status = 'booked';
+  if (!await takePlace(gymClass, startsAt)) {
+    const { waitlisted } = await countBookings(gymClass, startsAt);
+    if (waitlisted >= gymClass.waitlistLimit) {
+      throw httpError(409, 'This session and its waitlist are full.');
+    }
+    status = 'waitlisted';
+  }
+
+  const booking = existing || new ClassBooking({ gymClass: gymClass._id, startsAt, client: client._id });
+  booking.set({
+    status,
+    bookedAt: now,
+    promotedAt: null,
+    cancelledAt: null,
+    attended: null,
+    bookedBy: user ? user.name : ''
+  });
+  try {
+    await booking.save();
+  } catch (error) {
+    if (status === 'booked') await releasePlace(gymClass, startsAt);
+    if (error.code === 11000) {
+      throw httpError(409, `${client.name} is already booked for this session.`);
+    }
+    throw error;
+  }
+  await audit.record(user, 'class.book', {
+    client: client._id,
+    details: { class: gymClass.name, startsAt, status },
+    req
+  });
+  return booking;
+}
+
+// Cancelling a booked place hands it to the first member on the waitlist
+async function cancelBooking(classId, start, bookingId, { scope = {}, user, req } = {}) {
+  const { gymClass, startsAt } = await findSession(classId, start, scope);
+  const booking = mongoose.isValidObjectId(bookingId)
+    ? await ClassBooking.findOne({ _id: bookingId, gymClass: gymClass._id, startsAt })
+    : null;
+  if (!booking) {
+    throw httpError(404, 'Booking not found.');
+  }
+  if (booking.status === 'cancelled') {
+    throw httpError(409, 'This booking is already cancelled.');
+  }
+  if (startsAt <= new Date()) {
+    throw httpError(400, 'This session has already started.');
+  }
+
+  // Only cancelled if nobody promoted or cancelled it since it was read
+  const wasBooked = booking.status === 'booked';
+  const cancelled = await ClassBooking.findOneAndUpdate(
+    { _id: booking._id, status: booking.status },
+    { $set: { status: 'cancelled', cancelledAt: new Date() } },
+    { new: true }
+  );
+  if (!cancelled) {
+    throw httpError(409, 'This booking has just changed. Reload the session and try again.');
+  }
+  if (wasBooked) await releasePlace(gymClass, startsAt);
+  await audit.record(user, 'class.cancel', {
+    client: cancelled.client,
+    details: { class: gymClass.name, startsAt },
+    req
+  });
+  const promoted = wasBooked ? await promoteNext(gymClass, startsAt) : null;
+  return { booking: cancelled, promoted };
+}
+
+// Cancels a member's places in sessions still to come, when they leave, and
+// hands each freed place to the waitlist the same way a cancellation does
+async function cancelClientBookings(clientId, { user, req } = {}) {
+  const bookings = await ClassBooking.find({
+    client: clientId,
+    startsAt: { $gt: new Date() },
+    status: { $in: ['booked', 'waitlisted'] }
+  }).populate('gymClass');
+  for (const booking of bookings) {
+    const cancelled = await ClassBooking.findOneAndUpdate(
+      { _id: booking._id, status: booking.status },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true }
+    );
+    // Already cancelled or promoted since it was read, or its class is gone
+    if (!cancelled || !booking.gymClass) continue;
+    const { gymClass, startsAt } = booking;
+    await audit.record(user, 'class.cancel', {
+      client: cancelled.client,
+      details: { class: gymClass.name, startsAt },
+      req
+    });
+    if (booking.status === 'booked') {
+      await releasePlace(gymClass, startsAt);
+      await promoteNext(gymClass, startsAt);
+    }
+  }
+  return bookings.length;
+}
+
+// Marks who came: the booked members in `present` (booking ids) attended,
+// everyone else booked did not. Can be redone to correct mistakes.
+async function markAttendance(classId, start, { present }, { scope = {}, user, req } = {}) {
+  const { gymClass, startsAt } = await findSession(classId, start, scope);
+  if (startOfDay(startsAt) > new Date()) {
+    throw httpError(400, 'Attendance can be marked from the day of the session.');
+  }
+  const ids = (Array.isArray(present) ? present : []).filter(id => mongoose.isValidObjectId(id));
+  const filter = { gymClass: gymClass._id, startsAt, status: 'booked' };
+  const [attended, absent] = await Promise.all([
+    ClassBooking.updateMany({ ...filter, _id: { $in: ids } }, { $set: { attended: true } }),
+    ClassBooking.updateMany({ ...filter, _id: { $nin: ids } }, { $set: { attended: false } })
+  ]);
+  await audit.record(user, 'class.attendance', {
+    details: { class: gymClass.name, startsAt, attended: attended.matchedCount, absent: absent.matchedCount },
+    req
+  });
+  return getSession(classId, start, scope);
+}
+
+module.exports = {
+  BOOKING_WINDOW_DAYS,
+  sessionKey,
+  listClasses,
+  createClass,
+  updateClass,
+  weekSchedule,
+  getSession,
+  bookSession,
+  cancelBooking,
+  cancelClientBookings,
+  markAttendance
+};
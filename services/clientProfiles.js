@@ -0,0 +1,245 @@
+// services/clientProfiles.js
+const mongoose = require('mongoose');
+const Client = require('../models/Client');
+const payments = require('./payments');
+const memberships = require('./memberships');
+const measurements = require('./measurements');
+const plans = require('./plans');
+const branches = require('./branches');
+const screenings = require('./screenings');
+const trainers = require('./trainers');
+const coupons = require('./coupons');
+const referrals = require('./referrals');
+const leads = require('./leads');
+const aadhaarVault = require('./aadhaar');
+const audit = require('./audit');
+const trash = require('./trash');
+const auth = require('./auth');
+const { findClient } = require('./clients');
+const { httpError } = require('./errors');
+
+const DUPLICATE_MESSAGE = 'A client with this contact or Aadhaar number already exists.';
+
+// 11000 is MongoDB's duplicate key error (contact or Aadhaar hash)
+const rethrowDuplicate = (error) => {
+  if (error.code === 11000) {
+    throw httpError(409, DUPLICATE_MESSAGE);
+  }
+  throw error;
+};
+
+// Fee amounts arrive from the form as text; blank means not given
+const feeAmount = (value, label) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw httpError(400, `${label} must be a number of at least 0.`);
+  }
+  return amount;
+};
+
+// The fields of the client form shared by create and update
+const profileFields = (body) => ({
+  name: body.name,
+  contact: body.contact,
+  height: { ft: body.heightFt, in: body.heightIn },
+  weight: body.weight,
+  goal: body.goal,
+  medicalCondition: {
+    hasMedicalCondition: Boolean(body.hasMedicalCondition),
+    conditionDetails: body.hasMedicalCondition ? (body.medicalConditionDetails || '') : ''
+  },
+  pt: body.pt
+});
+
+// Only PT clients have a trainer. Keeping the one already assigned is fine
+// even after that trainer stopped taking new clients.
+async function trainerFor(body, currentTrainer = null) {
+  if (!body.pt || body.pt === 'None' || !body.trainer) return null;
+  if (currentTrainer && String(currentTrainer) === String(body.trainer)) return currentTrainer;
+  return (await trainers.resolveTrainer(body.trainer))._id;
+}
+
+// New members join the staff member's own branch; the owner picks one
+async function branchFor(body, user) {
+  const branch = await branches.resolveBranch(user.role === 'owner' ? body.branch : user.branch);
+  return branch ? branch._id : null;
+}
+
+// With a plan, the term comes from the plan and the fee defaults to its
+// price; charging anything else is a fee change only the owner may make.
+async function termFromPlan(planId, { pt, feesTotal }, user) {
+  const plan = await plans.findActivePlan(planId);
+  const price = plans.priceFor(plan, pt);
+  if (feesTotal !== undefined && feesTotal !== price) {
+    auth.authorize(user, 'fees:edit');
+  }
+  return { plan: plans.snapshot(plan), months: plan.months, total: feesTotal !== undefined ? feesTotal : price };
+}
+
+// Creates a client from the client form. The amount paid at signup becomes
+// the first entry in the payment ledger, and the PAR-Q filled in at signup
+// (`body.screening`) their first health screening. `couponCode` takes a
+// discount off the fee total, and the member named by `referrerContact` is
+// rewarded for bringing them in. Signing up an enquiry (`leadId`) marks the
+// lead converted and links the two.
+async function createClient(body, user, { req } = {}) {
+  const { aadhaar, planId, paymentMode, feeDate, couponCode, referrerContact, leadId } = body;
+  const feesTotal = feeAmount(body.feesTotal, 'Fees total');
+  const feesSubmitted = feeAmount(body.feesSubmitted, 'Fees submitted');
+  const feesDue = feeAmount(body.feesDue, 'Fees due');
+  if (body.screening) {
+    await screenings.validateScreening(body.screening);
+  }
+  let { months } = body;
+  let total = feesTotal !== undefined ? feesTotal : (feesSubmitted || 0) + (feesDue || 0);
+  let plan = null;
+  if (planId) {
+    ({ plan, months, total } = await termFromPlan(planId, { pt: body.pt, feesTotal }, user));
+  }
+  const branch = await branchFor(body, user);
+  const trainer = await trainerFor(body);
+  const referrer = referrerContact ? await referrals.findReferrer(referrerContact) : null;
+  const lead = leadId ? await leads.findConvertibleLead(leadId, auth.branchScope(user)) : null;
+
+  const discount = couponCode
+    ? await coupons.applyCoupon(couponCode, total, { planId: plan ? plan.planId : null })
+    : null;
+  if (discount) total -= discount.amount;
+
+  const client = new Client({
+    ...profileFields(body),
+    branch,
+    trainer,
+    ...aadhaarVault.protect(aadhaar),
+    fees: { total },
+    plan,
+    referredBy: referrer ? referrer._id : null,
+    lead: lead ? lead._id : null,
+    membership: {
+      months,
+      feeDate: new Date(feeDate),
+      endDate: memberships.addMonths(feeDate, months),
+      periods: [memberships.joiningPeriod({ months, feeDate, amount: total, discount })]
+    }
+  });
+  await client.save().catch(async (error) => {
+    if (discount) await coupons.release(discount);
+    // A member who re-joins after being removed is restored rather than duplicated
+    const archived = error.code === 11000 && await trash.findArchivedMatch(client);
+    if (archived) {
+      throw httpError(409, `${archived.name} has this contact or Aadhaar number and is in the trash. Restore them instead.`, {
+        archivedClientId: archived._id
+      });
+    }
+    rethrowDuplicate(error);
+  });
+  await measurements.recordBaseline(client);
+  if (body.screening) {
+    await screenings.recordScreening(client._id, body.screening, { user, req });
+  }
+
+  if (feesSubmitted > 0) {
+    await payments.recordPayment(client._id, {
+      amount: feesSubmitted, date: feeDate, mode: paymentMode, recordedBy: user.name
+    }, { user, req });
+  }
+  const created = await payments.recomputeFees(client._id);
+  await audit.recordChange(user, 'client.create', {
+    before: null,
+    after: created,
+    details: discount ? { discount: { code: discount.code, amount: discount.amount } } : undefined,
+    req
+  });
+  if (referrer) {
+    await referrals.rewardReferral(referrer, created, { user, req });
+  }
+  if (lead) {
+    await leads.markConverted(lead, created);
+  }
+  return created;
+}
+
+// Updates the profile from the client form. Only the agreed fee total is
+// editable here (payments go through the ledger) and months / feeDate
+// correct the latest membership period, keeping past ones. Moving the client
+// to another plan takes a new snapshot of it; `planId: null` leaves plans.
+// Their payments stay with the branch they were made at.
+async function updateClient(clientId, body, user, { req } = {}) {
+  const { aadhaar, planId, feeDate } = body;
+  const feesTotal = feeAmount(body.feesTotal, 'Fees total');
+  let { months } = body;
+
+  // Edits replayed from an offline queue carry the version they were made
+  // against; refuse them if the record has changed since, so nothing is lost
+  if (body.expectedUpdatedAt) {
+    const stored = await findClient(clientId);
+    const storedAt = stored.updatedAt ? stored.updatedAt.getTime() : null;
+    if (storedAt !== new Date(body.expectedUpdatedAt).getTime()) {
+      throw httpError(409, `${stored.name} was changed by someone else since this edit was made.`, {
+        reason: 'edited-elsewhere',
+        client: stored
+      });
+    }
+  }
+
+  // Carry any pre-ledger fee record over before the total is replaced
+  const current = await payments.ensureLedger(clientId);
+  // Front desk may edit a client but not what they owe
+  if (feesTotal !== undefined && feesTotal !== current.fees.total) {
+    auth.authorize(user, 'fees:edit');
+  }
+
+  // Once screened, the medical summary follows the latest screening rather
+  // than the yes/no question on the form
+  const profile = profileFields(body);
+  if (current.screening) delete profile.medicalCondition;
+  const update = {
+    ...profile,
+    trainer: await trainerFor(body, current.trainer),
+    // Left blank in the edit form to keep the stored number
+    ...(aadhaar ? aadhaarVault.protect(aadhaar) : {}),
+    'fees.total': feesTotal
+  };
+  // Only the owner moves members between branches
+  if (user.role === 'owner' && body.branch !== undefined && String(body.branch) !== String(current.branch)) {
+    update.branch = await branchFor(body, user);
+  }
+  const currentPlanId = current.plan && current.plan.planId ? String(current.plan.planId) : null;
+  if (planId && String(planId) !== currentPlanId) {
+    const plan = await plans.findActivePlan(planId);
+    update.plan = plans.snapshot(plan);
+    months = plan.months;
+  } else if (planId === null || planId === '') {
+    update.plan = null;
+  }
+
+  await Client.findByIdAndUpdate(clientId, update, { runValidators: true }).catch(rethrowDuplicate);
+
+  await memberships.updateCurrentTerm(clientId, { months, feeDate });
+  const updated = await payments.recomputeFees(clientId);
+  await audit.recordChange(user, 'client.update', { before: current, after: updated, req });
+  return updated;
+}
+
+// The full Aadhaar number, for the owner only; every reveal is audited
+async function revealAadhaar(clientId, user, { reason, req } = {}) {
+  const client = mongoose.isValidObjectId(clientId)
+    ? await Client.findById(clientId).select('+aadhaarEncrypted')
+    : null;
+  if (!client || !client.aadhaarEncrypted) {
+    throw httpError(404, 'No Aadhaar number on record for this client.');
+  }
+  await audit.record(user, 'aadhaar.reveal', {
+    client: client._id,
+    details: { reason: reason || '' },
+    req
+  });
+  return aadhaarVault.decrypt(client.aadhaarEncrypted);
+}
+
+module.exports = {
+  createClient,
+  updateClient,
+  revealAadhaar
+};
@@ -0,0 +1,134 @@
+// services/clientQuery.js
+const Client = require('../models/Client');
+const { httpError } = require('./errors');
+const { clearanceRequiredFilter, screeningDueFilter } = require('./screenings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const SORT_FIELDS = {
+  name: 'name',
+  endDate: 'membership.endDate',
+  createdAt: 'createdAt',
+  due: 'fees.due'
+};
+const STATUSES = ['active', 'expiring', 'expired', 'frozen'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const startOfToday = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+};
+
+// Turns GET /api/clients query parameters into a Mongo filter:
+// - q: name (any part), contact (any digits) or the last digits of the Aadhaar
+// - goal, pt: exact matches
+// - status: active | expiring (within `expiringWithin` days, default 7) | expired
+//   | frozen (a freeze covers today)
+// - hasDue=true: clients with fees.due > 0
+// - clearance=required: a PAR-Q answer needs a doctor's clearance that is
+//   missing or over a year old
+// - screening=due: no health screening, or the last is over a year old
+function buildFilter(params = {}) {
+  const filter = {};
+  const conditions = [];
+
+  const q = String(params.q || '').trim();
+  if (q) {
+    const search = [{ name: new RegExp(escapeRegex(q), 'i') }];
+    if (/^\d+$/.test(q)) {
+      search.push({ contact: new RegExp(escapeRegex(q)) });
+      if (q.length <= 4) {
+        search.push({ aadhaarLast4: new RegExp(`${q}$`) });
+      }
+    }
+    conditions.push({ $or: search });
+  }
+
+  if (params.goal) filter.goal = params.goal;
+  if (params.pt) filter.pt = params.pt;
+
+  if (params.status) {
+    if (!STATUSES.includes(params.status)) {
+      throw httpError(400, `Status must be one of: ${STATUSES.join(', ')}.`);
+    }
+    const today = startOfToday();
+    if (params.status === 'active') {
+      filter['membership.endDate'] = { $gte: today };
+    } else if (params.status === 'expired') {
+      filter['membership.endDate'] = { $lt: today };
+    } else if (params.status === 'frozen') {
+      filter['membership.freezes'] = { $elemMatch: { start: { $lte: today }, end: { $gte: today } } };
+    } else {
+      const days = parseInt(params.expiringWithin, 10) || 7;
+      filter['membership.endDate'] = { $gte: today, $lt: new Date(today.getTime() + (days + 1) * DAY_MS) };
+    }
+  }
+
+  if (String(params.hasDue) === 'true') {
+    filter['fees.due'] = { $gt: 0 };
+  }
+
+  if (params.clearance) {
+    if (params.clearance !== 'required') {
+      throw httpError(400, 'Clearance must be: required.');
+    }
+    conditions.push(clearanceRequiredFilter());
+  }
+
+  if (params.screening) {
+    if (params.screening !== 'due') {
+      throw httpError(400, 'Screening must be: due.');
+    }
+    conditions.push(screeningDueFilter());
+  }
+
+  if (conditions.length > 0) filter.$and = conditions;
+  return filter;
+}
+
+// sort: name | endDate | createdAt | due, order: asc | desc (default endDate asc,
+// which puts the members closest to expiry first as the list always did)
+function buildSort(params = {}) {
+  const sortKey = params.sort || 'endDate';
+  const field = SORT_FIELDS[sortKey];
+  if (!field) {
+    throw httpError(400, `Sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}.`);
+  }
+  const direction = params.order === 'desc' ? -1 : 1;
+  return { [field]: direction, _id: direction };
+}
+
+// One page of clients plus the total matching count. `scope` restricts the
+// result further, e.g. to a trainer's own clients (see services/auth.js).
+async function listClients(params = {}, scope = {}) {
+  const page = Math.max(parseInt(params.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const filter = buildFilter(params);
+  if (Object.keys(scope).length > 0) {
+    filter.$and = [...(filter.$and || []), scope];
+  }
+
+  const [clients, total] = await Promise.all([
+    // The trainer's name is shown next to the PT badge, the branch in the
+    // consolidated view and the referrer in the client's details
+    Client.find(filter).sort(buildSort(params)).skip((page - 1) * limit).limit(limit)
+      .populate('trainer', 'name')
+      .populate('branch', 'name')
+      .populate('referredBy', 'name contact'),
+    Client.countDocuments(filter)
+  ]);
+
+  return {
+    clients,
+    total,
+    page,
+    limit,
+    hasMore: page * limit < total
+  };
+}
+
+module.exports = { buildFilter, buildSort, listClients };
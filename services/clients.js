@@ -0,0 +1,18 @@
+// services/clients.js
+const mongoose = require('mongoose');
+const Client = require('../models/Client');
+const { httpError } = require('./errors');
+
+// `scope` narrows the lookup, e.g. to a trainer's own clients (see services/auth.js)
+async function findClient(clientId, scope = {}) {
+  if (!mongoose.isValidObjectId(clientId)) {
+    throw httpError(404, 'Client not found.');
+  }
+  const client = await Client.findOne({ _id: clientId, ...scope });
+  if (!client) {
+    throw httpError(404, 'Client not found.');
+  }
+  return client;
+}
+
+module.exports = { findClient };
@@ -0,0 +1,146 @@
+// services/coupons.js
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const { findClient } = require('./clients');
+const { httpError } = require('./errors');
+
+const EDITABLE_FIELDS = ['code', 'description', 'type', 'value', 'validFrom', 'validUntil', 'maxUses', 'onePerMember', 'plans', 'active'];
+
+const pick = (fields) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => fields[field] !== undefined).map(field => [field, fields[field] === '' ? null : fields[field]])
+);
+
+const startOfDay = (date = new Date()) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB');
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// 11000 is MongoDB's duplicate key error (the code)
+const rethrowDuplicate = (code) => (error) => {
+  if (error.code === 11000) {
+    throw httpError(409, `The code ${normalizeCode(code)} already exists.`);
+  }
+  throw error;
+};
+
+async function listCoupons({ active } = {}) {
+  const filter = {};
+  if (active !== undefined && active !== '') filter.active = String(active) === 'true';
+  return Coupon.find(filter).sort({ active: -1, createdAt: -1 }).populate('plans', 'name');
+}
+
+async function findCoupon(couponId) {
+  if (!mongoose.isValidObjectId(couponId)) {
+    throw httpError(404, 'Discount code not found.');
+  }
+  const coupon = await Coupon.findById(couponId);
+  if (!coupon) {
+    throw httpError(404, 'Discount code not found.');
+  }
+  return coupon;
+}
+
+async function createCoupon(fields, { user } = {}) {
+  return Coupon.create({ ...pick(fields), createdBy: user ? user.name : '' }).catch(rethrowDuplicate(fields.code));
+}
+
+// A code that has been used keeps its name, so the periods it was used on
+// still point at the right one
+async function updateCoupon(couponId, fields) {
+  const coupon = await findCoupon(couponId);
+  const data = pick(fields);
+  if (data.code !== undefined && normalizeCode(data.code) !== coupon.code && coupon.uses > 0) {
+    throw httpError(409, `${coupon.code} has been used, so it cannot be renamed. Retire it and add a new code instead.`);
+  }
+  coupon.set(data);
+  return coupon.save().catch(rethrowDuplicate(data.code));
+}
+
+// The coupon behind `code` when it may be used today on a term of `planId`
+// by `client` (left out at signup); otherwise a 400 saying why not
+async function findUsableCoupon(code, { planId = null, client = null, now = new Date() } = {}) {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) });
+  if (!coupon || !coupon.active) {
+    throw httpError(400, `${normalizeCode(code)} is not a valid discount code.`);
+  }
+  const today = startOfDay(now);
+  if (coupon.validFrom && today < startOfDay(coupon.validFrom)) {
+    throw httpError(400, `${coupon.code} can be used from ${formatDate(coupon.validFrom)}.`);
+  }
+  if (coupon.validUntil && today > startOfDay(coupon.validUntil)) {
+    throw httpError(400, `${coupon.code} expired on ${formatDate(coupon.validUntil)}.`);
+  }
+  if (coupon.maxUses !== null && coupon.uses >= coupon.maxUses) {
+    throw httpError(400, `${coupon.code} has been used up.`);
+  }
+  if (coupon.plans.length > 0 && !(planId && coupon.plans.some(id => String(id) === String(planId)))) {
+    throw httpError(400, `${coupon.code} cannot be used with this plan.`);
+  }
+  const periods = client ? client.membership.periods || [] : [];
+  if (coupon.onePerMember && periods.some(period => period.discount && String(period.discount.coupon) === String(coupon._id))) {
+    throw httpError(400, `${client.name} has already used ${coupon.code}.`);
+  }
+  return coupon;
+}
+
+// What the coupon takes off `listPrice`, as stored on the membership period
+function discountFor(coupon, listPrice) {
+  const price = Number(listPrice) || 0;
+  const amount = coupon.type === 'percent'
+    ? Math.round(price * coupon.value / 100)
+    : Math.min(coupon.value, price);
+  return {
+    coupon: coupon._id,
+    code: coupon.code,
+    type: coupon.type,
+    value: coupon.value,
+    listPrice: price,
+    amount
+  };
+}
+
+// Takes one use of the code and returns the discount on `listPrice`.
+// Call it last, once nothing else can refuse the signup or renewal, and
+// `release` the use if saving fails anyway.
+async function applyCoupon(code, listPrice, { planId, client } = {}) {
+  const coupon = await findUsableCoupon(code, { planId, client });
+  const filter = { _id: coupon._id, active: true };
+  if (coupon.maxUses !== null) filter.uses = { $lt: coupon.maxUses };
+  const taken = await Coupon.findOneAndUpdate(filter, { $inc: { uses: 1 } });
+  if (!taken) {
+    throw httpError(409, `${coupon.code} has just been used up.`);
+  }
+  return discountFor(coupon, listPrice);
+}
+
+async function release(discount) {
+  await Coupon.updateOne({ _id: discount.coupon, uses: { $gt: 0 } }, { $inc: { uses: -1 } });
+}
+
+// Lets the form show the discount before the signup or renewal is saved
+async function previewCoupon(code, { planId, amount, clientId } = {}) {
+  const client = clientId ? await findClient(clientId) : null;
+  const coupon = await findUsableCoupon(code, { planId, client });
+  const discount = discountFor(coupon, amount);
+  return {
+    ...discount,
+    description: coupon.description,
+    price: discount.listPrice - discount.amount
+  };
+}
+
+module.exports = {
+  listCoupons,
+  createCoupon,
+  updateCoupon,
+  findUsableCoupon,
+  discountFor,
+  applyCoupon,
+  release,
+  previewCoupon
+};
@@ -0,0 +1,33 @@
+// services/db.js
+const mongoose = require('mongoose');
+
+// --- Connection caching ---
+// Kept on `global` so a warm Vercel instance reuses its connection instead of
+// opening a new one per request. server.js connects once at startup.
+let cached = global.mongoose;
+if (!cached) {
+  cached = global.mongoose = { conn: null, promise: null };
+}
+
+async function connect(uri = process.env.MONGO_URI) {
+  if (cached.conn) return cached.conn;
+  if (!cached.promise) {
+    cached.promise = mongoose.connect(uri).then(mongoose => mongoose);
+  }
+  try {
+    cached.conn = await cached.promise;
+  } catch (error) {
+    // Let the next request try again instead of failing forever
+    cached.promise = null;
+    throw error;
+  }
+  return cached.conn;
+}
+
+async function disconnect() {
+  await mongoose.disconnect();
+  cached.conn = null;
+  cached.promise = null;
+}
+
+module.exports = { connect, disconnect };
@@ -0,0 +1,25 @@
+// services/errors.js
+
+// Services throw these so each entry point can answer with the right status
+// code and keep the `{ message }` response shape the frontend expects.
+// `details` are merged into the response body, e.g. a machine-readable reason.
+function httpError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+// Answers with the status a service chose, 400 for schema validation and
+// malformed ids, and 500 with the fallback message for anything unexpected.
+function sendError(res, error, fallbackMessage) {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message, ...(error.details || {}) });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  return res.status(500).json({ message: fallbackMessage, error: error.message });
+}
+
+module.exports = { httpError, sendError };
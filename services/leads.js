@@ -0,0 +1,215 @@
+// services/leads.js
+const mongoose = require('mongoose');
+const Client = require('../models/Client');
+const Lead = require('../models/Lead');
+const branches = require('./branches');
+const analytics = require('./analytics');
+const { httpError } = require('./errors');
+
+const { LEAD_STATUSES, LEAD_SOURCES } = Lead;
+const OPEN_STATUSES = ['new', 'contacted', 'trial'];
+const EDITABLE_FIELDS = ['name', 'contact', 'source', 'interest', 'followUpDate', 'status', 'notes'];
+// Converted and lost leads stay on the board this long after they closed
+const CLOSED_VISIBLE_DAYS = 30;
+const DEFAULT_TRIAL_DAYS = 3;
+const MAX_TRIAL_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pick = (fields) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => fields[field] !== undefined).map(field => [field, fields[field] === '' ? null : fields[field]])
+);
+
+const startOfDay = (date = new Date()) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The open leads, plus those closed in the last CLOSED_VISIBLE_DAYS, with
+// the follow-ups due soonest first. `q` matches name or contact.
+async function listLeads({ status, q } = {}, scope = {}) {
+  const filter = { ...scope };
+  if (status) {
+    filter.status = status;
+  } else {
+    filter.$or = [
+      { status: { $in: OPEN_STATUSES } },
+      { updatedAt: { $gte: new Date(Date.now() - CLOSED_VISIBLE_DAYS * DAY_MS) } }
+    ];
+  }
+  if (q && q.trim()) {
+    const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+    filter.$and = [{ $or: [{ name: pattern }, { contact: pattern }] }];
+  }
+  return Lead.find(filter)
+    .sort({ followUpDate: 1, createdAt: -1 })
+    .populate('branch', 'name')
+    .populate('client', 'name');
+}
+
+async function findLead(leadId, scope = {}) {
+  if (!mongoose.isValidObjectId(leadId)) {
+    throw httpError(404, 'Lead not found.');
+  }
+  const lead = await Lead.findOne({ _id: leadId, ...scope });
+  if (!lead) {
+    throw httpError(404, 'Lead not found.');
+  }
+  return lead;
+}
+
+// A member or an open lead with the same number is the same person
+async function checkContact(contact, leadId = null) {
+  const member = await Client.findOne({ contact }).select('name');
+  if (member) {
+    throw httpError(409, `${member.name} is already a member with this contact number.`, { clientId: member._id });
+  }
+  const open = await Lead.findOne({ contact, status: { $in: OPEN_STATUSES }, _id: { $ne: leadId } }).select('name');
+  if (open) {
+    throw httpError(409, `${open.name} is already a lead with this contact number.`, { leadId: open._id });
+  }
+}
+
+// Leads join the staff member's own branch; the owner picks one
+async function createLead(fields, user) {
+  const data = pick(fields);
+  if (data.status === 'converted') {
+    throw httpError(400, 'Leads are converted by signing them up from the client form.');
+  }
+  await checkContact(String(fields.contact || '').trim());
+  const branch = await branches.resolveBranch(user.role === 'owner' ? fields.branch : user.branch);
+  return Lead.create({ ...data, branch: branch ? branch._id : null, createdBy: user.name });
+}
+
+// Moves a lead between stages and edits its details. Converted leads are
+// closed; a lead only becomes converted through createClient.
+async function updateLead(leadId, fields, scope = {}) {
+  const lead = await findLead(leadId, scope);
+  if (lead.status === 'converted') {
+    throw httpError(409, `${lead.name} has already joined.`);
+  }
+  const data = pick(fields);
+  if (data.status === 'converted') {
+    throw httpError(400, 'Leads are converted by signing them up from the client form.');
+  }
+  if (data.contact && data.contact !== lead.contact) {
+    await checkContact(String(data.contact).trim(), lead._id);
+  }
+  lead.set(data);
+  return lead.save();
+}
+
+// One free pass per lead, from today for `days` days; moves them to `trial`.
+// The desk checks them in with their contact number while it lasts.
+async function issueTrialPass(leadId, { days } = {}, user, scope = {}) {
+  const lead = await findLead(leadId, scope);
+  if (!OPEN_STATUSES.includes(lead.status)) {
+    throw httpError(409, `${lead.name}'s enquiry is closed.`);
+  }
+  if (lead.trialPass) {
+    throw httpError(409, `${lead.name} already had a trial pass.`);
+  }
+  const length = days === undefined || days === null || days === '' ? DEFAULT_TRIAL_DAYS : Number(days);
+  if (!Number.isInteger(length) || length < 1 || length > MAX_TRIAL_DAYS) {
+    throw httpError(400, `A trial pass is 1 to ${MAX_TRIAL_DAYS} days.`);
+  }
+  const start = startOfDay();
+  const end = new Date(start);
+  end.setDate(end.getDate() + length - 1);
+  lead.trialPass = { start, end, issuedBy: user ? user.name : '' };
+  lead.status = 'trial';
+  return lead.save();
+}
+
+// The open lead with a trial pass who enquired with this contact number,
+// for check-in at the desk (see services/attendance.js)
+async function findTrialLead(contact, scope = {}) {
+  return Lead.findOne({
+    ...scope,
+    contact: String(contact).trim(),
+    status: { $in: OPEN_STATUSES },
+    trialPass: { $ne: null }
+  });
+}
+
+// The lead a new client is being signed up from, checked before the client
+// is saved; see markConverted
+async function findConvertibleLead(leadId, scope = {}) {
+  const lead = await findLead(leadId, scope);
+  if (lead.status === 'converted') {
+    throw httpError(409, `${lead.name} has already joined.`);
+  }
+  return lead;
+}
+
+async function markConverted(lead, client) {
+  return Lead.findByIdAndUpdate(
+    lead._id,
+    { $set: { status: 'converted', client: client._id, convertedAt: new Date() } },
+    { new: true }
+  );
+}
+
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+// Leads that came in over the range, how far they got and the share that
+// joined, overall, by source and for those who took a trial
+async function leadStats(range, scope = {}) {
+  const { start, end } = analytics.parseRange(range);
+  const rows = await Lead.aggregate([
+    { $match: { ...scope, createdAt: { $gte: start, $lte: end } } },
+    {
+      $group: {
+        _id: { source: '$source', status: '$status' },
+        leads: { $sum: 1 },
+        trials: { $sum: { $cond: [{ $ifNull: ['$trialPass', false] }, 1, 0] } },
+        convertedTrials: {
+          $sum: { $cond: [{ $and: [{ $ifNull: ['$trialPass', false] }, { $eq: ['$status', 'converted'] }] }, 1, 0] }
+        }
+      }
+    }
+  ]);
+
+  const byStatus = Object.fromEntries(LEAD_STATUSES.map(status => [status, 0]));
+  const sources = {};
+  let trials = 0;
+  let convertedTrials = 0;
+  rows.forEach(row => {
+    byStatus[row._id.status] += row.leads;
+    const source = sources[row._id.source] || (sources[row._id.source] = { source: row._id.source, leads: 0, converted: 0 });
+    source.leads += row.leads;
+    if (row._id.status === 'converted') source.converted += row.leads;
+    trials += row.trials;
+    convertedTrials += row.convertedTrials;
+  });
+  const total = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+
+  return {
+    from: start,
+    to: end,
+    total,
+    byStatus,
+    conversionRate: rate(byStatus.converted, total),
+    trials,
+    trialConversionRate: rate(convertedTrials, trials),
+    bySource: Object.values(sources)
+      .map(source => ({ ...source, conversionRate: rate(source.converted, source.leads) }))
+      .sort((a, b) => b.leads - a.leads)
+  };
+}
+
+module.exports = {
+  LEAD_STATUSES,
+  LEAD_SOURCES,
+  listLeads,
+  findLead,
+  createLead,
+  updateLead,
+  issueTrialPass,
+  findTrialLead,
+  findConvertibleLead,
+  markConverted,
+  leadStats
+};
@@ -0,0 +1,135 @@
+// services/measurements.js
+const Client = require('../models/Client');
+const Measurement = require('../models/Measurement');
+const audit = require('./audit');
+const { httpError } = require('./errors');
+const { findClient } = require('./clients');
+
+const METRICS = ['weight', 'bodyFat', 'chest', 'waist', 'arm', 'thigh'];
+
+// Weight changes smaller than this (kg) are day-to-day noise, not a trend
+const TREND_THRESHOLD_KG = 0.5;
+// How far (kg) a Maintain Weight member may drift and still be on track
+const MAINTAIN_RANGE_KG = 2;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+function bmiOf(weight, height) {
+  const inches = ((height && height.ft) || 0) * 12 + ((height && height.in) || 0);
+  if (!weight || !inches) return null;
+  const metres = inches * 0.0254;
+  return round(weight / (metres * metres));
+}
+
+// Latest minus baseline for every metric recorded in both
+function changeBetween(baseline, latest) {
+  return Object.fromEntries(METRICS
+    .filter(metric => baseline[metric] != null && latest[metric] != null)
+    .map(metric => [metric, round(latest[metric] - baseline[metric])]));
+}
+
+// Whether the change since joining is heading the way the member's goal needs.
+// Bodybuilding also counts a falling body fat %, since muscle gain can hide in the scale.
+function trendFor(goal, change) {
+  const weight = change.weight;
+  if (weight == null) {
+    return { status: 'unknown', message: 'Record a weight to start tracking progress.' };
+  }
+  const kg = `${Math.abs(weight)} kg`;
+  if (goal === 'Maintain Weight') {
+    return Math.abs(weight) <= MAINTAIN_RANGE_KG
+      ? { status: 'on-track', message: `Within ${MAINTAIN_RANGE_KG} kg of the starting weight.` }
+      : { status: 'off-track', message: `${weight > 0 ? 'Up' : 'Down'} ${kg} since joining.` };
+  }
+  if (goal === 'Bodybuilding' && change.bodyFat != null && change.bodyFat < 0) {
+    return { status: 'on-track', message: `Body fat down ${Math.abs(change.bodyFat)}% since joining.` };
+  }
+  if (Math.abs(weight) < TREND_THRESHOLD_KG) {
+    return { status: 'steady', message: 'No real change in weight yet.' };
+  }
+  const wantsLoss = goal === 'Lose Weight';
+  const onTrack = wantsLoss ? weight < 0 : weight > 0;
+  return {
+    status: onTrack ? 'on-track' : 'off-track',
+    message: `${weight > 0 ? 'Gained' : 'Lost'} ${kg} since joining.`
+  };
+}
+
+// The weight typed at signup is the first point of the history. Clients
+// created or imported before measurements existed get it on first use.
+async function recordBaseline(client) {
+  if (!client.weight || await Measurement.exists({ client: client._id })) return null;
+  return Measurement.create({
+    client: client._id,
+    date: client.membership.feeDate || client.createdAt,
+    weight: client.weight,
+    notes: 'At joining'
+  });
+}
+
+async function summarize(client) {
+  const measurements = await Measurement.find({ client: client._id }).sort({ date: 1, createdAt: 1 });
+  const withBmi = measurements.map(m => ({ ...m.toObject(), bmi: bmiOf(m.weight, client.height) }));
+  if (withBmi.length === 0) {
+    return { measurements: [], bmi: bmiOf(client.weight, client.height), change: {}, trend: trendFor(client.goal, {}) };
+  }
+  // Metrics can be recorded on different days, so compare each one's first and last reading
+  const baseline = {};
+  const latest = {};
+  withBmi.forEach(m => METRICS.forEach(metric => {
+    if (m[metric] == null) return;
+    if (baseline[metric] == null) baseline[metric] = m[metric];
+    latest[metric] = m[metric];
+  }));
+  const change = changeBetween(baseline, latest);
+  return {
+    measurements: withBmi,
+    bmi: bmiOf(latest.weight, client.height),
+    change,
+    trend: trendFor(client.goal, change)
+  };
+}
+
+async function listMeasurements(clientId, scope = {}) {
+  const client = await findClient(clientId, scope);
+  return summarize(client);
+}
+
+async function recordMeasurement(clientId, fields, { scope = {}, user, req } = {}) {
+  const client = await findClient(clientId, scope);
+  const values = Object.fromEntries(METRICS
+    .filter(metric => fields[metric] !== undefined && fields[metric] !== null && fields[metric] !== '')
+    .map(metric => [metric, Number(fields[metric])]));
+  if (Object.keys(values).length === 0) {
+    throw httpError(400, 'Enter at least one measurement.');
+  }
+  const date = fields.date ? new Date(fields.date) : new Date();
+  if (Number.isNaN(date.getTime()) || date > new Date()) {
+    throw httpError(400, 'Measurement date must be a valid date, not in the future.');
+  }
+
+  await recordBaseline(client);
+  const measurement = await Measurement.create({
+    client: client._id,
+    date,
+    ...values,
+    notes: fields.notes,
+    recordedBy: user ? user.name : ''
+  });
+
+  // Keep the profile's weight at the latest reading so the list and BMI stay current
+  let updated = client;
+  if (values.weight != null) {
+    const newest = await Measurement.findOne({ client: client._id, weight: { $ne: null } }).sort({ date: -1, createdAt: -1 });
+    updated = await Client.findByIdAndUpdate(client._id, { $set: { weight: newest.weight } }, { new: true });
+  }
+  await audit.recordChange(user, 'measurement.record', {
+    before: client,
+    after: updated,
+    details: { measurementId: measurement._id, date, ...values },
+    req
+  });
+  return { measurement, ...(await summarize(updated)) };
+}
+
+module.exports = { bmiOf, trendFor, recordBaseline, listMeasurements, recordMeasurement };
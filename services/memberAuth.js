@@ -0,0 +1,112 @@
+// services/memberAuth.js
+// Member portal login: the member asks for a one-time code on their
+// registered contact number and trades it for a portal token.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Client = require('../models/Client');
+const LoginCode = require('../models/LoginCode');
+const audit = require('./audit');
+const auth = require('./auth');
+const messaging = require('./messaging');
+const { gymDetails } = require('./printing');
+const { httpError } = require('./errors');
+
+const CODE_TTL_MINUTES = 10;
+const RESEND_SECONDS = 60;
+const MAX_ATTEMPTS = 5;
+const MEMBER_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+function checkContact(contact) {
+  const value = String(contact || '').trim();
+  if (!/^\d{10}$/.test(value)) {
+    throw httpError(400, 'Enter your 10-digit registered mobile number.');
+  }
+  return value;
+}
+
+// How the member shows up in the audit trail
+const memberActor = (client) => ({ _id: client._id, name: client.name, role: 'member' });
+
+// Sends a fresh code when the number belongs to a member. Unknown numbers
+// get the same answer and the same resend limit (their code is kept but never
+// sent), so the form cannot be used to find out who is a member.
+async function requestCode(contact, provider = messaging.getProvider()) {
+  const number = checkContact(contact);
+  const now = new Date();
+  const previous = await LoginCode.findOne({ contact: number });
+  if (previous && now - previous.sentAt < RESEND_SECONDS * 1000) {
+    throw httpError(429, 'A code was just sent. Please wait a minute before asking for another.');
+  }
+
+  const client = await Client.findOne({ contact: number });
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  await LoginCode.findOneAndUpdate(
+    { contact: number },
+    {
+      client: client ? client._id : null,
+      codeHash: auth.hashPassword(code),
+      attempts: 0,
+      sentAt: now,
+      expiresAt: new Date(now.getTime() + CODE_TTL_MINUTES * 60 * 1000)
+    },
+    { upsert: true }
+  );
+  if (!client) return { expiresInMinutes: CODE_TTL_MINUTES };
+  try {
+    await provider.send({
+      to: `91${number}`,
+      message: `${code} is your ${gymDetails().name} member login code. It expires in ${CODE_TTL_MINUTES} minutes. Do not share it with anyone.`
+    });
+  } catch (error) {
+    console.error('Error sending login code:', error);
+    await LoginCode.deleteOne({ contact: number });
+    throw httpError(502, 'The code could not be sent. Please try again.');
+  }
+  return { expiresInMinutes: CODE_TTL_MINUTES };
+}
+
+// A right code is used up; too many wrong ones throw it away
+async function verifyCode(contact, code, { req } = {}) {
+  const number = checkContact(contact);
+  const loginCode = await LoginCode.findOne({ contact: number, expiresAt: { $gt: new Date() } });
+  if (!loginCode) {
+    throw httpError(401, 'The code has expired. Ask for a new one.');
+  }
+  if (!auth.verifyPassword(String(code || '').trim(), loginCode.codeHash)) {
+    loginCode.attempts += 1;
+    if (loginCode.attempts >= MAX_ATTEMPTS) {
+      await LoginCode.deleteOne({ _id: loginCode._id });
+      throw httpError(401, 'Too many wrong codes. Ask for a new one.');
+    }
+    await loginCode.save();
+    throw httpError(401, 'That code is not right. Check the message and try again.');
+  }
+  await LoginCode.deleteOne({ _id: loginCode._id });
+
+  const client = await Client.findById(loginCode.client);
+  if (!client || client.contact !== number) {
+    throw httpError(401, 'The code has expired. Ask for a new one.');
+  }
+  await audit.record(memberActor(client), 'portal.login', { client: client._id, req });
+  return {
+    token: auth.issueToken({ _id: client._id, role: 'member' }, MEMBER_TOKEN_TTL_SECONDS),
+    member: { name: client.name }
+  };
+}
+
+// The member behind the request's `Authorization: Bearer` portal token.
+// Members moved to the trash are logged out at once.
+async function authenticateMember(req) {
+  const header = req.headers.authorization || '';
+  const claims = header.startsWith('Bearer ') ? auth.readToken(header.slice(7)) : null;
+  if (!claims || claims.role !== 'member' || !mongoose.isValidObjectId(claims.sub)) {
+    throw httpError(401, 'Please log in to continue.');
+  }
+  const client = await Client.findById(claims.sub);
+  if (!client) {
+    throw httpError(401, 'Please log in to continue.');
+  }
+  return client;
+}
+
+module.exports = { requestCode, verifyCode, authenticateMember, memberActor };
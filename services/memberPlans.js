@@ -0,0 +1,206 @@
+// services/memberPlans.js
+const MemberPlan = require('../models/MemberPlan');
+const audit = require('./audit');
+const programs = require('./programs');
+const { findClient } = require('./clients');
+const { httpError } = require('./errors');
+const { gymHeader, formatDate, escapeHtml } = require('./printing');
+
+const plain = (doc) => (doc && doc.toObject ? doc.toObject() : doc);
+
+// 90 -> "1 min 30s"
+function formatRest(seconds) {
+  if (!seconds) return '-';
+  const minutes = Math.floor(seconds / 60);
+  const rest = seconds % 60;
+  if (!minutes) return `${rest}s`;
+  return `${minutes} min${rest ? ` ${rest}s` : ''}`;
+}
+
+// What the history list needs, without every day and meal
+const summary = (plan) => ({
+  version: plan.version,
+  workout: plan.workout ? plan.workout.name : null,
+  diet: plan.diet ? plan.diet.name : null,
+  notes: plan.notes,
+  assignedBy: plan.assignedBy,
+  createdAt: plan.createdAt
+});
+
+// The workout for the next version: removed (null), customised from the
+// days sent, copied fresh from a template, or carried over unchanged
+async function workoutFor({ workoutTemplate, workout }, current) {
+  if (workout === null) return null;
+  const template = workoutTemplate ? await programs.findWorkoutTemplate(workoutTemplate) : null;
+  if (workout) {
+    return {
+      template: template ? template._id : null,
+      name: workout.name || (template ? template.name : ''),
+      days: await programs.normalizeDays(workout.days)
+    };
+  }
+  if (template) {
+    return { template: template._id, name: template.name, days: plain(template).days };
+  }
+  return current && current.workout ? plain(current.workout) : null;
+}
+
+async function dietFor({ dietTemplate, diet }, current) {
+  if (diet === null) return null;
+  const template = dietTemplate ? await programs.findDietTemplate(dietTemplate) : null;
+  if (diet) {
+    return {
+      template: template ? template._id : null,
+      name: diet.name || (template ? template.name : ''),
+      calories: diet.calories === '' ? null : diet.calories,
+      meals: programs.normalizeMeals(diet.meals),
+      notes: diet.notes
+    };
+  }
+  if (template) {
+    const { calories, meals, notes } = plain(template);
+    return { template: template._id, name: template.name, calories, meals, notes };
+  }
+  return current && current.diet ? plain(current.diet) : null;
+}
+
+// The member's current plan, earlier versions and the templates suggested
+// for their goal
+async function getPlan(clientId, scope = {}) {
+  const client = await findClient(clientId, scope);
+  const [versions, suggestion] = await Promise.all([
+    MemberPlan.find({ client: client._id }).sort({ version: -1 }),
+    programs.suggestTemplates(client.goal)
+  ]);
+  return {
+    goal: client.goal,
+    current: versions[0] || null,
+    versions: versions.map(summary),
+    suggestion
+  };
+}
+
+// One version, or the current one when `version` is left out
+async function getVersion(clientId, version, scope = {}) {
+  const client = await findClient(clientId, scope);
+  const filter = { client: client._id };
+  if (version !== undefined && version !== '') filter.version = Number(version);
+  const plan = await MemberPlan.findOne(filter).sort({ version: -1 });
+  if (!plan) {
+    throw httpError(404, filter.version ? 'Plan version not found.' : 'No plan has been assigned to this member yet.');
+  }
+  return { client, plan };
+}
+
+// Saves the next version of the member's plan. Either part may come from a
+// template (workoutTemplate / dietTemplate), be customised (workout / diet),
+// be removed (null) or be left out to keep the current one.
+async function assignPlan(clientId, fields, { scope = {}, user, req } = {}) {
+  const client = await findClient(clientId, scope);
+  const current = await MemberPlan.findOne({ client: client._id }).sort({ version: -1 });
+  const [workout, diet] = await Promise.all([workoutFor(fields, current), dietFor(fields, current)]);
+  if (!workout && !diet) {
+    throw httpError(400, 'Choose a workout or a diet for the plan.');
+  }
+
+  let plan;
+  try {
+    plan = await MemberPlan.create({
+      client: client._id,
+      version: current ? current.version + 1 : 1,
+      workout,
+      diet,
+      notes: fields.notes,
+      assignedBy: user ? user.name : ''
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw httpError(409, 'The plan was just changed by someone else. Reload it and try again.');
+    }
+    throw error;
+  }
+  await audit.record(user, 'plan.assign', {
+    client: client._id,
+    details: { version: plan.version, workout: workout ? workout.name : null, diet: diet ? diet.name : null },
+    req
+  });
+  return plan;
+}
+
+// A short version to send the member over WhatsApp
+function renderPlanText(client, plan) {
+  const lines = [`*${client.name}* – plan v${plan.version} (${formatDate(plan.createdAt)})`];
+  if (plan.workout) {
+    lines.push('', `*Workout: ${plan.workout.name}*`);
+    plan.workout.days.forEach(day => {
+      lines.push(`_${day.name}_`);
+      day.exercises.forEach(item => lines.push(`- ${item.name}: ${item.sets} x ${item.reps}, rest ${formatRest(item.restSeconds)}`));
+    });
+  }
+  if (plan.diet) {
+    lines.push('', `*Diet: ${plan.diet.name}*${plan.diet.calories ? ` (${plan.diet.calories} kcal)` : ''}`);
+    plan.diet.meals.forEach(meal => lines.push(`- ${meal.time ? `${meal.time} ` : ''}${meal.name}: ${meal.items.join(', ')}`));
+  }
+  if (plan.notes) lines.push('', plan.notes);
+  return lines.join('\n');
+}
+
+// A self-contained A4 page that prints as is from the browser
+function renderPlan(client, plan) {
+  const { workout, diet } = plan;
+  const workoutHtml = workout ? `
+<h2>Workout: ${escapeHtml(workout.name)}</h2>
+${workout.days.map(day => `<h3>${escapeHtml(day.name)}</h3>
+<table>
+  <tr><th>Exercise</th><th>Sets</th><th>Reps</th><th>Rest</th><th>Notes</th></tr>
+${day.exercises.map(item => `  <tr><td>${escapeHtml(item.name)}</td><td>${item.sets}</td><td>${escapeHtml(item.reps)}</td><td>${formatRest(item.restSeconds)}</td><td>${escapeHtml(item.notes)}</td></tr>`).join('\n')}
+</table>`).join('\n')}` : '';
+  const dietHtml = diet ? `
+<h2>Diet: ${escapeHtml(diet.name)}${diet.calories ? ` <small>(${diet.calories} kcal a day)</small>` : ''}</h2>
+<table>
+  <tr><th>Time</th><th>Meal</th><th>What to eat</th></tr>
+${diet.meals.map(meal => `  <tr><td>${escapeHtml(meal.time)}</td><td>${escapeHtml(meal.name)}</td><td>${meal.items.map(escapeHtml).join(', ')}${meal.notes ? `<br><small>${escapeHtml(meal.notes)}</small>` : ''}</td></tr>`).join('\n')}
+</table>
+${diet.notes ? `<p>${escapeHtml(diet.notes)}</p>` : ''}` : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Plan v${plan.version} - ${escapeHtml(client.name)}</title>
+<style>
+  @page { size: A4; margin: 14mm; }
+  body { font-family: Arial, Helvetica, sans-serif; color: #111; max-width: 760px; margin: 24px auto; }
+  header { text-align: center; border-bottom: 2px solid #111; padding-bottom: 10px; margin-bottom: 16px; }
+  header h1 { margin: 0; font-size: 22px; }
+  header p { margin: 2px 0; font-size: 13px; }
+  .meta { display: flex; justify-content: space-between; font-size: 14px; margin-bottom: 8px; }
+  h2 { font-size: 18px; margin: 20px 0 6px; border-bottom: 1px solid #111; padding-bottom: 4px; }
+  h3 { font-size: 15px; margin: 14px 0 4px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; page-break-inside: avoid; }
+  th, td { text-align: left; padding: 6px 4px; border-bottom: 1px solid #ddd; vertical-align: top; }
+  th { color: #555; font-weight: normal; }
+  .notes { margin-top: 16px; font-size: 14px; }
+  footer { margin-top: 24px; font-size: 12px; color: #555; text-align: center; }
+</style>
+</head>
+<body>
+${gymHeader()}
+<div class="meta">
+  <strong>${escapeHtml(client.name)}</strong>
+  <span>Goal: ${escapeHtml(client.goal)}</span>
+</div>
+<div class="meta">
+  <span>Plan version ${plan.version}</span>
+  <span>From ${formatDate(plan.createdAt)}</span>
+</div>
+${workoutHtml}
+${dietHtml}
+${plan.notes ? `<p class="notes">${escapeHtml(plan.notes)}</p>` : ''}
+${plan.assignedBy ? `<footer>Prepared by ${escapeHtml(plan.assignedBy)}</footer>` : ''}
+</body>
+</html>
+`;
+}
+
+module.exports = { getPlan, getVersion, assignPlan, renderPlan, renderPlanText };
@@ -0,0 +1,92 @@
+// services/memberPortal.js
+// What a logged-in member sees about themselves, and the few details they
+// may change. `client` is the member from memberAuth.authenticateMember.
+const Branch = require('../models/Branch');
+const MemberPlan = require('../models/MemberPlan');
+const attendance = require('./attendance');
+const memberships = require('./memberships');
+const payments = require('./payments');
+const receipts = require('./receipts');
+const screenings = require('./screenings');
+const { memberActor } = require('./memberAuth');
+const { httpError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Counted in whole days from today, like the client cards in the staff app
+function daysRemaining(endDate, now = new Date()) {
+  const end = new Date(endDate);
+  const today = new Date(now);
+  end.setHours(0, 0, 0, 0);
+  today.setHours(0, 0, 0, 0);
+  return Math.ceil((end - today) / DAY_MS);
+}
+
+// Membership period, days left, dues and emergency contact
+async function getOverview(client, now = new Date()) {
+  const branch = client.branch ? await Branch.findById(client.branch).select('name') : null;
+  const freeze = memberships.currentFreeze(client, now);
+  const period = memberships.activePeriod(client, now);
+  const daysLeft = daysRemaining(client.membership.endDate, now);
+  let status = daysLeft < 0 ? 'expired' : 'active';
+  if (freeze) status = 'frozen';
+  return {
+    name: client.name,
+    contact: client.contact,
+    goal: client.goal,
+    branch: branch ? branch.name : '',
+    membership: {
+      plan: client.plan ? client.plan.name : `${client.membership.months} month${client.membership.months !== 1 ? 's' : ''}`,
+      start: period.start,
+      endDate: client.membership.endDate,
+      daysRemaining: Math.max(daysLeft, 0),
+      status,
+      frozenUntil: freeze ? freeze.end : null
+    },
+    fees: {
+      total: client.fees.total,
+      submitted: client.fees.submitted,
+      due: client.fees.due
+    },
+    emergencyContact: client.screening ? client.screening.emergencyContact : null
+  };
+}
+
+// Newest first, with the receipt number of each payment
+async function listReceipts(client) {
+  const { payments: list } = await payments.listPayments(client._id);
+  return list.map(payment => ({
+    _id: payment._id,
+    date: payment.date,
+    amount: payment.amount,
+    mode: payment.mode,
+    receiptNumber: payment.receipt && payment.receipt.number ? receipts.formatNumber(payment.receipt.number) : null,
+    voided: Boolean(payment.voided && payment.voided.isVoided)
+  }));
+}
+
+const getReceipt = (client, paymentId) => receipts.getReceipt(client._id, paymentId);
+
+const getAttendance = (client, { limit } = {}) => attendance.history(client._id, { limit });
+
+// The plan the member's trainer assigned most recently, or null
+const getPlan = (client) => MemberPlan.findOne({ client: client._id }).sort({ version: -1 });
+
+// Members may only change their emergency contact here; fees, dates and
+// everything else stay with the front desk
+async function updateProfile(client, fields = {}, { req } = {}) {
+  const other = Object.keys(fields).filter(key => key !== 'emergencyContact');
+  if (other.length > 0 || !fields.emergencyContact) {
+    throw httpError(400, 'Only your emergency contact can be changed here. Ask the front desk about anything else.');
+  }
+  if (!client.screening || !client.screening.screeningId) {
+    throw httpError(409, 'Your health screening has not been recorded yet. Please ask the front desk.');
+  }
+  const updated = await screenings.updateEmergencyContact(client._id, fields.emergencyContact, {
+    user: memberActor(client),
+    req
+  });
+  return getOverview(updated);
+}
+
+module.exports = { getOverview, listReceipts, getReceipt, getAttendance, getPlan, updateProfile };
@@ -0,0 +1,321 @@
+// services/memberships.js
+const Client = require('../models/Client');
+const { httpError } = require('./errors');
+const { findClient } = require('./clients');
+const payments = require('./payments');
+const audit = require('./audit');
+const plans = require('./plans');
+const coupons = require('./coupons');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Freeze days allowed per term for clients who are not on a plan
+const DEFAULT_MAX_FREEZE_DAYS = 30;
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + Number(months));
+  return result;
+};
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+const startOfDay = (date = new Date()) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB');
+
+// A renewal paid before the current period ends continues from that end date;
+// otherwise it starts on the day it was paid and the gap stays visible.
+const periodStart = (previousEnd, paidOn) =>
+  previousEnd && previousEnd > paidOn ? new Date(previousEnd) : new Date(paidOn);
+
+// Clients created before periods were tracked only have the single
+// membership object, so it becomes their first period.
+function periodsOf(client) {
+  const periods = client.membership.periods || [];
+  if (periods.length > 0) {
+    return periods.map(period => period.toObject ? period.toObject() : period);
+  }
+  return [{
+    start: client.membership.feeDate,
+    end: client.membership.endDate,
+    months: client.membership.months,
+    amount: client.fees.total != null ? client.fees.total : (client.fees.submitted || 0) + (client.fees.due || 0),
+    kind: 'Joining',
+    paidOn: client.membership.feeDate
+  }];
+}
+
+// The period covering `now`. Falls back to the next upcoming one, then to the last.
+function activePeriod(client, now = new Date()) {
+  const periods = periodsOf(client).sort((a, b) => new Date(a.start) - new Date(b.start));
+  return periods.find(p => new Date(p.start) <= now && now < new Date(p.end))
+    || periods.find(p => new Date(p.start) > now)
+    || periods[periods.length - 1];
+}
+
+function joiningPeriod({ months, feeDate, amount, discount = null }) {
+  return {
+    start: new Date(feeDate),
+    end: addMonths(feeDate, months),
+    months,
+    amount,
+    kind: 'Joining',
+    paidOn: new Date(feeDate),
+    discount
+  };
+}
+
+function validateTerm(months) {
+  if (!Number.isInteger(Number(months)) || Number(months) < 1) {
+    throw httpError(400, 'Membership months must be a whole number of at least 1.');
+  }
+}
+
+async function saveMembership(clientId, periods, update = {}) {
+  const latest = periods[periods.length - 1];
+  return Client.findByIdAndUpdate(
+    clientId,
+    {
+      ...update,
+      $set: {
+        ...(update.$set || {}),
+        'membership.periods': periods,
+        'membership.months': latest.months,
+        'membership.feeDate': latest.paidOn,
+        'membership.endDate': latest.end
+      }
+    },
+    { new: true, runValidators: true }
+  );
+}
+
+async function listPeriods(clientId) {
+  const client = await findClient(clientId);
+  return { client, periods: periodsOf(client), active: activePeriod(client) };
+}
+
+// Appends a new membership period, adds its price to the fee total and,
+// when something was paid, records it in the payment ledger. With `planId`
+// the plan supplies the months and price unless they are given, and becomes
+// the client's plan. A `couponCode` takes its discount off that price.
+async function renewMembership(clientId, { planId, months, amount, amountPaid, mode, date, recordedBy, notes, couponCode }, { user, req } = {}) {
+  const client = await payments.ensureLedger(clientId);
+  let plan = null;
+  if (planId) {
+    plan = await plans.findActivePlan(planId);
+    if (months === undefined || months === null) months = plan.months;
+    if (amount === undefined || amount === null) amount = plans.priceFor(plan, client.pt);
+  }
+  validateTerm(months);
+  if (!(Number(amount) >= 0)) {
+    throw httpError(400, 'Renewal amount is required.');
+  }
+
+  // A renewal without planId continues the member's current plan
+  const discount = couponCode
+    ? await coupons.applyCoupon(couponCode, amount, { planId: plan ? plan._id : (client.plan && client.plan.planId), client })
+    : null;
+
+  const periods = periodsOf(client);
+  const paidOn = date ? new Date(date) : new Date();
+  const start = periodStart(client.membership.endDate, paidOn);
+  const period = {
+    start,
+    end: addMonths(start, months),
+    months: Number(months),
+    amount: Number(amount) - (discount ? discount.amount : 0),
+    kind: 'Renewal',
+    paidOn,
+    discount
+  };
+  periods.push(period);
+
+  await saveMembership(client._id, periods, {
+    $inc: { 'fees.total': period.amount },
+    ...(plan ? { $set: { plan: plans.snapshot(plan) } } : {})
+  }).catch(async (error) => {
+    if (discount) await coupons.release(discount);
+    throw error;
+  });
+  if (amountPaid > 0) {
+    await payments.recordPayment(client._id, {
+      amount: amountPaid,
+      date: paidOn,
+      mode,
+      recordedBy,
+      notes: notes || `Renewal for ${period.months} month${period.months !== 1 ? 's' : ''}`
+    }, { user, req });
+  }
+  const renewed = await payments.recomputeFees(client._id);
+  await audit.recordChange(user, 'membership.renew', {
+    before: client,
+    after: renewed,
+    details: {
+      months: period.months,
+      amount: period.amount,
+      start: period.start,
+      end: period.end,
+      plan: plan ? plan.name : null,
+      discount: discount ? { code: discount.code, amount: discount.amount } : null
+    },
+    req
+  });
+  return { client: renewed, period };
+}
+
+// Referral rewards extend the latest period; its `bonusDays` keeps count
+async function addBonusDays(clientId, days) {
+  const client = await findClient(clientId);
+  const periods = periodsOf(client);
+  const latest = periods[periods.length - 1];
+  latest.end = addDays(latest.end, days);
+  latest.bonusDays = (latest.bonusDays || 0) + days;
+  return saveMembership(client._id, periods);
+}
+
+// The client form still edits months and fee date; those now correct the
+// latest period instead of replacing the whole membership.
+async function updateCurrentTerm(clientId, { months, feeDate }) {
+  validateTerm(months);
+  const client = await findClient(clientId);
+  const periods = periodsOf(client);
+  const latest = periods[periods.length - 1];
+  const previous = periods[periods.length - 2];
+
+  latest.months = Number(months);
+  latest.paidOn = new Date(feeDate);
+  latest.start = periodStart(previous && previous.end, latest.paidOn);
+  // Freezes taken and referral days earned in this term still push its end back
+  latest.end = addDays(addMonths(latest.start, months), (latest.frozenDays || 0) + (latest.bonusDays || 0));
+
+  return saveMembership(client._id, periods);
+}
+
+// --- Freezes ---
+const freezesOf = (client) => (client.membership.freezes || [])
+  .map(freeze => freeze.toObject ? freeze.toObject() : freeze);
+
+// The freeze covering `now`, if the member is paused today
+function currentFreeze(client, now = new Date()) {
+  const today = startOfDay(now);
+  return freezesOf(client).find(f => new Date(f.start) <= today && today <= new Date(f.end)) || null;
+}
+
+const isFrozen = (client, now = new Date()) => Boolean(currentFreeze(client, now));
+
+// Freeze days the member's plan allows in the active term and how many are used
+function freezeAllowance(client, now = new Date()) {
+  const plan = client.plan;
+  const maxDays = plan && plan.maxFreezeDays != null ? plan.maxFreezeDays : DEFAULT_MAX_FREEZE_DAYS;
+  const term = activePeriod(client, now);
+  const usedDays = freezesOf(client)
+    .filter(f => new Date(f.start) >= new Date(term.start) && new Date(f.start) < new Date(term.end))
+    .reduce((sum, f) => sum + f.days, 0);
+  return { maxDays, usedDays, remainingDays: Math.max(maxDays - usedDays, 0) };
+}
+
+// Moves the membership by `days` from `from` on: the period the freeze
+// starts in ends later, and any period after it starts and ends later.
+function shiftPeriods(periods, from, days) {
+  return periods.map(period => {
+    if (new Date(period.end) <= from) return period;
+    if (new Date(period.start) > from) {
+      return { ...period, start: addDays(period.start, days), end: addDays(period.end, days) };
+    }
+    return { ...period, end: addDays(period.end, days), frozenDays: (period.frozenDays || 0) + days };
+  });
+}
+
+// Pauses the membership from `start` to `end` (both frozen) and extends the
+// end date by those days, within the plan's freeze allowance for the term.
+async function freezeMembership(clientId, { start, end, reason }, { user, req } = {}) {
+  const client = await findClient(clientId);
+  if (!reason || !String(reason).trim()) {
+    throw httpError(400, 'A reason is required to freeze a membership.');
+  }
+  const from = startOfDay(start ? new Date(start) : new Date());
+  const to = startOfDay(new Date(end));
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to < from) {
+    throw httpError(400, 'A freeze needs a start date and an end date on or after it.');
+  }
+  if (!client.membership.endDate || from >= new Date(client.membership.endDate)) {
+    throw httpError(400, 'Only a running or upcoming membership can be frozen. Renew it instead.');
+  }
+  const overlapping = freezesOf(client).find(f => new Date(f.start) <= to && from <= new Date(f.end));
+  if (overlapping) {
+    throw httpError(409, `The membership is already frozen from ${formatDate(overlapping.start)} to ${formatDate(overlapping.end)}.`);
+  }
+  const days = Math.round((to - from) / DAY_MS) + 1;
+  const { maxDays, remainingDays } = freezeAllowance(client, from);
+  if (days > remainingDays) {
+    throw httpError(400, `Only ${remainingDays} of ${maxDays} freeze days are left this term.`);
+  }
+
+  const freeze = { start: from, end: to, days, reason: String(reason).trim(), recordedBy: user ? user.name : '' };
+  const updated = await saveMembership(client._id, shiftPeriods(periodsOf(client), from, days), {
+    $push: { 'membership.freezes': freeze }
+  });
+  await audit.recordChange(user, 'membership.freeze', { before: client, after: updated, details: freeze, req });
+  return { client: updated, freeze: updated.membership.freezes[updated.membership.freezes.length - 1] };
+}
+
+// The member is back early: a running freeze ends yesterday, one that has not
+// started yet is dropped, and the unused days come off the end date again.
+async function endFreeze(clientId, freezeId, { user, req, now = new Date() } = {}) {
+  const client = await findClient(clientId);
+  const freeze = freezesOf(client).find(f => String(f._id) === String(freezeId));
+  if (!freeze) {
+    throw httpError(404, 'Freeze not found.');
+  }
+  const today = startOfDay(now);
+  if (freeze.end < today) {
+    throw httpError(409, 'This freeze has already ended.');
+  }
+
+  const started = freeze.start < today;
+  const days = started ? Math.round((today - freeze.start) / DAY_MS) : 0;
+  const periods = shiftPeriods(periodsOf(client), freeze.start, days - freeze.days);
+  const freezes = freezesOf(client)
+    .filter(f => started || !f._id.equals(freeze._id))
+    .map(f => (f._id.equals(freeze._id) ? { ...f, end: addDays(today, -1), days } : f));
+  const updated = await saveMembership(client._id, periods, {
+    $set: { 'membership.freezes': freezes }
+  });
+  await audit.recordChange(user, 'membership.unfreeze', {
+    before: client,
+    after: updated,
+    details: { freezeId: freeze._id, start: freeze.start, frozenDays: days, cancelled: !started },
+    req
+  });
+  return { client: updated };
+}
+
+async function listFreezes(clientId) {
+  const client = await findClient(clientId);
+  return {
+    freezes: freezesOf(client),
+    current: currentFreeze(client),
+    allowance: freezeAllowance(client)
+  };
+}
+
+module.exports = {
+  addMonths,
+  activePeriod,
+  joiningPeriod,
+  validateTerm,
+  listPeriods,
+  renewMembership,
+  addBonusDays,
+  updateCurrentTerm,
+  currentFreeze,
+  isFrozen,
+  freezeMembership,
+  endFreeze,
+  listFreezes
+};
@@ -0,0 +1,12 @@
+// services/messaging/consoleProvider.js
+// Development provider: prints the message instead of sending it.
+const crypto = require('crypto');
+
+module.exports = {
+  name: 'console',
+  async send({ to, message }) {
+    const id = crypto.randomUUID();
+    console.log(`📨 [${id}] to ${to}: ${message}`);
+    return { id };
+  }
+};
@@ -0,0 +1,16 @@
+// services/messaging/fileProvider.js
+// Test provider: appends one JSON line per message to MESSAGING_LOG_FILE
+// (default: messages.log in the working directory).
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+module.exports = {
+  name: 'file',
+  async send({ to, message }) {
+    const id = crypto.randomUUID();
+    const file = process.env.MESSAGING_LOG_FILE || path.join(process.cwd(), 'messages.log');
+    await fs.appendFile(file, `${JSON.stringify({ id, to, message, at: new Date().toISOString() })}\n`);
+    return { id };
+  }
+};
@@ -0,0 +1,29 @@
+// services/messaging/index.js
+// Pluggable outbound messaging. A provider is any object with a `name` and an
+// async `send({ to, message })` that resolves to `{ id }` or throws on failure.
+// MESSAGING_PROVIDER picks one of the registered providers (default: console).
+const consoleProvider = require('./consoleProvider');
+const fileProvider = require('./fileProvider');
+
+const providers = {
+  [consoleProvider.name]: consoleProvider,
+  [fileProvider.name]: fileProvider
+};
+
+// Lets a deployment plug in a real SMS / WhatsApp gateway.
+function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.send !== 'function') {
+    throw new Error('A messaging provider needs a name and a send() function.');
+  }
+  providers[provider.name] = provider;
+}
+
+function getProvider(name = process.env.MESSAGING_PROVIDER || consoleProvider.name) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown messaging provider "${name}".`);
+  }
+  return provider;
+}
+
+module.exports = { registerProvider, getProvider };
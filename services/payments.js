@@ -0,0 +1,133 @@
+// services/payments.js
+const mongoose = require('mongoose');
+const Client = require('../models/Client');
+const Payment = require('../models/Payment');
+const audit = require('./audit');
+const receipts = require('./receipts');
+const { httpError } = require('./errors');
+const { findClient } = require('./clients');
+
+// Clients created before the ledger existed only carry the typed-in
+// fees.submitted / fees.due pair. Turn that into a fee total plus an opening
+// payment the first time the client's ledger is touched.
+async function openLedger(client) {
+  if (client.fees.total != null) return client;
+
+  const submitted = client.fees.submitted || 0;
+  const due = client.fees.due || 0;
+  const hasPayments = await Payment.exists({ client: client._id });
+
+  if (submitted > 0 && !hasPayments) {
+    await Payment.create({
+      client: client._id,
+      branch: client.branch,
+      amount: submitted,
+      date: client.membership.feeDate || client.createdAt,
+      notes: 'Opening balance carried over from the old fee record'
+    });
+  }
+
+  return Client.findByIdAndUpdate(
+    client._id,
+    { $set: { 'fees.total': submitted + due } },
+    { new: true }
+  );
+}
+
+// fees.submitted and fees.due are derived from the ledger, never typed in.
+// Any credit the member has earned comes off the due.
+async function recomputeFees(clientId) {
+  const client = await findClient(clientId);
+  const [totals] = await Payment.aggregate([
+    { $match: { client: client._id, 'voided.isVoided': false } },
+    { $group: { _id: null, paid: { $sum: '$amount' } } }
+  ]);
+  const paid = totals ? totals.paid : 0;
+
+  return Client.findByIdAndUpdate(
+    client._id,
+    {
+      $set: {
+        'fees.submitted': paid,
+        'fees.due': Math.max((client.fees.total || 0) - paid - (client.fees.credit || 0), 0)
+      }
+    },
+    { new: true }
+  );
+}
+
+async function ensureLedger(clientId) {
+  return openLedger(await findClient(clientId));
+}
+
+async function listPayments(clientId) {
+  const client = await ensureLedger(clientId);
+  const payments = await Payment.find({ client: client._id }).sort({ date: -1, createdAt: -1 });
+  return { client, payments };
+}
+
+// `user` and `req` identify who recorded it in the audit trail
+async function recordPayment(clientId, { amount, date, mode, recordedBy, notes }, { user, req } = {}) {
+  const client = await ensureLedger(clientId);
+  const payment = await Payment.create({
+    client: client._id,
+    branch: client.branch,
+    amount,
+    date: date ? new Date(date) : new Date(),
+    mode,
+    recordedBy,
+    notes
+  });
+  const updatedClient = await recomputeFees(client._id);
+  await receipts.issueReceipt(payment, updatedClient);
+  await audit.recordChange(user, 'payment.record', {
+    before: client,
+    after: updatedClient,
+    details: { paymentId: payment._id, receiptNumber: payment.receipt.number, amount: payment.amount, mode: payment.mode, date: payment.date },
+    req
+  });
+  return { client: updatedClient, payment };
+}
+
+// Credit, such as a referral reward, comes off what the member owes now
+// or, when nothing is due, off their next renewal
+async function addCredit(clientId, amount) {
+  const client = await ensureLedger(clientId);
+  await Client.updateOne({ _id: client._id }, { $inc: { 'fees.credit': amount } });
+  return recomputeFees(client._id);
+}
+
+// Pass clientId to make sure the payment belongs to that client.
+async function voidPayment(paymentId, { by, reason, clientId } = {}, { user, req } = {}) {
+  if (!mongoose.isValidObjectId(paymentId)) {
+    throw httpError(404, 'Payment not found.');
+  }
+  const payment = await Payment.findById(paymentId);
+  if (!payment || (clientId && String(payment.client) !== String(clientId))) {
+    throw httpError(404, 'Payment not found.');
+  }
+  if (payment.voided.isVoided) {
+    throw httpError(409, 'This payment has already been voided.');
+  }
+
+  const before = await findClient(payment.client);
+  payment.voided = { isVoided: true, at: new Date(), by, reason };
+  await payment.save();
+  const client = await recomputeFees(payment.client);
+  await audit.recordChange(user, 'payment.void', {
+    before,
+    after: client,
+    details: { paymentId: payment._id, amount: payment.amount, reason: reason || '' },
+    req
+  });
+  return { client, payment };
+}
+
+module.exports = {
+  ensureLedger,
+  listPayments,
+  recordPayment,
+  voidPayment,
+  addCredit,
+  recomputeFees
+};
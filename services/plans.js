@@ -0,0 +1,91 @@
+// services/plans.js
+const mongoose = require('mongoose');
+const Client = require('../models/Client');
+const Plan = require('../models/Plan');
+const { httpError } = require('./errors');
+
+const EDITABLE_FIELDS = ['name', 'months', 'price', 'ptPrice', 'maxFreezeDays', 'services', 'active'];
+
+const pick = (fields) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => fields[field] !== undefined).map(field => [field, fields[field]])
+);
+
+// Services arrive as a list or as one comma-separated string from the form
+const normalizeServices = (services) => (Array.isArray(services)
+  ? services
+  : String(services || '').split(',')).map(service => String(service).trim()).filter(Boolean);
+
+async function listPlans({ active } = {}) {
+  const filter = {};
+  if (active !== undefined && active !== '') filter.active = String(active) === 'true';
+  return Plan.find(filter).sort({ active: -1, months: 1, price: 1 });
+}
+
+async function findPlan(planId) {
+  if (!mongoose.isValidObjectId(planId)) {
+    throw httpError(404, 'Plan not found.');
+  }
+  const plan = await Plan.findById(planId);
+  if (!plan) {
+    throw httpError(404, 'Plan not found.');
+  }
+  return plan;
+}
+
+// A plan new clients or renewals may still be put on
+async function findActivePlan(planId) {
+  const plan = await findPlan(planId);
+  if (!plan.active) {
+    throw httpError(400, `The ${plan.name} plan is no longer offered.`);
+  }
+  return plan;
+}
+
+async function createPlan(fields) {
+  const data = pick(fields);
+  if (data.services !== undefined) data.services = normalizeServices(data.services);
+  return Plan.create(data);
+}
+
+async function updatePlan(planId, fields) {
+  const plan = await findPlan(planId);
+  const data = pick(fields);
+  if (data.services !== undefined) data.services = normalizeServices(data.services);
+  plan.set(data);
+  return plan.save();
+}
+
+// Plans members are on are only retired, so their snapshots keep a valid reference
+async function deletePlan(planId) {
+  const plan = await findPlan(planId);
+  if (await Client.exists({ 'plan.planId': plan._id })) {
+    throw httpError(409, `Clients are on the ${plan.name} plan. Mark it inactive instead.`);
+  }
+  await plan.deleteOne();
+  return plan;
+}
+
+// What a member on this plan is expected to pay for one term
+const priceFor = (plan, pt) => plan.price + (pt && pt !== 'None' ? (plan.ptPrice || 0) : 0);
+
+// Stored on the client so later price changes don't affect them
+const snapshot = (plan) => ({
+  planId: plan._id,
+  name: plan.name,
+  months: plan.months,
+  price: plan.price,
+  ptPrice: plan.ptPrice || 0,
+  maxFreezeDays: plan.maxFreezeDays,
+  services: plan.services
+});
+
+module.exports = {
+  listPlans,
+  findPlan,
+  findActivePlan,
+  createPlan,
+  updatePlan,
+  deletePlan,
+  priceFor,
+  snapshot
+};
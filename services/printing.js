@@ -0,0 +1,30 @@
+// services/printing.js
+// Shared by the print-ready pages (receipts, member plans)
+
+// Printed at the top of every page
+const gymDetails = () => ({
+  name: process.env.GYM_NAME || 'MBFC Gym',
+  address: process.env.GYM_ADDRESS || '',
+  phone: process.env.GYM_PHONE || ''
+});
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-GB') : '');
+
+const escapeHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// The gym's name, address and phone as the page header
+function gymHeader() {
+  const gym = gymDetails();
+  return `<header>
+  <h1>${escapeHtml(gym.name)}</h1>
+  ${gym.address ? `<p>${escapeHtml(gym.address)}</p>` : ''}
+  ${gym.phone ? `<p>Phone: ${escapeHtml(gym.phone)}</p>` : ''}
+</header>`;
+}
+
+module.exports = { gymDetails, gymHeader, formatDate, escapeHtml };
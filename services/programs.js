@@ -0,0 +1,165 @@
+// services/programs.js
+const mongoose = require('mongoose');
+const Exercise = require('../models/Exercise');
+const WorkoutTemplate = require('../models/WorkoutTemplate');
+const DietTemplate = require('../models/DietTemplate');
+const { httpError } = require('./errors');
+
+const EXERCISE_FIELDS = ['name', 'muscleGroup', 'equipment', 'instructions', 'active'];
+const WORKOUT_FIELDS = ['name', 'goal', 'description', 'days', 'active'];
+const DIET_FIELDS = ['name', 'goal', 'description', 'calories', 'meals', 'notes', 'active'];
+
+const pick = (fields, allowed) => Object.fromEntries(
+  allowed.filter(field => fields[field] !== undefined).map(field => [field, fields[field]])
+);
+
+// Meal items arrive as a list or as one comma- or line-separated string from the form
+const normalizeItems = (items) => (Array.isArray(items)
+  ? items
+  : String(items || '').split(/[,\n]/)).map(item => String(item).trim()).filter(Boolean);
+
+const activeFilter = (active) => (active !== undefined && active !== ''
+  ? { active: String(active) === 'true' }
+  : {});
+
+async function findById(Model, id, label) {
+  if (!mongoose.isValidObjectId(id)) {
+    throw httpError(404, `${label} not found.`);
+  }
+  const doc = await Model.findById(id);
+  if (!doc) {
+    throw httpError(404, `${label} not found.`);
+  }
+  return doc;
+}
+
+// --- Exercise library ---
+async function listExercises({ active, muscleGroup } = {}) {
+  const filter = activeFilter(active);
+  if (muscleGroup) filter.muscleGroup = muscleGroup;
+  return Exercise.find(filter).sort({ muscleGroup: 1, name: 1 });
+}
+
+const findExercise = (exerciseId) => findById(Exercise, exerciseId, 'Exercise');
+
+async function createExercise(fields) {
+  return Exercise.create(pick(fields, EXERCISE_FIELDS));
+}
+
+async function updateExercise(exerciseId, fields) {
+  const exercise = await findExercise(exerciseId);
+  exercise.set(pick(fields, EXERCISE_FIELDS));
+  return exercise.save();
+}
+
+// Days as the builder sends them. Exercises picked from the library without
+// a name get the library's, so the plan reads the same if it is renamed.
+async function normalizeDays(days) {
+  if (!Array.isArray(days)) return days;
+  const ids = days.flatMap(day => (day.exercises || []).map(item => item.exercise))
+    .filter(id => id && mongoose.isValidObjectId(id));
+  const library = new Map((await Exercise.find({ _id: { $in: ids } }))
+    .map(exercise => [String(exercise._id), exercise.name]));
+  return days.map(day => ({
+    name: day.name,
+    exercises: (day.exercises || []).map(item => {
+      const known = item.exercise && library.has(String(item.exercise));
+      return {
+        exercise: known ? item.exercise : null,
+        name: item.name || (known ? library.get(String(item.exercise)) : ''),
+        sets: item.sets,
+        reps: item.reps === undefined ? item.reps : String(item.reps),
+        restSeconds: item.restSeconds === '' ? undefined : item.restSeconds,
+        notes: item.notes
+      };
+    })
+  }));
+}
+
+function normalizeMeals(meals) {
+  if (!Array.isArray(meals)) return meals;
+  return meals.map(meal => ({ ...meal, items: normalizeItems(meal.items) }));
+}
+
+// The form sends '' for "any goal"
+const normalizeGoal = (data) => {
+  if (data.goal === '') data.goal = null;
+  return data;
+};
+
+// --- Workout templates ---
+async function listWorkoutTemplates({ goal, active } = {}) {
+  const filter = activeFilter(active);
+  if (goal) filter.goal = goal;
+  return WorkoutTemplate.find(filter).sort({ active: -1, name: 1 });
+}
+
+const findWorkoutTemplate = (templateId) => findById(WorkoutTemplate, templateId, 'Workout template');
+
+async function workoutData(fields) {
+  const data = normalizeGoal(pick(fields, WORKOUT_FIELDS));
+  if (data.days !== undefined) data.days = await normalizeDays(data.days);
+  return data;
+}
+
+async function createWorkoutTemplate(fields, { user } = {}) {
+  return WorkoutTemplate.create({ ...await workoutData(fields), createdBy: user ? user.name : '' });
+}
+
+async function updateWorkoutTemplate(templateId, fields) {
+  const template = await findWorkoutTemplate(templateId);
+  template.set(await workoutData(fields));
+  return template.save();
+}
+
+// --- Diet templates ---
+async function listDietTemplates({ goal, active } = {}) {
+  const filter = activeFilter(active);
+  if (goal) filter.goal = goal;
+  return DietTemplate.find(filter).sort({ active: -1, name: 1 });
+}
+
+const findDietTemplate = (templateId) => findById(DietTemplate, templateId, 'Diet template');
+
+function dietData(fields) {
+  const data = normalizeGoal(pick(fields, DIET_FIELDS));
+  if (data.meals !== undefined) data.meals = normalizeMeals(data.meals);
+  if (data.calories === '') data.calories = null;
+  return data;
+}
+
+async function createDietTemplate(fields, { user } = {}) {
+  return DietTemplate.create({ ...dietData(fields), createdBy: user ? user.name : '' });
+}
+
+async function updateDietTemplate(templateId, fields) {
+  const template = await findDietTemplate(templateId);
+  template.set(dietData(fields));
+  return template.save();
+}
+
+// The most recently updated active templates made for the member's goal
+async function suggestTemplates(goal) {
+  const [workout, diet] = await Promise.all([
+    WorkoutTemplate.findOne({ goal, active: true }).sort({ updatedAt: -1 }),
+    DietTemplate.findOne({ goal, active: true }).sort({ updatedAt: -1 })
+  ]);
+  return { workout, diet };
+}
+
+module.exports = {
+  normalizeDays,
+  normalizeMeals,
+  listExercises,
+  createExercise,
+  updateExercise,
+  listWorkoutTemplates,
+  findWorkoutTemplate,
+  createWorkoutTemplate,
+  updateWorkoutTemplate,
+  listDietTemplates,
+  findDietTemplate,
+  createDietTemplate,
+  updateDietTemplate,
+  suggestTemplates
+};
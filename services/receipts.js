@@ -0,0 +1,106 @@
+// services/receipts.js
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+const Payment = require('../models/Payment');
+const { findClient } = require('./clients');
+const { httpError } = require('./errors');
+const { gymHeader, formatDate, escapeHtml } = require('./printing');
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toFixed(2)}`;
+const formatNumber = (number) => String(number).padStart(6, '0');
+
+async function nextReceiptNumber() {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: 'receipt' },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+}
+
+// Numbers the payment's receipt and snapshots the member and membership as
+// they are now. Called right after the payment is recorded, so `client` must
+// already include it.
+async function issueReceipt(payment, client) {
+  payment.receipt = {
+    number: await nextReceiptNumber(),
+    issuedAt: new Date(),
+    memberName: client.name,
+    contact: client.contact,
+    plan: client.plan ? client.plan.name : `${client.membership.months} month${client.membership.months !== 1 ? 's' : ''}`,
+    periodStart: client.membership.feeDate,
+    periodEnd: client.membership.endDate,
+    balanceDue: client.fees.due
+  };
+  await payment.save();
+  return payment;
+}
+
+// The payment with its receipt. Payments recorded before receipts existed
+// get one on first request, using the member's details at that point.
+async function getReceipt(clientId, paymentId) {
+  if (!mongoose.isValidObjectId(paymentId)) {
+    throw httpError(404, 'Payment not found.');
+  }
+  const client = await findClient(clientId);
+  const payment = await Payment.findOne({ _id: paymentId, client: client._id });
+  if (!payment) {
+    throw httpError(404, 'Payment not found.');
+  }
+  if (!payment.receipt || !payment.receipt.number) {
+    await issueReceipt(payment, client);
+  }
+  return payment;
+}
+
+// A self-contained A5 page that prints as is from the browser
+function renderReceipt(payment) {
+  const { receipt } = payment;
+  const isVoided = payment.voided && payment.voided.isVoided;
+  const rows = [
+    ['Member', receipt.memberName],
+    ['Contact', receipt.contact],
+    ['Plan', receipt.plan],
+    ['Period covered', `${formatDate(receipt.periodStart)} to ${formatDate(receipt.periodEnd)}`],
+    ['Payment date', formatDate(payment.date)],
+    ['Payment mode', payment.mode],
+    ['Amount paid', formatAmount(payment.amount)],
+    ['Balance due', formatAmount(receipt.balanceDue)]
+  ];
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Receipt ${formatNumber(receipt.number)} - ${escapeHtml(receipt.memberName)}</title>
+<style>
+  @page { size: A5; margin: 12mm; }
+  body { font-family: Arial, Helvetica, sans-serif; color: #111; max-width: 520px; margin: 24px auto; }
+  header { text-align: center; border-bottom: 2px solid #111; padding-bottom: 10px; margin-bottom: 16px; }
+  header h1 { margin: 0; font-size: 22px; }
+  header p { margin: 2px 0; font-size: 13px; }
+  .meta { display: flex; justify-content: space-between; font-size: 14px; margin-bottom: 12px; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  th, td { text-align: left; padding: 8px 4px; border-bottom: 1px solid #ddd; }
+  th { width: 40%; color: #555; font-weight: normal; }
+  .amount td { font-size: 18px; font-weight: bold; }
+  .void { color: #c00; font-size: 20px; font-weight: bold; text-align: center; border: 2px solid #c00; padding: 6px; margin-bottom: 12px; }
+  footer { margin-top: 24px; font-size: 12px; color: #555; text-align: center; }
+</style>
+</head>
+<body>
+${gymHeader()}
+${isVoided ? `<p class="void">VOID${payment.voided.reason ? ` – ${escapeHtml(payment.voided.reason)}` : ''}</p>` : ''}
+<div class="meta">
+  <strong>Receipt No. ${formatNumber(receipt.number)}</strong>
+  <span>Issued ${formatDate(receipt.issuedAt)}</span>
+</div>
+<table>
+${rows.map(([label, value]) => `  <tr${label === 'Amount paid' ? ' class="amount"' : ''}><th>${label}</th><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+${payment.recordedBy ? `<footer>Received by ${escapeHtml(payment.recordedBy)}</footer>` : ''}
+</body>
+</html>
+`;
+}
+
+module.exports = { issueReceipt, getReceipt, renderReceipt, formatNumber };
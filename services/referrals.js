@@ -0,0 +1,86 @@
+// services/referrals.js
+const Client = require('../models/Client');
+const Referral = require('../models/Referral');
+const memberships = require('./memberships');
+const payments = require('./payments');
+const audit = require('./audit');
+const analytics = require('./analytics');
+const { httpError } = require('./errors');
+
+const DEFAULT_REWARD = { days: 14, credit: 500 };
+
+// What a referrer gets for each member they bring in: REFERRAL_REWARD_TYPE
+// is `days` (added to their membership) or `credit` (rupees off their dues)
+function rewardSetting() {
+  const type = process.env.REFERRAL_REWARD_TYPE === 'credit' ? 'credit' : 'days';
+  const value = Number(process.env.REFERRAL_REWARD_VALUE);
+  return { type, value: value > 0 ? Math.round(value) : DEFAULT_REWARD[type] };
+}
+
+// The existing member a new one names as having referred them
+async function findReferrer(contact) {
+  const referrer = await Client.findOne({ contact: String(contact).trim() });
+  if (!referrer) {
+    throw httpError(400, `No member has the contact number ${String(contact).trim()}, so they cannot be the referrer.`);
+  }
+  return referrer;
+}
+
+// Records that `referrer` brought in `referred` and gives them the reward
+async function rewardReferral(referrer, referred, { user, req } = {}) {
+  const { type, value } = rewardSetting();
+  const before = await payments.ensureLedger(referrer._id);
+  await Referral.create({
+    referrer: referrer._id,
+    referred: referred._id,
+    rewardType: type,
+    rewardValue: value,
+    recordedBy: user ? user.name : ''
+  });
+  const after = type === 'days'
+    ? await memberships.addBonusDays(referrer._id, value)
+    : await payments.addCredit(referrer._id, value);
+  await audit.recordChange(user, 'referral.reward', {
+    before,
+    after,
+    details: { referred: referred.name, rewardType: type, rewardValue: value },
+    req
+  });
+  return after;
+}
+
+// Members by how many others they brought in over the range (by join date),
+// with what they were given for it. A branch only sees its own referrers.
+async function referralReport(range, scope = {}) {
+  const { start, end } = analytics.parseRange(range);
+  const rows = await Referral.aggregate([
+    { $match: { createdAt: { $gte: start, $lte: end } } },
+    {
+      $group: {
+        _id: '$referrer',
+        referrals: { $sum: 1 },
+        bonusDays: { $sum: { $cond: [{ $eq: ['$rewardType', 'days'] }, '$rewardValue', 0] } },
+        credit: { $sum: { $cond: [{ $eq: ['$rewardType', 'credit'] }, '$rewardValue', 0] } },
+        lastReferralAt: { $max: '$createdAt' }
+      }
+    },
+    { $lookup: { from: Client.collection.name, localField: '_id', foreignField: '_id', as: 'referrer' } },
+    { $unwind: '$referrer' },
+    ...(scope.branch ? [{ $match: { 'referrer.branch': scope.branch } }] : []),
+    { $sort: { referrals: -1, lastReferralAt: -1 } }
+  ]);
+  return rows.map(row => ({
+    referrer: { _id: row.referrer._id, name: row.referrer.name, contact: row.referrer.contact },
+    referrals: row.referrals,
+    bonusDays: row.bonusDays,
+    credit: row.credit,
+    lastReferralAt: row.lastReferralAt
+  }));
+}
+
+module.exports = {
+  rewardSetting,
+  findReferrer,
+  rewardReferral,
+  referralReport
+};
@@ -0,0 +1,193 @@
+// services/reminders.js
+const Client = require('../models/Client');
+const Reminder = require('../models/Reminder');
+const ReminderTemplate = require('../models/ReminderTemplate');
+const messaging = require('./messaging');
+const memberships = require('./memberships');
+const { httpError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+// Expired members are only reminded for this long after their end date.
+const EXPIRED_LOOKBACK_DAYS = 30;
+
+const EVENTS = ['expiring-7', 'expiring-3', 'expiring-1', 'expired', 'dues'];
+
+// Placeholders: {name}, {endDate}, {due}
+const DEFAULT_TEMPLATES = {
+  'expiring-7': 'Hi {name}, your MBFC Gym membership expires on {endDate}. Renew this week to keep training without a break.',
+  'expiring-3': 'Hi {name}, only 3 days left! Your MBFC Gym membership expires on {endDate}.',
+  'expiring-1': 'Hi {name}, your MBFC Gym membership expires tomorrow ({endDate}). See you at the front desk to renew.',
+  'expired': 'Hi {name}, your MBFC Gym membership expired on {endDate}. We miss you, renew any time at the front desk.',
+  'dues': 'Hi {name}, you have ₹{due} pending at MBFC Gym. Please clear it on your next visit.'
+};
+
+const startOfToday = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB');
+
+const render = (body, client) => body
+  .replace(/\{name\}/g, client.name)
+  .replace(/\{endDate\}/g, client.membership.endDate ? formatDate(client.membership.endDate) : '')
+  .replace(/\{due\}/g, (client.fees.due || 0).toFixed(2));
+
+// Stored templates merged over the defaults, one entry per event.
+async function getTemplates() {
+  const stored = await ReminderTemplate.find({});
+  return EVENTS.map(event => {
+    const template = stored.find(t => t.event === event);
+    return template
+      ? { event, body: template.body, active: template.active, updatedBy: template.updatedBy, isDefault: false }
+      : { event, body: DEFAULT_TEMPLATES[event], active: true, isDefault: true };
+  });
+}
+
+async function saveTemplate(event, { body, active }, user) {
+  if (!EVENTS.includes(event)) {
+    throw httpError(404, 'Unknown reminder event.');
+  }
+  return ReminderTemplate.findOneAndUpdate(
+    { event },
+    { body, active: active !== false, updatedBy: user ? user.name : '' },
+    { new: true, upsert: true, runValidators: true }
+  );
+}
+
+// The expiry event a member is in today, bucketed so a reminder is not
+// missed when the job skips a day.
+function expiryEvent(endDate, today) {
+  const daysLeft = Math.ceil((new Date(endDate) - today) / DAY_MS);
+  if (daysLeft <= 0) return daysLeft > -EXPIRED_LOOKBACK_DAYS ? 'expired' : null;
+  if (daysLeft <= 1) return 'expiring-1';
+  if (daysLeft <= 3) return 'expiring-3';
+  if (daysLeft <= 7) return 'expiring-7';
+  return null;
+}
+
+// Events are tied to the membership's end date, so the next membership
+// period's expiry (or dues) can be reminded about again.
+const dedupeKeyFor = (event, client) =>
+  `${event}:${new Date(client.membership.endDate).toISOString().slice(0, 10)}`;
+
+// Queues one reminder per member and event. Duplicates are rejected by the
+// unique index, which makes the job safe to run any number of times a day.
+async function queueReminders(now = new Date()) {
+  const today = startOfToday();
+  const templates = Object.fromEntries((await getTemplates()).map(t => [t.event, t]));
+
+  const candidates = await Client.find({
+    $or: [
+      { 'membership.endDate': { $gte: new Date(today.getTime() - EXPIRED_LOOKBACK_DAYS * DAY_MS), $lt: new Date(today.getTime() + 8 * DAY_MS) } },
+      { 'fees.due': { $gt: 0 } }
+    ]
+  });
+
+  let queued = 0;
+  for (const client of candidates) {
+    // A frozen member's membership is paused, so they are not told it is running out
+    const expiry = memberships.isFrozen(client, today) ? null : expiryEvent(client.membership.endDate, today);
+    const events = [expiry, client.fees.due > 0 ? 'dues' : null]
+      .filter(event => event && templates[event].active);
+
+    for (const event of events) {
+      try {
+        await Reminder.create({
+          client: client._id,
+          event,
+          dedupeKey: dedupeKeyFor(event, client),
+          to: `91${client.contact}`,
+          message: render(templates[event].body, client)
+        });
+        queued++;
+      } catch (error) {
+        if (error.code !== 11000) throw error; // already reminded for this event
+      }
+    }
+  }
+  return { queued, checkedAt: now };
+}
+
+// One delivery attempt; failures stay in the queue for the next run to retry.
+async function deliver(reminder, provider) {
+  reminder.attempts += 1;
+  reminder.provider = provider.name;
+  try {
+    const { id } = await provider.send({ to: reminder.to, message: reminder.message });
+    reminder.status = 'sent';
+    reminder.providerMessageId = id;
+    reminder.sentAt = new Date();
+    reminder.error = undefined;
+  } catch (error) {
+    reminder.status = 'failed';
+    reminder.error = error.message;
+  }
+  await reminder.save();
+  return reminder;
+}
+
+// Sends everything queued (and retries earlier failures) through the provider.
+async function processQueue(provider = messaging.getProvider()) {
+  const pending = await Reminder.find({
+    status: { $in: ['queued', 'failed'] },
+    attempts: { $lt: MAX_ATTEMPTS }
+  }).sort({ createdAt: 1 });
+
+  let sent = 0;
+  let failed = 0;
+  for (const reminder of pending) {
+    await deliver(reminder, provider);
+    if (reminder.status === 'sent') sent++;
+    else failed++;
+  }
+  return { sent, failed };
+}
+
+// Messages about something happening now, such as a waitlist place opening
+// up, go out straight away instead of waiting for the daily job. Returns
+// null when the member was already sent this one.
+async function sendNow(client, { event, dedupeKey, message }, provider = messaging.getProvider()) {
+  let reminder;
+  try {
+    reminder = await Reminder.create({ client: client._id, event, dedupeKey, to: `91${client.contact}`, message });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+  return deliver(reminder, provider);
+}
+
+// The daily job: queue today's reminders, then send them.
+async function runDaily() {
+  const { queued } = await queueReminders();
+  const { sent, failed } = await processQueue();
+  return { queued, sent, failed };
+}
+
+// `scope` limits it to one branch's members (see services/auth.js)
+async function listReminders({ clientId, status, limit = 50 } = {}, scope = {}) {
+  const filter = {};
+  if (Object.keys(scope).length > 0) {
+    filter.client = { $in: await Client.distinct('_id', scope) };
+  }
+  if (clientId) filter.client = { ...filter.client, $eq: clientId };
+  if (status) filter.status = status;
+  return Reminder.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Number(limit) || 50, 200))
+    .populate('client', 'name contact');
+}
+
+module.exports = {
+  EVENTS,
+  getTemplates,
+  saveTemplate,
+  queueReminders,
+  processQueue,
+  sendNow,
+  runDaily,
+  listReminders
+};
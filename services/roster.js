@@ -0,0 +1,477 @@
+// services/roster.js
+const ExcelJS = require('exceljs');
+const Client = require('../models/Client');
+const Payment = require('../models/Payment');
+const payments = require('./payments');
+const measurements = require('./measurements');
+const memberships = require('./memberships');
+const aadhaarVault = require('./aadhaar');
+const branches = require('./branches');
+const audit = require('./audit');
+const { buildFilter, buildSort } = require('./clientQuery');
+const { httpError } = require('./errors');
+
+const FORMATS = ['csv', 'xlsx'];
+const MAX_ROWS = 2000;
+
+// Columns of the roster spreadsheet. Export writes `header`; import matches a
+// file's headers against `header` and `aliases` (case and spacing ignored)
+// unless the request maps a field to a column explicitly.
+const COLUMNS = [
+  { field: 'name', header: 'Name', aliases: ['full name', 'member name', 'client name'] },
+  { field: 'contact', header: 'Contact', aliases: ['phone', 'mobile', 'phone number', 'mobile number', 'contact number'] },
+  { field: 'aadhaar', header: 'Aadhaar', aliases: ['aadhar', 'aadhaar number', 'aadhar number', 'aadhaar no'] },
+  { field: 'goal', header: 'Goal', aliases: ['fitness goal'] },
+  { field: 'pt', header: 'PT', aliases: ['personal training', 'pt plan'] },
+  { field: 'months', header: 'Months', aliases: ['membership months', 'duration', 'plan months'] },
+  { field: 'feeDate', header: 'Fee Date', aliases: ['joining date', 'start date', 'join date', 'date'] },
+  { field: 'feesTotal', header: 'Fees Total', aliases: ['total fees', 'fees', 'total'] },
+  { field: 'feesSubmitted', header: 'Fees Paid', aliases: ['paid', 'amount paid', 'fees submitted'] },
+  { field: 'paymentMode', header: 'Payment Mode', aliases: ['mode'] },
+  { field: 'heightFt', header: 'Height (ft)', aliases: ['height ft', 'feet'] },
+  { field: 'heightIn', header: 'Height (in)', aliases: ['height in', 'inches'] },
+  { field: 'weight', header: 'Weight (kg)', aliases: ['weight', 'weight kg'] },
+  { field: 'medicalCondition', header: 'Medical Condition', aliases: ['medical', 'medical conditions', 'health issues'] }
+];
+
+// Only written on export; ignored when the file comes back in
+const EXPORT_ONLY_COLUMNS = [
+  { header: 'Plan', value: (client) => (client.plan ? client.plan.name : '') },
+  { header: 'End Date', value: (client) => formatDate(client.membership && client.membership.endDate) },
+  { header: 'Fees Due', value: (client) => (client.fees && client.fees.due) || 0 }
+];
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const formatDate = (date) => (date ? new Date(date).toISOString().split('T')[0] : '');
+
+// --- Parsing ---
+// RFC 4180: quoted fields may hold commas, quotes ("") and line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Formula cells carry their cached result, rich text its plain text
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if ('result' in value) return cellValue(value.result);
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if ('text' in value) return String(value.text);
+  }
+  return value;
+};
+
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw httpError(400, 'The file is not a readable .xlsx workbook.');
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const values = [];
+    for (let col = 1; col <= sheet.columnCount; col++) {
+      values.push(cellValue(row.getCell(col).value));
+    }
+    rows[rowNumber - 1] = values;
+  });
+  return Array.from(rows, row => row || []);
+}
+
+// `content` is the CSV text, or the .xlsx file in base64
+async function readRows(format, content) {
+  if (!FORMATS.includes(format)) {
+    throw httpError(400, `Format must be one of: ${FORMATS.join(', ')}.`);
+  }
+  if (!content) {
+    throw httpError(400, 'The file is empty.');
+  }
+  const rows = format === 'csv'
+    ? parseCsv(content)
+    : await parseXlsx(Buffer.from(content, 'base64'));
+  const isBlank = (row) => row.every(value => String(value).trim() === '');
+  // Drop trailing blank lines so the row count matches what the user sees
+  while (rows.length > 0 && isBlank(rows[rows.length - 1])) rows.pop();
+  if (rows.length < 2) {
+    throw httpError(400, 'The file needs a header row and at least one client.');
+  }
+  if (rows.length - 1 > MAX_ROWS) {
+    throw httpError(400, `Import at most ${MAX_ROWS} clients at a time.`);
+  }
+  return { headers: rows[0].map(header => String(header).trim()), rows: rows.slice(1), isBlank };
+}
+
+// field -> column index. An explicit `mapping` ({ field: 'Header in file' })
+// wins over matching by header name.
+function resolveMapping(headers, mapping = {}) {
+  const normalized = headers.map(normalizeHeader);
+  const resolved = {};
+  COLUMNS.forEach(({ field, header, aliases }) => {
+    if (mapping[field] !== undefined && mapping[field] !== '') {
+      const index = normalized.indexOf(normalizeHeader(mapping[field]));
+      if (index === -1) {
+        throw httpError(400, `Column "${mapping[field]}" mapped to ${field} is not in the file.`);
+      }
+      resolved[field] = index;
+      return;
+    }
+    const index = [header, ...aliases].map(normalizeHeader)
+      .map(name => normalized.indexOf(name))
+      .find(i => i !== -1);
+    if (index !== undefined) resolved[field] = index;
+  });
+  return resolved;
+}
+
+// --- Row values ---
+const text = (value) => (value instanceof Date ? formatDate(value) : String(value === undefined ? '' : value).trim());
+
+const number = (value) => {
+  if (typeof value === 'number') return value;
+  const cleaned = text(value).replace(/[₹,\s]/g, '');
+  return cleaned === '' ? undefined : Number(cleaned);
+};
+
+// Spreadsheets here use YYYY-MM-DD or the Indian DD/MM/YYYY
+function parseDate(value) {
+  if (value instanceof Date) return value;
+  if (typeof value === 'number') {
+    // Excel serial day number
+    return new Date(Math.round((value - 25569) * 86400 * 1000));
+  }
+  const raw = text(value);
+  let match = raw.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  match = raw.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (match) return new Date(Date.UTC(+match[3], +match[2] - 1, +match[1]));
+  return null;
+}
+
+// Case-insensitive match onto a schema enum, so "lose weight" is accepted
+const pickEnum = (value, options) => {
+  const raw = text(value);
+  return options.find(option => option.toLowerCase() === raw.toLowerCase()) || raw;
+};
+
+const NO_CONDITION = ['', 'no', 'none', 'nil', 'na', 'n/a', '-'];
+
+function readFields(row, mapping) {
+  const get = (field) => (mapping[field] === undefined ? '' : row[mapping[field]]);
+  const medical = text(get('medicalCondition'));
+  return {
+    name: text(get('name')),
+    contact: text(get('contact')).replace(/[\s-]/g, '').replace(/^\+?91(?=\d{10}$)/, ''),
+    aadhaar: text(get('aadhaar')),
+    goal: text(get('goal')),
+    pt: text(get('pt')) || 'None',
+    months: number(get('months')),
+    feeDate: get('feeDate'),
+    feesTotal: number(get('feesTotal')),
+    feesSubmitted: number(get('feesSubmitted')),
+    paymentMode: text(get('paymentMode')),
+    heightFt: number(get('heightFt')),
+    heightIn: number(get('heightIn')),
+    weight: number(get('weight')),
+    medicalCondition: NO_CONDITION.includes(medical.toLowerCase()) ? '' : medical
+  };
+}
+
+// Builds the client a row describes and collects every problem with it, using
+// the Client schema's own validators (10-digit contact, goal, PT plan, ...).
+function buildClient(fields) {
+  const errors = [];
+  const addError = (error) => errors.push(error.message);
+
+  const feeDate = parseDate(fields.feeDate);
+  if (!feeDate || Number.isNaN(feeDate.getTime())) {
+    errors.push('Fee date must be a date (YYYY-MM-DD or DD/MM/YYYY).');
+  }
+  try {
+    memberships.validateTerm(fields.months);
+  } catch (error) {
+    addError(error);
+  }
+  let aadhaarFields = {};
+  try {
+    aadhaarFields = aadhaarVault.protect(fields.aadhaar);
+  } catch (error) {
+    addError(error);
+  }
+  ['feesTotal', 'feesSubmitted', 'heightFt', 'heightIn', 'weight'].forEach(field => {
+    if (fields[field] !== undefined && (Number.isNaN(fields[field]) || fields[field] < 0)) {
+      const { header } = COLUMNS.find(column => column.field === field);
+      errors.push(`${header} must be a number of at least 0.`);
+    }
+  });
+  const modes = Payment.schema.path('mode').enumValues;
+  const paymentMode = fields.paymentMode ? pickEnum(fields.paymentMode, modes) : undefined;
+  if (paymentMode && !modes.includes(paymentMode)) {
+    errors.push(`Payment mode must be one of: ${modes.join(', ')}.`);
+  }
+
+  const months = Number(fields.months);
+  const total = fields.feesTotal !== undefined ? fields.feesTotal : (fields.feesSubmitted || 0);
+  const validTerm = feeDate && !Number.isNaN(feeDate.getTime()) && Number.isInteger(months) && months >= 1;
+  const client = new Client({
+    name: fields.name,
+    contact: fields.contact,
+    ...aadhaarFields,
+    height: { ft: fields.heightFt, in: fields.heightIn },
+    weight: fields.weight,
+    goal: pickEnum(fields.goal, Client.schema.path('goal').enumValues),
+    medicalCondition: {
+      hasMedicalCondition: Boolean(fields.medicalCondition),
+      conditionDetails: fields.medicalCondition
+    },
+    fees: { total },
+    pt: pickEnum(fields.pt, Client.schema.path('pt').enumValues),
+    membership: validTerm ? {
+      months,
+      feeDate,
+      endDate: memberships.addMonths(feeDate, months),
+      periods: [memberships.joiningPeriod({ months, feeDate, amount: total })]
+    } : undefined
+  });
+
+  const validation = client.validateSync();
+  if (validation) {
+    Object.values(validation.errors)
+      // Aadhaar and the membership term were already reported above
+      .filter(error => !/^(aadhaar|membership)/.test(error.path))
+      .forEach(addError);
+  }
+  return { client, errors, payment: { amount: fields.feesSubmitted, mode: paymentMode, date: feeDate } };
+}
+
+// Rows whose contact or Aadhaar is already taken, by an existing member or an
+// earlier row of the same file
+async function findClashes(entries) {
+  const valid = entries.filter(entry => entry.errors.length === 0);
+  const contacts = valid.map(entry => entry.client.contact);
+  const hashes = valid.map(entry => entry.client.aadhaarHash);
+  const existing = await Client
+    .find({ $or: [{ contact: { $in: contacts } }, { aadhaarHash: { $in: hashes } }] })
+    .setOptions({ withArchived: true })
+    .select('+aadhaarHash name contact deletedAt');
+
+  const seen = { contact: new Map(), aadhaarHash: new Map() };
+  valid.forEach(entry => {
+    ['contact', 'aadhaarHash'].forEach(field => {
+      const label = field === 'contact' ? 'contact' : 'Aadhaar';
+      const match = existing.find(client => client[field] === entry.client[field]);
+      if (match) {
+        entry.clashes.push({
+          field: label,
+          message: match.deletedAt
+            ? `Same ${label} as ${match.name}, who is in the trash. Restore them instead.`
+            : `Same ${label} as existing member ${match.name}.`,
+          client: { _id: match._id, name: match.name }
+        });
+      }
+      const earlierRow = seen[field].get(entry.client[field]);
+      if (earlierRow) {
+        entry.clashes.push({ field: label, message: `Same ${label} as row ${earlierRow}.` });
+      } else {
+        seen[field].set(entry.client[field], entry.row);
+      }
+    });
+  });
+}
+
+const rowReport = (entry) => ({
+  row: entry.row,
+  name: entry.client.name,
+  contact: entry.client.contact,
+  status: entry.errors.length > 0 ? 'invalid' : (entry.clashes.length > 0 ? 'clash' : entry.status || 'ok'),
+  errors: entry.errors,
+  clashes: entry.clashes
+});
+
+// Checks every row and, unless `dryRun`, creates the clients that passed.
+// A real import refuses to run while any row fails, unless `skipInvalid` is
+// set, so nothing is half-imported by accident.
+async function importClients({ format, content, mapping, branch: branchId, dryRun = true, skipInvalid = false }, user, req) {
+  // Every imported member joins the one branch picked for the file
+  const branch = await branches.resolveBranch(branchId);
+  const { headers, rows, isBlank } = await readRows(format, content);
+  const resolved = resolveMapping(headers, mapping || {});
+  const missing = ['name', 'contact', 'aadhaar', 'goal', 'months', 'feeDate'].filter(field => resolved[field] === undefined);
+
+  const entries = rows
+    .map((row, i) => ({ row, number: i + 2 }))
+    .filter(({ row }) => !isBlank(row))
+    .map(({ row, number }) => ({ row: number, ...buildClient(readFields(row, resolved)), clashes: [] }));
+  if (missing.length === 0) {
+    await findClashes(entries);
+  }
+
+  const summarize = () => {
+    const report = entries.map(rowReport);
+    return {
+      dryRun,
+      columns: headers,
+      mapping: Object.fromEntries(Object.entries(resolved).map(([field, index]) => [field, headers[index]])),
+      missingColumns: missing,
+      summary: {
+        rows: report.length,
+        ok: report.filter(row => row.status === 'ok').length,
+        invalid: report.filter(row => row.status === 'invalid').length,
+        clashes: report.filter(row => row.status === 'clash').length,
+        imported: report.filter(row => row.status === 'imported').length
+      },
+      rows: report
+    };
+  };
+
+  if (missing.length > 0) {
+    if (dryRun) return summarize();
+    throw httpError(400, `Map these fields to a column first: ${missing.join(', ')}.`, summarize());
+  }
+  if (dryRun) return summarize();
+
+  const failing = entries.filter(entry => entry.errors.length > 0 || entry.clashes.length > 0);
+  if (failing.length > 0 && !skipInvalid) {
+    throw httpError(422, `${failing.length} row(s) have errors. Fix them or import only the valid rows.`, summarize());
+  }
+
+  for (const entry of entries) {
+    if (entry.errors.length > 0 || entry.clashes.length > 0) continue;
+    try {
+      entry.client.branch = branch ? branch._id : null;
+      await entry.client.save();
+      await measurements.recordBaseline(entry.client);
+      if (entry.payment.amount > 0) {
+        await payments.recordPayment(entry.client._id, {
+          ...entry.payment,
+          recordedBy: user.name,
+          notes: 'Imported from roster'
+        }, { user, req });
+      }
+      const created = await payments.recomputeFees(entry.client._id);
+      await audit.recordChange(user, 'client.create', { before: null, after: created, details: { source: 'import' }, req });
+      entry.status = 'imported';
+    } catch (error) {
+      // Someone added the same member between the check and the save
+      if (error.code === 11000) {
+        entry.clashes.push({ field: 'contact or Aadhaar', message: 'A client with this contact or Aadhaar number already exists.' });
+      } else {
+        entry.errors.push(error.message);
+      }
+    }
+  }
+
+  const result = summarize();
+  await audit.record(user, 'client.import', { details: { format, ...result.summary }, req });
+  return result;
+}
+
+// --- Export ---
+// Text starting with = + - or @ is run as a formula when the CSV is opened in
+// a spreadsheet, so it is prefixed with ' to keep it text
+const csvCell = (value) => {
+  const raw = typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(raw) ? `"${raw.replace(/"/g, '""')}"` : raw;
+};
+
+// Every client matching the list filters (see services/clientQuery.js), in the
+// import columns. Aadhaar stays masked, so the file only imports back once the
+// full numbers are filled in again.
+async function exportClients(params = {}, scope = {}) {
+  const format = params.format || 'csv';
+  if (!FORMATS.includes(format)) {
+    throw httpError(400, `Format must be one of: ${FORMATS.join(', ')}.`);
+  }
+  const filter = buildFilter(params);
+  if (Object.keys(scope).length > 0) {
+    filter.$and = [...(filter.$and || []), scope];
+  }
+  const clients = await Client.find(filter).sort(buildSort(params));
+
+  const headers = [...COLUMNS.map(column => column.header), ...EXPORT_ONLY_COLUMNS.map(column => column.header)];
+  const rows = clients.map(doc => {
+    const client = doc.toJSON();
+    const firstPeriod = (client.membership.periods || [])[0];
+    const values = {
+      name: client.name,
+      contact: client.contact,
+      aadhaar: client.aadhaar,
+      goal: client.goal,
+      pt: client.pt,
+      months: client.membership.months,
+      feeDate: formatDate(firstPeriod ? firstPeriod.start : client.membership.feeDate),
+      feesTotal: client.fees.total || 0,
+      feesSubmitted: client.fees.submitted || 0,
+      paymentMode: '',
+      heightFt: client.height && client.height.ft,
+      heightIn: client.height && client.height.in,
+      weight: client.weight,
+      medicalCondition: client.medicalCondition && client.medicalCondition.hasMedicalCondition
+        ? client.medicalCondition.conditionDetails || 'Yes'
+        : ''
+    };
+    return [
+      ...COLUMNS.map(column => (values[column.field] === undefined || values[column.field] === null ? '' : values[column.field])),
+      ...EXPORT_ONLY_COLUMNS.map(column => column.value(client))
+    ];
+  });
+
+  const filename = `clients-${formatDate(new Date())}.${format}`;
+  if (format === 'csv') {
+    const body = [headers, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+    return { filename, contentType: 'text/csv; charset=utf-8', body: Buffer.from(`\uFEFF${body}\r\n`, 'utf8') };
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Clients');
+  sheet.addRow(headers).font = { bold: true };
+  rows.forEach(row => sheet.addRow(row));
+  sheet.columns.forEach(column => { column.width = 16; });
+  return {
+    filename,
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    body: Buffer.from(await workbook.xlsx.writeBuffer())
+  };
+}
+
+module.exports = { COLUMNS, parseCsv, importClients, exportClients };
@@ -0,0 +1,32 @@
+// services/scheduler.js
+// In-process daily jobs for the long-running server.js. The Vercel
+// deployment uses Vercel Cron (vercel.json) to call the same jobs instead.
+
+// Runs `job` every day at `hour` o'clock server time, and once at start-up
+// when `runOnStart` is set. Jobs must be safe to run more than once a day.
+function scheduleDaily(name, { hour = 9, runOnStart = false } = {}, job) {
+  const run = async () => {
+    try {
+      const result = await job();
+      console.log(`⏰ ${name} finished:`, result);
+    } catch (error) {
+      console.error(`❌ ${name} failed:`, error);
+    }
+  };
+
+  const scheduleNext = () => {
+    const next = new Date();
+    next.setHours(hour, 0, 0, 0);
+    if (next <= new Date()) next.setDate(next.getDate() + 1);
+    // unref() so a pending job never keeps the process alive on shutdown
+    setTimeout(async () => {
+      await run();
+      scheduleNext();
+    }, next - Date.now()).unref();
+  };
+
+  if (runOnStart) run();
+  scheduleNext();
+}
+
+module.exports = { scheduleDaily };
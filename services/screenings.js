@@ -0,0 +1,204 @@
+// services/screenings.js
+const Client = require('../models/Client');
+const Screening = require('../models/Screening');
+const audit = require('./audit');
+const { findClient } = require('./clients');
+const { httpError } = require('./errors');
+
+const { PARQ_QUESTIONS, CLEARANCE_STATUSES } = Screening;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Both the questionnaire and a doctor's clearance are good for a year
+const VALID_DAYS = 365;
+
+const expiryCutoff = (now = new Date()) => new Date(now.getTime() - VALID_DAYS * DAY_MS);
+
+// Checkboxes and radio buttons arrive as booleans, 'yes' or 'true'
+const isYes = (value) => value === true || value === 'true' || value === 'yes';
+
+// Lists arrive as arrays or as one comma-separated string from the form
+const normalizeList = (value) => (Array.isArray(value)
+  ? value
+  : String(value || '').split(',')).map(item => String(item).trim()).filter(Boolean);
+
+const needsClearance = (answers = {}) => Object.keys(PARQ_QUESTIONS).some(key => isYes(answers[key]));
+
+const clearanceCurrent = (screening, now = new Date()) => screening.clearance &&
+  screening.clearance.status === 'cleared' &&
+  Boolean(screening.clearance.date) &&
+  new Date(screening.clearance.date) >= expiryCutoff(now);
+
+// Safety flags shown on the client card and to trainers:
+// - screening-missing / screening-due: no questionnaire, or the last is over a year old
+// - needs-clearance: a PAR-Q "yes" without a doctor's clearance
+// - clearance-expired: cleared, but more than a year ago
+function flagsFor(client, now = new Date()) {
+  const screening = client.screening;
+  if (!screening || !screening.date) return ['screening-missing'];
+  const flags = [];
+  if (new Date(screening.date) < expiryCutoff(now)) flags.push('screening-due');
+  if (screening.needsClearance && !clearanceCurrent(screening, now)) {
+    flags.push(screening.clearance && screening.clearance.status === 'cleared' ? 'clearance-expired' : 'needs-clearance');
+  }
+  return flags;
+}
+
+// Mongo filter for members whose clearance is missing or expired
+// (GET /api/clients?clearance=required, see services/clientQuery.js)
+const clearanceRequiredFilter = (now = new Date()) => ({
+  'screening.needsClearance': true,
+  $nor: [{ 'screening.clearance.status': 'cleared', 'screening.clearance.date': { $gte: expiryCutoff(now) } }]
+});
+
+// Mongo filter for members with no screening or one over a year old
+const screeningDueFilter = (now = new Date()) => ({
+  $or: [{ screening: null }, { 'screening.date': { $lt: expiryCutoff(now) } }]
+});
+
+function checkClearance({ status, date } = {}) {
+  if (status !== undefined && !CLEARANCE_STATUSES.includes(status)) {
+    throw httpError(400, `Clearance status must be one of: ${CLEARANCE_STATUSES.join(', ')}.`);
+  }
+  if (status === 'cleared' && !date) {
+    throw httpError(400, 'Enter the date the doctor gave clearance.');
+  }
+  if (date && new Date(date) > new Date()) {
+    throw httpError(400, 'The clearance date cannot be in the future.');
+  }
+}
+
+// The questionnaire as stored. Clearance defaults to 'pending' when an
+// answer calls for it and 'not-required' otherwise.
+function screeningData(fields = {}) {
+  const answers = Object.fromEntries(Object.keys(PARQ_QUESTIONS).map(key => [key, isYes((fields.answers || {})[key])]));
+  const flagged = needsClearance(answers);
+  const clearance = fields.clearance || {};
+  checkClearance(clearance);
+  return {
+    date: fields.date ? new Date(fields.date) : new Date(),
+    answers,
+    conditions: normalizeList(fields.conditions),
+    injuries: normalizeList(fields.injuries),
+    medications: normalizeList(fields.medications),
+    emergencyContact: fields.emergencyContact || {},
+    needsClearance: flagged,
+    clearance: {
+      status: clearance.status || (flagged ? 'pending' : 'not-required'),
+      date: clearance.date ? new Date(clearance.date) : undefined,
+      doctor: clearance.doctor,
+      notes: clearance.notes
+    }
+  };
+}
+
+// Lets the signup form refuse an incomplete questionnaire before the client is saved
+async function validateScreening(fields) {
+  // The client isn't saved yet, so only the questionnaire's own fields count
+  await new Screening(screeningData(fields)).validate().catch(error => {
+    const fieldErrors = Object.entries(error.errors || {}).filter(([path]) => path !== 'client');
+    if (fieldErrors.length > 0) throw httpError(400, fieldErrors[0][1].message);
+  });
+}
+
+// The medical badge in the list summarises the structured answers
+const medicalSummary = (data) => {
+  const items = [...data.conditions, ...data.injuries];
+  return {
+    hasMedicalCondition: items.length > 0 || data.needsClearance,
+    conditionDetails: items.length > 0 ? items.join(', ') : (data.needsClearance ? 'See health screening' : '')
+  };
+};
+
+const snapshot = (screening) => ({
+  screeningId: screening._id,
+  date: screening.date,
+  answers: screening.answers,
+  conditions: screening.conditions,
+  injuries: screening.injuries,
+  medications: screening.medications,
+  emergencyContact: screening.emergencyContact,
+  needsClearance: screening.needsClearance,
+  clearance: screening.clearance
+});
+
+async function listScreenings(clientId, scope = {}) {
+  const client = await findClient(clientId, scope);
+  const screenings = await Screening.find({ client: client._id }).sort({ date: -1 });
+  return { client, screenings, flags: flagsFor(client) };
+}
+
+// `user` and `req` identify who recorded it in the audit trail
+async function recordScreening(clientId, fields, { user, req } = {}) {
+  const client = await findClient(clientId);
+  const data = screeningData(fields);
+  const screening = await Screening.create({
+    client: client._id,
+    ...data,
+    recordedBy: user ? user.name : ''
+  });
+  const updated = await Client.findByIdAndUpdate(
+    client._id,
+    { screening: snapshot(screening), medicalCondition: medicalSummary(data) },
+    { new: true }
+  );
+  await audit.recordChange(user, 'screening.record', {
+    before: client,
+    after: updated,
+    details: { screeningId: screening._id, needsClearance: screening.needsClearance },
+    req
+  });
+  return { client: updated, screening, flags: flagsFor(updated) };
+}
+
+// A doctor's clearance usually arrives after the questionnaire; it is
+// recorded against the latest screening.
+async function updateClearance(clientId, { status, date, doctor, notes } = {}, { user, req } = {}) {
+  const client = await findClient(clientId);
+  if (!client.screening || !client.screening.screeningId) {
+    throw httpError(409, `${client.name} has no health screening yet. Record one first.`);
+  }
+  if (!status) {
+    throw httpError(400, 'Clearance status is required.');
+  }
+  checkClearance({ status, date });
+  const clearance = {
+    status,
+    date: date ? new Date(date) : undefined,
+    doctor: doctor || '',
+    notes: notes || ''
+  };
+  const screening = await Screening.findByIdAndUpdate(client.screening.screeningId, { clearance }, { new: true, runValidators: true });
+  const updated = await Client.findByIdAndUpdate(client._id, { 'screening.clearance': clearance }, { new: true });
+  await audit.recordChange(user, 'screening.clearance', { before: client, after: updated, req });
+  return { client: updated, screening, flags: flagsFor(updated) };
+}
+
+// A new emergency contact is written onto the latest screening rather than
+// starting a new one, so the health answers and their dates stay as they were
+async function updateEmergencyContact(clientId, { name, contact } = {}, { user, req } = {}) {
+  const client = await findClient(clientId);
+  if (!client.screening || !client.screening.screeningId) {
+    throw httpError(409, `${client.name} has no health screening yet. Record one first.`);
+  }
+  const emergencyContact = { name: String(name || '').trim(), contact: String(contact || '').trim() };
+  if (!emergencyContact.name) {
+    throw httpError(400, 'Emergency contact name is required.');
+  }
+  if (!/^\d{10}$/.test(emergencyContact.contact)) {
+    throw httpError(400, 'Emergency contact number must be exactly 10 digits.');
+  }
+  await Screening.updateOne({ _id: client.screening.screeningId }, { emergencyContact });
+  const updated = await Client.findByIdAndUpdate(client._id, { 'screening.emergencyContact': emergencyContact }, { new: true });
+  await audit.recordChange(user, 'screening.emergencyContact', { before: client, after: updated, req });
+  return updated;
+}
+
+module.exports = {
+  flagsFor,
+  clearanceRequiredFilter,
+  screeningDueFilter,
+  validateScreening,
+  listScreenings,
+  recordScreening,
+  updateClearance,
+  updateEmergencyContact
+};
@@ -0,0 +1,188 @@
+// services/trainers.js
+const mongoose = require('mongoose');
+const Client = require('../models/Client');
+const Payment = require('../models/Payment');
+const Trainer = require('../models/Trainer');
+const User = require('../models/User');
+const { parseRange } = require('./analytics');
+const { flagsFor } = require('./screenings');
+const { httpError } = require('./errors');
+
+const EDITABLE_FIELDS = ['name', 'contact', 'specialisations', 'availability', 'commissionRate', 'user', 'active'];
+
+// Specialisations arrive as a list or as one comma-separated string from the form
+const normalizeList = (value) => (Array.isArray(value)
+  ? value
+  : String(value || '').split(',')).map(item => String(item).trim()).filter(Boolean);
+
+// An empty contact or login account clears it rather than failing validation
+function pick(fields) {
+  const set = {};
+  const unset = {};
+  EDITABLE_FIELDS.filter(field => fields[field] !== undefined).forEach(field => {
+    if ((field === 'contact' || field === 'user') && (fields[field] === '' || fields[field] === null)) {
+      unset[field] = '';
+    } else {
+      set[field] = fields[field];
+    }
+  });
+  if (set.specialisations !== undefined) set.specialisations = normalizeList(set.specialisations);
+  return { set, unset };
+}
+
+// A linked login must be a trainer account not already tied to another profile
+async function checkLogin(userId, trainerId = null) {
+  const user = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+  if (!user || user.role !== 'trainer') {
+    throw httpError(400, 'The login account must be a staff account with the trainer role.');
+  }
+  if (await Trainer.exists({ user: user._id, _id: { $ne: trainerId } })) {
+    throw httpError(409, `${user.name}'s login is already linked to another trainer.`);
+  }
+}
+
+async function listTrainers({ active } = {}) {
+  const filter = {};
+  if (active !== undefined && active !== '') filter.active = String(active) === 'true';
+  return Trainer.find(filter).sort({ active: -1, name: 1 }).populate('user', 'username');
+}
+
+async function findTrainer(trainerId) {
+  if (!mongoose.isValidObjectId(trainerId)) {
+    throw httpError(404, 'Trainer not found.');
+  }
+  const trainer = await Trainer.findById(trainerId);
+  if (!trainer) {
+    throw httpError(404, 'Trainer not found.');
+  }
+  return trainer;
+}
+
+// The trainer a PT client is being assigned to. Also takes the id of a
+// trainer's login account, which is what clients pointed at before trainer
+// profiles existed.
+async function resolveTrainer(id) {
+  const trainer = mongoose.isValidObjectId(id)
+    ? await Trainer.findOne({ $or: [{ _id: id }, { user: id }] })
+    : null;
+  if (!trainer) {
+    throw httpError(400, 'The selected trainer does not exist.');
+  }
+  if (!trainer.active) {
+    throw httpError(400, `${trainer.name} is no longer taking clients.`);
+  }
+  return trainer;
+}
+
+async function createTrainer(fields) {
+  const { set } = pick(fields);
+  if (set.user) await checkLogin(set.user);
+  return Trainer.create(set);
+}
+
+async function updateTrainer(trainerId, fields) {
+  const trainer = await findTrainer(trainerId);
+  const { set, unset } = pick(fields);
+  if (set.user) await checkLogin(set.user, trainer._id);
+  trainer.set(set);
+  Object.keys(unset).forEach(field => { trainer[field] = undefined; });
+  return trainer.save();
+}
+
+// What a trainer needs to plan sessions for their PT clients, with the
+// health screening's safety flags (e.g. needs-clearance) on each. `scope`
+// keeps staff to their own branch (see services/auth.js).
+async function listTrainerClients(trainerId, scope = {}) {
+  const trainer = await findTrainer(trainerId);
+  const clients = await Client.find({ ...scope, trainer: trainer._id, pt: { $ne: 'None' } })
+    .select('name contact pt goal medicalCondition screening membership.endDate')
+    .sort({ name: 1 });
+  return {
+    trainer,
+    clients: clients.map(client => ({ ...client.toJSON(), flags: flagsFor(client) }))
+  };
+}
+
+const startOfToday = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+};
+
+// Per trainer: PT clients with a running membership, plus the payments
+// their PT clients made in the range (default: this month). For members on a
+// plan, only the PT add-on's share of each payment counts as PT revenue;
+// without a plan the fee has no split, so the whole payment counts.
+// Payments are credited to the client's current trainer. `scope` ({ branch })
+// narrows it to one branch's clients and payments.
+async function report({ from, to } = {}, scope = {}) {
+  const today = new Date();
+  const range = parseRange({
+    from: from || new Date(today.getFullYear(), today.getMonth(), 1),
+    to
+  });
+  const [trainers, activeRows, revenueRows] = await Promise.all([
+    Trainer.find().sort({ active: -1, name: 1 }),
+    Client.aggregate([
+      { $match: { ...scope, pt: { $ne: 'None' }, trainer: { $ne: null }, 'membership.endDate': { $gte: startOfToday() } } },
+      { $group: { _id: '$trainer', clients: { $sum: 1 } } }
+    ]),
+    Payment.aggregate([
+      { $match: { ...scope, 'voided.isVoided': false, date: { $gte: range.start, $lte: range.end } } },
+      { $lookup: { from: 'clients', localField: 'client', foreignField: '_id', as: 'client' } },
+      { $unwind: '$client' },
+      { $match: { 'client.pt': { $ne: 'None' }, 'client.trainer': { $ne: null } } },
+      {
+        $project: {
+          trainer: '$client.trainer',
+          amount: 1,
+          ptAmount: {
+            $cond: [
+              { $gt: [{ $ifNull: ['$client.plan.planId', null] }, null] },
+              {
+                $cond: [
+                  { $gt: [{ $add: ['$client.plan.price', '$client.plan.ptPrice'] }, 0] },
+                  { $multiply: ['$amount', { $divide: ['$client.plan.ptPrice', { $add: ['$client.plan.price', '$client.plan.ptPrice'] }] }] },
+                  0
+                ]
+              },
+              '$amount'
+            ]
+          }
+        }
+      },
+      { $group: { _id: '$trainer', payments: { $sum: 1 }, revenue: { $sum: '$amount' }, ptRevenue: { $sum: '$ptAmount' } } }
+    ])
+  ]);
+
+  const byTrainer = (rows) => new Map(rows.map(row => [String(row._id), row]));
+  const active = byTrainer(activeRows);
+  const revenue = byTrainer(revenueRows);
+  const round = (amount) => Math.round(amount * 100) / 100;
+  return {
+    from: range.start,
+    to: range.end,
+    trainers: trainers.map(trainer => {
+      const paid = revenue.get(String(trainer._id)) || { payments: 0, revenue: 0, ptRevenue: 0 };
+      const ptRevenue = round(paid.ptRevenue);
+      return {
+        trainer: { _id: trainer._id, name: trainer.name, active: trainer.active, commissionRate: trainer.commissionRate },
+        activePtClients: (active.get(String(trainer._id)) || { clients: 0 }).clients,
+        payments: paid.payments,
+        revenue: round(paid.revenue),
+        ptRevenue,
+        commission: round(ptRevenue * trainer.commissionRate / 100)
+      };
+    })
+  };
+}
+
+module.exports = {
+  listTrainers,
+  findTrainer,
+  resolveTrainer,
+  createTrainer,
+  updateTrainer,
+  listTrainerClients,
+  report
+};
@@ -0,0 +1,108 @@
+// services/trash.js
+const mongoose = require('mongoose');
+const Client = require('../models/Client');
+const Attendance = require('../models/Attendance');
+const Measurement = require('../models/Measurement');
+const Reminder = require('../models/Reminder');
+const Screening = require('../models/Screening');
+const MemberPlan = require('../models/MemberPlan');
+const ClassBooking = require('../models/ClassBooking');
+const LoginCode = require('../models/LoginCode');
+const Referral = require('../models/Referral');
+const Lead = require('../models/Lead');
+const audit = require('./audit');
+const classes = require('./classes');
+const { findClient } = require('./clients');
+const { httpError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a removed client stays restorable before it may be purged
+const retentionDays = () => {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : 30;
+};
+
+const purgeAfter = (client) => new Date(client.deletedAt.getTime() + retentionDays() * DAY_MS);
+
+async function findArchived(clientId) {
+  const client = mongoose.isValidObjectId(clientId)
+    ? await Client.findOne({ _id: clientId, deletedAt: { $ne: null } })
+    : null;
+  if (!client) {
+    throw httpError(404, 'Client not found in the trash.');
+  }
+  return client;
+}
+
+// Removing a client only moves them to the trash; their record, payments and
+// history stay until they are purged. Their class places still to come go
+// to the waitlist straight away.
+async function archiveClient(clientId, user, { req } = {}) {
+  const client = await findClient(clientId);
+  const archived = await Client.findOneAndUpdate(
+    { _id: client._id, deletedAt: null },
+    { $set: { deletedAt: new Date(), deletedBy: user.name } },
+    { new: true }
+  );
+  await audit.recordChange(user, 'client.delete', { before: client, after: archived, req });
+  await classes.cancelClientBookings(client._id, { user, req });
+  return archived;
+}
+
+async function listTrash() {
+  const clients = await Client.find({ deletedAt: { $ne: null } }).sort({ deletedAt: -1 });
+  return clients.map(client => ({ ...client.toJSON(), purgeAfter: purgeAfter(client) }));
+}
+
+async function restoreClient(clientId, user, { req } = {}) {
+  const client = await findArchived(clientId);
+  const restored = await Client.findOneAndUpdate(
+    { _id: client._id, deletedAt: { $ne: null } },
+    { $set: { deletedAt: null, deletedBy: '' } },
+    { new: true }
+  );
+  await audit.recordChange(user, 'client.restore', { before: client, after: restored, req });
+  return restored;
+}
+
+// Permanently removes the client with their visits, measurements,
+// reminders, screenings, plans, class bookings, referrals and portal login
+// codes, and unlinks the lead they converted from and the members they
+// referred. Payments are kept for the accounts and the audit trail keeps the
+// record of what happened.
+async function purgeClient(clientId, user, { req, now = new Date() } = {}) {
+  const client = await findArchived(clientId);
+  if (purgeAfter(client) > now) {
+    throw httpError(409, `${client.name} can be purged after ${purgeAfter(client).toLocaleDateString('en-GB')}.`);
+  }
+  await Promise.all([
+    Attendance.deleteMany({ client: client._id }),
+    Measurement.deleteMany({ client: client._id }),
+    Reminder.deleteMany({ client: client._id }),
+    Screening.deleteMany({ client: client._id }),
+    MemberPlan.deleteMany({ client: client._id }),
+    ClassBooking.deleteMany({ client: client._id }),
+    LoginCode.deleteMany({ client: client._id }),
+    Referral.deleteMany({ $or: [{ referrer: client._id }, { referred: client._id }] }),
+    Lead.updateMany({ client: client._id }, { $set: { client: null } }),
+    Client.updateMany({ referredBy: client._id }, { $set: { referredBy: null } })
+  ]);
+  await Client.deleteOne({ _id: client._id, deletedAt: { $ne: null } });
+  await audit.record(user, 'client.purge', {
+    client: client._id,
+    details: { name: client.name, deletedAt: client.deletedAt },
+    req
+  });
+  return client;
+}
+
+// The client in the trash who holds this contact or Aadhaar number, if any
+async function findArchivedMatch({ contact, aadhaarHash }) {
+  return Client.findOne({
+    deletedAt: { $ne: null },
+    $or: [{ contact }, ...(aadhaarHash ? [{ aadhaarHash }] : [])]
+  });
+}
+
+module.exports = { archiveClient, listTrash, restoreClient, purgeClient, findArchivedMatch };
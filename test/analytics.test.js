@@ -0,0 +1,109 @@
+// test/analytics.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Client = require('../models/Client');
+const Payment = require('../models/Payment');
+const { createApp, start, stop, reset, login, api } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('/api/analytics', () => {
+  const app = createApp();
+  let owner;
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const timezone = process.env.REPORT_TIMEZONE;
+
+  // Seeded straight into the collections so each figure is known exactly
+  let seq = 0;
+  const seedClient = ({ due = 0, endDate, periods = [], deletedAt = null, total = 3000 }) => {
+    seq += 1;
+    return new Client({
+      name: `Member ${seq}`,
+      contact: `90000000${String(seq).padStart(2, '0')}`,
+      aadhaarHash: `hash-${seq}`,
+      goal: 'Lose Weight',
+      pt: 'None',
+      fees: { total, submitted: total - due, due },
+      membership: { months: 1, feeDate: periods.length > 0 ? periods[0].paidOn : endDate, endDate, periods },
+      deletedAt
+    }).save({ validateBeforeSave: false });
+  };
+  const period = (kind, paidOn, amount = 3000) => ({ kind, paidOn: new Date(paidOn), start: new Date(paidOn), amount });
+
+  before(async () => {
+    process.env.REPORT_TIMEZONE = 'Asia/Kolkata';
+    await start();
+  });
+  after(async () => {
+    if (timezone === undefined) delete process.env.REPORT_TIMEZONE;
+    else process.env.REPORT_TIMEZONE = timezone;
+    await stop();
+  });
+  beforeEach(async () => {
+    await reset();
+    owner = await login(app);
+
+    // Joined in January, lapsed in February without renewing
+    const lapsed = await seedClient({ due: 2000, endDate: new Date('2025-02-20'), periods: [period('Joining', '2025-01-10')] });
+    // Joined before the range, renewed in February; ends in ten days
+    await seedClient({
+      due: 500,
+      endDate: new Date(today.getTime() + 10 * DAY_MS),
+      periods: [period('Joining', '2024-10-05'), period('Renewal', '2025-02-10', 4500)]
+    });
+    // Ends after the 30-day forecast window
+    await seedClient({ endDate: new Date(today.getTime() + 40 * DAY_MS), periods: [period('Joining', '2024-11-01')] });
+    // In the trash: left out of every figure
+    await seedClient({ due: 9000, endDate: new Date('2025-02-15'), periods: [period('Joining', '2025-01-20')], deletedAt: new Date() });
+
+    await Payment.insertMany([
+      { client: lapsed._id, amount: 1000, date: new Date('2025-01-15T06:00:00Z') },
+      // 1:30 am on 1 February in India, still 31 January in UTC
+      { client: lapsed._id, amount: 700, date: new Date('2025-01-31T20:00:00Z') },
+      { client: lapsed._id, amount: 300, date: new Date('2025-02-10T06:00:00Z'), voided: { isVoided: true } },
+      // After the range
+      { client: lapsed._id, amount: 400, date: new Date('2025-04-02T06:00:00Z') }
+    ]);
+  });
+
+  const dashboard = () => api(app, owner.token).get('/api/analytics?from=2025-01-01&to=2025-03-31');
+
+  it('buckets revenue by month in the gym\'s time zone, leaving out voided payments', async () => {
+    const { status, body } = await dashboard();
+    assert.equal(status, 200);
+    assert.deepEqual(body.revenue, [
+      { month: '2025-01', amount: 1000, payments: 1 },
+      { month: '2025-02', amount: 700, payments: 1 }
+    ]);
+  });
+
+  it('totals outstanding dues of current clients', async () => {
+    const { body } = await dashboard();
+    assert.deepEqual(body.outstandingDues, { amount: 2500, clients: 2 });
+  });
+
+  it('counts joins, renewals and members who lapsed without renewing', async () => {
+    const { body } = await dashboard();
+    assert.deepEqual(body.membershipFlow, [
+      { month: '2025-01', joins: 1, renewals: 0, churned: 0 },
+      { month: '2025-02', joins: 0, renewals: 1, churned: 1 }
+    ]);
+    assert.equal(body.activeMembers.total, 2);
+  });
+
+  it('forecasts renewals due in the next 30 days at the latest price', async () => {
+    const { body } = await dashboard();
+    assert.deepEqual(body.renewalForecast, {
+      days: 30,
+      members: 1,
+      expected: 4500,
+      byWeek: [{ week: 2, members: 1, amount: 4500 }]
+    });
+  });
+
+  it('is for the owner only', async () => {
+    const frontDesk = await login(app, 'front-desk');
+    assert.equal((await api(app, frontDesk.token).get('/api/analytics')).status, 403);
+  });
+});
@@ -0,0 +1,71 @@
+// test/attendance.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, start, stop, reset, login, api, clientForm } = require('./helpers');
+
+describe('/api/attendance', () => {
+  const app = createApp();
+  let token;
+
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    ({ token } = await login(app));
+  });
+
+  it('checks a paid-up member in and out by contact', async () => {
+    const client = (await api(app, token).post('/api/clients', clientForm({ feesSubmitted: 3000 }))).body;
+
+    const checkIn = await api(app, token).post('/api/attendance/check-in', { contact: client.contact });
+    assert.equal(checkIn.status, 201);
+    const twice = await api(app, token).post('/api/attendance/check-in', { contact: client.contact });
+    assert.equal(twice.status, 409);
+    assert.equal(twice.body.reason, 'already-checked-in');
+
+    const checkOut = await api(app, token).post('/api/attendance/check-out', { clientId: client._id });
+    assert.equal(checkOut.status, 200);
+
+    const history = await api(app, token).get(`/api/attendance?clientId=${client._id}`);
+    assert.equal(history.body.totalVisits, 1);
+  });
+
+  it('records visits queued offline at the time they happened, up to a day late', async () => {
+    const client = (await api(app, token).post('/api/clients', clientForm({ feesSubmitted: 3000 }))).body;
+    const earlier = new Date(Date.now() - 60 * 60 * 1000);
+
+    const checkIn = await api(app, token).post('/api/attendance/check-in', { contact: client.contact, at: earlier.toISOString() });
+    assert.equal(checkIn.status, 201);
+    assert.equal(new Date(checkIn.body.visit.checkInAt).getTime(), earlier.getTime());
+
+    const stale = await api(app, token).post('/api/attendance/check-out', {
+      contact: client.contact,
+      at: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString()
+    });
+    assert.equal(stale.status, 400);
+    const future = await api(app, token).post('/api/attendance/check-out', {
+      contact: client.contact,
+      at: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+    });
+    assert.equal(future.status, 400);
+  });
+
+  it('turns away members with dues or an expired membership', async () => {
+    await api(app, token).post('/api/clients', clientForm());
+    const dues = await api(app, token).post('/api/attendance/check-in', { contact: '9876543210' });
+    assert.equal(dues.status, 403);
+    assert.equal(dues.body.reason, 'dues');
+
+    const lastYear = new Date();
+    lastYear.setFullYear(lastYear.getFullYear() - 1);
+    await api(app, token).post('/api/clients', clientForm({
+      contact: '9000000001',
+      aadhaar: '222233334444',
+      feesSubmitted: 3000,
+      feeDate: lastYear.toISOString().split('T')[0]
+    }));
+    const expired = await api(app, token).post('/api/attendance/check-in', { contact: '9000000001' });
+    assert.equal(expired.status, 403);
+    assert.equal(expired.body.reason, 'expired');
+  });
+});
@@ -0,0 +1,65 @@
+// test/audit.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const AuditLog = require('../models/AuditLog');
+const { createApp, start, stop, reset, login, api, clientForm } = require('./helpers');
+
+describe('/api/audit', () => {
+  const app = createApp();
+  let owner;
+  let client;
+
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    owner = await login(app);
+    client = (await api(app, owner.token).post('/api/clients', clientForm())).body;
+  });
+
+  const history = async (query) => (await api(app, owner.token).get(`/api/audit?${query}`)).body;
+
+  it('records who created a client and the signup payment', async () => {
+    const { entries } = await history(`clientId=${client._id}`);
+    assert.deepEqual(entries.map(e => e.action).sort(), ['client.create', 'payment.record']);
+    assert.ok(entries.every(e => e.actor.name === owner.user.name));
+    const created = entries.find(e => e.action === 'client.create');
+    assert.ok(created.changes.some(c => c.field === 'contact' && c.before === null && c.after === '9876543210'));
+  });
+
+  it('keeps a field-level diff of edits and skips edits that change nothing', async () => {
+    await api(app, owner.token).put(`/api/clients/${client._id}`, clientForm({ contact: '9000000001', feesTotal: 3500 }));
+    await api(app, owner.token).put(`/api/clients/${client._id}`, clientForm({ contact: '9000000001', feesTotal: 3500 }));
+    const { entries } = await history(`clientId=${client._id}&action=client.update`);
+    assert.equal(entries.length, 1);
+    const fields = Object.fromEntries(entries[0].changes.map(c => [c.field, c]));
+    assert.equal(fields.contact.before, '9876543210');
+    assert.equal(fields['fees.total'].after, 3500);
+    assert.equal(fields['fees.due'].after, 2500);
+  });
+
+  it('records moving a client to the trash', async () => {
+    await api(app, owner.token).delete(`/api/clients/${client._id}`);
+    const { entries } = await history(`clientId=${client._id}&action=client.delete`);
+    assert.equal(entries.length, 1);
+    assert.ok(entries[0].changes.some(c => c.field === 'deletedAt' && c.before === null && c.after));
+  });
+
+  it('filters by user and date range', async () => {
+    const frontDesk = await login(app, 'front-desk');
+    await api(app, frontDesk.token).post(`/api/clients/${client._id}/payments`, { amount: 500 });
+    const byUser = await history(`userId=${frontDesk.user._id}`);
+    assert.deepEqual(byUser.entries.map(e => e.action), ['payment.record']);
+
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    assert.equal((await history(`to=${yesterday}`)).total, 0);
+    assert.equal((await history(`from=${yesterday}`)).total, 3);
+  });
+
+  it('is for the owner only and cannot be rewritten', async () => {
+    const frontDesk = await login(app, 'front-desk');
+    assert.equal((await api(app, frontDesk.token).get('/api/audit')).status, 403);
+    await assert.rejects(AuditLog.updateMany({}, { action: 'tampered' }));
+    await assert.rejects(AuditLog.deleteMany({}));
+  });
+});
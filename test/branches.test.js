@@ -0,0 +1,94 @@
+// test/branches.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, start, stop, reset, login, api, clientForm, request } = require('./helpers');
+
+describe('/api/branches', () => {
+  const app = createApp();
+  let owner;
+  let north;
+  let south;
+
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    owner = await login(app);
+    north = (await api(app, owner.token).post('/api/branches', { name: 'North' })).body;
+    south = (await api(app, owner.token).post('/api/branches', { name: 'South' })).body;
+  });
+
+  // A front-desk login whose home branch is `branch`
+  const frontDeskAt = async (branch) => {
+    const username = `desk-${branch.name.toLowerCase()}`;
+    await api(app, owner.token).post('/api/users', { username, name: `${branch.name} Desk`, role: 'front-desk', password: 'staff-password', branch: branch._id });
+    const response = await request(app).post('/api/auth').send({ username, password: 'staff-password' });
+    return { token: response.body.token, user: response.body.user };
+  };
+
+  it('tags clients with a branch and lists one branch or all of them', async () => {
+    const missing = await api(app, owner.token).post('/api/clients', clientForm());
+    assert.equal(missing.status, 400);
+
+    const asha = (await api(app, owner.token).post('/api/clients', clientForm({ branch: north._id }))).body;
+    await api(app, owner.token).post('/api/clients', clientForm({ contact: '9000000001', aadhaar: '222233334444', branch: south._id }));
+    assert.equal(asha.branch, north._id);
+
+    const northList = await api(app, owner.token).get(`/api/clients?branch=${north._id}`);
+    assert.equal(northList.body.total, 1);
+    assert.equal(northList.body.clients[0].branch.name, 'North');
+    assert.equal((await api(app, owner.token).get('/api/clients')).body.total, 2);
+  });
+
+  it('keeps contact and Aadhaar unique across branches', async () => {
+    await api(app, owner.token).post('/api/clients', clientForm({ branch: north._id }));
+    const duplicate = await api(app, owner.token).post('/api/clients', clientForm({ aadhaar: '222233334444', branch: south._id }));
+    assert.equal(duplicate.status, 409);
+  });
+
+  it('holds staff to their home branch', async () => {
+    const northClient = (await api(app, owner.token).post('/api/clients', clientForm({ branch: north._id }))).body;
+    const southClient = (await api(app, owner.token).post('/api/clients', clientForm({
+      contact: '9000000001', aadhaar: '222233334444', branch: south._id
+    }))).body;
+    const desk = await frontDeskAt(north);
+
+    const list = await api(app, desk.token).get(`/api/clients?branch=${south._id}`);
+    assert.deepEqual(list.body.clients.map(c => c._id), [northClient._id]);
+    assert.equal((await api(app, desk.token).get(`/api/clients/${southClient._id}`)).status, 404);
+    assert.equal((await api(app, desk.token).post(`/api/clients/${southClient._id}/payments`, { amount: 100 })).status, 404);
+    const checkIn = await api(app, desk.token).post('/api/attendance/check-in', { contact: southClient.contact });
+    assert.equal(checkIn.status, 404);
+
+    // New members always join the desk's own branch
+    const signup = await api(app, desk.token).post('/api/clients', clientForm({ contact: '9000000002', aadhaar: '333344445555', branch: south._id }));
+    assert.equal(signup.body.branch, north._id);
+  });
+
+  it('needs a home branch for staff once the gym has branches', async () => {
+    const refused = await api(app, owner.token).post('/api/users', { username: 'nobranch', name: 'No Branch', role: 'front-desk', password: 'staff-password' });
+    assert.equal(refused.status, 400);
+    await api(app, owner.token).put(`/api/branches/${south._id}`, { active: false });
+    const closed = await api(app, owner.token).post('/api/clients', clientForm({ branch: south._id }));
+    assert.equal(closed.status, 400);
+  });
+
+  it('scopes analytics by branch and summarises every branch in the consolidated view', async () => {
+    // Each signup pays 1000
+    await api(app, owner.token).post('/api/clients', clientForm({ branch: north._id }));
+    await api(app, owner.token).post('/api/clients', clientForm({ contact: '9000000001', aadhaar: '222233334444', branch: south._id }));
+    await api(app, owner.token).post('/api/clients', clientForm({ contact: '9000000002', aadhaar: '333344445555', branch: south._id }));
+
+    const southOnly = (await api(app, owner.token).get(`/api/analytics?branch=${south._id}`)).body;
+    assert.equal(southOnly.revenue.reduce((sum, month) => sum + month.amount, 0), 2000);
+    assert.equal(southOnly.activeMembers.total, 2);
+    assert.deepEqual(southOnly.branches, []);
+
+    const all = (await api(app, owner.token).get('/api/analytics')).body;
+    assert.equal(all.activeMembers.total, 3);
+    const summary = Object.fromEntries(all.branches.map(row => [row.branch.name, row]));
+    assert.equal(summary.North.revenue, 1000);
+    assert.equal(summary.South.activeMembers, 2);
+    assert.equal(summary.South.outstandingDues, 4000);
+  });
+});
@@ -0,0 +1,142 @@
+// test/classes.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Client = require('../models/Client');
+const ClassBooking = require('../models/ClassBooking');
+const Reminder = require('../models/Reminder');
+const { sessionKey } = require('../services/classes');
+const { createApp, start, stop, reset, login, api, clientForm } = require('./helpers');
+
+const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const dayOf = (date) => DAYS[(date.getDay() + 6) % 7];
+
+describe('/api/classes', () => {
+  const app = createApp();
+  let owner;
+  let yoga;
+  let members;
+  // Tomorrow evening, and today's early session that has already started
+  const tomorrow = new Date();
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  tomorrow.setHours(18, 0, 0, 0);
+  const earlier = new Date();
+  earlier.setHours(0, 0, 0, 0);
+
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    owner = await login(app);
+    yoga = (await api(app, owner.token).post('/api/classes', {
+      name: 'Morning Yoga',
+      capacity: 1,
+      waitlistLimit: 1,
+      schedule: [
+        { day: dayOf(tomorrow), from: '18:00', to: '19:00' },
+        { day: dayOf(earlier), from: '00:00', to: '00:30' }
+      ]
+    })).body;
+    members = [];
+    for (const [i, name] of ['Asha', 'Bina', 'Chitra'].entries()) {
+      members.push((await api(app, owner.token).post('/api/clients', clientForm({
+        name, contact: `900000000${i}`, aadhaar: `${i + 1}11122223333`
+      }))).body);
+    }
+  });
+
+  const sessionUrl = (startsAt) => `/api/classes/${yoga._id}/sessions/${sessionKey(startsAt)}`;
+
+  it('books up to capacity, then waitlists and promotes on cancel', async () => {
+    const url = sessionUrl(tomorrow);
+    const first = await api(app, owner.token).post(`${url}/bookings`, { clientId: members[0]._id });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.status, 'booked');
+    const second = await api(app, owner.token).post(`${url}/bookings`, { clientId: members[1]._id });
+    assert.equal(second.body.status, 'waitlisted');
+    assert.equal((await api(app, owner.token).post(`${url}/bookings`, { clientId: members[2]._id })).status, 409);
+    assert.equal((await api(app, owner.token).post(`${url}/bookings`, { clientId: members[0]._id })).status, 409);
+
+    const schedule = (await api(app, owner.token).get('/api/classes/schedule')).body;
+    const listed = schedule.sessions.find(s => s.key === sessionKey(tomorrow));
+    assert.equal(listed.booked, 1);
+    assert.equal(listed.waitlisted, 1);
+
+    const cancelled = await api(app, owner.token).post(`${url}/bookings/${first.body._id}/cancel`, {});
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.booking.status, 'cancelled');
+    assert.equal(cancelled.body.promoted.client.name, 'Bina');
+    const sent = await Reminder.findOne({ client: members[1]._id, event: 'class-promoted' });
+    assert.equal(sent.status, 'sent');
+
+    const session = (await api(app, owner.token).get(url)).body;
+    assert.deepEqual(session.bookings.map(b => [b.client.name, b.status]), [['Bina', 'booked']]);
+  });
+
+  it('gives a removed member\'s places to the waitlist', async () => {
+    const url = sessionUrl(tomorrow);
+    await api(app, owner.token).post(`${url}/bookings`, { clientId: members[0]._id });
+    await api(app, owner.token).post(`${url}/bookings`, { clientId: members[1]._id });
+
+    assert.equal((await api(app, owner.token).delete(`/api/clients/${members[0]._id}`)).status, 200);
+    const session = (await api(app, owner.token).get(url)).body;
+    assert.deepEqual(session.bookings.map(b => [b.client.name, b.status]), [['Bina', 'booked']]);
+    const sent = await Reminder.findOne({ client: members[1]._id, event: 'class-promoted' });
+    assert.equal(sent.status, 'sent');
+  });
+
+  it('never gives the last place to two desks booking at once', async () => {
+    const url = sessionUrl(tomorrow);
+    const results = await Promise.all(members.slice(0, 2).map(member =>
+      api(app, owner.token).post(`${url}/bookings`, { clientId: member._id })));
+    assert.deepEqual(results.map(r => r.body.status).sort(), ['booked', 'waitlisted']);
+
+    const booked = results.find(r => r.body.status === 'booked');
+    await api(app, owner.token).post(`${url}/bookings/${booked.body._id}/cancel`, {});
+    const session = (await api(app, owner.token).get(url)).body;
+    assert.equal(session.booked, 1);
+    assert.equal(session.waitlisted, 0);
+  });
+
+  it('refuses members whose membership has ended and sessions not on the timetable', async () => {
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+    await Client.updateOne({ _id: members[2]._id }, { 'membership.endDate': yesterday });
+    const expired = await api(app, owner.token).post(`${sessionUrl(tomorrow)}/bookings`, { clientId: members[2]._id });
+    assert.equal(expired.status, 400);
+    assert.equal(expired.body.reason, 'expired');
+
+    const offSlot = new Date(tomorrow);
+    offSlot.setHours(7);
+    assert.equal((await api(app, owner.token).get(sessionUrl(offSlot))).status, 404);
+    assert.equal((await api(app, owner.token).post(`${sessionUrl(earlier)}/bookings`, { clientId: members[0]._id })).status, 400);
+  });
+
+  it('marks attendance from the day of the session', async () => {
+    const [present] = await ClassBooking.create(members.slice(0, 2).map(member => ({
+      gymClass: yoga._id, startsAt: earlier, client: member._id, status: 'booked', bookedAt: new Date()
+    })));
+    const trainer = await login(app, 'trainer');
+    const marked = await api(app, trainer.token).put(`${sessionUrl(earlier)}/attendance`, { present: [present._id] });
+    assert.equal(marked.status, 200);
+    const byName = Object.fromEntries(marked.body.bookings.map(b => [b.client.name, b.attended]));
+    assert.deepEqual(byName, { Asha: true, Bina: false });
+
+    assert.equal((await api(app, owner.token).put(`${sessionUrl(tomorrow)}/attendance`, { present: [] })).status, 400);
+  });
+
+  it('lets only the owner run the timetable and only staff book', async () => {
+    const frontDesk = await login(app, 'front-desk');
+    const trainer = await login(app, 'trainer');
+    assert.equal((await api(app, frontDesk.token).post('/api/classes', { name: 'Zumba', capacity: 10, schedule: [] })).status, 403);
+    assert.equal((await api(app, trainer.token).get('/api/classes/schedule')).status, 200);
+    assert.equal((await api(app, trainer.token).post(`${sessionUrl(tomorrow)}/bookings`, { clientId: members[0]._id })).status, 403);
+    assert.equal((await api(app, frontDesk.token).post(`${sessionUrl(tomorrow)}/bookings`, { clientId: members[0]._id })).status, 201);
+
+    // A bigger class takes the waitlist in
+    await api(app, frontDesk.token).post(`${sessionUrl(tomorrow)}/bookings`, { clientId: members[1]._id });
+    assert.equal((await api(app, owner.token).put(`/api/classes/${yoga._id}`, { capacity: 2 })).status, 200);
+    const session = (await api(app, owner.token).get(sessionUrl(tomorrow))).body;
+    assert.equal(session.booked, 2);
+    assert.equal(session.waitlisted, 0);
+  });
+});
@@ -0,0 +1,189 @@
+// test/clients.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, start, stop, reset, login, api, clientForm, request } = require('./helpers');
+
+describe('/api/clients', () => {
+  const app = createApp();
+  let owner;
+
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    owner = await login(app);
+  });
+
+  it('refuses requests without a token', async () => {
+    const response = await request(app).get('/api/clients');
+    assert.equal(response.status, 401);
+    assert.equal(response.body.message, 'Please log in to continue.');
+  });
+
+  it('creates a client with the signup payment, medical condition and a masked Aadhaar', async () => {
+    const response = await api(app, owner.token).post('/api/clients', clientForm({
+      hasMedicalCondition: true,
+      medicalConditionDetails: 'Asthma'
+    }));
+    assert.equal(response.status, 201);
+    assert.equal(response.body.aadhaar, 'XXXX-XXXX-9012');
+    assert.equal(response.body.aadhaarEncrypted, undefined);
+    assert.deepEqual(response.body.medicalCondition, { hasMedicalCondition: true, conditionDetails: 'Asthma' });
+    assert.equal(response.body.fees.total, 3000);
+    assert.equal(response.body.fees.submitted, 1000);
+    assert.equal(response.body.fees.due, 2000);
+    assert.equal(response.body.membership.periods.length, 1);
+  });
+
+  it('answers validation problems with 400 and the schema message', async () => {
+    const badContact = await api(app, owner.token).post('/api/clients', clientForm({ contact: '12345' }));
+    assert.equal(badContact.status, 400);
+    assert.match(badContact.body.message, /Contact number must be exactly 10 digits/);
+
+    const badAadhaar = await api(app, owner.token).post('/api/clients', clientForm({ aadhaar: '1234' }));
+    assert.equal(badAadhaar.status, 400);
+    assert.equal(badAadhaar.body.message, 'Aadhaar number must be exactly 12 digits');
+
+    const badGoal = await api(app, owner.token).post('/api/clients', clientForm({ goal: 'Dancing' }));
+    assert.equal(badGoal.status, 400);
+  });
+
+  it('adds up fees sent as text and refuses ones that are not numbers', async () => {
+    const created = await api(app, owner.token).post('/api/clients', clientForm({
+      feesTotal: '', feesSubmitted: '1000', feesDue: '2000'
+    }));
+    assert.equal(created.status, 201);
+    assert.equal(created.body.fees.total, 3000);
+    assert.equal(created.body.fees.due, 2000);
+
+    const edited = await api(app, owner.token).put(`/api/clients/${created.body._id}`, clientForm({ feesTotal: '3500' }));
+    assert.equal(edited.body.fees.total, 3500);
+
+    const refused = await api(app, owner.token).post('/api/clients', clientForm({
+      contact: '9000000001', aadhaar: '211122223333', feesTotal: 'three thousand'
+    }));
+    assert.equal(refused.status, 400);
+    assert.equal(refused.body.message, 'Fees total must be a number of at least 0.');
+  });
+
+  it('refuses a second client with the same contact or Aadhaar with 409', async () => {
+    await api(app, owner.token).post('/api/clients', clientForm());
+    const sameContact = await api(app, owner.token).post('/api/clients', clientForm({ aadhaar: '999988887777' }));
+    assert.equal(sameContact.status, 409);
+    const sameAadhaar = await api(app, owner.token).post('/api/clients', clientForm({ contact: '9000000000' }));
+    assert.equal(sameAadhaar.status, 409);
+  });
+
+  it('reads, updates and deletes a client by :id', async () => {
+    const created = (await api(app, owner.token).post('/api/clients', clientForm())).body;
+
+    const read = await api(app, owner.token).get(`/api/clients/${created._id}`);
+    assert.equal(read.status, 200);
+    assert.equal(read.body.name, 'Asha Verma');
+
+    const updated = await api(app, owner.token).put(`/api/clients/${created._id}`, clientForm({
+      name: 'Asha V.',
+      aadhaar: '',
+      feesTotal: 3500,
+      months: 6,
+      hasMedicalCondition: true,
+      medicalConditionDetails: 'Knee injury'
+    }));
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.name, 'Asha V.');
+    assert.equal(updated.body.aadhaar, 'XXXX-XXXX-9012');
+    assert.equal(updated.body.fees.due, 2500);
+    assert.equal(updated.body.membership.months, 6);
+    assert.equal(updated.body.medicalCondition.conditionDetails, 'Knee injury');
+
+    const deleted = await api(app, owner.token).delete(`/api/clients/${created._id}`);
+    assert.equal(deleted.status, 200);
+    const gone = await api(app, owner.token).get(`/api/clients/${created._id}`);
+    assert.equal(gone.status, 404);
+  });
+
+  it('refuses an edit made against an older version with 409', async () => {
+    const created = (await api(app, owner.token).post('/api/clients', clientForm())).body;
+    const first = await api(app, owner.token).put(`/api/clients/${created._id}`, clientForm({
+      name: 'Asha V.', aadhaar: '', expectedUpdatedAt: created.updatedAt
+    }));
+    assert.equal(first.status, 200);
+
+    const stale = await api(app, owner.token).put(`/api/clients/${created._id}`, clientForm({
+      goal: 'Gain Weight', aadhaar: '', expectedUpdatedAt: created.updatedAt
+    }));
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.reason, 'edited-elsewhere');
+    assert.equal(stale.body.client.name, 'Asha V.');
+
+    const overwrite = await api(app, owner.token).put(`/api/clients/${created._id}`, clientForm({ goal: 'Gain Weight', aadhaar: '' }));
+    assert.equal(overwrite.status, 200);
+    assert.equal(overwrite.body.goal, 'Gain Weight');
+  });
+
+  it('answers 404 for unknown or malformed ids', async () => {
+    assert.equal((await api(app, owner.token).get('/api/clients/64b000000000000000000000')).status, 404);
+    assert.equal((await api(app, owner.token).put('/api/clients/not-an-id', clientForm())).status, 404);
+    assert.equal((await api(app, owner.token).delete('/api/clients/not-an-id')).status, 404);
+  });
+
+  it('lets the front desk edit a client but not the fees, nor delete', async () => {
+    const created = (await api(app, owner.token).post('/api/clients', clientForm())).body;
+    const frontDesk = await login(app, 'front-desk');
+
+    const rename = await api(app, frontDesk.token).put(`/api/clients/${created._id}`, clientForm({ name: 'Asha', aadhaar: '' }));
+    assert.equal(rename.status, 200);
+    const fees = await api(app, frontDesk.token).put(`/api/clients/${created._id}`, clientForm({ aadhaar: '', feesTotal: 100 }));
+    assert.equal(fees.status, 403);
+    const remove = await api(app, frontDesk.token).delete(`/api/clients/${created._id}`);
+    assert.equal(remove.status, 403);
+  });
+
+  it('searches, filters and pages the list, and limits trainers to their PT clients', async () => {
+    const trainer = await login(app, 'trainer');
+    await api(app, owner.token).post('/api/clients', clientForm());
+    await api(app, owner.token).post('/api/clients', clientForm({
+      name: 'Ravi Kumar',
+      contact: '9123456780',
+      aadhaar: '111122223333',
+      goal: 'Powerlifting',
+      pt: 'Standard',
+      trainer: trainer.user._id
+    }));
+
+    const all = await api(app, owner.token).get('/api/clients?limit=1');
+    assert.equal(all.body.total, 2);
+    assert.equal(all.body.clients.length, 1);
+    assert.equal(all.body.hasMore, true);
+
+    const search = await api(app, owner.token).get('/api/clients?q=ravi');
+    assert.deepEqual(search.body.clients.map(client => client.name), ['Ravi Kumar']);
+    const byLast4 = await api(app, owner.token).get('/api/clients?q=9012');
+    assert.deepEqual(byLast4.body.clients.map(client => client.name), ['Asha Verma']);
+
+    const own = await api(app, trainer.token).get('/api/clients');
+    assert.deepEqual(own.body.clients.map(client => client.name), ['Ravi Kumar']);
+    const other = await api(app, trainer.token).get('/api/clients?pt=None');
+    assert.equal(other.body.total, 0);
+  });
+
+  it('reveals the full Aadhaar to the owner only', async () => {
+    const created = (await api(app, owner.token).post('/api/clients', clientForm())).body;
+    const reveal = await api(app, owner.token).post(`/api/clients/${created._id}/aadhaar/reveal`, { reason: 'KYC' });
+    assert.equal(reveal.status, 200);
+    assert.equal(reveal.body.aadhaar, '123456789012');
+
+    const frontDesk = await login(app, 'front-desk');
+    const refused = await api(app, frontDesk.token).post(`/api/clients/${created._id}/aadhaar/reveal`, {});
+    assert.equal(refused.status, 403);
+  });
+
+  it('exports the list as CSV without formulas a spreadsheet would run', async () => {
+    await api(app, owner.token).post('/api/clients', clientForm({ name: '=HYPERLINK("http://x.test","Asha")' }));
+    const exported = await api(app, owner.token).get('/api/clients/export?format=csv');
+    assert.equal(exported.status, 200);
+    const [header, row] = exported.text.replace(/^\uFEFF/, '').split('\r\n');
+    assert.match(header, /^Name,Contact,Aadhaar,/);
+    assert.ok(row.startsWith('"\'=HYPERLINK(""http://x.test"",""Asha"")",9876543210,'));
+  });
+});
@@ -0,0 +1,161 @@
+// test/coupons.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, start, stop, reset, login, api, clientForm } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const dateOnly = (offsetDays) => new Date(Date.now() + offsetDays * DAY_MS).toISOString().split('T')[0];
+
+describe('/api/coupons and /api/referrals', () => {
+  const app = createApp();
+  let token;
+  let plan;
+
+  before(start);
+  after(async () => {
+    delete process.env.REFERRAL_REWARD_TYPE;
+    delete process.env.REFERRAL_REWARD_VALUE;
+    await stop();
+  });
+  beforeEach(async () => {
+    await reset();
+    delete process.env.REFERRAL_REWARD_TYPE;
+    delete process.env.REFERRAL_REWARD_VALUE;
+    ({ token } = await login(app));
+    plan = (await api(app, token).post('/api/plans', { name: 'Quarterly', months: 3, price: 3000 })).body;
+  });
+
+  const addCoupon = async (fields) => (await api(app, token).post('/api/coupons', { type: 'percent', value: 10, ...fields })).body;
+  const signup = (overrides) => api(app, token).post('/api/clients', clientForm({ feesSubmitted: 0, ...overrides }));
+
+  it('takes a percentage or flat discount off the signup fee and keeps it on the period', async () => {
+    await addCoupon({ code: 'new20', type: 'percent', value: 20 });
+    await addCoupon({ code: 'FLAT500', type: 'flat', value: 500 });
+
+    const preview = await api(app, token).post('/api/coupons/check', { code: 'new20', planId: plan._id, amount: 3000 });
+    assert.equal(preview.status, 200);
+    assert.equal(preview.body.amount, 600);
+    assert.equal(preview.body.price, 2400);
+
+    const percent = await signup({ planId: plan._id, couponCode: 'new20' });
+    assert.equal(percent.status, 201);
+    assert.equal(percent.body.fees.total, 2400);
+    const [period] = percent.body.membership.periods;
+    assert.equal(period.amount, 2400);
+    assert.equal(period.discount.code, 'NEW20');
+    assert.equal(period.discount.listPrice, 3000);
+    assert.equal(period.discount.amount, 600);
+
+    const renewal = await api(app, token).post(`/api/clients/${percent.body._id}/renewals`, { planId: plan._id, couponCode: 'FLAT500' });
+    assert.equal(renewal.status, 201);
+    assert.equal(renewal.body.client.fees.total, 2400 + 2500);
+    assert.equal(renewal.body.client.membership.periods[1].discount.amount, 500);
+
+    const coupons = (await api(app, token).get('/api/coupons')).body;
+    assert.deepEqual(coupons.map(coupon => [coupon.code, coupon.uses]).sort(), [['FLAT500', 1], ['NEW20', 1]]);
+  });
+
+  it('refuses codes outside their dates, plans or usage limits', async () => {
+    await addCoupon({ code: 'OLD', validUntil: dateOnly(-1) });
+    await addCoupon({ code: 'SOON', validFrom: dateOnly(2) });
+    await addCoupon({ code: 'QUARTER', plans: [plan._id] });
+    await addCoupon({ code: 'ONCE', maxUses: 1 });
+    await addCoupon({ code: 'RETIRED', active: false });
+
+    assert.match((await signup({ couponCode: 'OLD' })).body.message, /expired/);
+    assert.match((await signup({ couponCode: 'SOON' })).body.message, /can be used from/);
+    assert.match((await signup({ couponCode: 'RETIRED' })).body.message, /not a valid/);
+    assert.match((await signup({ couponCode: 'QUARTER' })).body.message, /cannot be used with this plan/);
+    assert.equal((await signup({ couponCode: 'QUARTER', planId: plan._id })).status, 201);
+
+    assert.equal((await signup({ contact: '9000000001', aadhaar: '222233334444', couponCode: 'ONCE' })).status, 201);
+    const usedUp = await signup({ contact: '9000000002', aadhaar: '333344445555', couponCode: 'ONCE' });
+    assert.equal(usedUp.status, 400);
+    assert.match(usedUp.body.message, /used up/);
+  });
+
+  it('lets a member use a code once unless it allows more', async () => {
+    await addCoupon({ code: 'LOYAL' });
+    await addCoupon({ code: 'ALWAYS', onePerMember: false });
+    const client = (await signup({ couponCode: 'LOYAL' })).body;
+
+    const again = await api(app, token).post(`/api/clients/${client._id}/renewals`, { months: 1, amount: 1000, couponCode: 'LOYAL' });
+    assert.equal(again.status, 400);
+    assert.match(again.body.message, /already used LOYAL/);
+    // Nothing was saved and the use was not counted
+    assert.equal((await api(app, token).get(`/api/clients/${client._id}`)).body.membership.periods.length, 1);
+
+    for (let i = 0; i < 2; i += 1) {
+      const renewal = await api(app, token).post(`/api/clients/${client._id}/renewals`, { months: 1, amount: 1000, couponCode: 'ALWAYS' });
+      assert.equal(renewal.status, 201);
+    }
+    const coupons = (await api(app, token).get('/api/coupons')).body;
+    assert.equal(coupons.find(coupon => coupon.code === 'LOYAL').uses, 1);
+    assert.equal(coupons.find(coupon => coupon.code === 'ALWAYS').uses, 2);
+  });
+
+  it('rewards the referrer with bonus days or credit and counts their referrals', async () => {
+    const referrer = (await signup({ feesSubmitted: 3000 })).body;
+    const endDate = new Date(referrer.membership.endDate);
+
+    const unknown = await signup({ contact: '9000000001', aadhaar: '222233334444', referrerContact: '9000000009' });
+    assert.equal(unknown.status, 400);
+
+    const first = await signup({ contact: '9000000001', aadhaar: '222233334444', referrerContact: referrer.contact });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.referredBy, referrer._id);
+    let updated = (await api(app, token).get(`/api/clients/${referrer._id}`)).body;
+    assert.equal(new Date(updated.membership.endDate) - endDate, 14 * DAY_MS);
+    assert.equal(updated.membership.periods[0].bonusDays, 14);
+
+    process.env.REFERRAL_REWARD_TYPE = 'credit';
+    process.env.REFERRAL_REWARD_VALUE = '500';
+    await api(app, token).post(`/api/clients/${referrer._id}/renewals`, { months: 1, amount: 1000 });
+    await signup({ contact: '9000000002', aadhaar: '333344445555', referrerContact: referrer.contact });
+    updated = (await api(app, token).get(`/api/clients/${referrer._id}`)).body;
+    assert.equal(updated.fees.credit, 500);
+    assert.equal(updated.fees.due, 500);
+
+    const { body } = await api(app, token).get('/api/referrals');
+    assert.deepEqual(body.reward, { type: 'credit', value: 500 });
+    assert.equal(body.referrers.length, 1);
+    assert.equal(body.referrers[0].referrer.name, 'Asha Verma');
+    assert.equal(body.referrers[0].referrals, 2);
+    assert.equal(body.referrers[0].bonusDays, 14);
+    assert.equal(body.referrers[0].credit, 500);
+
+    const history = (await api(app, token).get(`/api/audit?clientId=${referrer._id}&action=referral.reward`)).body;
+    assert.equal(history.entries.length, 2);
+  });
+
+  it('keeps referral bonus days when the referrer is edited', async () => {
+    const referrer = (await signup({ feesSubmitted: 3000 })).body;
+    await signup({ contact: '9000000001', aadhaar: '222233334444', referrerContact: referrer.contact });
+    const rewarded = (await api(app, token).get(`/api/clients/${referrer._id}`)).body;
+
+    const edited = await api(app, token).put(`/api/clients/${referrer._id}`, clientForm({ goal: 'Gain Weight', aadhaar: '', feesSubmitted: 3000 }));
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.membership.endDate, rewarded.membership.endDate);
+    assert.equal(edited.body.membership.periods[0].bonusDays, 14);
+  });
+
+  it('lets only the owner manage codes', async () => {
+    const frontDesk = await login(app, 'front-desk');
+    const trainer = await login(app, 'trainer');
+    const coupon = await addCoupon({ code: 'STAFF' });
+
+    assert.equal((await api(app, frontDesk.token).get('/api/coupons')).status, 200);
+    assert.equal((await api(app, frontDesk.token).post('/api/coupons/check', { code: 'STAFF', amount: 1000 })).status, 200);
+    assert.equal((await api(app, frontDesk.token).post('/api/coupons', { code: 'DESK', type: 'flat', value: 100 })).status, 403);
+    assert.equal((await api(app, frontDesk.token).get('/api/referrals')).status, 200);
+    assert.equal((await api(app, trainer.token).get('/api/coupons')).status, 403);
+
+    assert.equal((await api(app, token).post('/api/coupons', { code: 'staff', type: 'flat', value: 100 })).status, 409);
+    assert.equal((await api(app, token).post('/api/coupons', { code: 'BIG', type: 'percent', value: 150 })).status, 400);
+    await signup({ couponCode: 'STAFF' });
+    const renamed = await api(app, token).put(`/api/coupons/${coupon._id}`, { code: 'STAFF2' });
+    assert.equal(renamed.status, 409);
+    const retired = await api(app, token).put(`/api/coupons/${coupon._id}`, { active: false });
+    assert.equal(retired.body.active, false);
+  });
+});
@@ -0,0 +1,60 @@
+// test/deployments.test.js
+// server.js and the Vercel function must serve the same API. Both are built by
+// createApp(), and vercel.json must route every /api path to that function.
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createApp, start, stop, reset, login, api, clientForm, request } = require('./helpers');
+
+describe('server.js and Vercel', () => {
+  const expressApp = createApp();
+  const vercelHandler = require('../api/index');
+
+  before(start);
+  after(stop);
+  beforeEach(reset);
+
+  it('has a single Vercel function that every /api path is rewritten to', () => {
+    const functions = fs.readdirSync(path.join(__dirname, '..', 'api'));
+    assert.deepEqual(functions, ['index.js']);
+
+    const config = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'vercel.json'), 'utf8'));
+    assert.deepEqual(config.rewrites, [{ source: '/api/(.*)', destination: '/api' }]);
+  });
+
+  it('answers the same requests the same way', async () => {
+    const { token } = await login(expressApp);
+    const created = await api(vercelHandler, token).post('/api/clients', clientForm());
+    assert.equal(created.status, 201);
+
+    const strip = (body) => JSON.parse(JSON.stringify(body));
+    const paths = [
+      `/api/clients/${created.body._id}`,
+      `/api/clients/${created.body._id}/payments`,
+      `/api/clients/${created.body._id}/renewals`,
+      '/api/clients?q=asha',
+      '/api/clients/not-an-id',
+      '/api/nothing-here'
+    ];
+    for (const url of paths) {
+      const [fromServer, fromVercel] = await Promise.all([
+        api(expressApp, token).get(url),
+        api(vercelHandler, token).get(url)
+      ]);
+      assert.equal(fromVercel.status, fromServer.status, url);
+      assert.deepEqual(strip(fromVercel.body), strip(fromServer.body), url);
+    }
+
+    const refused = await request(vercelHandler).get('/api/clients');
+    assert.equal(refused.status, 401);
+  });
+
+  it('only runs the reminder cron with the cron secret', async () => {
+    process.env.CRON_SECRET = 'cron-secret';
+    const refused = await request(vercelHandler).get('/api/reminders/cron');
+    assert.equal(refused.status, 401);
+    const run = await request(vercelHandler).get('/api/reminders/cron').set('Authorization', 'Bearer cron-secret');
+    assert.equal(run.status, 200);
+  });
+});
@@ -0,0 +1,67 @@
+// test/freezes.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, start, stop, reset, login, api, clientForm } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const inDays = (days) => new Date(Date.now() + days * DAY_MS).toISOString().split('T')[0];
+
+describe('/api/clients/:id/freezes', () => {
+  const app = createApp();
+  let token;
+  let client;
+
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    ({ token } = await login(app));
+    client = (await api(app, token).post('/api/clients', clientForm({ feesSubmitted: 3000 }))).body;
+  });
+
+  const endDateOf = (c) => new Date(c.membership.endDate).getTime();
+
+  it('extends the end date by the frozen days', async () => {
+    const response = await api(app, token).post(`/api/clients/${client._id}/freezes`, { start: inDays(0), end: inDays(9), reason: 'Travel' });
+    assert.equal(response.status, 201);
+    assert.equal(response.body.freeze.days, 10);
+    assert.equal(endDateOf(response.body.client) - endDateOf(client), 10 * DAY_MS);
+
+    const frozen = await api(app, token).get('/api/clients?status=frozen');
+    assert.equal(frozen.body.total, 1);
+  });
+
+  it('turns a frozen member away at check-in', async () => {
+    await api(app, token).post(`/api/clients/${client._id}/freezes`, { start: inDays(0), end: inDays(4), reason: 'Injury' });
+    const checkIn = await api(app, token).post('/api/attendance/check-in', { contact: client.contact });
+    assert.equal(checkIn.status, 403);
+    assert.equal(checkIn.body.reason, 'frozen');
+  });
+
+  it('keeps freezes within the allowance and without overlaps', async () => {
+    await api(app, token).post(`/api/clients/${client._id}/freezes`, { start: inDays(0), end: inDays(9), reason: 'Travel' });
+    const overlap = await api(app, token).post(`/api/clients/${client._id}/freezes`, { start: inDays(5), end: inDays(12), reason: 'Travel' });
+    assert.equal(overlap.status, 409);
+    const tooLong = await api(app, token).post(`/api/clients/${client._id}/freezes`, { start: inDays(20), end: inDays(44), reason: 'Travel' });
+    assert.equal(tooLong.status, 400);
+    const noReason = await api(app, token).post(`/api/clients/${client._id}/freezes`, { start: inDays(20), end: inDays(22) });
+    assert.equal(noReason.status, 400);
+
+    const { body } = await api(app, token).get(`/api/clients/${client._id}/freezes`);
+    assert.deepEqual(body.allowance, { maxDays: 30, usedDays: 10, remainingDays: 20 });
+  });
+
+  it('gives the days back when a freeze is cancelled', async () => {
+    const { freeze } = (await api(app, token).post(`/api/clients/${client._id}/freezes`, { start: inDays(2), end: inDays(6), reason: 'Exams' })).body;
+    const ended = await api(app, token).post(`/api/clients/${client._id}/freezes/${freeze._id}/end`, {});
+    assert.equal(ended.status, 200);
+    assert.equal(endDateOf(ended.body.client), endDateOf(client));
+    assert.equal(ended.body.client.membership.freezes.length, 0);
+  });
+
+  it('keeps the extension when the term is corrected from the client form', async () => {
+    await api(app, token).post(`/api/clients/${client._id}/freezes`, { start: inDays(0), end: inDays(6), reason: 'Travel' });
+    const updated = await api(app, token).put(`/api/clients/${client._id}`, clientForm({ feesTotal: 3000 }));
+    assert.equal(endDateOf(updated.body) - endDateOf(client), 7 * DAY_MS);
+  });
+});
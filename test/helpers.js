@@ -0,0 +1,76 @@
+// test/helpers.js
+// Boots the API against a throwaway in-memory MongoDB. Each test file gets
+// its own server; `reset` empties the collections between tests.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+process.env.AUTH_SECRET = 'test-auth-secret';
+process.env.AADHAAR_KEY = crypto.randomBytes(32).toString('hex');
+process.env.OWNER_USERNAME = 'owner';
+process.env.OWNER_PASSWORD = 'owner-password';
+process.env.MESSAGING_PROVIDER = 'console';
+
+const db = require('../services/db');
+const auth = require('../services/auth');
+const { createApp } = require('../app');
+
+let mongod;
+
+async function start() {
+  mongod = await MongoMemoryServer.create();
+  await db.connect(mongod.getUri());
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+}
+
+async function stop() {
+  await db.disconnect();
+  if (mongod) await mongod.stop();
+}
+
+async function reset() {
+  await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+}
+
+// Logs in as the seeded owner, or creates and logs in a staff member of `role`
+async function login(app, role = 'owner') {
+  if (role !== 'owner') {
+    const username = `${role}-${crypto.randomBytes(3).toString('hex')}`;
+    await auth.createUser({ username, name: `Test ${role}`, role, password: 'staff-password' });
+    const response = await request(app).post('/api/auth').send({ username, password: 'staff-password' });
+    return { token: response.body.token, user: response.body.user };
+  }
+  const response = await request(app).post('/api/auth').send({ username: 'owner', password: 'owner-password' });
+  return { token: response.body.token, user: response.body.user };
+}
+
+// Requests signed in with `token`, e.g. api(app, owner.token).post(url, body)
+const api = (app, token) => ({
+  get: (url) => request(app).get(url).set('Authorization', `Bearer ${token}`),
+  post: (url, body) => request(app).post(url).set('Authorization', `Bearer ${token}`).send(body),
+  put: (url, body) => request(app).put(url).set('Authorization', `Bearer ${token}`).send(body),
+  delete: (url) => request(app).delete(url).set('Authorization', `Bearer ${token}`)
+});
+
+// A client form as the frontend sends it
+const clientForm = (overrides = {}) => ({
+  name: 'Asha Verma',
+  contact: '9876543210',
+  aadhaar: '123456789012',
+  heightFt: 5,
+  heightIn: 4,
+  weight: 60,
+  goal: 'Lose Weight',
+  feesTotal: 3000,
+  feesSubmitted: 1000,
+  paymentMode: 'UPI',
+  pt: 'None',
+  months: 3,
+  feeDate: new Date().toISOString().split('T')[0],
+  hasMedicalCondition: false,
+  medicalConditionDetails: '',
+  ...overrides
+});
+
+module.exports = { createApp, start, stop, reset, login, api, clientForm, request };
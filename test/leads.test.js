@@ -0,0 +1,117 @@
+// test/leads.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Lead = require('../models/Lead');
+const { createApp, start, stop, reset, login, api, clientForm } = require('./helpers');
+
+describe('/api/leads', () => {
+  const app = createApp();
+  let token;
+
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    ({ token } = await login(app));
+  });
+
+  const addLead = async (fields) => (await api(app, token).post('/api/leads', {
+    name: 'Kiran Rao', contact: '9000000001', source: 'Instagram', interest: 'Weight loss', ...fields
+  })).body;
+
+  it('records enquiries and moves them between stages', async () => {
+    const lead = await addLead({ followUpDate: new Date().toISOString().split('T')[0] });
+    assert.equal(lead.status, 'new');
+    assert.equal(lead.createdBy, 'Owner');
+
+    const duplicate = await api(app, token).post('/api/leads', { name: 'Kiran', contact: '9000000001' });
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.leadId, lead._id);
+    await api(app, token).post('/api/clients', clientForm());
+    const member = await api(app, token).post('/api/leads', { name: 'Asha', contact: '9876543210' });
+    assert.equal(member.status, 409);
+
+    const contacted = await api(app, token).put(`/api/leads/${lead._id}`, { status: 'contacted', notes: 'Called back' });
+    assert.equal(contacted.body.status, 'contacted');
+    const converted = await api(app, token).put(`/api/leads/${lead._id}`, { status: 'converted' });
+    assert.equal(converted.status, 400);
+    const invalid = await api(app, token).put(`/api/leads/${lead._id}`, { status: 'maybe' });
+    assert.equal(invalid.status, 400);
+
+    const list = (await api(app, token).get('/api/leads?q=kiran')).body;
+    assert.equal(list.length, 1);
+    assert.equal(list[0].notes, 'Called back');
+  });
+
+  it('gives one free trial pass per lead', async () => {
+    const lead = await addLead();
+    const tooLong = await api(app, token).post(`/api/leads/${lead._id}/trial`, { days: 30 });
+    assert.equal(tooLong.status, 400);
+
+    const trial = await api(app, token).post(`/api/leads/${lead._id}/trial`, { days: 3 });
+    assert.equal(trial.status, 200);
+    assert.equal(trial.body.status, 'trial');
+    const days = (new Date(trial.body.trialPass.end) - new Date(trial.body.trialPass.start)) / (24 * 60 * 60 * 1000);
+    assert.equal(days, 2);
+
+    const again = await api(app, token).post(`/api/leads/${lead._id}/trial`, {});
+    assert.equal(again.status, 409);
+  });
+
+  it('checks a lead in at the desk while their trial pass lasts', async () => {
+    const lead = await addLead();
+    assert.equal((await api(app, token).post('/api/attendance/check-in', { contact: lead.contact })).status, 404);
+
+    await api(app, token).post(`/api/leads/${lead._id}/trial`, { days: 2 });
+    const visit = await api(app, token).post('/api/attendance/check-in', { contact: lead.contact });
+    assert.equal(visit.status, 201);
+    assert.equal(visit.body.lead.name, 'Kiran Rao');
+    assert.equal(visit.body.visit.lead, lead._id);
+    assert.equal((await api(app, token).post('/api/attendance/check-in', { contact: lead.contact })).status, 409);
+    assert.equal((await api(app, token).post('/api/attendance/check-out', { contact: lead.contact })).status, 200);
+
+    await Lead.updateOne({ _id: lead._id }, { 'trialPass.end': new Date(Date.now() - 2 * 24 * 60 * 60 * 1000) });
+    const ended = await api(app, token).post('/api/attendance/check-in', { contact: lead.contact });
+    assert.equal(ended.status, 403);
+    assert.equal(ended.body.reason, 'expired');
+  });
+
+  it('converts a lead into a client and reports conversion rates', async () => {
+    const joined = await addLead();
+    await api(app, token).post(`/api/leads/${joined._id}/trial`, {});
+    await addLead({ name: 'Dev Shah', contact: '9000000002', source: 'Walk-in' });
+    const lost = await addLead({ name: 'Neha Iyer', contact: '9000000003', source: 'Walk-in' });
+    await api(app, token).put(`/api/leads/${lost._id}`, { status: 'lost' });
+
+    const created = await api(app, token).post('/api/clients', clientForm({ name: 'Kiran Rao', contact: joined.contact, leadId: joined._id }));
+    assert.equal(created.status, 201);
+    assert.equal(created.body.lead, joined._id);
+    const lead = (await api(app, token).get(`/api/leads/${joined._id}`)).body;
+    assert.equal(lead.status, 'converted');
+    assert.equal(lead.client, created.body._id);
+
+    // A converted lead is closed
+    assert.equal((await api(app, token).put(`/api/leads/${joined._id}`, { status: 'new' })).status, 409);
+    const twice = await api(app, token).post('/api/clients', clientForm({ contact: '9000000009', aadhaar: '222233334444', leadId: joined._id }));
+    assert.equal(twice.status, 409);
+
+    const stats = (await api(app, token).get('/api/leads/stats')).body;
+    assert.equal(stats.total, 3);
+    assert.deepEqual(stats.byStatus, { new: 1, contacted: 0, trial: 0, converted: 1, lost: 1 });
+    assert.equal(stats.conversionRate, 33.3);
+    assert.equal(stats.trials, 1);
+    assert.equal(stats.trialConversionRate, 100);
+    assert.deepEqual(stats.bySource.map(row => [row.source, row.leads, row.converted]), [['Walk-in', 2, 0], ['Instagram', 1, 1]]);
+  });
+
+  it('lets the owner and front desk work leads, not trainers', async () => {
+    const frontDesk = await login(app, 'front-desk');
+    const trainer = await login(app, 'trainer');
+    const lead = await addLead();
+
+    assert.equal((await api(app, frontDesk.token).get('/api/leads')).body.length, 1);
+    assert.equal((await api(app, frontDesk.token).post(`/api/leads/${lead._id}/trial`, {})).status, 200);
+    assert.equal((await api(app, trainer.token).get('/api/leads')).status, 403);
+    assert.equal((await api(app, trainer.token).post('/api/leads', { name: 'Sam', contact: '9000000004' })).status, 403);
+  });
+});
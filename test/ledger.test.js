@@ -0,0 +1,65 @@
+// test/ledger.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, start, stop, reset, login, api, clientForm } = require('./helpers');
+
+describe('/api/clients/:id/payments and /renewals', () => {
+  const app = createApp();
+  let token;
+  let client;
+
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    ({ token } = await login(app));
+    client = (await api(app, token).post('/api/clients', clientForm())).body;
+  });
+
+  it('records payments and recomputes the dues', async () => {
+    const payment = await api(app, token).post(`/api/clients/${client._id}/payments`, { amount: 500, mode: 'Cash' });
+    assert.equal(payment.status, 201);
+    assert.equal(payment.body.client.fees.submitted, 1500);
+    assert.equal(payment.body.client.fees.due, 1500);
+
+    const ledger = await api(app, token).get(`/api/clients/${client._id}/payments`);
+    assert.equal(ledger.status, 200);
+    assert.equal(ledger.body.payments.length, 2);
+  });
+
+  it('voids a payment instead of deleting it', async () => {
+    const { payment } = (await api(app, token).post(`/api/clients/${client._id}/payments`, { amount: 500 })).body;
+    const voided = await api(app, token).post(`/api/clients/${client._id}/payments/${payment._id}/void`, { reason: 'Typo' });
+    assert.equal(voided.status, 200);
+    assert.equal(voided.body.client.fees.submitted, 1000);
+
+    const again = await api(app, token).post(`/api/clients/${client._id}/payments/${payment._id}/void`, {});
+    assert.equal(again.status, 409);
+    const ledger = await api(app, token).get(`/api/clients/${client._id}/payments`);
+    assert.equal(ledger.body.payments.length, 2);
+  });
+
+  it('refuses a payment of zero', async () => {
+    const response = await api(app, token).post(`/api/clients/${client._id}/payments`, { amount: 0 });
+    assert.equal(response.status, 400);
+  });
+
+  it('appends a renewal period starting where the membership ends', async () => {
+    const renewal = await api(app, token).post(`/api/clients/${client._id}/renewals`, { months: 1, amount: 1000, amountPaid: 1000 });
+    assert.equal(renewal.status, 201);
+
+    const { body } = await api(app, token).get(`/api/clients/${client._id}/renewals`);
+    assert.equal(body.periods.length, 2);
+    assert.equal(body.periods[1].kind, 'Renewal');
+    assert.equal(new Date(body.periods[1].start).getTime(), new Date(body.periods[0].end).getTime());
+
+    const updated = (await api(app, token).get(`/api/clients/${client._id}`)).body;
+    assert.equal(updated.fees.total, 4000);
+    assert.equal(updated.fees.due, 2000);
+  });
+
+  it('refuses a renewal without whole months', async () => {
+    const response = await api(app, token).post(`/api/clients/${client._id}/renewals`, { months: 0, amount: 1000 });
+    assert.equal(response.status, 400);
+  });
+});
@@ -0,0 +1,59 @@
+// test/measurements.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, start, stop, reset, login, api, clientForm } = require('./helpers');
+
+describe('/api/clients/:id/measurements', () => {
+  const app = createApp();
+  let token;
+  let client;
+
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    ({ token } = await login(app));
+    client = (await api(app, token).post('/api/clients', clientForm())).body;
+  });
+
+  const measurementsUrl = () => `/api/clients/${client._id}/measurements`;
+
+  it('starts the history from the signup weight', async () => {
+    const { body } = await api(app, token).get(measurementsUrl());
+    assert.equal(body.measurements.length, 1);
+    assert.equal(body.measurements[0].weight, 60);
+    assert.equal(body.trend.status, 'steady');
+  });
+
+  it('records measurements and tracks the change against the goal', async () => {
+    const response = await api(app, token).post(measurementsUrl(), { weight: 57, bodyFat: 28, waist: 80 });
+    assert.equal(response.status, 201);
+    assert.equal(response.body.change.weight, -3);
+    assert.equal(response.body.trend.status, 'on-track');
+    // 57 kg at 5'4"
+    assert.equal(response.body.bmi, 21.6);
+
+    const profile = (await api(app, token).get(`/api/clients/${client._id}`)).body;
+    assert.equal(profile.weight, 57);
+  });
+
+  it('flags a member moving away from their goal', async () => {
+    const response = await api(app, token).post(measurementsUrl(), { weight: 63 });
+    assert.equal(response.body.trend.status, 'off-track');
+  });
+
+  it('refuses an empty or future measurement', async () => {
+    assert.equal((await api(app, token).post(measurementsUrl(), { notes: 'Nothing measured' })).status, 400);
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    assert.equal((await api(app, token).post(measurementsUrl(), { weight: 58, date: tomorrow })).status, 400);
+  });
+
+  it('lets trainers record progress for their own PT clients only', async () => {
+    const trainer = await login(app, 'trainer');
+    assert.equal((await api(app, trainer.token).post(measurementsUrl(), { weight: 58 })).status, 404);
+
+    await api(app, token).put(`/api/clients/${client._id}`, { ...clientForm(), pt: 'Standard', trainer: trainer.user._id });
+    assert.equal((await api(app, trainer.token).post(measurementsUrl(), { weight: 58 })).status, 201);
+    assert.equal((await api(app, trainer.token).get(measurementsUrl())).body.measurements.length, 2);
+  });
+});
@@ -0,0 +1,77 @@
+// test/plans.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, start, stop, reset, login, api, clientForm } = require('./helpers');
+
+describe('/api/plans', () => {
+  const app = createApp();
+  let token;
+  let plan;
+
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    ({ token } = await login(app));
+    plan = (await api(app, token).post('/api/plans', { name: 'Quarterly', months: 3, price: 3000, ptPrice: 1500, services: 'Gym, Steam' })).body;
+  });
+
+  it('creates plans and splits the services list', async () => {
+    assert.equal(plan.months, 3);
+    assert.deepEqual(plan.services, ['Gym', 'Steam']);
+
+    const duplicate = await api(app, token).post('/api/plans', { name: 'Quarterly', months: 3, price: 2500 });
+    assert.equal(duplicate.status, 409);
+  });
+
+  it('lets only the owner manage plans', async () => {
+    const frontDesk = await login(app, 'front-desk');
+    const list = await api(app, frontDesk.token).get('/api/plans');
+    assert.equal(list.status, 200);
+    const create = await api(app, frontDesk.token).post('/api/plans', { name: 'Monthly', months: 1, price: 1200 });
+    assert.equal(create.status, 403);
+  });
+
+  it('prices a new client from the plan and keeps a snapshot', async () => {
+    const form = clientForm({ planId: plan._id, pt: 'Standard', months: 1 });
+    delete form.feesTotal;
+    const created = await api(app, token).post('/api/clients', form);
+    assert.equal(created.status, 201);
+    assert.equal(created.body.membership.months, 3);
+    assert.equal(created.body.fees.total, 4500);
+    assert.equal(created.body.fees.due, 3500);
+
+    await api(app, token).put(`/api/plans/${plan._id}`, { price: 3600 });
+    const client = (await api(app, token).get(`/api/clients/${created.body._id}`)).body;
+    assert.equal(client.plan.price, 3000);
+    assert.equal(client.fees.total, 4500);
+  });
+
+  it('stops front desk charging other than the plan price', async () => {
+    const frontDesk = await login(app, 'front-desk');
+    const response = await api(app, frontDesk.token).post('/api/clients', clientForm({ planId: plan._id, feesTotal: 2000 }));
+    assert.equal(response.status, 403);
+  });
+
+  it('renews on a plan at its current price', async () => {
+    const client = (await api(app, token).post('/api/clients', clientForm())).body;
+    await api(app, token).put(`/api/plans/${plan._id}`, { price: 3300 });
+    const renewal = await api(app, token).post(`/api/clients/${client._id}/renewals`, { planId: plan._id });
+    assert.equal(renewal.status, 201);
+    assert.equal(renewal.body.client.plan.price, 3300);
+    assert.equal(renewal.body.client.fees.total, 6300);
+  });
+
+  it('only retires plans that clients are on', async () => {
+    await api(app, token).post('/api/clients', clientForm({ planId: plan._id, feesTotal: 3000 }));
+    const removed = await api(app, token).delete(`/api/plans/${plan._id}`);
+    assert.equal(removed.status, 409);
+
+    const retired = await api(app, token).put(`/api/plans/${plan._id}`, { active: false });
+    assert.equal(retired.status, 200);
+    const offered = (await api(app, token).get('/api/plans?active=true')).body;
+    assert.equal(offered.length, 0);
+    const signup = await api(app, token).post('/api/clients', clientForm({ contact: '9123456780', aadhaar: '223456789012', planId: plan._id }));
+    assert.equal(signup.status, 400);
+  });
+});
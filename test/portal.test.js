@@ -0,0 +1,146 @@
+// test/portal.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const messaging = require('../services/messaging');
+const { createApp, start, stop, reset, login, api, clientForm, request } = require('./helpers');
+
+// Keeps the codes the portal sends so the tests can type them in
+const sent = [];
+messaging.registerProvider({
+  name: 'capture',
+  async send({ to, message }) {
+    sent.push({ to, message });
+    return { id: String(sent.length) };
+  }
+});
+
+describe('/api/portal', () => {
+  const app = createApp();
+  let owner;
+  let client;
+
+  before(async () => {
+    process.env.MESSAGING_PROVIDER = 'capture';
+    await start();
+  });
+  after(async () => {
+    process.env.MESSAGING_PROVIDER = 'console';
+    await stop();
+  });
+  beforeEach(async () => {
+    await reset();
+    sent.length = 0;
+    owner = await login(app);
+    client = (await api(app, owner.token).post('/api/clients', clientForm({
+      feesSubmitted: 3000,
+      screening: { answers: {}, emergencyContact: { name: 'Ravi Verma', contact: '9123456789' } }
+    }))).body;
+  });
+
+  const lastCode = () => sent[sent.length - 1].message.match(/\d{6}/)[0];
+
+  async function memberLogin(contact = client.contact) {
+    await request(app).post('/api/portal/code').send({ contact });
+    const response = await request(app).post('/api/portal/login').send({ contact, code: lastCode() });
+    return response.body.token;
+  }
+
+  it('logs a member in with a one-time code sent to their contact number', async () => {
+    const unknown = await request(app).post('/api/portal/code').send({ contact: '9000000009' });
+    assert.equal(unknown.status, 200);
+    assert.equal(sent.length, 0);
+
+    const requested = await request(app).post('/api/portal/code').send({ contact: client.contact });
+    assert.equal(requested.status, 200);
+    assert.equal(requested.body.message, unknown.body.message);
+    assert.equal(sent[0].to, `91${client.contact}`);
+    const again = await request(app).post('/api/portal/code').send({ contact: client.contact });
+    assert.equal(again.status, 429);
+
+    const wrong = await request(app).post('/api/portal/login').send({ contact: client.contact, code: lastCode() === '000000' ? '111111' : '000000' });
+    assert.equal(wrong.status, 401);
+    const right = await request(app).post('/api/portal/login').send({ contact: client.contact, code: lastCode() });
+    assert.equal(right.status, 200);
+    assert.equal(right.body.member.name, 'Asha Verma');
+    // The code is used up
+    assert.equal((await request(app).post('/api/portal/login').send({ contact: client.contact, code: lastCode() })).status, 401);
+
+    const me = await api(app, right.body.token).get('/api/portal/me');
+    assert.equal(me.status, 200);
+    assert.equal(me.body.membership.status, 'active');
+    assert.ok(me.body.membership.daysRemaining > 80);
+    assert.equal(me.body.fees.due, 0);
+
+    // Member and staff tokens only open their own side
+    assert.equal((await api(app, right.body.token).get('/api/clients')).status, 401);
+    assert.equal((await api(app, owner.token).get('/api/portal/me')).status, 401);
+  });
+
+  it('limits resends the same way for numbers that are not a member', async () => {
+    const member = await request(app).post('/api/portal/code').send({ contact: client.contact });
+    const memberAgain = await request(app).post('/api/portal/code').send({ contact: client.contact });
+    const unknown = await request(app).post('/api/portal/code').send({ contact: '9000000009' });
+    const unknownAgain = await request(app).post('/api/portal/code').send({ contact: '9000000009' });
+
+    assert.equal(unknown.status, member.status);
+    assert.equal(unknownAgain.status, 429);
+    assert.deepEqual(unknownAgain.body, memberAgain.body);
+    assert.equal(sent.length, 1);
+    // No code was sent, so none can be guessed into a login
+    const guess = await request(app).post('/api/portal/login').send({ contact: '9000000009', code: '000000' });
+    assert.equal(guess.status, 401);
+  });
+
+  it('drops the code after too many wrong guesses', async () => {
+    await request(app).post('/api/portal/code').send({ contact: client.contact });
+    const code = lastCode();
+    const wrongCode = code === '000000' ? '111111' : '000000';
+    for (let i = 0; i < 5; i += 1) {
+      await request(app).post('/api/portal/login').send({ contact: client.contact, code: wrongCode });
+    }
+    const late = await request(app).post('/api/portal/login').send({ contact: client.contact, code });
+    assert.equal(late.status, 401);
+  });
+
+  it('shows receipts, visits and the assigned plan', async () => {
+    await api(app, owner.token).post('/api/attendance/check-in', { clientId: client._id });
+    const token = await memberLogin();
+
+    const receipts = (await api(app, token).get('/api/portal/receipts')).body;
+    assert.equal(receipts.length, 1);
+    assert.equal(receipts[0].amount, 3000);
+    assert.equal(receipts[0].receiptNumber, '000001');
+    const printed = await api(app, token).get(`/api/portal/receipts/${receipts[0]._id}`);
+    assert.match(printed.text, /Receipt No\. 000001/);
+
+    const visits = (await api(app, token).get('/api/portal/attendance')).body;
+    assert.equal(visits.totalVisits, 1);
+    assert.equal((await api(app, token).get('/api/portal/plan')).body.plan, null);
+
+    // Someone else's receipt is not found
+    const other = (await api(app, owner.token).post('/api/clients', clientForm({ contact: '9000000001', aadhaar: '222233334444' }))).body;
+    const otherPayment = (await api(app, owner.token).get(`/api/clients/${other._id}/payments`)).body.payments[0];
+    assert.equal((await api(app, token).get(`/api/portal/receipts/${otherPayment._id}`)).status, 404);
+  });
+
+  it('lets members change their emergency contact and nothing else', async () => {
+    const token = await memberLogin();
+    const updated = await api(app, token).put('/api/portal/me', {
+      emergencyContact: { name: 'Meera Verma', contact: '9111111111' }
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.emergencyContact.name, 'Meera Verma');
+
+    const sneaky = await api(app, token).put('/api/portal/me', {
+      emergencyContact: { name: 'Meera Verma', contact: '9111111111' },
+      fees: { due: 0 },
+      membership: { endDate: '2099-01-01' }
+    });
+    assert.equal(sneaky.status, 400);
+    const badNumber = await api(app, token).put('/api/portal/me', { emergencyContact: { name: 'Meera', contact: '123' } });
+    assert.equal(badNumber.status, 400);
+
+    const { body } = await api(app, owner.token).get(`/api/clients/${client._id}/screenings`);
+    assert.equal(body.screenings[0].emergencyContact.contact, '9111111111');
+  });
+});
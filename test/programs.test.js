@@ -0,0 +1,111 @@
+// test/programs.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, start, stop, reset, login, api, clientForm } = require('./helpers');
+
+describe('/api/programs and /api/clients/:id/plan', () => {
+  const app = createApp();
+  let owner;
+  let squat;
+  let workout;
+  let diet;
+
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    owner = await login(app);
+    squat = (await api(app, owner.token).post('/api/programs/exercises', { name: 'Back Squat', muscleGroup: 'Legs', equipment: 'Barbell' })).body;
+    workout = (await api(app, owner.token).post('/api/programs/workouts', {
+      name: 'Fat Loss Circuit',
+      goal: 'Lose Weight',
+      days: [{ name: 'Day 1', exercises: [{ exercise: squat._id, sets: 3, reps: '12-15', restSeconds: 45 }] }]
+    })).body;
+    diet = (await api(app, owner.token).post('/api/programs/diets', {
+      name: 'Lean 1800',
+      goal: 'Lose Weight',
+      calories: 1800,
+      meals: [{ name: 'Breakfast', time: '08:00', items: 'Oats, Eggs' }]
+    })).body;
+  });
+
+  it('builds templates from the exercise library', async () => {
+    assert.equal(workout.days[0].exercises[0].name, 'Back Squat');
+    assert.deepEqual(diet.meals[0].items, ['Oats', 'Eggs']);
+
+    const badReps = await api(app, owner.token).post('/api/programs/workouts', {
+      name: 'Broken',
+      days: [{ name: 'Day 1', exercises: [{ name: 'Plank', sets: 3, reps: 'lots' }] }]
+    });
+    assert.equal(badReps.status, 400);
+    const noDays = await api(app, owner.token).post('/api/programs/workouts', { name: 'Empty', days: [] });
+    assert.equal(noDays.status, 400);
+    const duplicate = await api(app, owner.token).post('/api/programs/exercises', { name: 'Back Squat', muscleGroup: 'Legs' });
+    assert.equal(duplicate.status, 409);
+
+    const frontDesk = await login(app, 'front-desk');
+    assert.equal((await api(app, frontDesk.token).get('/api/programs/workouts')).status, 200);
+    assert.equal((await api(app, frontDesk.token).post('/api/programs/exercises', { name: 'Plank', muscleGroup: 'Core' })).status, 403);
+  });
+
+  it('suggests templates from the goal and versions each change', async () => {
+    const client = (await api(app, owner.token).post('/api/clients', clientForm())).body;
+    const empty = (await api(app, owner.token).get(`/api/clients/${client._id}/plan`)).body;
+    assert.equal(empty.current, null);
+    assert.equal(empty.suggestion.workout.name, 'Fat Loss Circuit');
+    assert.equal(empty.suggestion.diet.name, 'Lean 1800');
+
+    const first = await api(app, owner.token).post(`/api/clients/${client._id}/plan`, {
+      workoutTemplate: workout._id,
+      dietTemplate: diet._id
+    });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.version, 1);
+    assert.equal(first.body.workout.days[0].exercises[0].reps, '12-15');
+
+    // Customising keeps the diet and saves a new version; the template is untouched
+    const days = [{ name: 'Day 1', exercises: [{ exercise: squat._id, sets: 4, reps: '10', restSeconds: 90 }] }];
+    const second = await api(app, owner.token).post(`/api/clients/${client._id}/plan`, {
+      workoutTemplate: workout._id,
+      workout: { days },
+      notes: 'Heavier now'
+    });
+    assert.equal(second.body.version, 2);
+    assert.equal(second.body.workout.name, 'Fat Loss Circuit');
+    assert.equal(second.body.workout.days[0].exercises[0].sets, 4);
+    assert.equal(second.body.diet.name, 'Lean 1800');
+    const template = (await api(app, owner.token).get('/api/programs/workouts')).body[0];
+    assert.equal(template.days[0].exercises[0].sets, 3);
+
+    const plan = (await api(app, owner.token).get(`/api/clients/${client._id}/plan`)).body;
+    assert.equal(plan.current.version, 2);
+    assert.deepEqual(plan.versions.map(v => v.version), [2, 1]);
+
+    const printed = await api(app, owner.token).get(`/api/clients/${client._id}/plan/print?version=1`);
+    assert.equal(printed.status, 200);
+    assert.match(printed.headers['content-type'], /text\/html/);
+    assert.match(printed.text, /Plan version 1/);
+    assert.match(printed.text, /45s/);
+    const text = await api(app, owner.token).get(`/api/clients/${client._id}/plan/print?format=text`);
+    assert.match(text.text, /Back Squat: 4 x 10, rest 1 min 30s/);
+
+    const removed = await api(app, owner.token).post(`/api/clients/${client._id}/plan`, { workout: null, diet: null });
+    assert.equal(removed.status, 400);
+  });
+
+  it('lets trainers plan only for their own PT clients', async () => {
+    const trainerLogin = await login(app, 'trainer');
+    const profile = (await api(app, owner.token).get('/api/trainers')).body.find(t => t.user && t.user._id === trainerLogin.user._id);
+    const own = (await api(app, owner.token).post('/api/clients', clientForm({ pt: 'Standard', trainer: profile._id }))).body;
+    const other = (await api(app, owner.token).post('/api/clients', clientForm({ contact: '9000000001', aadhaar: '222233334444' }))).body;
+
+    const assigned = await api(app, trainerLogin.token).post(`/api/clients/${own._id}/plan`, { workoutTemplate: workout._id });
+    assert.equal(assigned.status, 201);
+    assert.equal(assigned.body.assignedBy, 'Test trainer');
+    assert.equal((await api(app, trainerLogin.token).post(`/api/clients/${other._id}/plan`, { workoutTemplate: workout._id })).status, 404);
+
+    const frontDesk = await login(app, 'front-desk');
+    assert.equal((await api(app, frontDesk.token).get(`/api/clients/${own._id}/plan`)).status, 200);
+    assert.equal((await api(app, frontDesk.token).post(`/api/clients/${own._id}/plan`, { workoutTemplate: workout._id })).status, 403);
+  });
+});
@@ -0,0 +1,61 @@
+// test/receipts.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, start, stop, reset, login, api, clientForm } = require('./helpers');
+
+describe('/api/clients/:id/payments/:paymentId/receipt', () => {
+  const app = createApp();
+  let token;
+  let client;
+
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    ({ token } = await login(app));
+    client = (await api(app, token).post('/api/clients', clientForm())).body;
+  });
+
+  it('numbers receipts in sequence and snapshots the balance at the time of payment', async () => {
+    const first = (await api(app, token).post(`/api/clients/${client._id}/payments`, { amount: 500, mode: 'UPI' })).body.payment;
+    const second = (await api(app, token).post(`/api/clients/${client._id}/payments`, { amount: 300, mode: 'Cash' })).body.payment;
+    // The signup payment took receipt 1
+    assert.equal(first.receipt.number, 2);
+    assert.equal(second.receipt.number, 3);
+    assert.equal(first.receipt.balanceDue, 1500);
+    assert.equal(second.receipt.balanceDue, 1200);
+
+    const reprint = await api(app, token).get(`/api/clients/${client._id}/payments/${first._id}/receipt?format=json`);
+    assert.equal(reprint.status, 200);
+    assert.equal(reprint.body.receipt.number, 2);
+    assert.equal(reprint.body.receipt.balanceDue, 1500);
+    assert.equal(reprint.body.receipt.memberName, 'Asha Verma');
+  });
+
+  it('renders a print-ready page with the member, period, amount and mode', async () => {
+    const { payment } = (await api(app, token).post(`/api/clients/${client._id}/payments`, { amount: 500, mode: 'UPI' })).body;
+    const response = await api(app, token).get(`/api/clients/${client._id}/payments/${payment._id}/receipt`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers['content-type'], /text\/html/);
+    assert.match(response.text, /Receipt No\. 000002/);
+    assert.match(response.text, /Asha Verma/);
+    assert.match(response.text, /₹500\.00/);
+    assert.match(response.text, /UPI/);
+    assert.match(response.text, /Balance due<\/th><td>₹1500\.00/);
+  });
+
+  it('marks voided payments and hides receipts from other clients and trainers', async () => {
+    const { payment } = (await api(app, token).post(`/api/clients/${client._id}/payments`, { amount: 500 })).body;
+    await api(app, token).post(`/api/clients/${client._id}/payments/${payment._id}/void`, { reason: 'Typo' });
+    const voided = await api(app, token).get(`/api/clients/${client._id}/payments/${payment._id}/receipt`);
+    assert.match(voided.text, /VOID – Typo/);
+
+    const other = (await api(app, token).post('/api/clients', clientForm({ contact: '9000000001', aadhaar: '222233334444' }))).body;
+    const mismatched = await api(app, token).get(`/api/clients/${other._id}/payments/${payment._id}/receipt`);
+    assert.equal(mismatched.status, 404);
+
+    const trainer = await login(app, 'trainer');
+    const refused = await api(app, trainer.token).get(`/api/clients/${client._id}/payments/${payment._id}/receipt`);
+    assert.equal(refused.status, 403);
+  });
+});
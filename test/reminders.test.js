@@ -0,0 +1,109 @@
+// test/reminders.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Client = require('../models/Client');
+const Reminder = require('../models/Reminder');
+const messaging = require('../services/messaging');
+const { createApp, start, stop, reset, login, api, clientForm } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Keeps what the daily job sends
+const sent = [];
+messaging.registerProvider({
+  name: 'reminder-capture',
+  async send({ to, message }) {
+    sent.push({ to, message });
+    return { id: String(sent.length) };
+  }
+});
+
+describe('/api/reminders', () => {
+  const app = createApp();
+  let owner;
+  let members;
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const inDays = (days) => new Date(today.getTime() + days * DAY_MS);
+
+  before(async () => {
+    process.env.MESSAGING_PROVIDER = 'reminder-capture';
+    await start();
+  });
+  after(async () => {
+    process.env.MESSAGING_PROVIDER = 'console';
+    await stop();
+  });
+  beforeEach(async () => {
+    await reset();
+    sent.length = 0;
+    owner = await login(app);
+
+    // name -> [days until the membership ends, amount paid of the 3000 fee]
+    const plans = {
+      Expiring: [3, 3000],
+      Owing: [20, 2000],
+      PaidUp: [40, 3000],
+      Frozen: [2, 3000],
+      Removed: [3, 1000]
+    };
+    members = {};
+    for (const [i, [name, [days, paid]]] of Object.entries(plans).entries()) {
+      const client = (await api(app, owner.token).post('/api/clients', clientForm({
+        name, contact: `900000000${i}`, aadhaar: `${i + 1}11122223333`, feesSubmitted: paid
+      }))).body;
+      await Client.updateOne({ _id: client._id }, { 'membership.endDate': inDays(days) });
+      members[name] = client;
+    }
+    await api(app, owner.token).post(`/api/clients/${members.Frozen._id}/freezes`, {
+      start: new Date().toISOString().split('T')[0],
+      end: new Date(Date.now() + 4 * DAY_MS).toISOString().split('T')[0],
+      reason: 'Travel'
+    });
+    await Client.updateOne({ _id: members.Frozen._id }, { 'membership.endDate': inDays(2) });
+    await api(app, owner.token).delete(`/api/clients/${members.Removed._id}`);
+  });
+
+  const runDaily = () => api(app, owner.token).post('/api/reminders/run', {});
+
+  it('reminds members whose membership is running out or who owe fees', async () => {
+    const { status, body } = await runDaily();
+    assert.equal(status, 200);
+    assert.deepEqual(body, { queued: 2, sent: 2, failed: 0 });
+
+    const reminders = await Reminder.find().sort({ event: 1 });
+    assert.deepEqual(reminders.map(r => [String(r.client), r.event, r.status]), [
+      [members.Owing._id, 'dues', 'sent'],
+      [members.Expiring._id, 'expiring-3', 'sent']
+    ]);
+    assert.deepEqual(sent.map(s => s.to).sort(), [`91${members.Expiring.contact}`, `91${members.Owing.contact}`].sort());
+    assert.match(sent.find(s => s.to === `91${members.Owing.contact}`).message, /₹1000\.00 pending/);
+  });
+
+  it('skips frozen members and members in the trash', async () => {
+    await runDaily();
+    for (const name of ['Frozen', 'Removed', 'PaidUp']) {
+      assert.equal(await Reminder.countDocuments({ client: members[name]._id }), 0, name);
+    }
+  });
+
+  it('sends each member one message however often the job runs', async () => {
+    await runDaily();
+    const again = await runDaily();
+    assert.deepEqual(again.body, { queued: 0, sent: 0, failed: 0 });
+    assert.equal(sent.length, 2);
+    assert.equal(new Set(sent.map(s => s.to)).size, 2);
+  });
+
+  it('reminds again once the membership has a new end date', async () => {
+    await runDaily();
+    await Client.updateOne({ _id: members.Expiring._id }, { 'membership.endDate': inDays(6) });
+    const { body } = await runDaily();
+    assert.equal(body.queued, 1);
+    const keys = (await Reminder.find({ client: members.Expiring._id })).map(r => r.dedupeKey).sort();
+    assert.deepEqual(keys, [
+      `expiring-3:${inDays(3).toISOString().slice(0, 10)}`,
+      `expiring-7:${inDays(6).toISOString().slice(0, 10)}`
+    ]);
+  });
+});
@@ -0,0 +1,108 @@
+// test/roster.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const Client = require('../models/Client');
+const Payment = require('../models/Payment');
+const Measurement = require('../models/Measurement');
+const { createApp, start, stop, reset, login, api, clientForm } = require('./helpers');
+
+const HEADER = 'Full Name,Mobile,Aadhaar,Goal,Months,Joining Date,Total Fees,Paid,Mode,Weight (kg)';
+
+describe('/api/clients/import', () => {
+  const app = createApp();
+  let owner;
+
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    owner = await login(app);
+  });
+
+  const importCsv = (lines, options = {}) => api(app, owner.token).post('/api/clients/import', {
+    format: 'csv',
+    content: [HEADER, ...lines].join('\r\n'),
+    ...options
+  });
+
+  it('checks a CSV as a dry run without creating anyone', async () => {
+    const { status, body } = await importCsv([
+      '"Verma, Asha",+91 98765 43210,123456789012,lose weight,3,15/01/2025,"3,000",1000,Cash,60',
+      'Bina Rao,12345,211122223333,Lose Weight,3,2025-01-15,3000,0,,55'
+    ]);
+    assert.equal(status, 200);
+    assert.equal(body.dryRun, true);
+    assert.equal(body.mapping.name, 'Full Name');
+    assert.deepEqual(body.missingColumns, []);
+    assert.deepEqual(body.summary, { rows: 2, ok: 1, invalid: 1, clashes: 0, imported: 0 });
+    assert.deepEqual(body.rows[0], {
+      row: 2, name: 'Verma, Asha', contact: '9876543210', status: 'ok', errors: [], clashes: []
+    });
+    assert.equal(body.rows[1].status, 'invalid');
+    assert.equal(await Client.countDocuments(), 0);
+  });
+
+  it('refuses a real import with failing rows unless told to skip them', async () => {
+    const lines = [
+      'Asha Verma,9876543210,123456789012,Lose Weight,3,2025-01-15,3000,1000,Cash,60',
+      'Bina Rao,9000000001,211122223333,Lose Weight,0,2025-01-15,3000,0,,55'
+    ];
+    const refused = await importCsv(lines, { dryRun: false });
+    assert.equal(refused.status, 422);
+    assert.equal(refused.body.summary.invalid, 1);
+    assert.equal(await Client.countDocuments(), 0);
+
+    const imported = await importCsv(lines, { dryRun: false, skipInvalid: true });
+    assert.equal(imported.status, 201);
+    assert.equal(imported.body.summary.imported, 1);
+    assert.deepEqual(imported.body.rows.map(row => row.status), ['imported', 'invalid']);
+
+    const client = await Client.findOne({ contact: '9876543210' });
+    assert.equal(client.fees.total, 3000);
+    assert.equal(client.fees.submitted, 1000);
+    assert.equal(client.fees.due, 2000);
+    const payments = await Payment.find({ client: client._id });
+    assert.deepEqual(payments.map(p => [p.amount, p.mode]), [[1000, 'Cash']]);
+    // The weight on the roster starts the measurement history, as at signup
+    const baseline = await Measurement.find({ client: client._id });
+    assert.deepEqual(baseline.map(m => m.weight), [60]);
+  });
+
+  it('reads the first sheet of an .xlsx workbook', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Members');
+    sheet.addRow(HEADER.split(','));
+    sheet.addRow(['Asha Verma', 9876543210, '123456789012', 'Bodybuilding', 6, new Date(Date.UTC(2025, 0, 15)), 6000, 0, '', 62]);
+    const content = Buffer.from(await workbook.xlsx.writeBuffer()).toString('base64');
+
+    const { status, body } = await api(app, owner.token).post('/api/clients/import', {
+      format: 'xlsx', content, dryRun: false
+    });
+    assert.equal(status, 201);
+    assert.equal(body.summary.imported, 1);
+    const client = await Client.findOne({ contact: '9876543210' });
+    assert.equal(client.goal, 'Bodybuilding');
+    assert.equal(client.membership.months, 6);
+    assert.equal(client.membership.feeDate.toISOString(), '2025-01-15T00:00:00.000Z');
+    assert.equal(await Payment.countDocuments({ client: client._id }), 0);
+
+    const broken = await api(app, owner.token).post('/api/clients/import', { format: 'xlsx', content: 'bm90IGEgd29ya2Jvb2s=' });
+    assert.equal(broken.status, 400);
+  });
+
+  it('reports rows that clash with a member in the trash or an earlier row', async () => {
+    const removed = (await api(app, owner.token).post('/api/clients', clientForm())).body;
+    await api(app, owner.token).delete(`/api/clients/${removed._id}`);
+
+    const { body } = await importCsv([
+      'Asha Verma,9876543210,311122223333,Lose Weight,3,2025-01-15,3000,0,,60',
+      'Bina Rao,9000000001,411122223333,Lose Weight,3,2025-01-15,3000,0,,55',
+      'Bina Rao,9000000001,511122223333,Lose Weight,3,2025-01-15,3000,0,,55'
+    ]);
+    assert.deepEqual(body.rows.map(row => row.status), ['clash', 'ok', 'clash']);
+    assert.equal(body.rows[0].clashes[0].message, 'Same contact as Asha Verma, who is in the trash. Restore them instead.');
+    assert.equal(body.rows[0].clashes[0].client._id, removed._id);
+    assert.equal(body.rows[2].clashes[0].message, 'Same contact as row 3.');
+  });
+});
@@ -0,0 +1,113 @@
+// test/screenings.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Client = require('../models/Client');
+const { createApp, start, stop, reset, login, api, clientForm } = require('./helpers');
+
+describe('/api/clients/:id/screenings', () => {
+  const app = createApp();
+  let owner;
+
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    owner = await login(app);
+  });
+
+  const screeningForm = (overrides = {}) => ({
+    answers: { boneJoint: true },
+    conditions: 'Asthma',
+    injuries: 'Left knee',
+    medications: '',
+    emergencyContact: { name: 'Ravi Verma', contact: '9123456789' },
+    ...overrides
+  });
+
+  it('records the PAR-Q at signup and flags a "yes" until the doctor clears it', async () => {
+    const created = await api(app, owner.token).post('/api/clients', clientForm({ screening: screeningForm() }));
+    assert.equal(created.status, 201);
+
+    const { body } = await api(app, owner.token).get(`/api/clients/${created.body._id}/screenings`);
+    assert.equal(body.screenings.length, 1);
+    assert.equal(body.screenings[0].needsClearance, true);
+    assert.equal(body.screenings[0].clearance.status, 'pending');
+    assert.deepEqual(body.screenings[0].injuries, ['Left knee']);
+    assert.deepEqual(body.flags, ['needs-clearance']);
+    assert.equal(body.client.medicalCondition.conditionDetails, 'Asthma, Left knee');
+
+    const cleared = await api(app, owner.token).put(`/api/clients/${created.body._id}/screenings/clearance`, {
+      status: 'cleared',
+      date: new Date().toISOString().split('T')[0],
+      doctor: 'Dr. Rao'
+    });
+    assert.equal(cleared.status, 200);
+    assert.deepEqual(cleared.body.flags, []);
+  });
+
+  it('keeps the screening\'s medical summary when the profile is edited', async () => {
+    const created = await api(app, owner.token).post('/api/clients', clientForm({ screening: screeningForm() }));
+    const edited = await api(app, owner.token).put(`/api/clients/${created.body._id}`, clientForm({ goal: 'Powerlifting' }));
+    assert.equal(edited.status, 200);
+
+    const client = await Client.findById(created.body._id).lean();
+    assert.equal(client.goal, 'Powerlifting');
+    assert.equal(client.medicalCondition.hasMedicalCondition, true);
+    assert.equal(client.medicalCondition.conditionDetails, 'Asthma, Left knee');
+  });
+
+  it('refuses a signup with an incomplete screening without creating the client', async () => {
+    const refused = await api(app, owner.token).post('/api/clients', clientForm({
+      screening: screeningForm({ emergencyContact: { name: 'Ravi Verma', contact: '12' } })
+    }));
+    assert.equal(refused.status, 400);
+    assert.equal((await api(app, owner.token).get('/api/clients')).body.total, 0);
+  });
+
+  it('lists members whose clearance is missing or expired', async () => {
+    const pending = (await api(app, owner.token).post('/api/clients', clientForm({ screening: screeningForm() }))).body;
+    const clear = (await api(app, owner.token).post('/api/clients', clientForm({
+      contact: '9000000001', aadhaar: '222233334444', screening: screeningForm({ answers: {} })
+    }))).body;
+    const expired = (await api(app, owner.token).post('/api/clients', clientForm({
+      contact: '9000000002', aadhaar: '333344445555', screening: screeningForm()
+    }))).body;
+    const overAYearAgo = new Date(Date.now() - 400 * 24 * 60 * 60 * 1000);
+    await Client.updateOne({ _id: expired._id }, {
+      'screening.clearance': { status: 'cleared', date: overAYearAgo, doctor: 'Dr. Rao' }
+    });
+
+    const { body } = await api(app, owner.token).get('/api/clients?clearance=required&sort=name');
+    const ids = body.clients.map(c => c._id).sort();
+    assert.deepEqual(ids, [pending._id, expired._id].sort());
+    assert.ok(!ids.includes(clear._id));
+
+    assert.equal((await api(app, owner.token).get('/api/clients?clearance=maybe')).status, 400);
+  });
+
+  it('shows a trainer the flags of their PT clients but lets only staff record', async () => {
+    const trainerLogin = await login(app, 'trainer');
+    const profile = (await api(app, owner.token).get('/api/trainers')).body.find(t => t.user && t.user._id === trainerLogin.user._id);
+    const client = (await api(app, owner.token).post('/api/clients', clientForm({
+      pt: 'Standard', trainer: profile._id, screening: screeningForm()
+    }))).body;
+
+    const own = await api(app, trainerLogin.token).get('/api/trainers/me/clients');
+    assert.deepEqual(own.body.clients[0].flags, ['needs-clearance']);
+    assert.equal((await api(app, trainerLogin.token).get(`/api/clients/${client._id}/screenings`)).status, 200);
+    assert.equal((await api(app, trainerLogin.token).post(`/api/clients/${client._id}/screenings`, screeningForm())).status, 403);
+  });
+
+  it('renews the screening yearly and needs one before a clearance', async () => {
+    const client = (await api(app, owner.token).post('/api/clients', clientForm())).body;
+    const noScreening = await api(app, owner.token).put(`/api/clients/${client._id}/screenings/clearance`, { status: 'cleared', date: new Date() });
+    assert.equal(noScreening.status, 409);
+    assert.equal((await api(app, owner.token).get('/api/clients?screening=due')).body.total, 1);
+
+    const renewed = await api(app, owner.token).post(`/api/clients/${client._id}/screenings`, screeningForm({ answers: {} }));
+    assert.equal(renewed.status, 201);
+    assert.deepEqual(renewed.body.flags, []);
+    assert.equal(renewed.body.screening.clearance.status, 'not-required');
+    assert.equal((await api(app, owner.token).get('/api/clients?screening=due')).body.total, 0);
+  });
+});
@@ -0,0 +1,103 @@
+// test/trainers.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, start, stop, reset, login, api, clientForm } = require('./helpers');
+
+describe('/api/trainers', () => {
+  const app = createApp();
+  let owner;
+
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    owner = await login(app);
+  });
+
+  const trainerForm = (overrides = {}) => ({
+    name: 'Ravi Kumar',
+    contact: '9111111111',
+    specialisations: 'Strength, Rehab',
+    availability: [{ day: 'Mon', from: '06:00', to: '10:00' }, { day: 'Wed', from: '06:00', to: '10:00' }],
+    commissionRate: 20,
+    ...overrides
+  });
+
+  it('manages trainer profiles with specialisations and availability', async () => {
+    const created = await api(app, owner.token).post('/api/trainers', trainerForm());
+    assert.equal(created.status, 201);
+    assert.deepEqual(created.body.specialisations, ['Strength', 'Rehab']);
+    assert.equal(created.body.availability.length, 2);
+
+    const badSlot = await api(app, owner.token).post('/api/trainers', trainerForm({
+      contact: '9222222222',
+      availability: [{ day: 'Mon', from: '10:00', to: '06:00' }]
+    }));
+    assert.equal(badSlot.status, 400);
+    const duplicate = await api(app, owner.token).post('/api/trainers', trainerForm({ name: 'Someone Else' }));
+    assert.equal(duplicate.status, 409);
+
+    const frontDesk = await login(app, 'front-desk');
+    assert.equal((await api(app, frontDesk.token).get('/api/trainers')).status, 200);
+    assert.equal((await api(app, frontDesk.token).post('/api/trainers', trainerForm({ contact: '9333333333' }))).status, 403);
+  });
+
+  it('assigns PT clients to active trainers and shows the trainer in the list', async () => {
+    const trainer = (await api(app, owner.token).post('/api/trainers', trainerForm())).body;
+    const client = (await api(app, owner.token).post('/api/clients', clientForm({ pt: 'Standard', trainer: trainer._id }))).body;
+    assert.equal(client.trainer, trainer._id);
+
+    const list = await api(app, owner.token).get('/api/clients?pt=Standard');
+    assert.equal(list.body.clients[0].trainer.name, 'Ravi Kumar');
+
+    await api(app, owner.token).put(`/api/trainers/${trainer._id}`, { active: false });
+    const refused = await api(app, owner.token).post('/api/clients', clientForm({
+      contact: '9000000001', aadhaar: '222233334444', pt: 'Standard', trainer: trainer._id
+    }));
+    assert.equal(refused.status, 400);
+    // Editing a client keeps the trainer they already have
+    const kept = await api(app, owner.token).put(`/api/clients/${client._id}`, clientForm({ name: 'Asha V.', aadhaar: '', pt: 'Standard', trainer: trainer._id }));
+    assert.equal(kept.status, 200);
+    assert.equal(kept.body.trainer, trainer._id);
+  });
+
+  it('lists a trainer their own PT clients with goal and medical condition', async () => {
+    const trainerLogin = await login(app, 'trainer');
+    const profile = (await api(app, owner.token).get('/api/trainers')).body.find(t => t.user && t.user._id === trainerLogin.user._id);
+    assert.ok(profile, 'a trainer login gets a trainer profile');
+    await api(app, owner.token).post('/api/clients', clientForm({
+      pt: 'Advanced',
+      trainer: profile._id,
+      hasMedicalCondition: true,
+      medicalConditionDetails: 'Asthma'
+    }));
+
+    const own = await api(app, trainerLogin.token).get('/api/trainers/me/clients');
+    assert.equal(own.status, 200);
+    assert.equal(own.body.clients.length, 1);
+    assert.equal(own.body.clients[0].goal, 'Lose Weight');
+    assert.equal(own.body.clients[0].medicalCondition.conditionDetails, 'Asthma');
+
+    const other = (await api(app, owner.token).post('/api/trainers', trainerForm())).body;
+    assert.equal((await api(app, trainerLogin.token).get(`/api/trainers/${other._id}/clients`)).status, 403);
+    assert.equal((await api(app, trainerLogin.token).get('/api/trainers/report')).status, 403);
+  });
+
+  it('reports active PT clients, PT revenue and commission per trainer', async () => {
+    const trainer = (await api(app, owner.token).post('/api/trainers', trainerForm())).body;
+    const plan = (await api(app, owner.token).post('/api/plans', { name: 'Quarterly', months: 3, price: 3000, ptPrice: 1000 })).body;
+    // On a plan only the PT share (1000 of 4000) of each payment counts
+    await api(app, owner.token).post('/api/clients', clientForm({ pt: 'Standard', trainer: trainer._id, planId: plan._id, feesTotal: 4000, feesSubmitted: 4000 }));
+    // Without a plan the whole payment counts
+    await api(app, owner.token).post('/api/clients', clientForm({
+      contact: '9000000001', aadhaar: '222233334444', pt: 'Standard', trainer: trainer._id, feesSubmitted: 1000
+    }));
+
+    const { body } = await api(app, owner.token).get('/api/trainers/report');
+    const row = body.trainers.find(r => r.trainer._id === trainer._id);
+    assert.equal(row.activePtClients, 2);
+    assert.equal(row.revenue, 5000);
+    assert.equal(row.ptRevenue, 2000);
+    assert.equal(row.commission, 400);
+  });
+});
@@ -0,0 +1,82 @@
+// test/trash.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Client = require('../models/Client');
+const Attendance = require('../models/Attendance');
+const Measurement = require('../models/Measurement');
+const Reminder = require('../models/Reminder');
+const Screening = require('../models/Screening');
+const MemberPlan = require('../models/MemberPlan');
+const ClassBooking = require('../models/ClassBooking');
+const LoginCode = require('../models/LoginCode');
+const Referral = require('../models/Referral');
+const Lead = require('../models/Lead');
+const Payment = require('../models/Payment');
+const { createApp, start, stop, reset, login, api, clientForm } = require('./helpers');
+
+describe('/api/clients/trash', () => {
+  const app = createApp();
+  let token;
+  let client;
+
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    ({ token } = await login(app));
+    client = (await api(app, token).post('/api/clients', clientForm())).body;
+    await api(app, token).delete(`/api/clients/${client._id}`);
+  });
+
+  it('hides removed clients from the list and check-in but keeps them in the trash', async () => {
+    assert.equal((await api(app, token).get('/api/clients')).body.total, 0);
+    assert.equal((await api(app, token).post('/api/attendance/check-in', { contact: client.contact })).status, 404);
+
+    const { body } = await api(app, token).get('/api/clients/trash');
+    assert.equal(body.length, 1);
+    assert.equal(body[0].name, 'Asha Verma');
+    assert.ok(body[0].deletedAt && body[0].purgeAfter);
+  });
+
+  it('restores a client with their payments', async () => {
+    const restored = await api(app, token).post(`/api/clients/trash/${client._id}/restore`);
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.deletedAt, null);
+    assert.equal((await api(app, token).get(`/api/clients/${client._id}/payments`)).body.payments.length, 1);
+  });
+
+  it('offers to restore a member who joins again', async () => {
+    const again = await api(app, token).post('/api/clients', clientForm());
+    assert.equal(again.status, 409);
+    assert.equal(again.body.archivedClientId, client._id);
+  });
+
+  it('only purges once the retention period is over', async () => {
+    const early = await api(app, token).delete(`/api/clients/trash/${client._id}`);
+    assert.equal(early.status, 409);
+
+    const friend = (await api(app, token).post('/api/clients', clientForm({
+      name: 'Bina Rao', contact: '9000000001', aadhaar: '211122223333'
+    }))).body;
+    const owned = [Attendance, Measurement, Reminder, Screening, MemberPlan, ClassBooking, LoginCode];
+    for (const Model of owned) {
+      await new Model({ client: client._id }).save({ validateBeforeSave: false });
+    }
+    await new Referral({ referrer: client._id, referred: friend._id }).save({ validateBeforeSave: false });
+    await Client.updateOne({ _id: friend._id }, { referredBy: client._id });
+    const lead = await new Lead({ client: client._id }).save({ validateBeforeSave: false });
+    await Client.updateOne({ _id: client._id, deletedAt: { $ne: null } }, { deletedAt: new Date(Date.now() - 31 * 24 * 60 * 60 * 1000) });
+    const purged = await api(app, token).delete(`/api/clients/trash/${client._id}`);
+    assert.equal(purged.status, 200);
+    assert.equal((await api(app, token).get('/api/clients/trash')).body.length, 0);
+    for (const Model of owned) {
+      assert.equal(await Model.countDocuments({ client: client._id }), 0, Model.modelName);
+    }
+    assert.equal(await Referral.countDocuments({ $or: [{ referrer: client._id }, { referred: client._id }] }), 0);
+    assert.equal((await Client.findById(friend._id)).referredBy, null);
+    assert.equal((await Lead.findById(lead._id)).client, null);
+    // Payments stay for the accounts
+    assert.equal(await Payment.countDocuments({ client: client._id }), 1);
+    assert.equal((await api(app, token).post('/api/clients', clientForm())).status, 201);
+  });
+});